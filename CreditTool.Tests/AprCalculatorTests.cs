@@ -0,0 +1,72 @@
+using CreditTool.Models;
+using CreditTool.Services;
+
+namespace CreditTool.Tests;
+
+public class AprCalculatorTests
+{
+    private static CreditParameters CreateParameters(decimal processingFeeAmount = 0m) => new()
+    {
+        NetValue = 1000m,
+        CreditStartDate = new DateTime(2025, 1, 1),
+        CreditEndDate = new DateTime(2026, 1, 1),
+        ProcessingFeeAmount = processingFeeAmount
+    };
+
+    private static ScheduleItem Payment(DateTime date, decimal total) => new()
+    {
+        PaymentDate = date,
+        PrincipalPayment = total,
+        TotalPayment = total
+    };
+
+    [Fact]
+    public void ExplainsCashFlowsYearFractionsAndSolverSteps()
+    {
+        var schedule = new List<ScheduleItem> { Payment(new DateTime(2026, 1, 1), 1100m) };
+
+        var explanation = AprCalculator.Explain(CreateParameters(), schedule);
+
+        Assert.Equal(10m, explanation.AnnualPercentageRate);
+        Assert.True(explanation.Converged);
+        Assert.Equal(AprSolverMethod.Newton, explanation.Method);
+
+        Assert.Equal(2, explanation.CashFlows.Count);
+        Assert.Equal(1000m, explanation.CashFlows[0].Amount);
+        Assert.Equal(0d, explanation.CashFlows[0].YearFraction);
+        Assert.Equal(-1100m, explanation.CashFlows[1].Amount);
+        Assert.Equal(1d, explanation.CashFlows[1].YearFraction);
+        Assert.Equal(0d, explanation.CashFlows.Sum(cashFlow => cashFlow.PresentValue), 6);
+
+        Assert.NotEmpty(explanation.Steps);
+        Assert.Equal(0.1d, explanation.Steps[0].Rate);
+        Assert.Equal(Enumerable.Range(1, explanation.Steps.Count), explanation.Steps.Select(step => step.Iteration));
+        Assert.Equal(explanation.AnnualPercentageRate, AprCalculator.CalculateAnnualPercentageRate(CreateParameters(), schedule));
+    }
+
+    [Fact]
+    public void OneOffFeesReduceTheDisbursedCashFlow()
+    {
+        var schedule = new List<ScheduleItem>
+        {
+            Payment(new DateTime(2025, 7, 2), 500m),
+            Payment(new DateTime(2026, 1, 1), 500m)
+        };
+
+        var explanation = AprCalculator.Explain(CreateParameters(processingFeeAmount: 50m), schedule);
+
+        Assert.Equal(950m, explanation.CashFlows[0].Amount);
+        Assert.Equal(182d / 365d, explanation.CashFlows[1].YearFraction, 12);
+        Assert.True(explanation.AnnualPercentageRate > 0m);
+    }
+
+    [Fact]
+    public void EmptyScheduleHasNoSolverSteps()
+    {
+        var explanation = AprCalculator.Explain(CreateParameters(), new List<ScheduleItem>());
+
+        Assert.Equal(0m, explanation.AnnualPercentageRate);
+        Assert.Single(explanation.CashFlows);
+        Assert.Empty(explanation.Steps);
+    }
+}
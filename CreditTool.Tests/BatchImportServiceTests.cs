@@ -0,0 +1,166 @@
+using System.IO.Compression;
+using System.Text;
+using CreditTool.Models;
+using CreditTool.Services;
+
+namespace CreditTool.Tests;
+
+public class BatchImportServiceTests
+{
+    private const string LoanJson = """
+        {
+          "parameters": {
+            "netValue": 10000,
+            "paymentFrequency": "Monthly",
+            "paymentDay": "LastOfMonth",
+            "creditStartDate": "2024-01-01",
+            "creditEndDate": "2025-01-01",
+            "paymentType": "EqualInstallments"
+          },
+          "rates": [ { "dateFrom": "2024-01-01", "dateTo": "2025-01-01", "rate": 5 } ]
+        }
+        """;
+
+    private static BatchImportService CreateService() => new(new ExcelService(), new WordImportService());
+
+    private static MemoryStream CreateZip(params (string Name, string Content)[] entries)
+    {
+        var stream = new MemoryStream();
+        using (var archive = new ZipArchive(stream, ZipArchiveMode.Create, leaveOpen: true))
+        {
+            foreach (var (name, content) in entries)
+            {
+                using var writer = new StreamWriter(archive.CreateEntry(name).Open(), Encoding.UTF8);
+                writer.Write(content);
+            }
+        }
+
+        stream.Position = 0;
+        return stream;
+    }
+
+    [Fact]
+    public async Task ImportZipReadsEveryLoanAndRecordsEntryErrors()
+    {
+        using var zip = CreateZip(
+            ("b-loan.json", LoanJson),
+            ("a-broken.json", "{"),
+            ("notes.txt", "not a loan"),
+            ("__MACOSX/._b-loan.json", "metadata"));
+
+        var loans = await CreateService().ImportAsync(zip, "loans.zip");
+
+        Assert.Equal(new[] { "a-broken", "b-loan", "notes" }, loans.Select(loan => loan.Name));
+        Assert.NotNull(loans[0].Error);
+        Assert.Equal("batchEntryJson", loans[0].ErrorDetails!.Code);
+        Assert.Null(loans[1].Error);
+        Assert.Equal(10000m, loans[1].Calculation!.Parameters.NetValue);
+        Assert.Single(loans[1].Calculation!.Rates);
+        Assert.Contains("notes.txt", loans[2].Error);
+        Assert.Equal("notes.txt", loans[2].ErrorDetails!.Values["file"]);
+    }
+
+    [Fact]
+    public async Task ImportZipKeepsPrepaymentsAndFeesOfJsonLoans()
+    {
+        const string loanWithExtras = """
+            {
+              "parameters": {
+                "netValue": 10000,
+                "paymentFrequency": "Monthly",
+                "paymentDay": "LastOfMonth",
+                "creditStartDate": "2024-01-01",
+                "creditEndDate": "2025-01-01",
+                "paymentType": "EqualInstallments",
+                "recurringFees": [ { "name": "Ubezpieczenie", "value": 15 } ]
+              },
+              "rates": [ { "dateFrom": "2024-01-01", "dateTo": "2025-01-01", "rate": 5 } ],
+              "prepayments": [ { "date": "2024-06-30", "amount": 2000 } ]
+            }
+            """;
+        using var zip = CreateZip(("loan.json", loanWithExtras));
+
+        var loans = await CreateService().ImportAsync(zip, "loans.zip");
+
+        var calculation = loans.Single().Calculation!;
+        Assert.Equal(2000m, Assert.Single(calculation.Prepayments).Amount);
+        Assert.Equal(15m, Assert.Single(calculation.Parameters.RecurringFees).Value);
+    }
+
+    [Fact]
+    public async Task ImportZipRejectsArchivesWithTooManyLoans()
+    {
+        using var zip = CreateZip(Enumerable.Range(0, BatchImportService.MaxLoans + 1)
+            .Select(index => ($"loan-{index}.json", LoanJson))
+            .ToArray());
+
+        var exception = await Assert.ThrowsAsync<BatchImportException>(() => CreateService().ImportAsync(zip, "loans.zip"));
+        Assert.Equal("batchTooLarge", exception.Code);
+    }
+
+    [Fact]
+    public async Task ImportZipRecordsOversizedEntriesAsLoanErrors()
+    {
+        using var zip = CreateZip(
+            ("a-large.json", new string(' ', (int)BatchImportService.MaxZipEntryBytes + 1)),
+            ("b-loan.json", LoanJson));
+
+        var loans = await CreateService().ImportAsync(zip, "loans.zip");
+
+        Assert.Contains("a-large.json", loans[0].Error);
+        Assert.Equal("batchEntryTooLarge", loans[0].ErrorDetails!.Code);
+        Assert.Null(loans[0].Calculation);
+        Assert.Null(loans[1].Error);
+    }
+
+    [Fact]
+    public void FromRequestNumbersUnnamedLoans()
+    {
+        var request = new BatchCalculationRequest
+        {
+            Loans = new List<BatchLoanRequest>
+            {
+                new() { Name = " Hipoteka " },
+                new()
+            }
+        };
+
+        var loans = BatchImportService.FromRequest(request);
+
+        Assert.Equal(new[] { "Hipoteka", "Kredyt 2" }, loans.Select(loan => loan.Name));
+        Assert.All(loans, loan => Assert.NotNull(loan.Calculation));
+    }
+
+    [Fact]
+    public void FromRequestRecordsLoansWithoutParametersOrRates()
+    {
+        var request = new BatchCalculationRequest
+        {
+            Loans = new List<BatchLoanRequest>
+            {
+                new() { Parameters = null! },
+                new() { Rates = null! },
+                null!
+            }
+        };
+
+        var loans = BatchImportService.FromRequest(request);
+
+        Assert.Equal(new[] { "Kredyt 1", "Kredyt 2", "Kredyt 3" }, loans.Select(loan => loan.Name));
+        Assert.All(loans, loan =>
+        {
+            Assert.Null(loan.Calculation);
+            Assert.Equal("batchLoanIncomplete", loan.ErrorDetails!.Code);
+        });
+        Assert.Empty(BatchImportService.FromRequest(new BatchCalculationRequest { Loans = null! }));
+    }
+
+    [Fact]
+    public async Task ImportRejectsUnsupportedFiles()
+    {
+        using var stream = new MemoryStream(Encoding.UTF8.GetBytes("text"));
+
+        var exception = await Assert.ThrowsAsync<BatchImportException>(() => CreateService().ImportAsync(stream, "loans.txt"));
+        Assert.Equal("batchFormat", exception.Code);
+    }
+}
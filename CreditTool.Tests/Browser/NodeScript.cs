@@ -0,0 +1,39 @@
+using System.Diagnostics;
+
+namespace CreditTool.Tests.Browser;
+
+/// <summary>
+/// Runs a check script from the Browser output folder with Node.js, which has to be on the PATH.
+/// The wwwroot scripts the checks load are copied to Browser/wwwroot.
+/// </summary>
+internal static class NodeScript
+{
+    public static readonly string ScriptDirectory = Path.Combine(AppContext.BaseDirectory, "Browser");
+
+    public static readonly string WwwrootDirectory = Path.Combine(ScriptDirectory, "wwwroot");
+
+    public static (int ExitCode, string Output) Run(string script, string? timeZone, params string[] arguments)
+    {
+        var startInfo = new ProcessStartInfo("node")
+        {
+            RedirectStandardOutput = true,
+            RedirectStandardError = true
+        };
+        startInfo.ArgumentList.Add(Path.Combine(ScriptDirectory, script));
+        foreach (var argument in arguments)
+        {
+            startInfo.ArgumentList.Add(argument);
+        }
+        if (timeZone != null)
+        {
+            startInfo.Environment["TZ"] = timeZone;
+        }
+
+        using var process = Process.Start(startInfo)!;
+        var output = process.StandardOutput.ReadToEndAsync();
+        var errors = process.StandardError.ReadToEnd();
+        process.WaitForExit();
+
+        return (process.ExitCode, output.Result + errors);
+    }
+}
@@ -0,0 +1,35 @@
+// Runs buildPaymentDates from wwwroot/dates.js against Fixtures/payment-dates.json.
+// PaymentDateGeneratorTests starts it once per time zone; by hand:
+//   TZ=Europe/Warsaw node CreditTool.Tests/Browser/check-payment-dates.js
+// Optional arguments override the paths of dates.js and the fixture.
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const datesPath = process.argv[2] ?? path.join(__dirname, '..', '..', 'CreditTool', 'wwwroot', 'dates.js');
+const fixturePath = process.argv[3] ?? path.join(__dirname, '..', 'Fixtures', 'payment-dates.json');
+
+// dates.js is a plain browser script; its functions become globals of the context
+const context = vm.createContext({});
+vm.runInContext(fs.readFileSync(datesPath, 'utf8'), context, { filename: datesPath });
+
+const fixtures = JSON.parse(fs.readFileSync(fixturePath, 'utf8'));
+const failures = [];
+fixtures.forEach(fixture => {
+    const actual = context.buildPaymentDates(
+        context.parseDateInput(fixture.creditStartDate),
+        context.parseDateInput(fixture.creditEndDate),
+        fixture).map(date => context.formatDateInput(date));
+
+    if (JSON.stringify(actual) !== JSON.stringify(fixture.expectedDates)) {
+        failures.push(`${fixture.name}: expected ${fixture.expectedDates.join(', ')}, got ${actual.join(', ')}`);
+    }
+});
+
+const timeZone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+if (failures.length) {
+    console.error(`${failures.length} of ${fixtures.length} fixtures failed in ${timeZone}:\n${failures.join('\n')}`);
+    process.exit(1);
+}
+
+console.log(`${fixtures.length} fixtures passed in ${timeZone}.`);
@@ -0,0 +1,81 @@
+// Runs parseRateFixings and buildRatePeriodsFromFixings from wwwroot/fixings.js against the cases below.
+// RateFixingsTests starts it; by hand:
+//   node CreditTool.Tests/Browser/check-rate-fixings.js
+// An optional argument overrides the directory holding i18n.js, dates.js and fixings.js.
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const scriptDirectory = process.argv[2] ?? path.join(__dirname, '..', '..', 'CreditTool', 'wwwroot');
+
+// The scripts share one global scope as they do on the page; i18n.js only reads the stored language
+const context = vm.createContext({
+    localStorage: { getItem: () => null },
+    navigator: { language: 'en' }
+});
+const source = ['i18n.js', 'dates.js', 'fixings.js']
+    .map(file => fs.readFileSync(path.join(scriptDirectory, file), 'utf8'))
+    .join('\n;\n');
+vm.runInContext(source, context, { filename: 'fixings.js' });
+
+const cases = [
+    {
+        name: 'series starting before the credit',
+        start: '2024-01-01',
+        end: '2024-12-31',
+        text: '2023-12-01;5.90\n2024-06-03;5.80',
+        expectedRates: [
+            { dateFrom: '2024-01-01', dateTo: '2024-06-02', rate: 5.9 },
+            { dateFrom: '2024-06-03', dateTo: '2024-12-31', rate: 5.8 }
+        ],
+        expectedNotes: 0
+    },
+    {
+        name: 'series starting after the credit',
+        start: '2024-01-01',
+        end: '2024-12-31',
+        text: 'Data;WIBOR 3M\n15.02.2024;5,85\n20.03.2024;5,60',
+        expectedRates: [
+            { dateFrom: '2024-01-01', dateTo: '2024-03-19', rate: 5.85 },
+            { dateFrom: '2024-03-20', dateTo: '2024-12-31', rate: 5.6 }
+        ],
+        expectedNotes: 1
+    },
+    {
+        name: 'repeated rates and fixings after the credit',
+        start: '2024-01-01',
+        end: '2024-06-30',
+        text: '2023-12-29\t5.86\n2024-02-01\t5.86\n2024-03-01\t5.70\n2024-08-01\t5.50',
+        expectedRates: [
+            { dateFrom: '2024-01-01', dateTo: '2024-02-29', rate: 5.86 },
+            { dateFrom: '2024-03-01', dateTo: '2024-06-30', rate: 5.7 }
+        ],
+        expectedNotes: 0
+    }
+];
+
+const failures = [];
+cases.forEach(testCase => {
+    const { fixings, errors } = context.parseRateFixings(testCase.text);
+    const { rates, notes } = context.buildRatePeriodsFromFixings(
+        fixings,
+        context.parseDateInput(testCase.start),
+        context.parseDateInput(testCase.end));
+
+    if (errors.length) {
+        failures.push(`${testCase.name}: unexpected parse errors ${errors.join(' ')}`);
+    }
+    if (JSON.stringify(rates) !== JSON.stringify(testCase.expectedRates)) {
+        failures.push(`${testCase.name}: expected ${JSON.stringify(testCase.expectedRates)}, got ${JSON.stringify(rates)}`);
+    }
+    if (notes.length !== testCase.expectedNotes) {
+        failures.push(`${testCase.name}: expected ${testCase.expectedNotes} notes, got ${notes.join(' ') || 'none'}`);
+    }
+});
+
+if (failures.length) {
+    console.error(`${failures.length} of ${cases.length} rate series failed:\n${failures.join('\n')}`);
+    process.exit(1);
+}
+
+console.log(`${cases.length} rate series passed.`);
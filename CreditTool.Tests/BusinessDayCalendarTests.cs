@@ -0,0 +1,44 @@
+using CreditTool.Models;
+using CreditTool.Services.ScheduleCalculation.Strategies.PaymentDate;
+
+namespace CreditTool.Tests;
+
+public class BusinessDayCalendarTests
+{
+    [Theory]
+    [InlineData(2024, 3, 31)]
+    [InlineData(2025, 4, 20)]
+    [InlineData(2026, 4, 5)]
+    [InlineData(2038, 4, 25)]
+    public void CalculatesEasterSunday(int year, int month, int day)
+    {
+        Assert.Equal(new DateTime(year, month, day), BusinessDayCalendar.GetEasterSunday(year));
+    }
+
+    [Fact]
+    public void ListsPolishHolidaysIncludingEasterBasedOnes()
+    {
+        var holidays = BusinessDayCalendar.GetPolishHolidays(2025);
+
+        Assert.Equal(14, holidays.Count);
+        Assert.Contains(new DateTime(2025, 4, 21), holidays);
+        Assert.Contains(new DateTime(2025, 6, 8), holidays);
+        Assert.Contains(new DateTime(2025, 6, 19), holidays);
+        Assert.Contains(new DateTime(2025, 12, 24), holidays);
+        Assert.DoesNotContain(new DateTime(2010, 1, 6), BusinessDayCalendar.GetPolishHolidays(2010));
+    }
+
+    [Fact]
+    public void AdjustsDatesWithEachConvention()
+    {
+        var calendar = new BusinessDayCalendar(new[] { new DateTime(2025, 8, 29) });
+        var saturday = new DateTime(2025, 8, 30);
+
+        Assert.False(calendar.IsBusinessDay(new DateTime(2025, 8, 15)));
+        Assert.Equal(saturday, calendar.Adjust(saturday, BusinessDayConvention.None));
+        Assert.Equal(new DateTime(2025, 9, 1), calendar.Adjust(saturday, BusinessDayConvention.Following));
+        // The closing day on Friday pushes both back to Thursday
+        Assert.Equal(new DateTime(2025, 8, 28), calendar.Adjust(saturday, BusinessDayConvention.Preceding));
+        Assert.Equal(new DateTime(2025, 8, 28), calendar.Adjust(saturday, BusinessDayConvention.ModifiedFollowing));
+    }
+}
@@ -58,6 +58,35 @@ public class ExcelServiceTests
         Assert.Throws<InvalidOperationException>(() => service.Import(stream, ".xlsx"));
     }
 
+    [Fact]
+    public void ImportBatchReadsOneLoanPerSheet()
+    {
+        using var workbook = new XLWorkbook();
+        var loanSheet = workbook.AddWorksheet("Hipoteka");
+        WriteRequiredParameters(loanSheet);
+        loanSheet.Cell(1, 4).Value = "Od";
+        loanSheet.Cell(1, 5).Value = "Do";
+        loanSheet.Cell(1, 6).Value = "Stopa (%)";
+        loanSheet.Cell(2, 4).Value = new DateTime(2024, 1, 1);
+        loanSheet.Cell(2, 5).Value = new DateTime(2025, 1, 1);
+        loanSheet.Cell(2, 6).Value = "5";
+        WriteRequiredParameters(workbook.AddWorksheet("Bez stóp"));
+
+        using var stream = new MemoryStream();
+        workbook.SaveAs(stream);
+        stream.Position = 0;
+
+        var loans = new ExcelService().ImportBatchXlsx(stream);
+
+        Assert.Equal(2, loans.Count);
+        Assert.Equal("Hipoteka", loans[0].Name);
+        Assert.Null(loans[0].Error);
+        Assert.Single(loans[0].Calculation!.Rates);
+        Assert.Equal("Bez stóp", loans[1].Name);
+        Assert.Null(loans[1].Calculation);
+        Assert.NotNull(loans[1].Error);
+    }
+
     private static void WriteRequiredParameters(IXLWorksheet sheet)
     {
         sheet.Cell(1, 1).Value = "Parametr";
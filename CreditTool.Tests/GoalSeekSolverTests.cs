@@ -0,0 +1,164 @@
+using System.Linq;
+using CreditTool.Models;
+using CreditTool.Services;
+using CreditTool.Services.ScheduleCalculation;
+using CreditTool.Services.ScheduleCalculation.Strategies.PaymentDate;
+
+namespace CreditTool.Tests;
+
+public class GoalSeekSolverTests
+{
+    private static readonly IScheduleCalculator Calculator = new ScheduleCalculator(new StandardPaymentDateGenerator());
+
+    private static ScheduleResponse Calculate(CalculationRequest request, bool includeLog)
+    {
+        var result = Calculator.Calculate(request.Parameters, request.Rates, includeLog: includeLog, prepayments: request.Prepayments);
+        return new ScheduleResponse
+        {
+            Schedule = result.Schedule.ToList(),
+            TotalInterest = result.Schedule.Sum(item => item.InterestAmount),
+            AnnualPercentageRate = AprCalculator.CalculateAnnualPercentageRate(request.Parameters, result.Schedule),
+            TargetLevelPayment = result.TargetLevelPayment
+        };
+    }
+
+    private static CalculationRequest CreateCalculation(PaymentType paymentType) => new()
+    {
+        Parameters = new CreditParameters
+        {
+            NetValue = 100000m,
+            MarginRate = 2m,
+            PaymentFrequency = PaymentFrequency.Monthly,
+            PaymentDay = PaymentDayOption.LastOfMonth,
+            CreditStartDate = new DateTime(2024, 1, 1),
+            CreditEndDate = new DateTime(2029, 1, 1),
+            DayCountBasis = DayCountBasis.Actual365,
+            RoundingMode = RoundingModeOption.Bankers,
+            RoundingDecimals = 4,
+            PaymentType = paymentType
+        },
+        Rates = new List<InterestRatePeriod>
+        {
+            new() { DateFrom = new DateTime(2024, 1, 1), DateTo = new DateTime(2025, 12, 31), Rate = 5m },
+            new() { DateFrom = new DateTime(2026, 1, 1), DateTo = new DateTime(2029, 1, 1), Rate = 4m }
+        }
+    };
+
+    [Fact]
+    public void FindsTheLargestNetValueWithinTargetInstallment()
+    {
+        var request = new GoalSeekRequest
+        {
+            Calculation = CreateCalculation(PaymentType.EqualInstallments),
+            Variable = GoalSeekVariable.NetValue,
+            Target = GoalSeekTarget.Installment,
+            TargetValue = 3000m,
+            Maximum = 1_000_000m
+        };
+
+        var response = GoalSeekSolver.Solve(request, Calculate);
+
+        Assert.True(response.Converged);
+        Assert.True(response.Result <= 3000m);
+        Assert.True(response.Result > 2999.9m);
+        Assert.Equal(response.Steps.Last().Iteration, response.Steps.Count);
+
+        var oneCentMore = request.Calculation.Parameters.Clone();
+        oneCentMore.NetValue = response.Calculation.Parameters.NetValue + 0.01m;
+        var exceeding = Calculate(new CalculationRequest { Parameters = oneCentMore, Rates = request.Calculation.Rates }, false);
+        Assert.True(Math.Round(exceeding.TargetLevelPayment!.Value, 2) > 3000m);
+    }
+
+    [Fact]
+    public void FindsTheShortestTermWithinTargetInstallmentAndAlignsRates()
+    {
+        var request = new GoalSeekRequest
+        {
+            Calculation = CreateCalculation(PaymentType.DecreasingInstallments),
+            Variable = GoalSeekVariable.CreditEndDate,
+            Target = GoalSeekTarget.Installment,
+            TargetValue = 2500m
+        };
+
+        var response = GoalSeekSolver.Solve(request, Calculate);
+        var solved = response.Calculation;
+
+        Assert.True(response.Converged);
+        Assert.True(response.Result <= 2500m);
+        Assert.Null(response.Steps[0].Value);
+        Assert.Equal(solved.Parameters.CreditEndDate, solved.Rates.Last().DateTo);
+
+        var oneMonthShorter = solved.Parameters.Clone();
+        oneMonthShorter.CreditEndDate = solved.Parameters.CreditEndDate.AddMonths(-1);
+        var shorterRates = solved.Rates
+            .Where(rate => rate.DateFrom < oneMonthShorter.CreditEndDate)
+            .Select(rate => new InterestRatePeriod { DateFrom = rate.DateFrom, DateTo = rate.DateTo, Rate = rate.Rate })
+            .ToList();
+        shorterRates[^1].DateTo = oneMonthShorter.CreditEndDate;
+        var exceeding = Calculate(new CalculationRequest { Parameters = oneMonthShorter, Rates = shorterRates }, false);
+        Assert.True(exceeding.Schedule.Max(item => item.TotalPayment) > 2500m);
+    }
+
+    [Fact]
+    public void ClipsRecurringFeesToTheSearchedTerm()
+    {
+        var calculation = CreateCalculation(PaymentType.DecreasingInstallments);
+        calculation.Parameters.RecurringFees = new List<RecurringFee>
+        {
+            new() { Name = "Ubezpieczenie", Value = 20m, DateFrom = new DateTime(2024, 1, 1), DateTo = new DateTime(2028, 12, 31) },
+            new() { Name = "Opłata końcowa", Value = 50m, DateFrom = new DateTime(2028, 10, 1) }
+        };
+        var request = new GoalSeekRequest
+        {
+            Calculation = calculation,
+            Variable = GoalSeekVariable.CreditEndDate,
+            Target = GoalSeekTarget.Installment,
+            TargetValue = 3000m
+        };
+
+        var response = GoalSeekSolver.Solve(request, Calculate);
+        var solved = response.Calculation.Parameters;
+
+        Assert.True(response.Converged);
+        Assert.True(solved.CreditEndDate < new DateTime(2028, 10, 1));
+        var fee = Assert.Single(solved.RecurringFees);
+        Assert.Equal("Ubezpieczenie", fee.Name);
+        Assert.Equal(solved.CreditEndDate, fee.DateTo);
+        // The candidates work on copies; the request keeps its fees
+        Assert.Equal(new DateTime(2028, 12, 31), calculation.Parameters.RecurringFees[0].DateTo);
+    }
+
+    [Fact]
+    public void ReportsTheClosestBoundWhenTargetIsOutOfRange()
+    {
+        var request = new GoalSeekRequest
+        {
+            Calculation = CreateCalculation(PaymentType.EqualInstallments),
+            Variable = GoalSeekVariable.MarginRate,
+            Target = GoalSeekTarget.TotalInterest,
+            TargetValue = 1m
+        };
+
+        var response = GoalSeekSolver.Solve(request, Calculate);
+
+        Assert.False(response.Converged);
+        Assert.Equal(2, response.Steps.Count);
+        Assert.Equal(0m, response.Calculation.Parameters.MarginRate);
+    }
+
+    [Fact]
+    public void RejectsInvertedBounds()
+    {
+        var request = new GoalSeekRequest
+        {
+            Calculation = CreateCalculation(PaymentType.EqualInstallments),
+            Variable = GoalSeekVariable.NetValue,
+            TargetValue = 1000m,
+            Minimum = 5000m,
+            Maximum = 1000m
+        };
+
+        var exception = Assert.Throws<CalculationValidationException>(() => GoalSeekSolver.Solve(request, Calculate));
+        Assert.Equal("goalSeekBounds", exception.Code);
+    }
+}
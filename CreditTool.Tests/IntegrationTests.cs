@@ -63,6 +63,301 @@ public class IntegrationTests : IClassFixture<WebApplicationFactory<Program>>
         Assert.Equal(expectedTotalInterest, payload.TotalInterest);
     }
 
+    [Fact]
+    public async Task CalculateEndpoint_ReturnsBadRequestForRateGap()
+    {
+        var request = new CalculationRequest
+        {
+            Parameters = new CreditParameters
+            {
+                NetValue = 10000m,
+                PaymentFrequency = PaymentFrequency.Monthly,
+                PaymentDay = PaymentDayOption.LastOfMonth,
+                CreditStartDate = new DateTime(2024, 1, 1),
+                CreditEndDate = new DateTime(2025, 1, 1),
+                RoundingDecimals = 4
+            },
+            Rates = new List<InterestRatePeriod>
+            {
+                new()
+                {
+                    DateFrom = new DateTime(2024, 2, 1),
+                    DateTo = new DateTime(2025, 1, 1),
+                    Rate = 5m
+                }
+            }
+        };
+
+        var response = await _client.PostAsJsonAsync("/api/calculate", request);
+
+        Assert.Equal(System.Net.HttpStatusCode.BadRequest, response.StatusCode);
+        var error = await response.Content.ReadFromJsonAsync<ValidationErrorResponse>();
+        Assert.Contains("przerwa", error!.Message);
+        Assert.Equal("rateCoverage", error.Code);
+    }
+
+    [Fact]
+    public async Task GoalSeekEndpoint_ReturnsScheduleForFoundNetValue()
+    {
+        var request = new GoalSeekRequest
+        {
+            Calculation = new CalculationRequest
+            {
+                Parameters = new CreditParameters
+                {
+                    NetValue = 10000m,
+                    PaymentFrequency = PaymentFrequency.Monthly,
+                    PaymentDay = PaymentDayOption.LastOfMonth,
+                    CreditStartDate = new DateTime(2024, 1, 1),
+                    CreditEndDate = new DateTime(2025, 1, 1),
+                    RoundingDecimals = 4,
+                    PaymentType = PaymentType.EqualInstallments
+                },
+                Rates = new List<InterestRatePeriod>
+                {
+                    new()
+                    {
+                        DateFrom = new DateTime(2024, 1, 1),
+                        DateTo = new DateTime(2025, 1, 1),
+                        Rate = 5m
+                    }
+                }
+            },
+            Variable = GoalSeekVariable.NetValue,
+            Target = GoalSeekTarget.Installment,
+            TargetValue = 1000m
+        };
+
+        var response = await _client.PostAsJsonAsync("/api/goal-seek", request);
+        response.EnsureSuccessStatusCode();
+
+        var payload = await response.Content.ReadFromJsonAsync(
+            CreditJsonContext.Default.GoalSeekResponse);
+        Assert.NotNull(payload);
+        Assert.True(payload!.Converged);
+        Assert.NotEmpty(payload.Steps);
+        Assert.NotEmpty(payload.Schedule.Schedule);
+        Assert.True(payload.Result <= 1000m);
+        Assert.InRange(payload.Calculation.Parameters.NetValue, 11000m, 12000m);
+    }
+
+    [Fact]
+    public async Task CalculateBatchEndpoint_ReturnsSummariesAndPerLoanErrors()
+    {
+        var parameters = new CreditParameters
+        {
+            NetValue = 10000m,
+            PaymentFrequency = PaymentFrequency.Monthly,
+            PaymentDay = PaymentDayOption.LastOfMonth,
+            CreditStartDate = new DateTime(2024, 1, 1),
+            CreditEndDate = new DateTime(2025, 1, 1),
+            RoundingDecimals = 4,
+            PaymentType = PaymentType.EqualInstallments
+        };
+        var request = new BatchCalculationRequest
+        {
+            Loans = new List<BatchLoanRequest>
+            {
+                new()
+                {
+                    Name = "Pełny",
+                    Parameters = parameters,
+                    Rates = new List<InterestRatePeriod>
+                    {
+                        new() { DateFrom = new DateTime(2024, 1, 1), DateTo = new DateTime(2025, 1, 1), Rate = 5m }
+                    }
+                },
+                new()
+                {
+                    Name = "Z przerwą",
+                    Parameters = parameters,
+                    Rates = new List<InterestRatePeriod>
+                    {
+                        new() { DateFrom = new DateTime(2024, 1, 1), DateTo = new DateTime(2024, 3, 1), Rate = 5m },
+                        new() { DateFrom = new DateTime(2024, 6, 1), DateTo = new DateTime(2025, 1, 1), Rate = 5m }
+                    }
+                }
+            }
+        };
+
+        var response = await _client.PostAsJsonAsync("/api/calculate-batch", request);
+        response.EnsureSuccessStatusCode();
+
+        var payload = await response.Content.ReadFromJsonAsync(
+            CreditJsonContext.Default.BatchCalculationResponse);
+        Assert.NotNull(payload);
+        Assert.Equal(2, payload!.Loans.Count);
+        Assert.Equal(12, payload.Loans[0].Summary!.PaymentCount);
+        Assert.NotEmpty(payload.Loans[0].Schedule!.Schedule);
+        Assert.Null(payload.Loans[1].Summary);
+        Assert.Contains("przerwa", payload.Loans[1].Error);
+        Assert.Equal("rateGap", payload.Loans[1].ErrorDetails!.Code);
+    }
+
+    [Fact]
+    public async Task BatchEndpoints_RejectMissingLoansAndReportLoansWithoutParameters()
+    {
+        using var noLoans = new StringContent("""{"loans":null}""", System.Text.Encoding.UTF8, "application/json");
+        var empty = await _client.PostAsync("/api/calculate-batch", noLoans);
+        Assert.Equal(System.Net.HttpStatusCode.BadRequest, empty.StatusCode);
+        var emptyError = await empty.Content.ReadFromJsonAsync(CreditJsonContext.Default.ValidationErrorResponse);
+        Assert.Equal("batchEmpty", emptyError!.Code);
+
+        using var exportNoLoans = new StringContent("""{"loans":null}""", System.Text.Encoding.UTF8, "application/json");
+        var emptyExport = await _client.PostAsync("/api/export-batch?format=json", exportNoLoans);
+        Assert.Equal(System.Net.HttpStatusCode.BadRequest, emptyExport.StatusCode);
+
+        using var incomplete = new StringContent(
+            """{"loans":[{"name":"Bez parametrów","parameters":null,"rates":[]},{"name":"Bez stóp","parameters":{},"rates":null}]}""",
+            System.Text.Encoding.UTF8,
+            "application/json");
+        var response = await _client.PostAsync("/api/calculate-batch", incomplete);
+        response.EnsureSuccessStatusCode();
+
+        var payload = await response.Content.ReadFromJsonAsync(
+            CreditJsonContext.Default.BatchCalculationResponse);
+        Assert.NotNull(payload);
+        Assert.All(payload!.Loans, loan =>
+        {
+            Assert.Null(loan.Summary);
+            Assert.NotNull(loan.Error);
+        });
+    }
+
+    [Fact]
+    public async Task ExportEndpoint_IncludesRequestedAggregation()
+    {
+        var request = new CalculationRequest
+        {
+            Parameters = new CreditParameters
+            {
+                NetValue = 12000m,
+                PaymentFrequency = PaymentFrequency.Monthly,
+                PaymentDay = PaymentDayOption.LastOfMonth,
+                CreditStartDate = new DateTime(2024, 1, 1),
+                CreditEndDate = new DateTime(2026, 1, 1),
+                RoundingDecimals = 4
+            },
+            Rates = new List<InterestRatePeriod>
+            {
+                new() { DateFrom = new DateTime(2024, 1, 1), DateTo = new DateTime(2026, 1, 1), Rate = 5m }
+            }
+        };
+
+        var response = await _client.PostAsJsonAsync("/api/export?format=json&aggregation=Year", request);
+        response.EnsureSuccessStatusCode();
+
+        using var document = System.Text.Json.JsonDocument.Parse(await response.Content.ReadAsStringAsync());
+        var labels = document.RootElement.GetProperty("aggregates").EnumerateArray()
+            .Select(aggregate => aggregate.GetProperty("Label").GetString())
+            .ToList();
+        Assert.Equal(new[] { "2024", "2025", "2026" }, labels);
+
+        var invalid = await _client.PostAsJsonAsync("/api/export?format=json&aggregation=Week", request);
+        Assert.Equal(System.Net.HttpStatusCode.BadRequest, invalid.StatusCode);
+    }
+
+    [Fact]
+    public async Task ExportEndpoint_JsonKeepsPrepayments()
+    {
+        var request = new CalculationRequest
+        {
+            Parameters = new CreditParameters
+            {
+                NetValue = 12000m,
+                PaymentFrequency = PaymentFrequency.Monthly,
+                PaymentDay = PaymentDayOption.LastOfMonth,
+                CreditStartDate = new DateTime(2024, 1, 1),
+                CreditEndDate = new DateTime(2025, 1, 1),
+                RoundingDecimals = 4
+            },
+            Rates = new List<InterestRatePeriod>
+            {
+                new() { DateFrom = new DateTime(2024, 1, 1), DateTo = new DateTime(2025, 1, 1), Rate = 5m }
+            },
+            Prepayments = new List<Prepayment>
+            {
+                new() { Date = new DateTime(2024, 6, 30), Amount = 1000m }
+            }
+        };
+
+        var response = await _client.PostAsJsonAsync("/api/export?format=json", request);
+        response.EnsureSuccessStatusCode();
+
+        using var document = System.Text.Json.JsonDocument.Parse(await response.Content.ReadAsStringAsync());
+        var prepayment = Assert.Single(document.RootElement.GetProperty("prepayments").EnumerateArray());
+        Assert.Equal(1000m, prepayment.GetProperty("Amount").GetDecimal());
+    }
+
+    [Fact]
+    public async Task CalculateEndpoint_ReturnsRoundedRecurringFees()
+    {
+        var request = new CalculationRequest
+        {
+            Parameters = new CreditParameters
+            {
+                NetValue = 12345m,
+                PaymentFrequency = PaymentFrequency.Monthly,
+                PaymentDay = PaymentDayOption.LastOfMonth,
+                CreditStartDate = new DateTime(2024, 1, 31),
+                CreditEndDate = new DateTime(2025, 1, 31),
+                RoundingDecimals = 4,
+                RecurringFees = new List<RecurringFee>
+                {
+                    new() { Name = "Ubezpieczenie", Type = RecurringFeeType.BalancePercentage, Value = 0.033m, Frequency = RecurringFeeFrequency.EveryInstallment }
+                }
+            },
+            Rates = new List<InterestRatePeriod>
+            {
+                new() { DateFrom = new DateTime(2024, 1, 31), DateTo = new DateTime(2025, 1, 31), Rate = 5m }
+            }
+        };
+
+        var response = await _client.PostAsJsonAsync("/api/calculate", request);
+        response.EnsureSuccessStatusCode();
+
+        var payload = await response.Content.ReadFromJsonAsync(CreditJsonContext.Default.ScheduleResponse);
+        Assert.NotNull(payload);
+        Assert.Equal(4.07m, payload!.Schedule[0].FeeAmount);
+        Assert.All(payload.Schedule, item => Assert.Equal(decimal.Round(item.FeeAmounts[0], 2), item.FeeAmounts[0]));
+        Assert.All(payload.Schedule, item => Assert.Equal(item.FeeAmounts.Sum(), item.FeeAmount));
+    }
+
+    [Fact]
+    public async Task CalculateEndpoint_ExplainsTheAnnualPercentageRate()
+    {
+        var request = new CalculationRequest
+        {
+            Parameters = new CreditParameters
+            {
+                NetValue = 10000m,
+                PaymentFrequency = PaymentFrequency.Monthly,
+                PaymentDay = PaymentDayOption.LastOfMonth,
+                CreditStartDate = new DateTime(2024, 1, 31),
+                CreditEndDate = new DateTime(2025, 1, 31),
+                ProcessingFeeAmount = 200m,
+                RoundingDecimals = 4
+            },
+            Rates = new List<InterestRatePeriod>
+            {
+                new() { DateFrom = new DateTime(2024, 1, 31), DateTo = new DateTime(2025, 1, 31), Rate = 6m }
+            }
+        };
+
+        var response = await _client.PostAsJsonAsync("/api/calculate", request);
+        response.EnsureSuccessStatusCode();
+
+        var payload = await response.Content.ReadFromJsonAsync(CreditJsonContext.Default.ScheduleResponse);
+        var explanation = payload!.AprExplanation;
+        Assert.NotNull(explanation);
+        Assert.Equal(payload.AnnualPercentageRate, explanation!.AnnualPercentageRate);
+        Assert.Equal(payload.Schedule.Count + 1, explanation.CashFlows.Count);
+        Assert.Equal(9800m, explanation.CashFlows[0].Amount);
+        Assert.Equal(-payload.Schedule[^1].TotalPayment, explanation.CashFlows[^1].Amount);
+        Assert.True(explanation.Converged);
+        Assert.NotEmpty(explanation.Steps);
+    }
+
     [Fact]
     public async Task RootRequest_IssuesAntiforgeryCookie()
     {
@@ -0,0 +1,99 @@
+using System.Globalization;
+using System.Text.Json;
+using CreditTool.Models;
+using CreditTool.Services.ScheduleCalculation.Strategies.PaymentDate;
+using CreditTool.Tests.Browser;
+
+namespace CreditTool.Tests;
+
+/// <summary>
+/// Verifies the server payment dates against Fixtures/payment-dates.json.
+/// The same fixture describes the expected output of buildPaymentDates in wwwroot/dates.js,
+/// so both implementations are held to a single set of expected dates. The browser side is checked
+/// by Browser/check-payment-dates.js, which needs Node.js on the PATH.
+/// </summary>
+public class PaymentDateGeneratorTests
+{
+    private static readonly string FixturePath = Path.Combine(AppContext.BaseDirectory, "Fixtures", "payment-dates.json");
+
+    public static IEnumerable<object[]> PaymentDateFixtures()
+    {
+        using var stream = File.OpenRead(FixturePath);
+        using var document = JsonDocument.Parse(stream);
+
+        foreach (var fixture in document.RootElement.EnumerateArray())
+        {
+            yield return new object[] { fixture.GetProperty("name").GetString()! };
+        }
+    }
+
+    [Theory]
+    [MemberData(nameof(PaymentDateFixtures))]
+    public void GeneratesPaymentDatesMatchingSharedFixture(string name)
+    {
+        using var stream = File.OpenRead(FixturePath);
+        using var document = JsonDocument.Parse(stream);
+        var fixture = document.RootElement.EnumerateArray()
+            .Single(element => element.GetProperty("name").GetString() == name);
+
+        var parameters = new CreditParameters
+        {
+            CreditStartDate = ParseDate(fixture.GetProperty("creditStartDate").GetString()!),
+            CreditEndDate = ParseDate(fixture.GetProperty("creditEndDate").GetString()!),
+            PaymentFrequency = Enum.Parse<PaymentFrequency>(fixture.GetProperty("paymentFrequency").GetString()!),
+            PaymentDay = Enum.Parse<PaymentDayOption>(fixture.GetProperty("paymentDay").GetString()!)
+        };
+
+        // Fixtures for the day of month, business-day conventions and custom dates add these optional fields
+        if (fixture.TryGetProperty("paymentDayOfMonth", out var paymentDayOfMonth))
+        {
+            parameters.PaymentDayOfMonth = paymentDayOfMonth.GetInt32();
+        }
+
+        if (fixture.TryGetProperty("businessDayConvention", out var convention))
+        {
+            parameters.BusinessDayConvention = Enum.Parse<BusinessDayConvention>(convention.GetString()!);
+        }
+
+        if (fixture.TryGetProperty("closingDays", out var closingDays))
+        {
+            parameters.ClosingDays = closingDays.EnumerateArray().Select(day => ParseDate(day.GetString()!)).ToList();
+        }
+
+        if (fixture.TryGetProperty("customPaymentDates", out var customPaymentDates))
+        {
+            parameters.CustomPaymentDates = customPaymentDates.EnumerateArray().Select(day => ParseDate(day.GetString()!)).ToList();
+        }
+
+        var dates = new StandardPaymentDateGenerator().GeneratePaymentDates(parameters);
+
+        var expected = fixture.GetProperty("expectedDates")
+            .EnumerateArray()
+            .Select(element => element.GetString()!)
+            .ToList();
+
+        Assert.Equal(expected, dates.Select(date => date.ToString("yyyy-MM-dd", CultureInfo.InvariantCulture)).ToList());
+    }
+
+    /// <summary>
+    /// The browser works with midnight UTC dates; the zones cover both DST directions and a large UTC offset.
+    /// </summary>
+    [Theory]
+    [InlineData("UTC")]
+    [InlineData("Europe/Warsaw")]
+    [InlineData("America/Sao_Paulo")]
+    [InlineData("Pacific/Auckland")]
+    public void BrowserGeneratesPaymentDatesMatchingSharedFixture(string timeZone)
+    {
+        var (exitCode, output) = NodeScript.Run(
+            "check-payment-dates.js",
+            timeZone,
+            Path.Combine(NodeScript.WwwrootDirectory, "dates.js"),
+            FixturePath);
+
+        Assert.True(exitCode == 0, output);
+    }
+
+    private static DateTime ParseDate(string value) =>
+        DateTime.ParseExact(value, "yyyy-MM-dd", CultureInfo.InvariantCulture);
+}
@@ -0,0 +1,18 @@
+using CreditTool.Tests.Browser;
+
+namespace CreditTool.Tests;
+
+/// <summary>
+/// The rate series import only exists in the browser: Browser/check-rate-fixings.js runs
+/// wwwroot/fixings.js against its own cases, including a series published after the credit start.
+/// </summary>
+public class RateFixingsTests
+{
+    [Fact]
+    public void BuildsRatePeriodsCoveringTheCredit()
+    {
+        var (exitCode, output) = NodeScript.Run("check-rate-fixings.js", null, NodeScript.WwwrootDirectory);
+
+        Assert.True(exitCode == 0, output);
+    }
+}
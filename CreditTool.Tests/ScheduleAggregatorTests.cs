@@ -0,0 +1,74 @@
+using CreditTool.Models;
+using CreditTool.Services;
+
+namespace CreditTool.Tests;
+
+public class ScheduleAggregatorTests
+{
+    private static ScheduleItem Payment(DateTime date, int days, decimal rate, decimal interest, decimal principal, decimal remaining, decimal prepayment = 0m) => new()
+    {
+        PaymentDate = date,
+        DaysInPeriod = days,
+        InterestRate = rate,
+        InterestAmount = interest,
+        PrincipalPayment = principal,
+        TotalPayment = interest + principal,
+        RemainingPrincipal = remaining,
+        PrepaymentAmount = prepayment
+    };
+
+    private static readonly List<ScheduleItem> Schedule = new()
+    {
+        Payment(new DateTime(2024, 1, 31), 30, 6m, 50m, 1000m, 9000m),
+        Payment(new DateTime(2024, 2, 29), 29, 6m, 45m, 1000m, 7000m, prepayment: 1000m),
+        Payment(new DateTime(2024, 3, 31), 31, 3m, 20m, 1000m, 6000m),
+        Payment(new DateTime(2024, 4, 30), 30, 3m, 15m, 1000m, 5000m)
+    };
+
+    [Fact]
+    public void QuarterSumsPaymentsAndTracksBalances()
+    {
+        var aggregates = ScheduleAggregator.Aggregate(Schedule, ScheduleAggregationPeriod.Quarter);
+
+        Assert.Equal(2, aggregates.Count);
+        var first = aggregates[0];
+        Assert.Equal("2024-Q1", first.Label);
+        Assert.Equal(new DateTime(2024, 1, 1), first.PeriodStart);
+        Assert.Equal(new DateTime(2024, 3, 31), first.PeriodEnd);
+        Assert.Equal(3, first.PaymentCount);
+        Assert.Equal(115m, first.InterestAmount);
+        Assert.Equal(3000m, first.PrincipalPayment);
+        Assert.Equal(3115m, first.TotalPayment);
+        Assert.Equal(1000m, first.PrepaymentAmount);
+        Assert.Equal(10000m, first.OpeningBalance);
+        Assert.Equal(6000m, first.ClosingBalance);
+        Assert.Equal(6000m, aggregates[1].OpeningBalance);
+        Assert.Equal(5000m, aggregates[1].ClosingBalance);
+    }
+
+    [Fact]
+    public void WeightsRateByBalanceAndDays()
+    {
+        var aggregates = ScheduleAggregator.Aggregate(Schedule, ScheduleAggregationPeriod.Year);
+
+        var weights = new[] { 10000m * 30, 9000m * 29, 7000m * 31, 6000m * 30 };
+        var expected = (6m * weights[0] + 6m * weights[1] + 3m * weights[2] + 3m * weights[3]) / weights.Sum();
+        Assert.Single(aggregates);
+        Assert.Equal("2024", aggregates[0].Label);
+        Assert.Equal(Math.Round(expected, 6), aggregates[0].WeightedAverageRate);
+    }
+
+    [Fact]
+    public void MonthsWithoutPaymentsAreSkipped()
+    {
+        var schedule = new List<ScheduleItem>
+        {
+            Payment(new DateTime(2024, 1, 31), 31, 5m, 10m, 500m, 500m),
+            Payment(new DateTime(2024, 4, 30), 90, 5m, 6m, 500m, 0m)
+        };
+
+        var aggregates = ScheduleAggregator.Aggregate(schedule, ScheduleAggregationPeriod.Month);
+
+        Assert.Equal(new[] { "2024-01", "2024-04" }, aggregates.Select(aggregate => aggregate.Label));
+    }
+}
@@ -290,8 +290,9 @@ public class ScheduleCalculatorTests
             }
         };
 
-        var gapException = Assert.Throws<ArgumentException>(() => calculator.Calculate(parameters, gaps));
+        var gapException = Assert.Throws<CalculationValidationException>(() => calculator.Calculate(parameters, gaps));
         Assert.Contains("przerwa", gapException.Message);
+        Assert.Equal("rateGap", gapException.Code);
 
         var overlaps = new[]
         {
@@ -309,8 +310,9 @@ public class ScheduleCalculatorTests
             }
         };
 
-        var overlapException = Assert.Throws<ArgumentException>(() => calculator.Calculate(parameters, overlaps));
+        var overlapException = Assert.Throws<CalculationValidationException>(() => calculator.Calculate(parameters, overlaps));
         Assert.Contains("nakłada", overlapException.Message);
+        Assert.Equal("rateOverlap", overlapException.Code);
     }
 
     [Fact]
@@ -347,7 +349,460 @@ public class ScheduleCalculatorTests
             }
         };
 
-        var exception = Assert.Throws<ArgumentException>(() => calculator.Calculate(parameters, invalidPeriods));
+        var exception = Assert.Throws<CalculationValidationException>(() => calculator.Calculate(parameters, invalidPeriods));
         Assert.Contains("wcześniejszą", exception.Message);
+        Assert.Equal("rateOrder", exception.Code);
     }
+
+    [Fact]
+    public void PrepaymentWithReducedTermEndsCreditEarlier()
+    {
+        var calculator = CreateCalculator();
+        var parameters = CreatePrepaymentParameters();
+        var rates = CreatePrepaymentRates();
+
+        var original = calculator.Calculate(parameters, rates).Schedule;
+        var schedule = calculator.Calculate(parameters, rates, prepayments: new[]
+        {
+            new Prepayment { Date = new DateTime(2025, 3, 15), Amount = 20_000m, Mode = PrepaymentMode.ReduceTerm }
+        }).Schedule;
+
+        Assert.True(schedule.Count < original.Count, "Reducing the term should shorten the schedule");
+        var prepaidIndex = schedule.FindIndex(item => item.PrepaymentAmount > 0m);
+        Assert.Equal(new DateTime(2025, 3, 31), schedule[prepaidIndex].PaymentDate);
+        Assert.Equal(20_000m, schedule[prepaidIndex].PrepaymentAmount);
+        Assert.Equal(original[prepaidIndex].RemainingPrincipal - 20_000m, schedule[prepaidIndex].RemainingPrincipal);
+        Assert.All(schedule.Take(schedule.Count - 1), item =>
+            Assert.InRange(Math.Abs(item.TotalPayment - original[0].TotalPayment), 0m, 0.05m));
+        Assert.Equal(0m, schedule.Last().RemainingPrincipal);
+    }
+
+    [Fact]
+    public void PrepaymentWithReducedInstallmentKeepsTerm()
+    {
+        var calculator = CreateCalculator();
+        var parameters = CreatePrepaymentParameters();
+        var rates = CreatePrepaymentRates();
+
+        var original = calculator.Calculate(parameters, rates).Schedule;
+        var result = calculator.Calculate(parameters, rates, prepayments: new[]
+        {
+            new Prepayment { Date = new DateTime(2025, 3, 31), Amount = 20_000m, Mode = PrepaymentMode.ReduceInstallment }
+        });
+        var schedule = result.Schedule;
+
+        Assert.Equal(original.Count, schedule.Count);
+        var prepaidIndex = schedule.FindIndex(item => item.PrepaymentAmount > 0m);
+        Assert.Equal(new DateTime(2025, 3, 31), schedule[prepaidIndex].PaymentDate);
+        Assert.Equal(20_000m, schedule[prepaidIndex].PrepaymentAmount);
+        Assert.True(schedule[prepaidIndex + 1].TotalPayment < original[prepaidIndex + 1].TotalPayment,
+            "Installments after the prepayment should be lower");
+        Assert.All(schedule.Skip(prepaidIndex + 1).Take(schedule.Count - prepaidIndex - 2), item =>
+            Assert.InRange(Math.Abs(item.TotalPayment - result.TargetLevelPayment!.Value), 0m, 0.05m));
+        Assert.Equal(0m, schedule.Last().RemainingPrincipal);
+    }
+
+    [Fact]
+    public void PrepaymentsBeyondTheBalanceAreReportedWithCodedWarnings()
+    {
+        var calculator = CreateCalculator();
+
+        var result = calculator.Calculate(CreatePrepaymentParameters(), CreatePrepaymentRates(), prepayments: new[]
+        {
+            new Prepayment { Date = new DateTime(2025, 3, 31), Amount = 200_000m },
+            new Prepayment { Date = new DateTime(2025, 6, 30), Amount = 1000m }
+        });
+
+        Assert.Equal(new[] { "prepaymentCapped", "prepaymentsSkipped" }, result.Warnings.Select(warning => warning.Code));
+        var prepaid = result.Schedule.Single(item => item.PrepaymentAmount > 0m);
+        var capped = result.Warnings[0];
+        Assert.Equal((result.Schedule.IndexOf(prepaid) + 1).ToString(), capped.Values["row"]);
+        Assert.Equal("200000.00", capped.Values["requested"]);
+        Assert.Equal(prepaid.PrepaymentAmount.ToString("F2", System.Globalization.CultureInfo.InvariantCulture), capped.Values["applied"]);
+        Assert.Equal("1", result.Warnings[1].Values["count"]);
+    }
+
+    [Fact]
+    public void RejectsPrepaymentsOutsideCreditDates()
+    {
+        var calculator = CreateCalculator();
+        var parameters = CreatePrepaymentParameters();
+
+        var exception = Assert.Throws<CalculationValidationException>(() => calculator.Calculate(
+            parameters,
+            CreatePrepaymentRates(),
+            prepayments: new[]
+            {
+                new Prepayment { Date = new DateTime(2025, 6, 1), Amount = 1000m },
+                new Prepayment { Date = new DateTime(2027, 1, 1), Amount = 1000m }
+            }));
+        Assert.Contains("nadpłaty", exception.Message);
+        Assert.Equal("prepaymentDateRange", exception.Code);
+        Assert.Equal(1, exception.Index);
+    }
+
+    [Fact]
+    public void RejectsGracePeriodCoveringAllPayments()
+    {
+        var calculator = CreateCalculator();
+
+        var parameters = new CreditParameters
+        {
+            NetValue = 20_000m,
+            MarginRate = 2m,
+            PaymentFrequency = PaymentFrequency.Monthly,
+            PaymentDay = PaymentDayOption.LastOfMonth,
+            CreditStartDate = new DateTime(2024, 12, 31),
+            CreditEndDate = new DateTime(2025, 12, 31),
+            DayCountBasis = DayCountBasis.Actual365,
+            RoundingMode = RoundingModeOption.Bankers,
+            RoundingDecimals = 4,
+            PaymentType = PaymentType.DecreasingInstallments,
+            GracePeriodMonths = 12
+        };
+
+        var rates = new[]
+        {
+            new InterestRatePeriod
+            {
+                DateFrom = new DateTime(2024, 12, 31),
+                DateTo = new DateTime(2025, 12, 31),
+                Rate = 5m
+            }
+        };
+
+        var exception = Assert.Throws<CalculationValidationException>(() => calculator.Calculate(parameters, rates));
+        Assert.Contains("Karencja", exception.Message);
+        Assert.Equal("gracePeriodTooLong", exception.Code);
+        Assert.Equal("12", exception.Values["grace"]);
+        Assert.Equal("12", exception.Values["count"]);
+
+        parameters.GracePeriodMonths = 11;
+        var schedule = calculator.Calculate(parameters, rates).Schedule;
+        Assert.Equal(12, schedule.Count);
+        Assert.Equal(parameters.NetValue, schedule[^1].PrincipalPayment);
+    }
+
+    [Fact]
+    public void CollectsRecurringFeesWithInstallmentsWithoutChangingThem()
+    {
+        var calculator = CreateCalculator();
+
+        var parameters = new CreditParameters
+        {
+            NetValue = 100_000m,
+            MarginRate = 2m,
+            PaymentFrequency = PaymentFrequency.Monthly,
+            PaymentDay = PaymentDayOption.LastOfMonth,
+            CreditStartDate = new DateTime(2025, 1, 1),
+            CreditEndDate = new DateTime(2026, 12, 31),
+            DayCountBasis = DayCountBasis.Actual365,
+            RoundingMode = RoundingModeOption.Bankers,
+            RoundingDecimals = 4,
+            PaymentType = PaymentType.EqualInstallments
+        };
+
+        var rates = new[]
+        {
+            new InterestRatePeriod
+            {
+                DateFrom = new DateTime(2025, 1, 1),
+                DateTo = new DateTime(2026, 12, 31),
+                Rate = 5m
+            }
+        };
+
+        var original = calculator.Calculate(parameters, rates).Schedule;
+
+        parameters.RecurringFees = new List<RecurringFee>
+        {
+            new() { Name = "Prowadzenie rachunku", Type = RecurringFeeType.FixedAmount, Value = 10m, Frequency = RecurringFeeFrequency.Monthly },
+            new() { Name = "Ubezpieczenie", Type = RecurringFeeType.BalancePercentage, Value = 0.05m, Frequency = RecurringFeeFrequency.Quarterly },
+            new()
+            {
+                Name = "Opłata za ratę",
+                Value = 2m,
+                Frequency = RecurringFeeFrequency.EveryInstallment,
+                DateFrom = new DateTime(2026, 1, 1),
+                DateTo = new DateTime(2026, 3, 31)
+            }
+        };
+        var schedule = calculator.Calculate(parameters, rates).Schedule;
+
+        Assert.Equal(original.Select(item => item.TotalPayment), schedule.Select(item => item.TotalPayment));
+        // The first installment falls at the end of February, so it collects the January and February charges
+        Assert.Equal(20m, schedule[0].FeeAmounts[0]);
+        Assert.All(schedule.Skip(1), item => Assert.Equal(10m, item.FeeAmounts[0]));
+        Assert.Equal(240m, schedule.Sum(item => item.FeeAmounts[0]));
+
+        // The premium is charged every three months on the balance before the collecting installment
+        Assert.Equal(50m, schedule[0].FeeAmounts[1]);
+        Assert.Equal(0m, schedule[1].FeeAmounts[1]);
+        Assert.Equal(
+            RoundingService.Round(schedule[1].RemainingPrincipal * 0.0005m, parameters.RoundingMode, parameters.RoundingDecimals),
+            schedule[2].FeeAmounts[1]);
+        Assert.Equal(8, schedule.Count(item => item.FeeAmounts[1] > 0m));
+
+        Assert.Equal(new[] { 11, 12, 13 }, schedule.Select((item, index) => (item, index)).Where(pair => pair.item.FeeAmounts[2] > 0m).Select(pair => pair.index));
+        Assert.All(schedule, item => Assert.Equal(item.FeeAmounts.Sum(), item.FeeAmount));
+    }
+
+    [Fact]
+    public void RecurringFeesRaiseTheAnnualPercentageRate()
+    {
+        var calculator = CreateCalculator();
+
+        var parameters = new CreditParameters
+        {
+            NetValue = 100_000m,
+            MarginRate = 2m,
+            PaymentFrequency = PaymentFrequency.Monthly,
+            PaymentDay = PaymentDayOption.LastOfMonth,
+            CreditStartDate = new DateTime(2025, 1, 1),
+            CreditEndDate = new DateTime(2026, 12, 31),
+            DayCountBasis = DayCountBasis.Actual365,
+            RoundingMode = RoundingModeOption.Bankers,
+            RoundingDecimals = 4,
+            PaymentType = PaymentType.EqualInstallments
+        };
+
+        var rates = new[]
+        {
+            new InterestRatePeriod
+            {
+                DateFrom = new DateTime(2025, 1, 1),
+                DateTo = new DateTime(2026, 12, 31),
+                Rate = 5m
+            }
+        };
+
+        var withoutFees = AprCalculator.CalculateAnnualPercentageRate(parameters, calculator.Calculate(parameters, rates).Schedule);
+
+        parameters.RecurringFees.Add(new RecurringFee { Name = "Ubezpieczenie", Type = RecurringFeeType.BalancePercentage, Value = 0.1m });
+        var withFees = AprCalculator.CalculateAnnualPercentageRate(parameters, calculator.Calculate(parameters, rates).Schedule);
+
+        Assert.True(withFees > withoutFees + 1m, $"A monthly premium of 0.1% of the balance should add over a point to the APR ({withoutFees} → {withFees})");
+    }
+
+    [Fact]
+    public void RejectsRecurringFeesOutsideCreditDates()
+    {
+        var calculator = CreateCalculator();
+
+        var parameters = new CreditParameters
+        {
+            NetValue = 10_000m,
+            PaymentFrequency = PaymentFrequency.Monthly,
+            PaymentDay = PaymentDayOption.LastOfMonth,
+            CreditStartDate = new DateTime(2025, 1, 1),
+            CreditEndDate = new DateTime(2025, 12, 31),
+            RoundingDecimals = 4,
+            RecurringFees = new List<RecurringFee>
+            {
+                new() { Value = 5m, DateTo = new DateTime(2026, 6, 30) }
+            }
+        };
+
+        var rates = new[]
+        {
+            new InterestRatePeriod
+            {
+                DateFrom = new DateTime(2025, 1, 1),
+                DateTo = new DateTime(2025, 12, 31),
+                Rate = 5m
+            }
+        };
+
+        var exception = Assert.Throws<CalculationValidationException>(() => calculator.Calculate(parameters, rates));
+        Assert.Contains("opłaty cyklicznej nr 1", exception.Message);
+        Assert.Equal("feeDateRange", exception.Code);
+        Assert.Equal(0, exception.Index);
+    }
+
+    [Fact]
+    public void RejectsPaymentDayOutsideTheMonth()
+    {
+        var calculator = CreateCalculator();
+
+        var parameters = new CreditParameters
+        {
+            NetValue = 10_000m,
+            PaymentFrequency = PaymentFrequency.Monthly,
+            PaymentDay = PaymentDayOption.DayOfMonth,
+            PaymentDayOfMonth = 32,
+            CreditStartDate = new DateTime(2025, 1, 1),
+            CreditEndDate = new DateTime(2025, 12, 31),
+            RoundingDecimals = 4
+        };
+
+        var rates = new[]
+        {
+            new InterestRatePeriod
+            {
+                DateFrom = new DateTime(2025, 1, 1),
+                DateTo = new DateTime(2025, 12, 31),
+                Rate = 5m
+            }
+        };
+
+        var exception = Assert.Throws<CalculationValidationException>(() => calculator.Calculate(parameters, rates));
+        Assert.Contains("Dzień płatności (32)", exception.Message);
+        Assert.Equal("paymentDayOfMonth", exception.Code);
+    }
+
+    [Fact]
+    public void AccruesInterestUpToAdjustedPaymentDates()
+    {
+        var calculator = CreateCalculator();
+
+        var parameters = new CreditParameters
+        {
+            NetValue = 100_000m,
+            MarginRate = 2m,
+            PaymentFrequency = PaymentFrequency.Monthly,
+            PaymentDay = PaymentDayOption.DayOfMonth,
+            PaymentDayOfMonth = 15,
+            BusinessDayConvention = BusinessDayConvention.Following,
+            CreditStartDate = new DateTime(2025, 1, 1),
+            CreditEndDate = new DateTime(2026, 12, 31),
+            DayCountBasis = DayCountBasis.Actual365,
+            RoundingMode = RoundingModeOption.Bankers,
+            RoundingDecimals = 4,
+            PaymentType = PaymentType.EqualInstallments
+        };
+
+        var rates = new[]
+        {
+            new InterestRatePeriod
+            {
+                DateFrom = new DateTime(2025, 1, 1),
+                DateTo = new DateTime(2026, 12, 31),
+                Rate = 5m
+            }
+        };
+
+        var schedule = calculator.Calculate(parameters, rates).Schedule;
+
+        // 15 February and 15 March 2025 are Saturdays, so both payments move to the following Monday
+        Assert.Equal(new DateTime(2025, 2, 17), schedule[0].PaymentDate);
+        Assert.Equal(47, schedule[0].DaysInPeriod);
+        Assert.Equal(new DateTime(2025, 3, 17), schedule[1].PaymentDate);
+        Assert.Equal(28, schedule[1].DaysInPeriod);
+    }
+
+    [Fact]
+    public void RejectsCustomPaymentDateOutsideTheCredit()
+    {
+        var calculator = CreateCalculator();
+
+        var parameters = new CreditParameters
+        {
+            NetValue = 10_000m,
+            PaymentFrequency = PaymentFrequency.Custom,
+            CustomPaymentDates = new List<DateTime> { new(2025, 6, 30), new(2027, 1, 31) },
+            CreditStartDate = new DateTime(2025, 1, 1),
+            CreditEndDate = new DateTime(2026, 12, 31),
+            RoundingDecimals = 4
+        };
+
+        var rates = new[]
+        {
+            new InterestRatePeriod
+            {
+                DateFrom = new DateTime(2025, 1, 1),
+                DateTo = new DateTime(2026, 12, 31),
+                Rate = 5m
+            }
+        };
+
+        var exception = Assert.Throws<CalculationValidationException>(() => calculator.Calculate(parameters, rates));
+        Assert.Contains("Data płatności 2027-01-31", exception.Message);
+        Assert.Equal("customPaymentDateRange", exception.Code);
+        Assert.Equal(1, exception.Index);
+        Assert.Equal("2027-01-31", exception.Values["date"]);
+    }
+
+    [Fact]
+    public void RepaysOnCustomPaymentDates()
+    {
+        var calculator = CreateCalculator();
+
+        var parameters = new CreditParameters
+        {
+            NetValue = 100_000m,
+            MarginRate = 2m,
+            PaymentFrequency = PaymentFrequency.Custom,
+            CustomPaymentDates = new List<DateTime> { new(2025, 10, 15), new(2025, 4, 15) },
+            CreditStartDate = new DateTime(2025, 1, 1),
+            CreditEndDate = new DateTime(2026, 12, 31),
+            DayCountBasis = DayCountBasis.Actual365,
+            RoundingMode = RoundingModeOption.Bankers,
+            RoundingDecimals = 4,
+            PaymentType = PaymentType.DecreasingInstallments
+        };
+
+        var rates = new[]
+        {
+            new InterestRatePeriod
+            {
+                DateFrom = new DateTime(2025, 1, 1),
+                DateTo = new DateTime(2026, 12, 31),
+                Rate = 5m
+            }
+        };
+
+        var schedule = calculator.Calculate(parameters, rates).Schedule;
+
+        // The end date is always the last payment, so two agreed dates give three equal principal parts
+        Assert.Equal(
+            new[] { new DateTime(2025, 4, 15), new DateTime(2025, 10, 15), new DateTime(2026, 12, 31) },
+            schedule.Select(item => item.PaymentDate));
+        Assert.Equal(104, schedule[0].DaysInPeriod);
+        Assert.Equal(33_333.3333m, schedule[0].PrincipalPayment);
+        Assert.Equal(33_333.3333m, schedule[1].PrincipalPayment);
+        Assert.Equal(0m, schedule[^1].RemainingPrincipal);
+    }
+
+    [Fact]
+    public void CloneCopiesRecurringFees()
+    {
+        var parameters = new CreditParameters
+        {
+            RecurringFees = new List<RecurringFee>
+            {
+                new() { Name = "Ubezpieczenie", Value = 5m }
+            }
+        };
+
+        var copy = parameters.Clone();
+        copy.RecurringFees[0].Value = 7m;
+        copy.RecurringFees.Add(new RecurringFee { Value = 1m });
+
+        Assert.Single(parameters.RecurringFees);
+        Assert.Equal(5m, parameters.RecurringFees[0].Value);
+    }
+
+    private static CreditParameters CreatePrepaymentParameters() => new()
+    {
+        NetValue = 100_000m,
+        MarginRate = 2m,
+        PaymentFrequency = PaymentFrequency.Monthly,
+        PaymentDay = PaymentDayOption.LastOfMonth,
+        CreditStartDate = new DateTime(2025, 1, 1),
+        CreditEndDate = new DateTime(2026, 12, 31),
+        DayCountBasis = DayCountBasis.Actual365,
+        RoundingMode = RoundingModeOption.Bankers,
+        RoundingDecimals = 2,
+        PaymentType = PaymentType.EqualInstallments
+    };
+
+    private static InterestRatePeriod[] CreatePrepaymentRates() => new[]
+    {
+        new InterestRatePeriod
+        {
+            DateFrom = new DateTime(2025, 1, 1),
+            DateTo = new DateTime(2026, 12, 31),
+            Rate = 5m
+        }
+    };
 }
@@ -0,0 +1,62 @@
+using System.Globalization;
+using CreditTool.Models;
+using CreditTool.Services;
+using CreditTool.Services.ScheduleCalculation;
+using CreditTool.Services.ScheduleCalculation.Strategies.PaymentDate;
+
+namespace CreditTool.Tests;
+
+public class WordServiceTests
+{
+    [Theory]
+    [InlineData("pl-PL")]
+    [InlineData("en-US")]
+    public void ExportedDocumentImportsBackTheSameParameters(string cultureName)
+    {
+        var originalCulture = CultureInfo.CurrentCulture;
+        CultureInfo.CurrentCulture = CultureInfo.GetCultureInfo(cultureName);
+
+        try
+        {
+            var parameters = new CreditParameters
+            {
+                NetValue = 125000.5m,
+                MarginRate = 2.5m,
+                PaymentFrequency = PaymentFrequency.Monthly,
+                PaymentDay = PaymentDayOption.LastOfMonth,
+                CreditStartDate = new DateTime(2024, 1, 1),
+                CreditEndDate = new DateTime(2025, 1, 1),
+                DayCountBasis = DayCountBasis.Actual365,
+                RoundingMode = RoundingModeOption.Bankers,
+                RoundingDecimals = 4,
+                ProcessingFeeRate = 1.5m,
+                PaymentType = PaymentType.EqualInstallments,
+                InterestRateApplication = InterestRateApplication.ApplyChangedRateNextPeriod
+            };
+            var rates = new List<InterestRatePeriod>
+            {
+                new() { DateFrom = new DateTime(2024, 1, 1), DateTo = new DateTime(2024, 6, 30), Rate = 5.85m },
+                new() { DateFrom = new DateTime(2024, 7, 1), DateTo = new DateTime(2025, 1, 1), Rate = 5.6m }
+            };
+            var schedule = new ScheduleCalculator(new StandardPaymentDateGenerator()).Calculate(parameters, rates).Schedule;
+
+            var document = new WordExportService().Export(parameters, rates, schedule, schedule.Sum(item => item.InterestAmount));
+            using var stream = new MemoryStream(document);
+            var (imported, importedRates) = new WordImportService().Import(stream);
+
+            Assert.Equal(parameters.NetValue, imported.NetValue);
+            Assert.Equal(parameters.MarginRate, imported.MarginRate);
+            Assert.Equal(parameters.ProcessingFeeRate, imported.ProcessingFeeRate);
+            Assert.Equal(parameters.CreditStartDate, imported.CreditStartDate);
+            Assert.Equal(parameters.CreditEndDate, imported.CreditEndDate);
+            Assert.Equal(parameters.PaymentType, imported.PaymentType);
+            Assert.Equal(parameters.InterestRateApplication, imported.InterestRateApplication);
+            Assert.Equal(rates.Select(rate => (rate.DateFrom, rate.DateTo, rate.Rate)),
+                importedRates.Select(rate => (rate.DateFrom, rate.DateTo, rate.Rate)));
+        }
+        finally
+        {
+            CultureInfo.CurrentCulture = originalCulture;
+        }
+    }
+}
@@ -0,0 +1,63 @@
+namespace CreditTool.Models;
+
+public enum AprSolverMethod
+{
+    Newton,
+    Bisection
+}
+
+/// <summary>
+/// One cash flow of the APR equation: the disbursement net of one-off fees is positive, payments are negative.
+/// </summary>
+public class AprCashFlow
+{
+    public DateTime Date { get; set; }
+    public decimal Amount { get; set; }
+
+    /// <summary>
+    /// Years since the disbursement, counted as days / 365.
+    /// </summary>
+    public double YearFraction { get; set; }
+
+    /// <summary>
+    /// The amount discounted at the unrounded APR; the present values of all flows sum to about zero.
+    /// </summary>
+    public double PresentValue { get; set; }
+}
+
+public class AprSolverStep
+{
+    public int Iteration { get; set; }
+    public AprSolverMethod Method { get; set; }
+
+    /// <summary>
+    /// Annual rate tried in this step, as a fraction (0.05 is 5%).
+    /// </summary>
+    public double Rate { get; set; }
+
+    /// <summary>
+    /// Net present value of the cash flows at that rate; the APR is the rate at which it is zero.
+    /// </summary>
+    public double NetPresentValue { get; set; }
+}
+
+/// <summary>
+/// How AprCalculator arrived at the APR: the cash flows it discounted and every rate the solver tried.
+/// </summary>
+public class AprExplanation
+{
+    public decimal AnnualPercentageRate { get; set; }
+
+    /// <summary>
+    /// The method that produced the result: Newton's method, or bisection when Newton's method left the valid range.
+    /// </summary>
+    public AprSolverMethod Method { get; set; }
+
+    /// <summary>
+    /// False when neither method met its tolerance and the APR is the midpoint of the last bisection interval.
+    /// </summary>
+    public bool Converged { get; set; }
+
+    public List<AprCashFlow> CashFlows { get; set; } = new();
+    public List<AprSolverStep> Steps { get; set; } = new();
+}
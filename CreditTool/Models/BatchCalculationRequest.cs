@@ -0,0 +1,14 @@
+namespace CreditTool.Models;
+
+/// <summary>
+/// One loan of a batch: a regular calculation request with a name identifying it in the results.
+/// </summary>
+public class BatchLoanRequest : CalculationRequest
+{
+    public string? Name { get; set; }
+}
+
+public class BatchCalculationRequest
+{
+    public List<BatchLoanRequest> Loans { get; set; } = new();
+}
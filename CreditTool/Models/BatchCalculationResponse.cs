@@ -0,0 +1,45 @@
+namespace CreditTool.Models;
+
+public class BatchLoanSummary
+{
+    public int PaymentCount { get; set; }
+    public decimal TotalInterest { get; set; }
+
+    /// <summary>
+    /// Installments, prepayments and recurring fees together.
+    /// </summary>
+    public decimal TotalPaid { get; set; }
+
+    public decimal FirstPayment { get; set; }
+    public decimal MaxPayment { get; set; }
+    public decimal AnnualPercentageRate { get; set; }
+}
+
+public class BatchLoanResult
+{
+    public string Name { get; set; } = string.Empty;
+
+    /// <summary>
+    /// The loan as read from the request or the uploaded file; empty when the file could not be read.
+    /// </summary>
+    public CalculationRequest? Calculation { get; set; }
+
+    /// <summary>
+    /// Why the loan could not be imported or calculated; the other loans of the batch are unaffected.
+    /// </summary>
+    public string? Error { get; set; }
+
+    /// <summary>
+    /// The failed check behind <see cref="Error"/>, when it has one, so the UI can describe it in its own language.
+    /// </summary>
+    public ValidationErrorResponse? ErrorDetails { get; set; }
+
+    public BatchLoanSummary? Summary { get; set; }
+
+    public ScheduleResponse? Schedule { get; set; }
+}
+
+public class BatchCalculationResponse
+{
+    public List<BatchLoanResult> Loans { get; set; } = new();
+}
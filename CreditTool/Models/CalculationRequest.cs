@@ -6,6 +6,11 @@ public class CalculationRequest
 
     public List<InterestRatePeriod> Rates { get; set; } = new();
 
+    /// <summary>
+    /// Optional extra payments on top of the regular installments.
+    /// </summary>
+    public List<Prepayment> Prepayments { get; set; } = new();
+
     /// <summary>
     /// Optional pre-calculated log. When provided to export-log endpoint,
     /// this log will be used instead of recalculating to ensure consistency.
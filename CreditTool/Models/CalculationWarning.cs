@@ -0,0 +1,19 @@
+namespace CreditTool.Models;
+
+/// <summary>
+/// A problem the calculation worked around, such as a prepayment capped at the remaining balance.
+/// </summary>
+public class CalculationWarning
+{
+    /// <summary>
+    /// The kind of warning, e.g. prepaymentCapped; the UI describes it in its own language.
+    /// </summary>
+    public string Code { get; set; } = string.Empty;
+
+    public string Message { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Values quoted in the message, keyed by name and formatted with the invariant culture.
+    /// </summary>
+    public Dictionary<string, string> Values { get; set; } = new();
+}
@@ -5,11 +5,17 @@ namespace CreditTool.Models;
 [JsonSerializable(typeof(CalculationRequest))]
 [JsonSerializable(typeof(CreditParameters))]
 [JsonSerializable(typeof(InterestRatePeriod))]
+[JsonSerializable(typeof(Prepayment))]
 [JsonSerializable(typeof(ScheduleResponse))]
 [JsonSerializable(typeof(ScheduleItem))]
+[JsonSerializable(typeof(AprExplanation))]
+[JsonSerializable(typeof(AprCashFlow))]
+[JsonSerializable(typeof(AprSolverStep))]
+[JsonSerializable(typeof(AprSolverMethod))]
 [JsonSerializable(typeof(CalculationLogEntry))]
 [JsonSerializable(typeof(LogEntryContext))]
 [JsonSerializable(typeof(ScheduleCalculationResult))]
+[JsonSerializable(typeof(CalculationWarning))]
 [JsonSerializable(typeof(PaymentFrequency))]
 [JsonSerializable(typeof(PaymentDayOption))]
 [JsonSerializable(typeof(DayCountBasis))]
@@ -17,6 +23,21 @@ namespace CreditTool.Models;
 [JsonSerializable(typeof(PaymentType))]
 [JsonSerializable(typeof(InterestRateApplication))]
 [JsonSerializable(typeof(LogEntryType))]
+[JsonSerializable(typeof(PrepaymentMode))]
+[JsonSerializable(typeof(RecurringFee))]
+[JsonSerializable(typeof(RecurringFeeType))]
+[JsonSerializable(typeof(RecurringFeeFrequency))]
+[JsonSerializable(typeof(GoalSeekRequest))]
+[JsonSerializable(typeof(GoalSeekResponse))]
+[JsonSerializable(typeof(GoalSeekStep))]
+[JsonSerializable(typeof(GoalSeekVariable))]
+[JsonSerializable(typeof(GoalSeekTarget))]
+[JsonSerializable(typeof(BatchCalculationRequest))]
+[JsonSerializable(typeof(BatchLoanRequest))]
+[JsonSerializable(typeof(BatchCalculationResponse))]
+[JsonSerializable(typeof(BatchLoanResult))]
+[JsonSerializable(typeof(BatchLoanSummary))]
+[JsonSerializable(typeof(ValidationErrorResponse))]
 [JsonSourceGenerationOptions(
     PropertyNamingPolicy = JsonKnownNamingPolicy.CamelCase,
     Converters = new[] { typeof(JsonStringEnumConverter) })]
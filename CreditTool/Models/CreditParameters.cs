@@ -6,14 +6,34 @@ public enum PaymentFrequency
 {
     Daily,
     Monthly,
-    Quarterly
+    Quarterly,
+    Weekly,
+    SemiAnnual,
+    Annual,
+
+    /// <summary>
+    /// Payments on the dates listed in CreditParameters.CustomPaymentDates.
+    /// </summary>
+    Custom
 }
 
 public enum PaymentDayOption
 {
     FirstOfMonth,
     TenthOfMonth,
-    LastOfMonth
+    LastOfMonth,
+    DayOfMonth
+}
+
+/// <summary>
+/// How a payment date falling on a weekend or a closing day is moved.
+/// </summary>
+public enum BusinessDayConvention
+{
+    None,
+    Following,
+    ModifiedFollowing,
+    Preceding
 }
 
 public enum DayCountBasis
@@ -59,6 +79,27 @@ public class CreditParameters
 
     public PaymentDayOption PaymentDay { get; set; } = PaymentDayOption.LastOfMonth;
 
+    /// <summary>
+    /// Day of month (1-31) used when PaymentDay is DayOfMonth; shorter months pay on their last day.
+    /// </summary>
+    public int PaymentDayOfMonth { get; set; } = 1;
+
+    /// <summary>
+    /// Moves payment dates off weekends, Polish public holidays and ClosingDays. The final payment stays on the credit end date.
+    /// </summary>
+    public BusinessDayConvention BusinessDayConvention { get; set; } = BusinessDayConvention.None;
+
+    /// <summary>
+    /// Days without payments in addition to weekends and Polish public holidays (e.g. a bank's own closing days).
+    /// </summary>
+    public List<DateTime> ClosingDays { get; set; } = new();
+
+    /// <summary>
+    /// Agreed payment dates used when PaymentFrequency is Custom. They are not moved to business days,
+    /// and the credit end date is always the last payment.
+    /// </summary>
+    public List<DateTime> CustomPaymentDates { get; set; } = new();
+
     public DateTime CreditStartDate { get; set; }
 
     public DateTime CreditEndDate { get; set; }
@@ -108,4 +149,22 @@ public class CreditParameters
     /// Defines how changing base rates are applied to interest accrual.
     /// </summary>
     public InterestRateApplication InterestRateApplication { get; set; } = InterestRateApplication.DailyAccrual;
+
+    /// <summary>
+    /// Optional fees charged over the term (e.g. an account fee or an insurance premium).
+    /// They are shown next to the installments and count as a cost in the APR.
+    /// </summary>
+    public List<RecurringFee> RecurringFees { get; set; } = new();
+
+    /// <summary>
+    /// Creates a copy that can be modified without affecting this instance (e.g. candidates tried by the goal seek).
+    /// </summary>
+    public CreditParameters Clone()
+    {
+        var copy = (CreditParameters)MemberwiseClone();
+        copy.RecurringFees = RecurringFees.Select(fee => fee.Clone()).ToList();
+        copy.ClosingDays = new List<DateTime>(ClosingDays);
+        copy.CustomPaymentDates = new List<DateTime>(CustomPaymentDates);
+        return copy;
+    }
 }
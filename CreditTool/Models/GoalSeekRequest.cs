@@ -0,0 +1,48 @@
+namespace CreditTool.Models;
+
+/// <summary>
+/// Credit parameter adjusted by the goal seek.
+/// </summary>
+public enum GoalSeekVariable
+{
+    NetValue,
+    CreditEndDate,
+    MarginRate
+}
+
+/// <summary>
+/// Schedule figure the goal seek brings to the target value.
+/// </summary>
+public enum GoalSeekTarget
+{
+    /// <summary>
+    /// The level payment for equal installments, otherwise the highest installment of the schedule.
+    /// </summary>
+    Installment,
+    TotalInterest,
+    AnnualPercentageRate
+}
+
+public class GoalSeekRequest
+{
+    /// <summary>
+    /// The calculation to start from; every parameter except the searched one is kept.
+    /// </summary>
+    public CalculationRequest Calculation { get; set; } = new();
+
+    public GoalSeekVariable Variable { get; set; } = GoalSeekVariable.NetValue;
+
+    public GoalSeekTarget Target { get; set; } = GoalSeekTarget.Installment;
+
+    public decimal TargetValue { get; set; }
+
+    /// <summary>
+    /// Optional lower bound of the search: an amount, a margin in percent or a term in months.
+    /// </summary>
+    public decimal? Minimum { get; set; }
+
+    /// <summary>
+    /// Optional upper bound of the search: an amount, a margin in percent or a term in months.
+    /// </summary>
+    public decimal? Maximum { get; set; }
+}
@@ -0,0 +1,42 @@
+namespace CreditTool.Models;
+
+public class GoalSeekStep
+{
+    public int Iteration { get; set; }
+
+    /// <summary>
+    /// Net value or margin tried in this step; empty when the term is searched.
+    /// </summary>
+    public decimal? Value { get; set; }
+
+    public DateTime CreditEndDate { get; set; }
+
+    /// <summary>
+    /// The target figure (installment, total interest or APR) of the tried schedule.
+    /// </summary>
+    public decimal Result { get; set; }
+
+    /// <summary>
+    /// Whether the result does not exceed the target value.
+    /// </summary>
+    public bool WithinTarget { get; set; }
+}
+
+public class GoalSeekResponse
+{
+    /// <summary>
+    /// False when the target lies outside the range between the bounds; the closest bound is returned instead.
+    /// </summary>
+    public bool Converged { get; set; }
+
+    /// <summary>
+    /// The calculation for the found value, with rate periods aligned to a changed end date.
+    /// </summary>
+    public CalculationRequest Calculation { get; set; } = new();
+
+    public decimal Result { get; set; }
+
+    public List<GoalSeekStep> Steps { get; set; } = new();
+
+    public ScheduleResponse Schedule { get; set; } = new();
+}
@@ -0,0 +1,27 @@
+namespace CreditTool.Models;
+
+public enum PrepaymentMode
+{
+    /// <summary>
+    /// Keep the installment and repay the credit earlier.
+    /// </summary>
+    ReduceTerm,
+
+    /// <summary>
+    /// Keep the term and lower the following installments.
+    /// </summary>
+    ReduceInstallment
+}
+
+public class Prepayment
+{
+    /// <summary>
+    /// Date on which the extra payment is made. It is settled together with
+    /// the first regular installment falling on or after this date.
+    /// </summary>
+    public DateTime Date { get; set; }
+
+    public decimal Amount { get; set; }
+
+    public PrepaymentMode Mode { get; set; } = PrepaymentMode.ReduceTerm;
+}
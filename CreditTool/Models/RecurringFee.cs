@@ -0,0 +1,58 @@
+namespace CreditTool.Models;
+
+public enum RecurringFeeType
+{
+    /// <summary>
+    /// The same amount at every charge.
+    /// </summary>
+    FixedAmount,
+
+    /// <summary>
+    /// A percentage of the principal outstanding before the installment that collects the charge.
+    /// </summary>
+    BalancePercentage
+}
+
+public enum RecurringFeeFrequency
+{
+    EveryInstallment,
+    Monthly,
+    Quarterly,
+    Annually
+}
+
+/// <summary>
+/// A fee charged repeatedly over the credit term, such as an account fee or a loan insurance premium.
+/// Each charge is collected together with the first installment on or after its date.
+/// </summary>
+public class RecurringFee
+{
+    public string Name { get; set; } = string.Empty;
+
+    public RecurringFeeType Type { get; set; } = RecurringFeeType.FixedAmount;
+
+    /// <summary>
+    /// The amount of one charge, or its percentage of the balance for <see cref="RecurringFeeType.BalancePercentage"/>.
+    /// </summary>
+    public decimal Value { get; set; }
+
+    public RecurringFeeFrequency Frequency { get; set; } = RecurringFeeFrequency.Monthly;
+
+    /// <summary>
+    /// Date of the first charge. Defaults to the credit start date.
+    /// </summary>
+    public DateTime? DateFrom { get; set; }
+
+    /// <summary>
+    /// Last day a charge can fall on. Without it, monthly, quarterly and annual charges stop before
+    /// the credit end date and per-installment charges include the final installment.
+    /// </summary>
+    public DateTime? DateTo { get; set; }
+
+    /// <summary>
+    /// The name shown in schedules and exports; unnamed fees are referred to by their position.
+    /// </summary>
+    public string GetDisplayName(int index) => string.IsNullOrWhiteSpace(Name) ? $"Opłata nr {index + 1}" : Name;
+
+    public RecurringFee Clone() => (RecurringFee)MemberwiseClone();
+}
@@ -0,0 +1,42 @@
+namespace CreditTool.Models;
+
+public enum ScheduleAggregationPeriod
+{
+    Month,
+    Quarter,
+    Year
+}
+
+/// <summary>
+/// The payments of one calendar month, quarter or year rolled up into a single row.
+/// </summary>
+public class ScheduleAggregate
+{
+    /// <summary>
+    /// Period name used in exports: "2024-01", "2024-Q1" or "2024".
+    /// </summary>
+    public string Label { get; set; } = string.Empty;
+
+    public DateTime PeriodStart { get; set; }
+    public DateTime PeriodEnd { get; set; }
+    public int PaymentCount { get; set; }
+    public decimal InterestAmount { get; set; }
+    public decimal PrincipalPayment { get; set; }
+    public decimal TotalPayment { get; set; }
+    public decimal PrepaymentAmount { get; set; }
+
+    /// <summary>
+    /// Principal outstanding before the first payment of the period.
+    /// </summary>
+    public decimal OpeningBalance { get; set; }
+
+    /// <summary>
+    /// Principal outstanding after the last payment of the period, prepayments included.
+    /// </summary>
+    public decimal ClosingBalance { get; set; }
+
+    /// <summary>
+    /// Annual rate of the period's payments weighted by the balance they accrued on and the days in their periods.
+    /// </summary>
+    public decimal WeightedAverageRate { get; set; }
+}
@@ -8,7 +8,7 @@ public class ScheduleCalculationResult
     /// <summary>
     /// Validation warnings encountered during calculation
     /// </summary>
-    public List<string> Warnings { get; set; } = new();
+    public List<CalculationWarning> Warnings { get; set; } = new();
 
     /// <summary>
     /// The target fixed payment for equal installments (before final adjustment)
@@ -25,6 +25,22 @@ public class ScheduleItem
     public decimal TotalPayment { get; set; }
     public decimal RemainingPrincipal { get; set; }
 
+    /// <summary>
+    /// Extra payment settled together with this installment (not included in TotalPayment)
+    /// </summary>
+    public decimal PrepaymentAmount { get; set; }
+
+    /// <summary>
+    /// Recurring fees collected with this installment, in the order of CreditParameters.RecurringFees
+    /// (not included in TotalPayment)
+    /// </summary>
+    public List<decimal> FeeAmounts { get; set; } = new();
+
+    /// <summary>
+    /// Sum of FeeAmounts
+    /// </summary>
+    public decimal FeeAmount { get; set; }
+
     /// <summary>
     /// Indicates if this is an adjusted final payment
     /// </summary>
@@ -6,7 +6,12 @@ public class ScheduleResponse
     public List<CalculationLogEntry> CalculationLog { get; set; } = new();
     public decimal TotalInterest { get; set; }
     public decimal AnnualPercentageRate { get; set; }
-    public List<string> Warnings { get; set; } = new();
+    public List<CalculationWarning> Warnings { get; set; } = new();
     public decimal? TargetLevelPayment { get; set; }
     public decimal? ActualFinalPayment { get; set; }
+
+    /// <summary>
+    /// Cash flows and solver steps behind AnnualPercentageRate; returned with the calculation log.
+    /// </summary>
+    public AprExplanation? AprExplanation { get; set; }
 }
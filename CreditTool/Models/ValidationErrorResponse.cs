@@ -0,0 +1,21 @@
+namespace CreditTool.Models;
+
+/// <summary>
+/// BadRequest body for input rejected by the calculator or by an endpoint.
+/// </summary>
+public class ValidationErrorResponse
+{
+    public string Message { get; set; } = string.Empty;
+
+    /// <summary>
+    /// The failed check; the UI maps it onto the offending field or its own message.
+    /// </summary>
+    public string Code { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Zero-based row of the offending prepayment, recurring fee or custom payment date.
+    /// </summary>
+    public int? Index { get; set; }
+
+    public Dictionary<string, string> Values { get; set; } = new();
+}
@@ -4,6 +4,8 @@ using CreditTool.Services.ScheduleCalculation;
 using CreditTool.Services.ScheduleCalculation.Configuration;
 using CreditTool.Services.ScheduleCalculation.Strategies.PaymentDate;
 using Microsoft.AspNetCore.Antiforgery;
+using System.Globalization;
+using System.Text.Json;
 using System.Text.Json.Serialization;
 
 var builder = WebApplication.CreateBuilder(args);
@@ -17,7 +19,10 @@ builder.Services.AddSingleton(_ => new CalculatorConfiguration
     ThrowOnNegativeAmortization = false
 });
 builder.Services.AddSingleton<ExcelService>();
+builder.Services.AddSingleton<WordExportService>();
+builder.Services.AddSingleton<WordImportService>();
 builder.Services.AddSingleton<LogExportService>();
+builder.Services.AddSingleton<BatchImportService>();
 builder.Services.AddEndpointsApiExplorer();
 builder.Services.ConfigureHttpJsonOptions(options =>
 {
@@ -49,23 +54,28 @@ app.UseStaticFiles();
 app.UseRouting();
 app.UseAntiforgery();
 
-app.MapPost("/api/import", async (IFormFile file, ExcelService excelService) =>
+app.MapPost("/api/import", async (IFormFile file, ExcelService excelService, WordImportService wordImportService) =>
 {
     if (file.Length == 0)
     {
-        return Results.BadRequest("File is empty");
+        return CodedBadRequest("fileEmpty", "Plik jest pusty.");
+    }
+
+    var extension = Path.GetExtension(file.FileName).ToLowerInvariant();
+    if (extension is not (".xlsx" or ".ods" or ".docx" or ".json"))
+    {
+        return CodedBadRequest("importFormat", "Nieobsługiwany format importu. Użyj .xlsx, .ods, .docx lub .json.");
     }
 
     try
     {
         await using var stream = file.OpenReadStream();
 
-        var extension = Path.GetExtension(file.FileName).ToLowerInvariant();
         (CreditParameters Parameters, List<InterestRatePeriod> Rates) result = extension switch
         {
             ".xlsx" or ".ods" => excelService.Import(stream, extension),
-            ".json" => await excelService.ImportJsonAsync(stream),
-            _ => throw new InvalidOperationException("Unsupported import format. Use .xlsx, .ods or .json.")
+            ".docx" => wordImportService.Import(stream),
+            _ => await excelService.ImportJsonAsync(stream)
         };
 
         return Results.Ok(new CalculationRequest { Parameters = result.Parameters, Rates = result.Rates });
@@ -81,61 +91,222 @@ app.MapPost("/api/calculate", (
     IScheduleCalculator calculator,
     CalculatorConfiguration config) =>
 {
-    // Always include log to ensure consistency between displayed schedule and log export
-    // This guarantees the log matches exactly what the user sees in the UI
-    var result = calculator.Calculate(request.Parameters, request.Rates, config, includeLog: true);
-    var roundedSchedule = RoundCashSchedule(result.Schedule, request.Parameters.RoundingMode);
+    try
+    {
+        // Always include log to ensure consistency between displayed schedule and log export
+        // This guarantees the log matches exactly what the user sees in the UI
+        return Results.Ok(CalculateScheduleResponse(request, calculator, config, includeLog: true));
+    }
+    catch (ArgumentException ex)
+    {
+        // Invalid input: the body names the failed check so the UI can highlight the offending field
+        return ValidationBadRequest(ex);
+    }
+});
 
-    var response = BuildScheduleResponse(roundedSchedule, result.CalculationLog, request.Parameters);
-    response.Warnings = result.Warnings;
-    response.TargetLevelPayment = result.TargetLevelPayment;
-    response.ActualFinalPayment = result.ActualFinalPayment;
+app.MapPost("/api/goal-seek", (
+    GoalSeekRequest request,
+    IScheduleCalculator calculator,
+    CalculatorConfiguration config) =>
+{
+    try
+    {
+        // Candidates are calculated exactly like /api/calculate, so the found value reproduces the reported result
+        var response = GoalSeekSolver.Solve(
+            request,
+            (candidate, includeLog) => CalculateScheduleResponse(candidate, calculator, config, includeLog));
 
-    return Results.Ok(response);
+        return Results.Ok(response);
+    }
+    catch (ArgumentException ex)
+    {
+        return ValidationBadRequest(ex);
+    }
 });
 
 
-
-app.MapPost("/api/export", (CalculationRequest request, string? format, IScheduleCalculator calculator, ExcelService excelService) =>
+app.MapPost("/api/export", (
+    CalculationRequest request,
+    string? format,
+    string? aggregation,
+    IScheduleCalculator calculator,
+    CalculatorConfiguration config,
+    ExcelService excelService,
+    WordExportService wordExportService) =>
 {
-    var result = calculator.Calculate(request.Parameters, request.Rates);
-    var roundedSchedule = RoundCashSchedule(result.Schedule, request.Parameters.RoundingMode);
-    var response = BuildScheduleResponse(roundedSchedule, result.CalculationLog, request.Parameters);
-
     try
     {
+        // Month, Quarter or Year adds the schedule rolled up by that period to the export
+        ScheduleAggregationPeriod? aggregationPeriod = null;
+        if (!string.IsNullOrEmpty(aggregation))
+        {
+            if (!Enum.TryParse<ScheduleAggregationPeriod>(aggregation, ignoreCase: true, out var parsedPeriod)
+                || !Enum.IsDefined(parsedPeriod))
+            {
+                return CodedBadRequest("aggregationPeriod", "Nieobsługiwany okres zestawienia. Użyj Month, Quarter lub Year.");
+            }
+
+            aggregationPeriod = parsedPeriod;
+        }
+
+        var result = calculator.Calculate(request.Parameters, request.Rates, config, prepayments: request.Prepayments);
+        var roundedSchedule = RoundCashSchedule(result.Schedule, request.Parameters.RoundingMode);
+        var response = BuildScheduleResponse(roundedSchedule, result.CalculationLog, request.Parameters);
+        var aggregates = aggregationPeriod is { } period
+            ? ScheduleAggregator.Aggregate(roundedSchedule, period)
+            : null;
+
         if (string.Equals(format, "json", StringComparison.OrdinalIgnoreCase))
         {
-            var jsonPayload = excelService.ExportJson(request.Parameters, request.Rates, roundedSchedule, response.TotalInterest, response.AnnualPercentageRate);
+            var jsonPayload = excelService.ExportJson(request.Parameters, request.Rates, request.Prepayments, roundedSchedule, response.TotalInterest, response.AnnualPercentageRate, aggregates);
             var jsonFileName = $"Harmonogram_{DateTime.UtcNow:yyyyMMddHHmmss}.json";
             return Results.File(jsonPayload, "application/json", jsonFileName);
         }
 
+        if (string.Equals(format, "docx", StringComparison.OrdinalIgnoreCase))
+        {
+            var docxPayload = wordExportService.Export(request.Parameters, request.Rates, roundedSchedule, response.TotalInterest, aggregates);
+            var docxFileName = $"Harmonogram_{DateTime.UtcNow:yyyyMMddHHmmss}.docx";
+            return Results.File(docxPayload, "application/vnd.openxmlformats-officedocument.wordprocessingml.document", docxFileName);
+        }
+
         if (string.Equals(format, "ods", StringComparison.OrdinalIgnoreCase))
         {
-            var odsPayload = excelService.ExportOds(request.Parameters, request.Rates, roundedSchedule, response.TotalInterest, response.AnnualPercentageRate);
+            var odsPayload = excelService.ExportOds(request.Parameters, request.Rates, roundedSchedule, response.TotalInterest, response.AnnualPercentageRate, aggregates);
             var odsFileName = $"Harmonogram_{DateTime.UtcNow:yyyyMMddHHmmss}.ods";
             return Results.File(odsPayload, "application/vnd.oasis.opendocument.spreadsheet", odsFileName);
         }
 
-        var payload = excelService.ExportXlsx(request.Parameters, request.Rates, roundedSchedule, response.TotalInterest, response.AnnualPercentageRate);
+        var payload = excelService.ExportXlsx(request.Parameters, request.Rates, roundedSchedule, response.TotalInterest, response.AnnualPercentageRate, aggregates);
         var fileName = $"Harmonogram_{DateTime.UtcNow:yyyyMMddHHmmss}.xlsx";
         return Results.File(payload, "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet", fileName);
     }
+    catch (ArgumentException ex)
+    {
+        return ValidationBadRequest(ex);
+    }
+    catch (InvalidOperationException ex)
+    {
+        return Results.BadRequest(ex.Message);
+    }
+});
+
+const int MaxBatchLoans = BatchImportService.MaxLoans;
+
+app.MapPost("/api/calculate-batch", async (
+    HttpContext context,
+    IAntiforgery antiforgery,
+    BatchImportService batchImportService,
+    IScheduleCalculator calculator,
+    CalculatorConfiguration config) =>
+{
+    try
+    {
+        List<BatchLoanResult> loans;
+        if (context.Request.HasFormContentType)
+        {
+            // Uploads are protected like /api/import; a JSON body cannot be sent by a cross-site form
+            await antiforgery.ValidateRequestAsync(context);
+            var form = await context.Request.ReadFormAsync();
+            var file = form.Files.GetFile("file");
+            if (file is null || file.Length == 0)
+            {
+                return CodedBadRequest("fileEmpty", "Plik jest pusty.");
+            }
+
+            await using var stream = file.OpenReadStream();
+            loans = await batchImportService.ImportAsync(stream, file.FileName);
+        }
+        else
+        {
+            var request = await context.Request.ReadFromJsonAsync(CreditJsonContext.Default.BatchCalculationRequest);
+            loans = BatchImportService.FromRequest(request ?? new BatchCalculationRequest());
+        }
+
+        if (loans.Count == 0)
+        {
+            return CodedBadRequest("batchEmpty", "Brak kredytów do obliczenia.");
+        }
+
+        if (loans.Count > MaxBatchLoans)
+        {
+            return Results.BadRequest(BatchImportService.TooManyLoans().ToResponse());
+        }
+
+        CalculateBatch(loans, calculator, config);
+        return Results.Ok(new BatchCalculationResponse { Loans = loans });
+    }
+    catch (AntiforgeryValidationException)
+    {
+        return CodedBadRequest("antiforgery", "Nieprawidłowy token zabezpieczający. Odśwież stronę i spróbuj ponownie.");
+    }
+    catch (BatchImportException ex)
+    {
+        return Results.BadRequest(ex.ToResponse());
+    }
+    catch (JsonException)
+    {
+        return CodedBadRequest("batchJson", "Nieprawidłowy plik JSON z kredytami.");
+    }
+    catch (InvalidDataException)
+    {
+        return CodedBadRequest("batchArchive", "Nieprawidłowe archiwum ZIP.");
+    }
+    catch (InvalidOperationException ex)
+    {
+        return Results.BadRequest(ex.Message);
+    }
+});
+
+app.MapPost("/api/export-batch", (
+    BatchCalculationRequest request,
+    string? format,
+    IScheduleCalculator calculator,
+    CalculatorConfiguration config,
+    ExcelService excelService) =>
+{
+    try
+    {
+        var loans = BatchImportService.FromRequest(request);
+        if (loans.Count == 0 || loans.Count > MaxBatchLoans)
+        {
+            return CodedBadRequest(
+                "batchExportSize",
+                $"Eksport wsadowy musi obejmować od 1 do {MaxBatchLoans} kredytów.",
+                new Dictionary<string, string> { ["max"] = MaxBatchLoans.ToString(CultureInfo.InvariantCulture) });
+        }
+
+        CalculateBatch(loans, calculator, config);
+
+        if (string.Equals(format, "json", StringComparison.OrdinalIgnoreCase))
+        {
+            var jsonPayload = excelService.ExportBatchJson(loans);
+            var jsonFileName = $"Harmonogramy_{DateTime.UtcNow:yyyyMMddHHmmss}.json";
+            return Results.File(jsonPayload, "application/json", jsonFileName);
+        }
+
+        var payload = excelService.ExportBatchXlsx(loans);
+        var fileName = $"Harmonogramy_{DateTime.UtcNow:yyyyMMddHHmmss}.xlsx";
+        return Results.File(payload, "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet", fileName);
+    }
     catch (InvalidOperationException ex)
     {
         return Results.BadRequest(ex.Message);
     }
 });
 
-app.MapPost("/api/export-log", (CalculationRequest request, IScheduleCalculator calculator, LogExportService logExportService) =>
+app.MapPost("/api/export-log", (
+    CalculationRequest request,
+    IScheduleCalculator calculator,
+    CalculatorConfiguration config,
+    LogExportService logExportService) =>
 {
     try
     {
         // Use provided log if available (ensures consistency with displayed schedule),
         // otherwise calculate fresh
         var logToExport = request.CalculationLog
-            ?? calculator.Calculate(request.Parameters, request.Rates, includeLog: true).CalculationLog;
+            ?? calculator.Calculate(request.Parameters, request.Rates, config, includeLog: true, prepayments: request.Prepayments).CalculationLog;
 
         var logPayload = logExportService.Export(logToExport);
         var logFileName = $"Harmonogram_Log_{DateTime.UtcNow:yyyyMMddHHmmss}.md";
@@ -143,22 +314,111 @@ app.MapPost("/api/export-log", (CalculationRequest request, IScheduleCalculator
     }
     catch (ArgumentException ex)
     {
-        return Results.BadRequest(ex.Message);
+        return ValidationBadRequest(ex);
     }
 });
 
 app.Run();
 
-static ScheduleResponse BuildScheduleResponse(IReadOnlyList<ScheduleItem> schedule, List<CalculationLogEntry> calculationLog, CreditParameters parameters)
+static ScheduleResponse CalculateScheduleResponse(
+    CalculationRequest request,
+    IScheduleCalculator calculator,
+    CalculatorConfiguration config,
+    bool includeLog)
+{
+    var result = calculator.Calculate(request.Parameters, request.Rates, config, includeLog, request.Prepayments);
+    var roundedSchedule = RoundCashSchedule(result.Schedule, request.Parameters.RoundingMode);
+
+    var response = BuildScheduleResponse(roundedSchedule, result.CalculationLog, request.Parameters, includeAprExplanation: includeLog);
+    response.Warnings = result.Warnings;
+    response.TargetLevelPayment = result.TargetLevelPayment;
+    response.ActualFinalPayment = result.ActualFinalPayment;
+    return response;
+}
+
+// Input rejected by the calculator is answered with the failed check; other arguments with the message alone
+static IResult ValidationBadRequest(ArgumentException exception)
+{
+    if (exception is not CalculationValidationException validation)
+    {
+        return Results.BadRequest(exception.Message);
+    }
+
+    return Results.BadRequest(ToValidationErrorResponse(validation));
+}
+
+static ValidationErrorResponse ToValidationErrorResponse(CalculationValidationException validation)
+{
+    return new ValidationErrorResponse
+    {
+        Message = validation.Message,
+        Code = validation.Code,
+        Index = validation.Index,
+        Values = new Dictionary<string, string>(validation.Values)
+    };
+}
+
+// Errors of the endpoints themselves carry a code too, so the UI can show them in its language
+static IResult CodedBadRequest(string code, string message, Dictionary<string, string>? values = null)
+{
+    return Results.BadRequest(new ValidationErrorResponse
+    {
+        Message = message,
+        Code = code,
+        Values = values ?? new Dictionary<string, string>()
+    });
+}
+
+// Each loan is calculated on its own: a rejected loan records its error and the rest of the batch continues
+static void CalculateBatch(IEnumerable<BatchLoanResult> loans, IScheduleCalculator calculator, CalculatorConfiguration config)
+{
+    foreach (var loan in loans.Where(loan => loan.Calculation is not null && loan.Error is null))
+    {
+        try
+        {
+            var schedule = CalculateScheduleResponse(loan.Calculation!, calculator, config, includeLog: false);
+            loan.Schedule = schedule;
+            loan.Summary = SummarizeSchedule(schedule);
+        }
+        catch (ArgumentException ex)
+        {
+            loan.Error = ex.Message;
+            loan.ErrorDetails = ex is CalculationValidationException validation ? ToValidationErrorResponse(validation) : null;
+        }
+    }
+}
+
+static BatchLoanSummary SummarizeSchedule(ScheduleResponse response)
+{
+    var payments = response.Schedule.Select(item => item.TotalPayment).ToList();
+
+    return new BatchLoanSummary
+    {
+        PaymentCount = payments.Count,
+        TotalInterest = response.TotalInterest,
+        TotalPaid = payments.Sum() + response.Schedule.Sum(item => item.PrepaymentAmount + item.FeeAmount),
+        FirstPayment = payments.FirstOrDefault(),
+        MaxPayment = payments.DefaultIfEmpty(0m).Max(),
+        AnnualPercentageRate = response.AnnualPercentageRate
+    };
+}
+
+static ScheduleResponse BuildScheduleResponse(
+    IReadOnlyList<ScheduleItem> schedule,
+    List<CalculationLogEntry> calculationLog,
+    CreditParameters parameters,
+    bool includeAprExplanation = false)
 {
     var totalInterest = RoundingService.Round(schedule.Sum(item => item.InterestAmount), parameters.RoundingMode, 2);
+    var aprExplanation = AprCalculator.Explain(parameters, schedule);
 
     return new ScheduleResponse
     {
         Schedule = schedule.ToList(),
         CalculationLog = calculationLog,
         TotalInterest = totalInterest,
-        AnnualPercentageRate = AprCalculator.CalculateAnnualPercentageRate(parameters, schedule)
+        AnnualPercentageRate = aprExplanation.AnnualPercentageRate,
+        AprExplanation = includeAprExplanation ? aprExplanation : null
     };
 }
 
@@ -170,6 +430,8 @@ static IReadOnlyList<ScheduleItem> RoundCashSchedule(IEnumerable<ScheduleItem> s
         var principal = RoundingService.Round(item.PrincipalPayment, roundingMode, 2);
         var total = RoundingService.Round(interest + principal, roundingMode, 2);
         var remaining = RoundingService.Round(Math.Max(item.RemainingPrincipal, 0m), roundingMode, 2);
+        var prepayment = RoundingService.Round(item.PrepaymentAmount, roundingMode, 2);
+        var fees = item.FeeAmounts.Select(fee => RoundingService.Round(fee, roundingMode, 2)).ToList();
 
         return new ScheduleItem
         {
@@ -180,6 +442,9 @@ static IReadOnlyList<ScheduleItem> RoundCashSchedule(IEnumerable<ScheduleItem> s
             PrincipalPayment = principal,
             TotalPayment = total,
             RemainingPrincipal = remaining,
+            PrepaymentAmount = prepayment,
+            FeeAmounts = fees,
+            FeeAmount = fees.Sum(),
             IsInGracePeriod = item.IsInGracePeriod,
             IsFinalPaymentAdjusted = item.IsFinalPaymentAdjusted,
             NominalRate = item.NominalRate,
@@ -5,32 +5,73 @@ namespace CreditTool.Services;
 public static class AprCalculator
 {
     public static decimal CalculateAnnualPercentageRate(CreditParameters parameters, IEnumerable<ScheduleItem> schedule)
+    {
+        return Explain(parameters, schedule).AnnualPercentageRate;
+    }
+
+    /// <summary>
+    /// Solves the APR and records the cash flows with their year fractions and every step of the solver,
+    /// so the result can be reproduced outside the application.
+    /// </summary>
+    public static AprExplanation Explain(CreditParameters parameters, IEnumerable<ScheduleItem> schedule)
     {
         var cashFlows = BuildCashFlows(parameters, schedule);
-        if (cashFlows.Count < 2)
+        var startDate = cashFlows[0].Date;
+        double YearFraction(DateTime date) => (date - startDate).TotalDays / 365d;
+
+        var explanation = new AprExplanation();
+        var rate = 0d;
+        if (cashFlows.Count >= 2)
         {
-            return 0m;
+            rate = Solve(cashFlows.Select(cf => ((double)cf.Amount, YearFraction(cf.Date))).ToList(), explanation);
+            explanation.AnnualPercentageRate = (decimal)Math.Round(rate * 100, 4, MidpointRounding.AwayFromZero);
         }
 
-        var startDate = cashFlows[0].Date;
+        explanation.CashFlows = cashFlows.Select(cf => new AprCashFlow
+        {
+            Date = cf.Date,
+            Amount = cf.Amount,
+            YearFraction = YearFraction(cf.Date),
+            PresentValue = (double)cf.Amount * Math.Pow(1 + rate, -YearFraction(cf.Date))
+        }).ToList();
+
+        return explanation;
+    }
+
+    /// <summary>
+    /// Newton's method from 10%, falling back to bisection between -99% and 100% when it stalls or leaves that range.
+    /// </summary>
+    private static double Solve(List<(double Amount, double Years)> cashFlows, AprExplanation explanation)
+    {
         double Npv(double rate)
         {
-            return cashFlows.Sum(cf => (double)cf.Amount * Math.Pow(1 + rate, -(cf.Date - startDate).TotalDays / 365d));
+            return cashFlows.Sum(cf => cf.Amount * Math.Pow(1 + rate, -cf.Years));
         }
 
         double Derivative(double rate)
         {
-            return cashFlows.Sum(cf =>
+            return cashFlows.Sum(cf => -cf.Years * cf.Amount * Math.Pow(1 + rate, -(cf.Years + 1)));
+        }
+
+        void Record(AprSolverMethod method, double rate, double value)
+        {
+            explanation.Steps.Add(new AprSolverStep
             {
-                var years = (cf.Date - startDate).TotalDays / 365d;
-                return -years * (double)cf.Amount * Math.Pow(1 + rate, -(years + 1));
+                Iteration = explanation.Steps.Count + 1,
+                Method = method,
+                Rate = rate,
+                NetPresentValue = value
             });
         }
 
+        explanation.Method = AprSolverMethod.Newton;
+        explanation.Converged = true;
+
         var guess = 0.1d;
         for (var iteration = 0; iteration < 50; iteration++)
         {
             var value = Npv(guess);
+            Record(AprSolverMethod.Newton, guess, value);
             var slope = Derivative(guess);
             if (Math.Abs(slope) < 1e-12)
             {
@@ -45,21 +86,24 @@ public static class AprCalculator
 
             if (Math.Abs(nextGuess - guess) < 1e-8)
             {
-                return (decimal)Math.Round(nextGuess * 100, 4, MidpointRounding.AwayFromZero);
+                return nextGuess;
             }
 
             guess = nextGuess;
         }
 
+        explanation.Method = AprSolverMethod.Bisection;
+
         var lower = -0.99d;
         var upper = 1.0d;
         for (var i = 0; i < 200; i++)
         {
             var mid = (lower + upper) / 2d;
             var value = Npv(mid);
+            Record(AprSolverMethod.Bisection, mid, value);
             if (Math.Abs(value) < 1e-8)
             {
-                return (decimal)Math.Round(mid * 100, 4, MidpointRounding.AwayFromZero);
+                return mid;
             }
 
             if (value > 0)
@@ -72,8 +116,8 @@ public static class AprCalculator
             }
         }
 
-        var rateEstimate = (lower + upper) / 2d;
-        return (decimal)Math.Round(rateEstimate * 100, 4, MidpointRounding.AwayFromZero);
+        explanation.Converged = false;
+        return (lower + upper) / 2d;
     }
 
     private static List<(DateTime Date, decimal Amount)> BuildCashFlows(CreditParameters parameters, IEnumerable<ScheduleItem> schedule)
@@ -90,7 +134,8 @@ public static class AprCalculator
         }
 
         var flows = new List<(DateTime Date, decimal Amount)> { (parameters.CreditStartDate, disbursement) };
-        flows.AddRange(schedule.Select(item => (item.PaymentDate, -item.TotalPayment)));
+        // Recurring fees are paid with the installments, so they are part of each installment's cash flow
+        flows.AddRange(schedule.Select(item => (item.PaymentDate, -(item.TotalPayment + item.PrepaymentAmount + item.FeeAmount))));
         flows.Sort((a, b) => a.Date.CompareTo(b.Date));
         return flows;
     }
@@ -0,0 +1,35 @@
+using CreditTool.Models;
+
+namespace CreditTool.Services;
+
+/// <summary>
+/// A batch file or one of its loans that <see cref="BatchImportService"/> cannot read. Like
+/// <see cref="ScheduleCalculation.CalculationValidationException"/> it names the failed check,
+/// so the UI can describe the problem in its own language.
+/// </summary>
+public class BatchImportException : InvalidOperationException
+{
+    public BatchImportException(string code, string message, IReadOnlyDictionary<string, string>? values = null)
+        : base(message)
+    {
+        Code = code;
+        Values = values ?? new Dictionary<string, string>();
+    }
+
+    /// <summary>
+    /// The failed check, e.g. batchFormat or batchEntryTooLarge.
+    /// </summary>
+    public string Code { get; }
+
+    /// <summary>
+    /// Values quoted in the message, keyed by name.
+    /// </summary>
+    public IReadOnlyDictionary<string, string> Values { get; }
+
+    public ValidationErrorResponse ToResponse() => new()
+    {
+        Message = Message,
+        Code = Code,
+        Values = new Dictionary<string, string>(Values)
+    };
+}
@@ -0,0 +1,191 @@
+using System.Globalization;
+using System.IO.Compression;
+using System.Text.Json;
+using CreditTool.Models;
+
+namespace CreditTool.Services;
+
+/// <summary>
+/// Reads the loans of a batch upload: a zip of single-loan files (.xlsx, .ods, .docx, .json),
+/// a batch workbook with one loan per sheet, or a JSON batch request.
+/// </summary>
+public class BatchImportService
+{
+    /// <summary>
+    /// Limits one request so a single upload cannot keep the server calculating for minutes.
+    /// </summary>
+    public const int MaxLoans = 1000;
+
+    /// <summary>
+    /// Largest uncompressed zip entry read; a single-loan file is a few dozen kilobytes.
+    /// </summary>
+    public const long MaxZipEntryBytes = 10 * 1024 * 1024;
+
+    private readonly ExcelService _excelService;
+    private readonly WordImportService _wordImportService;
+
+    public BatchImportService(ExcelService excelService, WordImportService wordImportService)
+    {
+        _excelService = excelService;
+        _wordImportService = wordImportService;
+    }
+
+    public async Task<List<BatchLoanResult>> ImportAsync(Stream stream, string fileName)
+    {
+        var extension = Path.GetExtension(fileName).ToLowerInvariant();
+        return extension switch
+        {
+            ".zip" => await ImportZipAsync(stream),
+            ".xlsx" => _excelService.ImportBatchXlsx(stream),
+            ".json" => FromRequest(await JsonSerializer.DeserializeAsync(stream, CreditJsonContext.Default.BatchCalculationRequest)
+                ?? new BatchCalculationRequest()),
+            _ => throw new BatchImportException("batchFormat", "Nieobsługiwany format pliku wsadowego. Użyj .zip, .xlsx (arkusz na kredyt) lub .json.")
+        };
+    }
+
+    /// <summary>
+    /// Turns the loans of a JSON batch request into results to be calculated; unnamed loans are numbered.
+    /// Loans without parameters or rates get an error instead of a calculation.
+    /// </summary>
+    public static List<BatchLoanResult> FromRequest(BatchCalculationRequest request)
+    {
+        return (request.Loans ?? new List<BatchLoanRequest>())
+            .Select((loan, index) =>
+            {
+                var result = new BatchLoanResult
+                {
+                    Name = string.IsNullOrWhiteSpace(loan?.Name) ? $"Kredyt {index + 1}" : loan.Name.Trim()
+                };
+
+                if (loan?.Parameters is null || loan.Rates is null || loan.Rates.Any(rate => rate is null))
+                {
+                    var error = new BatchImportException("batchLoanIncomplete", "Brak parametrów kredytu lub stóp procentowych.");
+                    result.Error = error.Message;
+                    result.ErrorDetails = error.ToResponse();
+                    return result;
+                }
+
+                result.Calculation = new CalculationRequest
+                {
+                    Parameters = loan.Parameters,
+                    Rates = loan.Rates,
+                    Prepayments = loan.Prepayments ?? new List<Prepayment>()
+                };
+                return result;
+            })
+            .ToList();
+    }
+
+    private async Task<List<BatchLoanResult>> ImportZipAsync(Stream stream)
+    {
+        using var archive = new ZipArchive(stream, ZipArchiveMode.Read, leaveOpen: true);
+        var loans = new List<BatchLoanResult>();
+
+        // Directories and the metadata folders some archivers add are not loans
+        var entries = archive.Entries
+            .Where(entry => !string.IsNullOrEmpty(entry.Name) && !entry.Name.StartsWith('.') && !entry.FullName.StartsWith("__MACOSX/"))
+            .OrderBy(entry => entry.FullName, StringComparer.OrdinalIgnoreCase)
+            .ToList();
+
+        // Checked before any entry is decompressed
+        if (entries.Count > MaxLoans)
+        {
+            throw TooManyLoans();
+        }
+
+        foreach (var entry in entries)
+        {
+            var loan = new BatchLoanResult { Name = Path.GetFileNameWithoutExtension(entry.Name) };
+            try
+            {
+                // Entry streams cannot seek, which the spreadsheet and Word readers require
+                using var buffer = await ReadZipEntryAsync(entry);
+
+                var extension = Path.GetExtension(entry.Name).ToLowerInvariant();
+                if (extension == ".json")
+                {
+                    // JSON files carry the whole request, prepayments included
+                    loan.Calculation = await _excelService.ImportJsonRequestAsync(buffer);
+                }
+                else
+                {
+                    var (parameters, rates) = extension switch
+                    {
+                        ".xlsx" or ".ods" => _excelService.Import(buffer, extension),
+                        ".docx" => _wordImportService.Import(buffer),
+                        _ => throw new BatchImportException(
+                            "batchEntryFormat",
+                            $"Nieobsługiwany format pliku {entry.Name}. Użyj .xlsx, .ods, .docx lub .json.",
+                            new Dictionary<string, string> { ["file"] = entry.Name })
+                    };
+                    loan.Calculation = new CalculationRequest { Parameters = parameters, Rates = rates };
+                }
+            }
+            catch (BatchImportException ex)
+            {
+                loan.Error = ex.Message;
+                loan.ErrorDetails = ex.ToResponse();
+            }
+            catch (JsonException)
+            {
+                var error = new BatchImportException(
+                    "batchEntryJson",
+                    $"Plik {entry.Name} nie zawiera prawidłowego kredytu w formacie JSON.",
+                    new Dictionary<string, string> { ["file"] = entry.Name });
+                loan.Error = error.Message;
+                loan.ErrorDetails = error.ToResponse();
+            }
+            catch (Exception ex) when (ex is InvalidOperationException or InvalidDataException)
+            {
+                loan.Error = ex.Message;
+            }
+
+            loans.Add(loan);
+        }
+
+        return loans;
+    }
+
+    /// <summary>
+    /// Rejects a batch of more than <see cref="MaxLoans"/> loans.
+    /// </summary>
+    public static BatchImportException TooManyLoans() => new(
+        "batchTooLarge",
+        $"Jedno obliczenie wsadowe może obejmować najwyżej {MaxLoans} kredytów.",
+        new Dictionary<string, string> { ["max"] = MaxLoans.ToString(CultureInfo.InvariantCulture) });
+
+    /// <summary>
+    /// Copies the entry into memory, stopping past <see cref="MaxZipEntryBytes"/> whatever size the archive declares.
+    /// </summary>
+    private static async Task<MemoryStream> ReadZipEntryAsync(ZipArchiveEntry entry)
+    {
+        var limit = (MaxZipEntryBytes / (1024 * 1024)).ToString(CultureInfo.InvariantCulture);
+        BatchImportException TooLarge() => new(
+            "batchEntryTooLarge",
+            $"Plik {entry.Name} jest za duży; pojedynczy plik może mieć najwyżej {limit} MB.",
+            new Dictionary<string, string> { ["file"] = entry.Name, ["limit"] = limit });
+
+        if (entry.Length > MaxZipEntryBytes)
+        {
+            throw TooLarge();
+        }
+
+        var buffer = new MemoryStream();
+        await using var entryStream = entry.Open();
+        var chunk = new byte[81920];
+        int read;
+        while ((read = await entryStream.ReadAsync(chunk)) > 0)
+        {
+            if (buffer.Length + read > MaxZipEntryBytes)
+            {
+                await buffer.DisposeAsync();
+                throw TooLarge();
+            }
+
+            buffer.Write(chunk, 0, read);
+        }
+
+        buffer.Position = 0;
+        return buffer;
+    }
+}
@@ -28,12 +28,20 @@ public class ExcelService
         CultureInfo.GetCultureInfo("en-GB")
     };
 
+    // Sheet with the schedule rolled up by month, quarter or year, added when an export asks for it
+    private const string AggregateSheetName = "Zestawienie okresowe";
+    private const string RecurringFeeSheetName = "Opłaty cykliczne";
+
     internal static readonly Dictionary<string, string> ParameterKeyAliases = new(StringComparer.OrdinalIgnoreCase)
     {
         ["Kwota netto"] = "NetValue",
         ["Marża"] = "MarginRate",
         ["Częstotliwość płatności"] = "PaymentFrequency",
         ["Dzień płatności"] = "PaymentDay",
+        ["Dzień miesiąca płatności"] = "PaymentDayOfMonth",
+        ["Konwencja dnia roboczego"] = "BusinessDayConvention",
+        ["Dodatkowe dni wolne"] = "ClosingDays",
+        ["Własne daty płatności"] = "CustomPaymentDates",
         ["Data początkowa"] = "CreditStartDate",
         ["Data końcowa"] = "CreditEndDate",
         ["Konwencja dni"] = "DayCountBasis",
@@ -57,6 +65,15 @@ public class ExcelService
     }
 
     public async Task<(CreditParameters Parameters, List<InterestRatePeriod> Rates)> ImportJsonAsync(Stream fileStream)
+    {
+        var request = await ImportJsonRequestAsync(fileStream);
+        return (request.Parameters, request.Rates);
+    }
+
+    /// <summary>
+    /// Reads a whole calculation request, keeping the prepayments that <see cref="ImportJsonAsync"/> leaves out.
+    /// </summary>
+    public async Task<CalculationRequest> ImportJsonRequestAsync(Stream fileStream)
     {
         var request = await JsonSerializer.DeserializeAsync<CalculationRequest>(fileStream, new JsonSerializerOptions
         {
@@ -69,18 +86,22 @@ public class ExcelService
             throw new InvalidOperationException("Nieprawidłowy plik JSON z parametrami lub stopami procentowymi.");
         }
 
-        return (request.Parameters, request.Rates);
+        request.Prepayments ??= new List<Prepayment>();
+        return request;
     }
 
-    public byte[] ExportJson(CreditParameters parameters, IEnumerable<InterestRatePeriod> rates, IEnumerable<ScheduleItem> schedule, decimal totalInterest, decimal annualPercentageRate)
+    public byte[] ExportJson(CreditParameters parameters, IEnumerable<InterestRatePeriod> rates, IEnumerable<Prepayment> prepayments, IEnumerable<ScheduleItem> schedule, decimal totalInterest, decimal annualPercentageRate, IReadOnlyList<ScheduleAggregate>? aggregates = null)
     {
+        // Parameters, rates and prepayments keep the file usable as a calculation request, e.g. in a batch upload
         var payload = new
         {
             parameters,
             rates,
+            prepayments,
             schedule,
             totalInterest,
-            annualPercentageRate
+            annualPercentageRate,
+            aggregates
         };
 
         return JsonSerializer.SerializeToUtf8Bytes(payload, new JsonSerializerOptions
@@ -90,7 +111,27 @@ public class ExcelService
         });
     }
 
-    public byte[] ExportXlsx(CreditParameters parameters, IEnumerable<InterestRatePeriod> rates, IEnumerable<ScheduleItem> schedule, decimal totalInterest, decimal annualPercentageRate)
+    public byte[] ExportBatchJson(IEnumerable<BatchLoanResult> loans)
+    {
+        var payload = loans.Select(loan => new
+        {
+            name = loan.Name,
+            error = loan.Error,
+            summary = loan.Summary,
+            parameters = loan.Calculation?.Parameters,
+            rates = loan.Calculation?.Rates,
+            prepayments = loan.Calculation?.Prepayments,
+            schedule = loan.Schedule?.Schedule
+        });
+
+        return JsonSerializer.SerializeToUtf8Bytes(payload, new JsonSerializerOptions
+        {
+            WriteIndented = true,
+            Converters = { new JsonStringEnumConverter() }
+        });
+    }
+
+    public byte[] ExportXlsx(CreditParameters parameters, IEnumerable<InterestRatePeriod> rates, IEnumerable<ScheduleItem> schedule, decimal totalInterest, decimal annualPercentageRate, IReadOnlyList<ScheduleAggregate>? aggregates = null)
     {
         using var workbook = new XLWorkbook();
         var parameterSheet = workbook.AddWorksheet("Parametry");
@@ -100,20 +141,32 @@ public class ExcelService
         WriteRates(rateSheet, rates);
 
         var scheduleSheet = workbook.AddWorksheet("Harmonogram");
-        WriteSchedule(scheduleSheet, schedule, totalInterest, annualPercentageRate);
+        WriteSchedule(scheduleSheet, schedule, totalInterest, annualPercentageRate, parameters.RecurringFees);
+
+        if (parameters.RecurringFees.Count > 0)
+        {
+            WriteRecurringFees(workbook.AddWorksheet(RecurringFeeSheetName), parameters.RecurringFees);
+        }
+
+        if (aggregates is not null)
+        {
+            WriteAggregates(workbook.AddWorksheet(AggregateSheetName), aggregates);
+        }
 
         using var stream = new MemoryStream();
         workbook.SaveAs(stream);
         return stream.ToArray();
     }
 
-    public byte[] ExportOds(CreditParameters parameters, IEnumerable<InterestRatePeriod> rates, IEnumerable<ScheduleItem> schedule, decimal totalInterest, decimal annualPercentageRate)
+    public byte[] ExportOds(CreditParameters parameters, IEnumerable<InterestRatePeriod> rates, IEnumerable<ScheduleItem> schedule, decimal totalInterest, decimal annualPercentageRate, IReadOnlyList<ScheduleAggregate>? aggregates = null)
     {
         var parameterRows = BuildParameterRows(parameters);
         var rateRows = BuildRateRows(rates);
-        var scheduleRows = BuildScheduleRows(schedule, totalInterest, annualPercentageRate);
+        var scheduleRows = BuildScheduleRows(schedule, totalInterest, annualPercentageRate, parameters.RecurringFees);
+        var feeRows = parameters.RecurringFees.Count > 0 ? BuildRecurringFeeRows(parameters.RecurringFees) : null;
+        var aggregateRows = aggregates is null ? null : BuildAggregateRows(aggregates);
 
-        var contentDocument = BuildOdsContent(parameterRows, rateRows, scheduleRows);
+        var contentDocument = BuildOdsContent(parameterRows, rateRows, scheduleRows, feeRows, aggregateRows);
         var manifest = BuildOdsManifest();
 
         using var stream = new MemoryStream();
@@ -141,6 +194,111 @@ public class ExcelService
         return stream.ToArray();
     }
 
+    /// <summary>
+    /// Reads a batch workbook: every worksheet is one loan, named after the sheet, with the parameters
+    /// in columns A–B and the rate periods in columns D–F (both with a header in the first row).
+    /// A sheet that cannot be read becomes a failed loan instead of failing the whole batch.
+    /// </summary>
+    public List<BatchLoanResult> ImportBatchXlsx(Stream fileStream)
+    {
+        using var workbook = new XLWorkbook(fileStream);
+        var loans = new List<BatchLoanResult>();
+
+        foreach (var worksheet in workbook.Worksheets)
+        {
+            var loan = new BatchLoanResult { Name = worksheet.Name };
+            try
+            {
+                var parameters = ReadParameters(worksheet);
+                var rates = ReadRates(worksheet, firstColumn: 4);
+                if (rates.Count == 0)
+                {
+                    throw new InvalidOperationException("Brak stóp procentowych w kolumnach D–F arkusza.");
+                }
+
+                loan.Calculation = new CalculationRequest { Parameters = parameters, Rates = rates };
+            }
+            catch (InvalidOperationException ex)
+            {
+                loan.Error = ex.Message;
+            }
+
+            loans.Add(loan);
+        }
+
+        return loans;
+    }
+
+    /// <summary>
+    /// Writes a summary sheet of the whole batch followed by the schedule of every calculated loan.
+    /// </summary>
+    public byte[] ExportBatchXlsx(IEnumerable<BatchLoanResult> loans)
+    {
+        using var workbook = new XLWorkbook();
+        var summarySheet = workbook.AddWorksheet("Podsumowanie");
+        var headers = new[] { "Kredyt", "Liczba rat", "Pierwsza rata", "Najwyższa rata", "Łączne odsetki", "Łączna kwota spłat", "RRSO (APR)", "Błąd" };
+        for (var column = 0; column < headers.Length; column++)
+        {
+            summarySheet.Cell(1, column + 1).Value = headers[column];
+            summarySheet.Cell(1, column + 1).Style.Font.Bold = true;
+        }
+
+        var usedSheetNames = new HashSet<string>(StringComparer.OrdinalIgnoreCase) { summarySheet.Name };
+        var row = 2;
+        foreach (var loan in loans)
+        {
+            summarySheet.Cell(row, 1).SetValue(loan.Name);
+            if (loan.Summary is { } summary)
+            {
+                summarySheet.Cell(row, 2).SetValue(summary.PaymentCount);
+                summarySheet.Cell(row, 3).SetValue(summary.FirstPayment);
+                summarySheet.Cell(row, 4).SetValue(summary.MaxPayment);
+                summarySheet.Cell(row, 5).SetValue(summary.TotalInterest);
+                summarySheet.Cell(row, 6).SetValue(summary.TotalPaid);
+                summarySheet.Cell(row, 7).SetValue(summary.AnnualPercentageRate);
+            }
+            summarySheet.Cell(row, 8).SetValue(loan.Error ?? string.Empty);
+
+            if (loan.Schedule is { } schedule)
+            {
+                var scheduleSheet = workbook.AddWorksheet(BuildUniqueSheetName(loan.Name, usedSheetNames));
+                WriteSchedule(
+                    scheduleSheet,
+                    schedule.Schedule,
+                    schedule.TotalInterest,
+                    schedule.AnnualPercentageRate,
+                    loan.Calculation?.Parameters.RecurringFees ?? new List<RecurringFee>());
+            }
+
+            row++;
+        }
+
+        summarySheet.Columns().AdjustToContents();
+
+        using var stream = new MemoryStream();
+        workbook.SaveAs(stream);
+        return stream.ToArray();
+    }
+
+    // Excel limits sheet names to 31 characters without : \ / ? * [ ]
+    private static string BuildUniqueSheetName(string name, ISet<string> usedNames)
+    {
+        var cleaned = new string(name.Select(character => ":\\/?*[]".Contains(character) ? '_' : character).ToArray()).Trim();
+        if (cleaned.Length == 0)
+        {
+            cleaned = "Kredyt";
+        }
+
+        var candidate = cleaned.Length > 31 ? cleaned[..31] : cleaned;
+        for (var suffix = 2; !usedNames.Add(candidate); suffix++)
+        {
+            var ending = $" ({suffix})";
+            candidate = (cleaned.Length > 31 - ending.Length ? cleaned[..(31 - ending.Length)] : cleaned) + ending;
+        }
+
+        return candidate;
+    }
+
     private static (CreditParameters Parameters, List<InterestRatePeriod> Rates) ImportXlsx(Stream fileStream)
     {
         using var workbook = new XLWorkbook(fileStream);
@@ -181,6 +339,10 @@ public class ExcelService
             MarginRate = ParseDecimal(parameterMap, "MarginRate", required: true),
             PaymentFrequency = ParseEnum(parameterMap, "PaymentFrequency", PaymentFrequency.Monthly, required: true),
             PaymentDay = ParseEnum(parameterMap, "PaymentDay", PaymentDayOption.LastOfMonth, required: true),
+            PaymentDayOfMonth = ParseInt(parameterMap, "PaymentDayOfMonth", 1),
+            BusinessDayConvention = ParseEnum(parameterMap, "BusinessDayConvention", BusinessDayConvention.None),
+            ClosingDays = ParseDateList(parameterMap, "ClosingDays"),
+            CustomPaymentDates = ParseDateList(parameterMap, "CustomPaymentDates"),
             CreditStartDate = ParseDate(parameterMap, "CreditStartDate", required: true),
             CreditEndDate = ParseDate(parameterMap, "CreditEndDate", required: true),
             DayCountBasis = ParseEnum(parameterMap, "DayCountBasis", DayCountBasis.Actual365, required: true),
@@ -228,6 +390,10 @@ public class ExcelService
             MarginRate = ParseDecimal(parameterMap, "MarginRate", required: true),
             PaymentFrequency = ParseEnum(parameterMap, "PaymentFrequency", PaymentFrequency.Monthly, required: true),
             PaymentDay = ParseEnum(parameterMap, "PaymentDay", PaymentDayOption.LastOfMonth, required: true),
+            PaymentDayOfMonth = ParseInt(parameterMap, "PaymentDayOfMonth", 1),
+            BusinessDayConvention = ParseEnum(parameterMap, "BusinessDayConvention", BusinessDayConvention.None),
+            ClosingDays = ParseDateList(parameterMap, "ClosingDays"),
+            CustomPaymentDates = ParseDateList(parameterMap, "CustomPaymentDates"),
             CreditStartDate = ParseDate(parameterMap, "CreditStartDate", required: true),
             CreditEndDate = ParseDate(parameterMap, "CreditEndDate", required: true),
             DayCountBasis = ParseEnum(parameterMap, "DayCountBasis", DayCountBasis.Actual365, required: true),
@@ -252,6 +418,10 @@ public class ExcelService
             ("MarginRate", "Marża", parameters.MarginRate),
             ("PaymentFrequency", "Częstotliwość płatności", parameters.PaymentFrequency),
             ("PaymentDay", "Dzień płatności", parameters.PaymentDay),
+            ("PaymentDayOfMonth", "Dzień miesiąca płatności", parameters.PaymentDayOfMonth),
+            ("BusinessDayConvention", "Konwencja dnia roboczego", parameters.BusinessDayConvention),
+            ("ClosingDays", "Dodatkowe dni wolne", FormatDateList(parameters.ClosingDays)),
+            ("CustomPaymentDates", "Własne daty płatności", FormatDateList(parameters.CustomPaymentDates)),
             ("CreditStartDate", "Data początkowa", parameters.CreditStartDate),
             ("CreditEndDate", "Data końcowa", parameters.CreditEndDate),
             ("DayCountBasis", "Konwencja dni", parameters.DayCountBasis),
@@ -268,6 +438,7 @@ public class ExcelService
         {
             ["PaymentFrequency"] = Enum.GetNames<PaymentFrequency>(),
             ["PaymentDay"] = Enum.GetNames<PaymentDayOption>(),
+            ["BusinessDayConvention"] = Enum.GetNames<BusinessDayConvention>(),
             ["DayCountBasis"] = Enum.GetNames<DayCountBasis>(),
             ["RoundingMode"] = Enum.GetNames<RoundingModeOption>(),
             ["PaymentType"] = Enum.GetNames<PaymentType>(),
@@ -308,16 +479,16 @@ public class ExcelService
         sheet.Columns().AdjustToContents();
     }
 
-    private static List<InterestRatePeriod> ReadRates(IXLWorksheet worksheet)
+    private static List<InterestRatePeriod> ReadRates(IXLWorksheet worksheet, int firstColumn = 1)
     {
         var rows = new List<InterestRatePeriod>();
         var currentRow = 2;
 
-        while (!worksheet.Cell(currentRow, 1).IsEmpty())
+        while (!worksheet.Cell(currentRow, firstColumn).IsEmpty())
         {
-            var fromCell = worksheet.Cell(currentRow, 1);
-            var toCell = worksheet.Cell(currentRow, 2);
-            var rateCell = worksheet.Cell(currentRow, 3);
+            var fromCell = worksheet.Cell(currentRow, firstColumn);
+            var toCell = worksheet.Cell(currentRow, firstColumn + 1);
+            var rateCell = worksheet.Cell(currentRow, firstColumn + 2);
 
             if (fromCell.IsEmpty() || toCell.IsEmpty() ||
                 !TryGetDate(fromCell, out var from) ||
@@ -410,7 +581,7 @@ public class ExcelService
         worksheet.Columns().AdjustToContents();
     }
 
-    private static void WriteSchedule(IXLWorksheet worksheet, IEnumerable<ScheduleItem> schedule, decimal totalInterest, decimal apr)
+    private static void WriteSchedule(IXLWorksheet worksheet, IEnumerable<ScheduleItem> schedule, decimal totalInterest, decimal apr, IReadOnlyList<RecurringFee> fees)
     {
         worksheet.Cell(1, 1).Value = "Data płatności";
         worksheet.Cell(1, 2).Value = "Dni w okresie";
@@ -419,6 +590,13 @@ public class ExcelService
         worksheet.Cell(1, 5).Value = "Spłata kapitału";
         worksheet.Cell(1, 6).Value = "Łączna płatność";
         worksheet.Cell(1, 7).Value = "Pozostały kapitał";
+        worksheet.Cell(1, 8).Value = "Nadpłata";
+
+        var feeHeaders = BuildFeeHeaders(fees);
+        for (var column = 0; column < feeHeaders.Count; column++)
+        {
+            worksheet.Cell(1, 9 + column).Value = feeHeaders[column];
+        }
 
         var row = 2;
         foreach (var item in schedule)
@@ -430,6 +608,14 @@ public class ExcelService
             worksheet.Cell(row, 5).SetValue(item.PrincipalPayment);
             worksheet.Cell(row, 6).SetValue(item.TotalPayment);
             worksheet.Cell(row, 7).SetValue(item.RemainingPrincipal);
+            worksheet.Cell(row, 8).SetValue(item.PrepaymentAmount);
+
+            var feeValues = BuildFeeValues(item, fees);
+            for (var column = 0; column < feeValues.Count; column++)
+            {
+                worksheet.Cell(row, 9 + column).SetValue(feeValues[column]);
+            }
+
             row++;
         }
 
@@ -447,6 +633,149 @@ public class ExcelService
         worksheet.Columns().AdjustToContents();
     }
 
+    // One column per recurring fee followed by their sum; no columns for a credit without fees
+    private static List<string> BuildFeeHeaders(IReadOnlyList<RecurringFee> fees)
+    {
+        if (fees.Count == 0)
+        {
+            return new List<string>();
+        }
+
+        return fees
+            .Select((fee, index) => fee.GetDisplayName(index))
+            .Append("Opłaty razem")
+            .ToList();
+    }
+
+    private static List<decimal> BuildFeeValues(ScheduleItem item, IReadOnlyList<RecurringFee> fees)
+    {
+        if (fees.Count == 0)
+        {
+            return new List<decimal>();
+        }
+
+        return Enumerable.Range(0, fees.Count)
+            .Select(index => index < item.FeeAmounts.Count ? item.FeeAmounts[index] : 0m)
+            .Append(item.FeeAmount)
+            .ToList();
+    }
+
+    private static readonly string[] RecurringFeeHeaders = { "Nazwa", "Rodzaj", "Wartość", "Częstotliwość", "Od", "Do" };
+
+    private static void WriteRecurringFees(IXLWorksheet worksheet, IReadOnlyList<RecurringFee> fees)
+    {
+        for (var column = 0; column < RecurringFeeHeaders.Length; column++)
+        {
+            worksheet.Cell(1, column + 1).Value = RecurringFeeHeaders[column];
+        }
+
+        var row = 2;
+        for (var index = 0; index < fees.Count; index++)
+        {
+            var fee = fees[index];
+            worksheet.Cell(row, 1).Value = fee.GetDisplayName(index);
+            worksheet.Cell(row, 2).Value = fee.Type.ToString();
+            worksheet.Cell(row, 3).SetValue(fee.Value);
+            worksheet.Cell(row, 4).Value = fee.Frequency.ToString();
+            if (fee.DateFrom is { } dateFrom)
+            {
+                worksheet.Cell(row, 5).SetValue(dateFrom);
+            }
+            if (fee.DateTo is { } dateTo)
+            {
+                worksheet.Cell(row, 6).SetValue(dateTo);
+            }
+            row++;
+        }
+
+        worksheet.Columns().AdjustToContents();
+    }
+
+    private static List<List<OdsCell>> BuildRecurringFeeRows(IReadOnlyList<RecurringFee> fees)
+    {
+        var rows = new List<List<OdsCell>>
+        {
+            RecurringFeeHeaders.Select(header => new OdsCell(header)).ToList()
+        };
+
+        for (var index = 0; index < fees.Count; index++)
+        {
+            var fee = fees[index];
+            rows.Add(new List<OdsCell>
+            {
+                new(fee.GetDisplayName(index)),
+                new(fee.Type.ToString()),
+                new OdsCell(fee.Value),
+                new(fee.Frequency.ToString()),
+                fee.DateFrom is { } dateFrom ? new OdsCell(dateFrom) : new OdsCell(string.Empty),
+                fee.DateTo is { } dateTo ? new OdsCell(dateTo) : new OdsCell(string.Empty)
+            });
+        }
+
+        return rows;
+    }
+
+    private static readonly string[] AggregateHeaders =
+    {
+        "Okres", "Od", "Do", "Liczba rat", "Odsetki", "Spłata kapitału", "Łączna płatność", "Nadpłata",
+        "Kapitał na początku", "Kapitał na końcu", "Średnia ważona stopa %"
+    };
+
+    private static void WriteAggregates(IXLWorksheet worksheet, IEnumerable<ScheduleAggregate> aggregates)
+    {
+        for (var column = 0; column < AggregateHeaders.Length; column++)
+        {
+            worksheet.Cell(1, column + 1).Value = AggregateHeaders[column];
+        }
+
+        var row = 2;
+        foreach (var aggregate in aggregates)
+        {
+            worksheet.Cell(row, 1).Value = aggregate.Label;
+            worksheet.Cell(row, 2).SetValue(aggregate.PeriodStart);
+            worksheet.Cell(row, 3).SetValue(aggregate.PeriodEnd);
+            worksheet.Cell(row, 4).SetValue(aggregate.PaymentCount);
+            worksheet.Cell(row, 5).SetValue(aggregate.InterestAmount);
+            worksheet.Cell(row, 6).SetValue(aggregate.PrincipalPayment);
+            worksheet.Cell(row, 7).SetValue(aggregate.TotalPayment);
+            worksheet.Cell(row, 8).SetValue(aggregate.PrepaymentAmount);
+            worksheet.Cell(row, 9).SetValue(aggregate.OpeningBalance);
+            worksheet.Cell(row, 10).SetValue(aggregate.ClosingBalance);
+            worksheet.Cell(row, 11).SetValue(aggregate.WeightedAverageRate);
+            row++;
+        }
+
+        worksheet.Columns().AdjustToContents();
+    }
+
+    private static List<List<OdsCell>> BuildAggregateRows(IEnumerable<ScheduleAggregate> aggregates)
+    {
+        var rows = new List<List<OdsCell>>
+        {
+            AggregateHeaders.Select(header => new OdsCell(header)).ToList()
+        };
+
+        foreach (var aggregate in aggregates)
+        {
+            rows.Add(new List<OdsCell>
+            {
+                new(aggregate.Label),
+                new(aggregate.PeriodStart),
+                new(aggregate.PeriodEnd),
+                new OdsCell(aggregate.PaymentCount),
+                new OdsCell(aggregate.InterestAmount),
+                new OdsCell(aggregate.PrincipalPayment),
+                new OdsCell(aggregate.TotalPayment),
+                new OdsCell(aggregate.PrepaymentAmount),
+                new OdsCell(aggregate.OpeningBalance),
+                new OdsCell(aggregate.ClosingBalance),
+                new OdsCell(aggregate.WeightedAverageRate)
+            });
+        }
+
+        return rows;
+    }
+
     private static List<List<OdsCell>> BuildParameterRows(CreditParameters parameters)
     {
         var rows = new List<List<OdsCell>>
@@ -460,6 +789,10 @@ public class ExcelService
             ("Marża", parameters.MarginRate),
             ("Częstotliwość płatności", parameters.PaymentFrequency),
             ("Dzień płatności", parameters.PaymentDay),
+            ("Dzień miesiąca płatności", parameters.PaymentDayOfMonth),
+            ("Konwencja dnia roboczego", parameters.BusinessDayConvention),
+            ("Dodatkowe dni wolne", FormatDateList(parameters.ClosingDays)),
+            ("Własne daty płatności", FormatDateList(parameters.CustomPaymentDates)),
             ("Data początkowa", parameters.CreditStartDate),
             ("Data końcowa", parameters.CreditEndDate),
             ("Konwencja dni", parameters.DayCountBasis),
@@ -504,7 +837,7 @@ public class ExcelService
         return rows;
     }
 
-    private static List<List<OdsCell>> BuildScheduleRows(IEnumerable<ScheduleItem> schedule, decimal totalInterest, decimal apr)
+    private static List<List<OdsCell>> BuildScheduleRows(IEnumerable<ScheduleItem> schedule, decimal totalInterest, decimal apr, IReadOnlyList<RecurringFee> fees)
     {
         var rows = new List<List<OdsCell>>
         {
@@ -516,9 +849,11 @@ public class ExcelService
                 new OdsCell("Odsetki"),
                 new OdsCell("Spłata kapitału"),
                 new OdsCell("Łączna płatność"),
-                new OdsCell("Pozostały kapitał")
+                new OdsCell("Pozostały kapitał"),
+                new OdsCell("Nadpłata")
             }
         };
+        rows[0].AddRange(BuildFeeHeaders(fees).Select(header => new OdsCell(header)));
 
         foreach (var item in schedule)
         {
@@ -530,8 +865,10 @@ public class ExcelService
                 new OdsCell(item.InterestAmount),
                 new OdsCell(item.PrincipalPayment),
                 new OdsCell(item.TotalPayment),
-                new OdsCell(item.RemainingPrincipal)
+                new OdsCell(item.RemainingPrincipal),
+                new OdsCell(item.PrepaymentAmount)
             });
+            rows[^1].AddRange(BuildFeeValues(item, fees).Select(value => new OdsCell(value)));
         }
 
         rows.Add(new List<OdsCell> { new("Łączne odsetki"), new(totalInterest) });
@@ -540,7 +877,7 @@ public class ExcelService
         return rows;
     }
 
-    private static string BuildOdsContent(List<List<OdsCell>> parameterRows, List<List<OdsCell>> rateRows, List<List<OdsCell>> scheduleRows)
+    private static string BuildOdsContent(List<List<OdsCell>> parameterRows, List<List<OdsCell>> rateRows, List<List<OdsCell>> scheduleRows, List<List<OdsCell>>? feeRows, List<List<OdsCell>>? aggregateRows)
     {
         XNamespace office = "urn:oasis:names:tc:opendocument:xmlns:office:1.0";
         XNamespace table = "urn:oasis:names:tc:opendocument:xmlns:table:1.0";
@@ -558,7 +895,9 @@ public class ExcelService
                     new XElement(office + "spreadsheet",
                         BuildOdsTable("Parametry", parameterRows, table, text),
                         BuildOdsTable("Stopy procentowe", rateRows, table, text),
-                        BuildOdsTable("Harmonogram", scheduleRows, table, text))
+                        BuildOdsTable("Harmonogram", scheduleRows, table, text),
+                        feeRows is null ? null : BuildOdsTable(RecurringFeeSheetName, feeRows, table, text),
+                        aggregateRows is null ? null : BuildOdsTable(AggregateSheetName, aggregateRows, table, text))
                 )));
 
         return document.ToString(System.Xml.Linq.SaveOptions.DisableFormatting);
@@ -770,6 +1109,26 @@ public class ExcelService
         return false;
     }
 
+    // Closing days are kept in one cell as a list of dates separated by commas or semicolons
+    private static List<DateTime> ParseDateList(IDictionary<string, string> parameters, string key)
+    {
+        if (!parameters.TryGetValue(key, out var value) || string.IsNullOrWhiteSpace(value))
+        {
+            return new List<DateTime>();
+        }
+
+        return value.Split(new[] { ',', ';' }, StringSplitOptions.RemoveEmptyEntries | StringSplitOptions.TrimEntries)
+            .Select(part => TryParseDateString(part, out var date)
+                ? date
+                : throw new InvalidOperationException($"Nie można odczytać daty \"{part}\" dla parametru {key}."))
+            .ToList();
+    }
+
+    internal static string FormatDateList(IEnumerable<DateTime> dates)
+    {
+        return string.Join(", ", dates.Select(date => date.ToString("yyyy-MM-dd", CultureInfo.InvariantCulture)));
+    }
+
     private static TEnum ParseEnum<TEnum>(IDictionary<string, string> parameters, string key, TEnum defaultValue, bool required = false) where TEnum : struct
     {
         if (!parameters.TryGetValue(key, out var value) || string.IsNullOrWhiteSpace(value))
@@ -0,0 +1,222 @@
+using CreditTool.Models;
+using CreditTool.Services.ScheduleCalculation;
+
+namespace CreditTool.Services;
+
+/// <summary>
+/// Searches for the net value, term or margin at which an installment, the total interest or the APR
+/// reaches a target value. Each figure moves in one direction as the variable grows, so the search
+/// bisects between a bound that stays within the target and one that exceeds it, and returns the
+/// value closest to the target without exceeding it.
+/// </summary>
+public static class GoalSeekSolver
+{
+    private const int MaxIterations = 100;
+    private const decimal DefaultMinimumNetValue = 1m;
+    private const decimal DefaultMaximumNetValue = 100_000_000m;
+    private const decimal DefaultMinimumMarginRate = 0m;
+    private const decimal DefaultMaximumMarginRate = 20m;
+    private const int DefaultMaximumTermMonths = 600;
+
+    /// <param name="request">The starting calculation, the searched variable and the target.</param>
+    /// <param name="calculate">Calculates one candidate; the flag asks for the calculation log.</param>
+    public static GoalSeekResponse Solve(
+        GoalSeekRequest request,
+        Func<CalculationRequest, bool, ScheduleResponse> calculate)
+    {
+        if (request.TargetValue <= 0m)
+        {
+            throw new CalculationValidationException("goalSeekTarget", "Wartość docelowa wyszukiwania musi być większa od zera.");
+        }
+
+        var resolution = GetResolution(request);
+        var (lower, upper) = ResolveBounds(request, resolution);
+        if (lower >= upper)
+        {
+            throw new CalculationValidationException("goalSeekBounds", "Dolna granica wyszukiwania musi być mniejsza niż górna.");
+        }
+
+        var steps = new List<GoalSeekStep>();
+        GoalSeekStep Evaluate(decimal value)
+        {
+            var candidate = BuildCandidate(request, value);
+            var result = Measure(calculate(candidate, false), request.Target, candidate.Parameters.RoundingMode);
+            var step = new GoalSeekStep
+            {
+                Iteration = steps.Count + 1,
+                Value = request.Variable == GoalSeekVariable.CreditEndDate ? null : value,
+                CreditEndDate = candidate.Parameters.CreditEndDate,
+                Result = result,
+                WithinTarget = result <= request.TargetValue
+            };
+            steps.Add(step);
+            return step;
+        }
+
+        var lowerStep = Evaluate(lower);
+        var upperStep = Evaluate(upper);
+
+        decimal answer;
+        var converged = lowerStep.WithinTarget != upperStep.WithinTarget;
+        if (!converged)
+        {
+            // The target lies outside the range: report the bound that comes closest to it
+            answer = Math.Abs(lowerStep.Result - request.TargetValue) <= Math.Abs(upperStep.Result - request.TargetValue)
+                ? lower
+                : upper;
+        }
+        else
+        {
+            var lowerWithin = lowerStep.WithinTarget;
+            while (upper - lower > resolution && steps.Count < MaxIterations)
+            {
+                var middle = Snap((lower + upper) / 2m, resolution);
+                if (middle <= lower || middle >= upper)
+                {
+                    break;
+                }
+
+                var step = Evaluate(middle);
+                if (step.WithinTarget == lowerWithin)
+                {
+                    lower = middle;
+                }
+                else
+                {
+                    upper = middle;
+                }
+            }
+
+            answer = lowerWithin ? lower : upper;
+        }
+
+        var solved = BuildCandidate(request, answer);
+        var schedule = calculate(solved, true);
+
+        return new GoalSeekResponse
+        {
+            Converged = converged,
+            Calculation = solved,
+            Result = Measure(schedule, request.Target, solved.Parameters.RoundingMode),
+            Steps = steps,
+            Schedule = schedule
+        };
+    }
+
+    /// <summary>
+    /// Smallest change of the variable worth trying: a cent, a hundredth of a basis point, or one payment period in months.
+    /// </summary>
+    private static decimal GetResolution(GoalSeekRequest request)
+    {
+        return request.Variable switch
+        {
+            GoalSeekVariable.NetValue => 0.01m,
+            GoalSeekVariable.MarginRate => 0.0001m,
+            GoalSeekVariable.CreditEndDate => request.Calculation.Parameters.PaymentFrequency switch
+            {
+                PaymentFrequency.Quarterly => 3m,
+                PaymentFrequency.SemiAnnual => 6m,
+                PaymentFrequency.Annual => 12m,
+                _ => 1m
+            },
+            _ => throw new CalculationValidationException("goalSeekVariable", $"Nieobsługiwana wartość wyszukiwania: {request.Variable}.")
+        };
+    }
+
+    private static (decimal Lower, decimal Upper) ResolveBounds(GoalSeekRequest request, decimal resolution)
+    {
+        var (defaultLower, defaultUpper) = request.Variable switch
+        {
+            GoalSeekVariable.NetValue => (DefaultMinimumNetValue, DefaultMaximumNetValue),
+            GoalSeekVariable.MarginRate => (DefaultMinimumMarginRate, DefaultMaximumMarginRate),
+            // The term has to leave at least one installment after the grace period
+            _ => (resolution * (request.Calculation.Parameters.GracePeriodMonths + 1), DefaultMaximumTermMonths)
+        };
+
+        return (Snap(request.Minimum ?? defaultLower, resolution), Snap(request.Maximum ?? defaultUpper, resolution));
+    }
+
+    private static decimal Snap(decimal value, decimal resolution)
+    {
+        return Math.Round(value / resolution, MidpointRounding.AwayFromZero) * resolution;
+    }
+
+    private static CalculationRequest BuildCandidate(GoalSeekRequest request, decimal value)
+    {
+        var source = request.Calculation;
+        var parameters = source.Parameters.Clone();
+        var rates = source.Rates;
+        var prepayments = source.Prepayments;
+
+        switch (request.Variable)
+        {
+            case GoalSeekVariable.NetValue:
+                parameters.NetValue = value;
+                break;
+            case GoalSeekVariable.MarginRate:
+                parameters.MarginRate = value;
+                break;
+            case GoalSeekVariable.CreditEndDate:
+                parameters.CreditEndDate = parameters.CreditStartDate.AddMonths((int)value);
+                rates = AlignRatesToEndDate(rates, parameters.CreditEndDate);
+                // Prepayments planned after a shorter term's end can no longer be made
+                prepayments = prepayments.Where(prepayment => prepayment.Date.Date <= parameters.CreditEndDate.Date).ToList();
+                parameters.CustomPaymentDates = parameters.CustomPaymentDates
+                    .Where(date => date.Date <= parameters.CreditEndDate.Date)
+                    .ToList();
+                parameters.RecurringFees = ClipFeesToEndDate(parameters.RecurringFees, parameters.CreditEndDate);
+                break;
+        }
+
+        return new CalculationRequest { Parameters = parameters, Rates = rates, Prepayments = prepayments };
+    }
+
+    /// <summary>
+    /// Drops the periods starting after the new end date and stretches or cuts the last one to end on it.
+    /// </summary>
+    private static List<InterestRatePeriod> AlignRatesToEndDate(IEnumerable<InterestRatePeriod> rates, DateTime endDate)
+    {
+        var aligned = rates
+            .Where(rate => rate.DateFrom.Date < endDate.Date)
+            .OrderBy(rate => rate.DateFrom)
+            .Select(rate => new InterestRatePeriod { DateFrom = rate.DateFrom, DateTo = rate.DateTo, Rate = rate.Rate })
+            .ToList();
+
+        if (aligned.Count > 0)
+        {
+            aligned[^1].DateTo = endDate;
+        }
+
+        return aligned;
+    }
+
+    /// <summary>
+    /// Drops the fees starting after the new end date and ends the others no later than on it.
+    /// </summary>
+    private static List<RecurringFee> ClipFeesToEndDate(IEnumerable<RecurringFee> fees, DateTime endDate)
+    {
+        var clipped = fees
+            .Where(fee => fee.DateFrom is not { } dateFrom || dateFrom.Date <= endDate.Date)
+            .ToList();
+
+        foreach (var fee in clipped.Where(fee => fee.DateTo?.Date > endDate.Date))
+        {
+            fee.DateTo = endDate;
+        }
+
+        return clipped;
+    }
+
+    private static decimal Measure(ScheduleResponse response, GoalSeekTarget target, RoundingModeOption roundingMode)
+    {
+        return target switch
+        {
+            GoalSeekTarget.Installment => response.TargetLevelPayment is { } levelPayment
+                ? RoundingService.Round(levelPayment, roundingMode, 2)
+                : response.Schedule.Select(item => item.TotalPayment).DefaultIfEmpty(0m).Max(),
+            GoalSeekTarget.TotalInterest => response.TotalInterest,
+            GoalSeekTarget.AnnualPercentageRate => response.AnnualPercentageRate,
+            _ => throw new CalculationValidationException("goalSeekTargetKind", $"Nieobsługiwany cel wyszukiwania: {target}.")
+        };
+    }
+}
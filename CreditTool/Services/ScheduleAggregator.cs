@@ -0,0 +1,114 @@
+using CreditTool.Models;
+
+namespace CreditTool.Services;
+
+/// <summary>
+/// Rolls a schedule up by calendar month, quarter or year.
+/// </summary>
+public static class ScheduleAggregator
+{
+    private const int RateDecimals = 6;
+
+    public static List<ScheduleAggregate> Aggregate(IReadOnlyList<ScheduleItem> schedule, ScheduleAggregationPeriod period)
+    {
+        var aggregates = new List<ScheduleAggregate>();
+        if (schedule.Count == 0)
+        {
+            return aggregates;
+        }
+
+        // The schedule does not carry the balance before the first payment, so it is rebuilt from that payment
+        var first = schedule[0];
+        var openingBalance = first.RemainingPrincipal + first.PrincipalPayment + first.PrepaymentAmount;
+
+        ScheduleAggregate? current = null;
+        decimal rateWeight = 0m;
+        decimal weightedRate = 0m;
+        decimal dayWeightedRate = 0m;
+        var days = 0;
+
+        void Close()
+        {
+            if (current is null)
+            {
+                return;
+            }
+
+            // Periods without an outstanding balance fall back to weighting by days only
+            var averageRate = rateWeight > 0m
+                ? weightedRate / rateWeight
+                : days > 0 ? dayWeightedRate / days : 0m;
+            current.WeightedAverageRate = Math.Round(averageRate, RateDecimals);
+            aggregates.Add(current);
+        }
+
+        foreach (var item in schedule)
+        {
+            var periodStart = GetPeriodStart(item.PaymentDate, period);
+            if (current is null || current.PeriodStart != periodStart)
+            {
+                Close();
+                current = new ScheduleAggregate
+                {
+                    Label = FormatLabel(periodStart, period),
+                    PeriodStart = periodStart,
+                    PeriodEnd = GetPeriodEnd(periodStart, period),
+                    OpeningBalance = openingBalance
+                };
+                rateWeight = weightedRate = dayWeightedRate = 0m;
+                days = 0;
+            }
+
+            current.PaymentCount++;
+            current.InterestAmount += item.InterestAmount;
+            current.PrincipalPayment += item.PrincipalPayment;
+            current.TotalPayment += item.TotalPayment;
+            current.PrepaymentAmount += item.PrepaymentAmount;
+            current.ClosingBalance = item.RemainingPrincipal;
+
+            var weight = openingBalance * item.DaysInPeriod;
+            rateWeight += weight;
+            weightedRate += item.InterestRate * weight;
+            dayWeightedRate += item.InterestRate * item.DaysInPeriod;
+            days += item.DaysInPeriod;
+
+            openingBalance = item.RemainingPrincipal;
+        }
+
+        Close();
+        return aggregates;
+    }
+
+    private static DateTime GetPeriodStart(DateTime date, ScheduleAggregationPeriod period)
+    {
+        return period switch
+        {
+            ScheduleAggregationPeriod.Month => new DateTime(date.Year, date.Month, 1),
+            ScheduleAggregationPeriod.Quarter => new DateTime(date.Year, (date.Month - 1) / 3 * 3 + 1, 1),
+            ScheduleAggregationPeriod.Year => new DateTime(date.Year, 1, 1),
+            _ => throw new ArgumentException($"Unsupported aggregation period: {period}")
+        };
+    }
+
+    private static DateTime GetPeriodEnd(DateTime periodStart, ScheduleAggregationPeriod period)
+    {
+        var months = period switch
+        {
+            ScheduleAggregationPeriod.Month => 1,
+            ScheduleAggregationPeriod.Quarter => 3,
+            _ => 12
+        };
+
+        return periodStart.AddMonths(months).AddDays(-1);
+    }
+
+    private static string FormatLabel(DateTime periodStart, ScheduleAggregationPeriod period)
+    {
+        return period switch
+        {
+            ScheduleAggregationPeriod.Month => periodStart.ToString("yyyy-MM"),
+            ScheduleAggregationPeriod.Quarter => $"{periodStart.Year}-Q{(periodStart.Month - 1) / 3 + 1}",
+            _ => periodStart.Year.ToString()
+        };
+    }
+}
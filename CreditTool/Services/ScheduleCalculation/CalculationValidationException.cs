@@ -0,0 +1,35 @@
+namespace CreditTool.Services.ScheduleCalculation;
+
+/// <summary>
+/// Input rejected by <see cref="ScheduleCalculator"/>. Besides the message it names the failed check,
+/// so the UI can highlight the offending field and describe the problem in its own language.
+/// </summary>
+public class CalculationValidationException : ArgumentException
+{
+    public CalculationValidationException(
+        string code,
+        string message,
+        int? index = null,
+        IReadOnlyDictionary<string, string>? values = null)
+        : base(message)
+    {
+        Code = code;
+        Index = index;
+        Values = values ?? new Dictionary<string, string>();
+    }
+
+    /// <summary>
+    /// The failed check, e.g. creditEndOrder, rateGap or feeDateRange.
+    /// </summary>
+    public string Code { get; }
+
+    /// <summary>
+    /// Zero-based position of the offending prepayment, recurring fee or custom payment date in its list.
+    /// </summary>
+    public int? Index { get; }
+
+    /// <summary>
+    /// Values quoted in the message, keyed by name.
+    /// </summary>
+    public IReadOnlyDictionary<string, string> Values { get; }
+}
@@ -14,10 +14,12 @@ public interface IScheduleCalculator
     /// <param name="ratePeriods">Collection of interest rate periods over the loan duration.</param>
     /// <param name="configuration">Optional configuration for calculation behavior.</param>
     /// <param name="includeLog">Whether to include detailed calculation logs.</param>
+    /// <param name="prepayments">Optional extra payments applied on top of the regular installments.</param>
     /// <returns>The complete schedule calculation result including items, logs, and warnings.</returns>
     ScheduleCalculationResult Calculate(
         CreditParameters parameters,
         IReadOnlyCollection<InterestRatePeriod> ratePeriods,
         CalculatorConfiguration? configuration = null,
-        bool includeLog = false);
+        bool includeLog = false,
+        IReadOnlyCollection<Prepayment>? prepayments = null);
 }
@@ -0,0 +1,108 @@
+using CreditTool.Models;
+
+namespace CreditTool.Services.ScheduleCalculation;
+
+/// <summary>
+/// Assigns the charges of every recurring fee to the installments that collect them: a charge is
+/// collected with the first installment on or after its date.
+/// </summary>
+internal sealed class RecurringFeeSchedule
+{
+    private readonly CreditParameters _parameters;
+
+    // Number of charges each installment collects, per fee
+    private readonly int[][] _chargeCounts;
+
+    private RecurringFeeSchedule(CreditParameters parameters, int[][] chargeCounts)
+    {
+        _parameters = parameters;
+        _chargeCounts = chargeCounts;
+    }
+
+    public static RecurringFeeSchedule Create(CreditParameters parameters, IReadOnlyList<DateTime> paymentDates)
+    {
+        var chargeCounts = parameters.RecurringFees
+            .Select(fee => CountCharges(fee, parameters, paymentDates))
+            .ToArray();
+
+        return new RecurringFeeSchedule(parameters, chargeCounts);
+    }
+
+    /// <summary>
+    /// Amounts of every fee collected with one installment, in the order of CreditParameters.RecurringFees.
+    /// </summary>
+    /// <param name="paymentIndex">Zero-based installment number.</param>
+    /// <param name="openingBalance">Principal outstanding before the installment, the base of percentage fees.</param>
+    public List<decimal> GetFees(int paymentIndex, decimal openingBalance)
+    {
+        return _parameters.RecurringFees
+            .Select((fee, feeIndex) =>
+            {
+                var charges = _chargeCounts[feeIndex][paymentIndex];
+                if (charges == 0)
+                {
+                    return 0m;
+                }
+
+                var charge = fee.Type == RecurringFeeType.BalancePercentage
+                    ? Math.Max(openingBalance, 0m) * fee.Value / 100m
+                    : fee.Value;
+
+                return RoundingService.Round(charge * charges, _parameters.RoundingMode, _parameters.RoundingDecimals);
+            })
+            .ToList();
+    }
+
+    private static int[] CountCharges(RecurringFee fee, CreditParameters parameters, IReadOnlyList<DateTime> paymentDates)
+    {
+        var counts = new int[paymentDates.Count];
+        var firstCharge = (fee.DateFrom ?? parameters.CreditStartDate).Date;
+
+        if (fee.Frequency == RecurringFeeFrequency.EveryInstallment)
+        {
+            var lastDate = (fee.DateTo ?? parameters.CreditEndDate).Date;
+            for (var index = 0; index < paymentDates.Count; index++)
+            {
+                var paymentDate = paymentDates[index].Date;
+                counts[index] = paymentDate >= firstCharge && paymentDate <= lastDate ? 1 : 0;
+            }
+
+            return counts;
+        }
+
+        var months = fee.Frequency switch
+        {
+            RecurringFeeFrequency.Monthly => 1,
+            RecurringFeeFrequency.Quarterly => 3,
+            RecurringFeeFrequency.Annually => 12,
+            _ => throw new ArgumentException($"Unsupported recurring fee frequency: {fee.Frequency}")
+        };
+
+        // No charge period starts on the end date unless the fee's range says so
+        var lastCharge = fee.DateTo?.Date ?? parameters.CreditEndDate.Date.AddDays(-1);
+        var paymentIndex = 0;
+        for (var charge = 0; ; charge++)
+        {
+            // Counted from the first charge each time, so a clamped month end does not drift (31.01 → 29.02 → 31.03)
+            var chargeDate = firstCharge.AddMonths(charge * months);
+            if (chargeDate > lastCharge)
+            {
+                break;
+            }
+
+            while (paymentIndex < paymentDates.Count && paymentDates[paymentIndex].Date < chargeDate)
+            {
+                paymentIndex++;
+            }
+
+            if (paymentIndex == paymentDates.Count)
+            {
+                break;
+            }
+
+            counts[paymentIndex]++;
+        }
+
+        return counts;
+    }
+}
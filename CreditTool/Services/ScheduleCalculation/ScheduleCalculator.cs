@@ -3,6 +3,7 @@ using CreditTool.Services.ScheduleCalculation.Configuration;
 using CreditTool.Services.ScheduleCalculation.Strategies.Interest;
 using CreditTool.Services.ScheduleCalculation.Strategies.PaymentDate;
 using CreditTool.Services.ScheduleCalculation.Strategies.Principal;
+using System.Globalization;
 
 namespace CreditTool.Services.ScheduleCalculation;
 
@@ -23,22 +24,32 @@ public class ScheduleCalculator : IScheduleCalculator
         CreditParameters parameters,
         IReadOnlyCollection<InterestRatePeriod> ratePeriods,
         CalculatorConfiguration? configuration = null,
-        bool includeLog = false)
+        bool includeLog = false,
+        IReadOnlyCollection<Prepayment>? prepayments = null)
     {
         configuration ??= new CalculatorConfiguration();
 
         if (parameters.CreditEndDate <= parameters.CreditStartDate)
         {
-            throw new ArgumentException("Credit end date must be after start date");
+            throw new CalculationValidationException("creditEndOrder", "Credit end date must be after start date");
         }
 
         ValidateRatePeriods(parameters, ratePeriods);
+        var orderedPrepayments = ValidatePrepayments(parameters, prepayments);
+        ValidateRecurringFees(parameters);
 
-        var paymentDates = _paymentDateGenerator.GeneratePaymentDates(
-            parameters.CreditStartDate,
-            parameters.CreditEndDate,
-            parameters.PaymentFrequency,
-            parameters.PaymentDay);
+        if (parameters.PaymentDay == PaymentDayOption.DayOfMonth && parameters.PaymentDayOfMonth is < 1 or > 31)
+        {
+            throw new CalculationValidationException(
+                "paymentDayOfMonth",
+                $"Dzień płatności ({parameters.PaymentDayOfMonth}) musi być liczbą od 1 do 31.");
+        }
+
+        ValidateCustomPaymentDates(parameters);
+
+        var paymentDates = _paymentDateGenerator.GeneratePaymentDates(parameters);
+
+        ValidateGracePeriod(parameters, paymentDates.Count);
 
         var interestStrategy = CreateInterestStrategy(parameters.InterestRateApplication);
         var principalStrategy = CreatePrincipalStrategy(parameters, paymentDates.Count);
@@ -51,7 +62,10 @@ public class ScheduleCalculator : IScheduleCalculator
                 ratePeriods,
                 paymentDates,
                 configuration,
-                interestStrategy);
+                interestStrategy,
+                parameters.NetValue,
+                parameters.CreditStartDate,
+                GetPaymentsInGracePeriod(parameters, paymentDates.Count));
         }
 
         return GenerateSchedule(
@@ -62,6 +76,7 @@ public class ScheduleCalculator : IScheduleCalculator
             principalStrategy,
             configuration,
             fixedTotalPayment,
+            orderedPrepayments,
             includeLog);
     }
 
@@ -84,7 +99,7 @@ public class ScheduleCalculator : IScheduleCalculator
             PaymentType.Bullet => new BulletPaymentStrategy(),
             PaymentType.DecreasingInstallments => CreateDecreasingInstallmentStrategy(parameters, paymentCount),
             PaymentType.EqualInstallments => new AnnuityStrategy(),
-            _ => throw new ArgumentException($"Unsupported payment type: {parameters.PaymentType}")
+            _ => throw new CalculationValidationException("paymentType", $"Unsupported payment type: {parameters.PaymentType}")
         };
     }
 
@@ -111,6 +126,14 @@ public class ScheduleCalculator : IScheduleCalculator
                 parameters.RoundingDecimals));
     }
 
+    private static int GetPaymentsInGracePeriod(CreditParameters parameters, int paymentCount)
+    {
+        // Grace period should be based on number of payments, not calendar months
+        return parameters.GracePeriodMonths > 0
+            ? Math.Min(parameters.GracePeriodMonths, paymentCount)
+            : 0;
+    }
+
     private ScheduleCalculationResult GenerateSchedule(
         CreditParameters parameters,
         IReadOnlyCollection<InterestRatePeriod> ratePeriods,
@@ -119,21 +142,20 @@ public class ScheduleCalculator : IScheduleCalculator
         IPrincipalPaymentStrategy principalStrategy,
         CalculatorConfiguration configuration,
         decimal? fixedTotalPayment,
+        IReadOnlyList<Prepayment> prepayments,
         bool includeLog)
     {
         var schedule = new List<ScheduleItem>();
         var calculationLog = new List<CalculationLogEntry>();
-        var warnings = new List<string>();
+        var warnings = new List<CalculationWarning>();
         var principalRemaining = parameters.NetValue;
         var previousDate = parameters.CreditStartDate;
+        var nextPrepaymentIndex = 0;
+        var prepaymentApplied = false;
 
         // Determine the number of payments in grace period
-        // Grace period should be based on number of payments, not calendar months
-        var paymentsInGracePeriod = 0;
-        if (parameters.GracePeriodMonths > 0)
-        {
-            paymentsInGracePeriod = Math.Min(parameters.GracePeriodMonths, paymentDates.Count);
-        }
+        var paymentsInGracePeriod = GetPaymentsInGracePeriod(parameters, paymentDates.Count);
+        var feeSchedule = RecurringFeeSchedule.Create(parameters, paymentDates);
 
         if (includeLog)
         {
@@ -145,6 +167,7 @@ public class ScheduleCalculator : IScheduleCalculator
             var paymentDate = paymentDates[index];
             var isLastPayment = index == paymentDates.Count - 1;
             var daysInPeriod = (paymentDate - previousDate).Days;
+            var openingBalance = principalRemaining;
 
             if (includeLog)
             {
@@ -242,6 +265,95 @@ public class ScheduleCalculator : IScheduleCalculator
                 itemWarnings |= ScheduleWarnings.FinalPaymentAdjusted;
             }
 
+            // Prepayments are settled together with the first installment on or after their date
+            var duePrepayments = new List<Prepayment>();
+            while (nextPrepaymentIndex < prepayments.Count && prepayments[nextPrepaymentIndex].Date.Date <= paymentDate.Date)
+            {
+                duePrepayments.Add(prepayments[nextPrepaymentIndex]);
+                nextPrepaymentIndex++;
+            }
+
+            var prepaymentAmount = 0m;
+            if (duePrepayments.Count > 0)
+            {
+                var requestedAmount = RoundingService.Round(
+                    duePrepayments.Sum(prepayment => prepayment.Amount),
+                    parameters.RoundingMode,
+                    parameters.RoundingDecimals);
+                prepaymentAmount = Math.Min(requestedAmount, Math.Max(principalRemaining, 0m));
+
+                if (prepaymentAmount < requestedAmount)
+                {
+                    warnings.Add(new CalculationWarning
+                    {
+                        Code = "prepaymentCapped",
+                        Message = $"Rata {index + 1}: Nadpłata ({requestedAmount:F2}) przekracza saldo - ograniczono do {prepaymentAmount:F2}",
+                        Values = new Dictionary<string, string>
+                        {
+                            ["row"] = (index + 1).ToString(CultureInfo.InvariantCulture),
+                            ["requested"] = requestedAmount.ToString("F2", CultureInfo.InvariantCulture),
+                            ["applied"] = prepaymentAmount.ToString("F2", CultureInfo.InvariantCulture)
+                        }
+                    });
+                }
+
+                if (prepaymentAmount > 0m)
+                {
+                    prepaymentApplied = true;
+                    principalRemaining = RoundingService.Round(
+                        principalRemaining - prepaymentAmount,
+                        parameters.RoundingMode,
+                        parameters.RoundingDecimals);
+
+                    if (includeLog)
+                    {
+                        LogPrepayment(calculationLog, index + 1, paymentDate, duePrepayments, prepaymentAmount, principalRemaining);
+                    }
+
+                    var paymentsLeft = paymentDates.Count - index - 1;
+                    if (principalRemaining > 0m &&
+                        paymentsLeft > 0 &&
+                        duePrepayments.Any(prepayment => prepayment.Mode == PrepaymentMode.ReduceInstallment))
+                    {
+                        var graceLeft = Math.Max(0, paymentsInGracePeriod - index - 1);
+
+                        if (parameters.PaymentType == PaymentType.EqualInstallments)
+                        {
+                            fixedTotalPayment = CalculateLevelPayment(
+                                parameters,
+                                ratePeriods,
+                                paymentDates.GetRange(index + 1, paymentsLeft),
+                                configuration,
+                                interestStrategy,
+                                principalRemaining,
+                                paymentDate,
+                                graceLeft);
+                        }
+                        else if (parameters.PaymentType == PaymentType.DecreasingInstallments)
+                        {
+                            principalStrategy = new DecreasingInstallmentStrategy(
+                                principalRemaining,
+                                RoundingService.Round(
+                                    principalRemaining / Math.Max(1, paymentsLeft - graceLeft),
+                                    parameters.RoundingMode,
+                                    parameters.RoundingDecimals));
+                        }
+
+                        if (includeLog)
+                        {
+                            LogInstallmentRecalculation(calculationLog, index + 1, paymentDate, parameters, principalRemaining, paymentsLeft, fixedTotalPayment);
+                        }
+                    }
+                }
+            }
+
+            // Fees are collected on top of the installment and do not change the balance
+            var feeAmounts = feeSchedule.GetFees(index, openingBalance);
+            if (includeLog && feeAmounts.Any(amount => amount != 0m))
+            {
+                LogRecurringFees(calculationLog, index + 1, paymentDate, parameters.RecurringFees, feeAmounts, openingBalance);
+            }
+
             schedule.Add(new ScheduleItem
             {
                 PaymentDate = paymentDate,
@@ -253,12 +365,32 @@ public class ScheduleCalculator : IScheduleCalculator
                 PrincipalPayment = principalPayment,
                 TotalPayment = totalPayment,
                 RemainingPrincipal = Math.Max(principalRemaining, 0m),
+                PrepaymentAmount = prepaymentAmount,
+                FeeAmounts = feeAmounts,
+                FeeAmount = feeAmounts.Sum(),
                 IsFinalPaymentAdjusted = isFinalAdjusted,
                 IsInGracePeriod = isInGracePeriod,
                 Warnings = itemWarnings
             });
 
             previousDate = paymentDate;
+
+            // A prepayment can repay the credit before the contractual end date
+            if (prepaymentApplied && principalRemaining <= 0m)
+            {
+                break;
+            }
+        }
+
+        if (nextPrepaymentIndex < prepayments.Count)
+        {
+            var skipped = prepayments.Count - nextPrepaymentIndex;
+            warnings.Add(new CalculationWarning
+            {
+                Code = "prepaymentsSkipped",
+                Message = $"Nadpłaty po spłacie kredytu zostały pominięte ({skipped}).",
+                Values = new Dictionary<string, string> { ["count"] = skipped.ToString(CultureInfo.InvariantCulture) }
+            });
         }
 
         return new ScheduleCalculationResult
@@ -276,10 +408,13 @@ public class ScheduleCalculator : IScheduleCalculator
         IReadOnlyCollection<InterestRatePeriod> ratePeriods,
         IReadOnlyList<DateTime> paymentDates,
         CalculatorConfiguration configuration,
-        IInterestCalculationStrategy interestStrategy)
+        IInterestCalculationStrategy interestStrategy,
+        decimal principal,
+        DateTime startDate,
+        int paymentsInGracePeriod)
     {
         var low = 0m;
-        var high = Math.Max(parameters.NetValue, parameters.NetValue + 1000m);
+        var high = Math.Max(principal, principal + 1000m);
         var tolerance = configuration.LevelPaymentTolerance;
 
         var remainingHigh = SimulateRemainingPrincipal(
@@ -287,7 +422,10 @@ public class ScheduleCalculator : IScheduleCalculator
             ratePeriods,
             paymentDates,
             high,
-            interestStrategy);
+            interestStrategy,
+            principal,
+            startDate,
+            paymentsInGracePeriod);
 
         var guard = 0;
         while (remainingHigh > 0m && guard < configuration.MaxRangeFindingIterations)
@@ -299,7 +437,10 @@ public class ScheduleCalculator : IScheduleCalculator
                 ratePeriods,
                 paymentDates,
                 high,
-                interestStrategy);
+                interestStrategy,
+                principal,
+                startDate,
+                paymentsInGracePeriod);
             guard++;
         }
 
@@ -311,7 +452,10 @@ public class ScheduleCalculator : IScheduleCalculator
                 ratePeriods,
                 paymentDates,
                 mid,
-                interestStrategy);
+                interestStrategy,
+                principal,
+                startDate,
+                paymentsInGracePeriod);
 
             if (Math.Abs(high - low) <= tolerance)
             {
@@ -339,17 +483,13 @@ public class ScheduleCalculator : IScheduleCalculator
         IReadOnlyCollection<InterestRatePeriod> ratePeriods,
         IReadOnlyList<DateTime> paymentDates,
         decimal totalPayment,
-        IInterestCalculationStrategy interestStrategy)
+        IInterestCalculationStrategy interestStrategy,
+        decimal principal,
+        DateTime startDate,
+        int paymentsInGracePeriod)
     {
-        var principalRemaining = parameters.NetValue;
-        var previousDate = parameters.CreditStartDate;
-
-        // Determine the number of payments in grace period
-        var paymentsInGracePeriod = 0;
-        if (parameters.GracePeriodMonths > 0)
-        {
-            paymentsInGracePeriod = Math.Min(parameters.GracePeriodMonths, paymentDates.Count);
-        }
+        var principalRemaining = principal;
+        var previousDate = startDate;
 
         for (var index = 0; index < paymentDates.Count; index++)
         {
@@ -395,7 +535,7 @@ public class ScheduleCalculator : IScheduleCalculator
     private ScheduleWarnings ValidatePayment(
         CreditParameters parameters,
         CalculatorConfiguration configuration,
-        List<string> warnings,
+        List<CalculationWarning> warnings,
         int index,
         decimal principalPaymentRaw,
         decimal interestRounded,
@@ -419,12 +559,22 @@ public class ScheduleCalculator : IScheduleCalculator
 
             if (configuration.EnableValidation)
             {
-                var warning = $"Rata {index + 1}: Odsetki ({interestRounded:F2}) przekraczają ratę docelową ({fixedTotalPayment.Value:F2})";
+                var warning = new CalculationWarning
+                {
+                    Code = "interestExceedsPayment",
+                    Message = $"Rata {index + 1}: Odsetki ({interestRounded:F2}) przekraczają ratę docelową ({fixedTotalPayment.Value:F2})",
+                    Values = new Dictionary<string, string>
+                    {
+                        ["row"] = (index + 1).ToString(CultureInfo.InvariantCulture),
+                        ["interest"] = interestRounded.ToString("F2", CultureInfo.InvariantCulture),
+                        ["payment"] = fixedTotalPayment.Value.ToString("F2", CultureInfo.InvariantCulture)
+                    }
+                };
                 warnings.Add(warning);
 
                 if (configuration.ThrowOnNegativeAmortization)
                 {
-                    throw new InvalidOperationException(warning);
+                    throw new InvalidOperationException(warning.Message);
                 }
             }
         }
@@ -438,7 +588,7 @@ public class ScheduleCalculator : IScheduleCalculator
     {
         if (!ratePeriods.Any())
         {
-            throw new ArgumentException("Brak okresów stopy procentowej dla kalkulacji.");
+            throw new CalculationValidationException("noRates", "Brak okresów stopy procentowej dla kalkulacji.");
         }
 
         var ordered = ratePeriods
@@ -449,7 +599,8 @@ public class ScheduleCalculator : IScheduleCalculator
         {
             if (period.DateFrom >= period.DateTo)
             {
-                throw new ArgumentException(
+                throw new CalculationValidationException(
+                    "rateOrder",
                     "Data początkowa okresu stopy procentowej musi być wcześniejszą niż końcowa.");
             }
         }
@@ -459,7 +610,9 @@ public class ScheduleCalculator : IScheduleCalculator
 
         if (first.DateFrom.Date > parameters.CreditStartDate.Date || last.DateTo.Date < parameters.CreditEndDate.Date)
         {
-            throw new ArgumentException("Pomiędzy okresami stóp procentowych występuje przerwa obejmująca czas kredytu.");
+            throw new CalculationValidationException(
+                "rateCoverage",
+                "Pomiędzy okresami stóp procentowych występuje przerwa obejmująca czas kredytu.");
         }
 
         for (var i = 1; i < ordered.Count; i++)
@@ -469,12 +622,112 @@ public class ScheduleCalculator : IScheduleCalculator
 
             if (current.DateFrom.Date <= previous.DateTo.Date)
             {
-                throw new ArgumentException("Okresy stóp procentowych nachodzą na siebie (nakładają się).");
+                throw new CalculationValidationException("rateOverlap", "Okresy stóp procentowych nachodzą na siebie (nakładają się).");
             }
 
             if (current.DateFrom.Date > previous.DateTo.Date.AddDays(1))
             {
-                throw new ArgumentException("Pomiędzy okresami stóp procentowych występuje przerwa.");
+                throw new CalculationValidationException("rateGap", "Pomiędzy okresami stóp procentowych występuje przerwa.");
+            }
+        }
+    }
+
+    private static void ValidateGracePeriod(CreditParameters parameters, int paymentCount)
+    {
+        if (parameters.GracePeriodMonths < 0)
+        {
+            throw new CalculationValidationException("gracePeriodNegative", "Karencja nie może być ujemna.");
+        }
+
+        // A grace period covering every payment would leave the principal unpaid
+        if (parameters.GracePeriodMonths > 0 && parameters.GracePeriodMonths >= paymentCount)
+        {
+            throw new CalculationValidationException(
+                "gracePeriodTooLong",
+                $"Karencja ({parameters.GracePeriodMonths}) musi obejmować mniej rat niż liczba rat kredytu ({paymentCount}).",
+                values: new Dictionary<string, string>
+                {
+                    ["grace"] = parameters.GracePeriodMonths.ToString(CultureInfo.InvariantCulture),
+                    ["count"] = paymentCount.ToString(CultureInfo.InvariantCulture)
+                });
+        }
+    }
+
+    private static List<Prepayment> ValidatePrepayments(
+        CreditParameters parameters,
+        IReadOnlyCollection<Prepayment>? prepayments)
+    {
+        if (prepayments == null || prepayments.Count == 0)
+        {
+            return new List<Prepayment>();
+        }
+
+        var index = 0;
+        foreach (var prepayment in prepayments)
+        {
+            if (prepayment.Amount <= 0m)
+            {
+                throw new CalculationValidationException("prepaymentAmount", "Kwota nadpłaty musi być większa od zera.", index);
+            }
+
+            if (prepayment.Date.Date <= parameters.CreditStartDate.Date || prepayment.Date.Date > parameters.CreditEndDate.Date)
+            {
+                throw new CalculationValidationException(
+                    "prepaymentDateRange",
+                    $"Data nadpłaty {prepayment.Date:yyyy-MM-dd} musi przypadać po dacie uruchomienia i nie później niż data zakończenia kredytu.",
+                    index);
+            }
+
+            index++;
+        }
+
+        return prepayments
+            .OrderBy(prepayment => prepayment.Date)
+            .ToList();
+    }
+
+    private static void ValidateCustomPaymentDates(CreditParameters parameters)
+    {
+        if (parameters.PaymentFrequency != PaymentFrequency.Custom)
+        {
+            return;
+        }
+
+        for (var index = 0; index < parameters.CustomPaymentDates.Count; index++)
+        {
+            var date = parameters.CustomPaymentDates[index];
+            if (date.Date <= parameters.CreditStartDate.Date || date.Date > parameters.CreditEndDate.Date)
+            {
+                throw new CalculationValidationException(
+                    "customPaymentDateRange",
+                    $"Data płatności {date:yyyy-MM-dd} musi przypadać po dacie uruchomienia i nie później niż data zakończenia kredytu.",
+                    index,
+                    new Dictionary<string, string> { ["date"] = date.ToString("yyyy-MM-dd", CultureInfo.InvariantCulture) });
+            }
+        }
+    }
+
+    private static void ValidateRecurringFees(CreditParameters parameters)
+    {
+        for (var index = 0; index < parameters.RecurringFees.Count; index++)
+        {
+            var fee = parameters.RecurringFees[index];
+            if (fee.Value <= 0m)
+            {
+                throw new CalculationValidationException(
+                    "feeValue",
+                    $"Wartość opłaty cyklicznej nr {index + 1} musi być większa od zera.",
+                    index);
+            }
+
+            var dateFrom = (fee.DateFrom ?? parameters.CreditStartDate).Date;
+            var dateTo = (fee.DateTo ?? parameters.CreditEndDate).Date;
+            if (dateFrom < parameters.CreditStartDate.Date || dateTo > parameters.CreditEndDate.Date || dateFrom > dateTo)
+            {
+                throw new CalculationValidationException(
+                    "feeDateRange",
+                    $"Okres opłaty cyklicznej nr {index + 1} musi mieścić się w okresie kredytu, a data początkowa nie może być późniejsza niż końcowa.",
+                    index);
             }
         }
     }
@@ -848,5 +1101,105 @@ public class ScheduleCalculator : IScheduleCalculator
         });
     }
 
+    private void LogPrepayment(
+        List<CalculationLogEntry> log,
+        int paymentNumber,
+        DateTime paymentDate,
+        IReadOnlyList<Prepayment> prepayments,
+        decimal prepaymentAmount,
+        decimal principalRemaining)
+    {
+        var principalBefore = principalRemaining + prepaymentAmount;
+
+        log.Add(new CalculationLogEntry
+        {
+            ShortDescription = "Nadpłata",
+            SymbolicFormula = "saldo_nowe = saldo_przed - nadpłata",
+            SubstitutedFormula = $"{principalBefore:F2} - {prepaymentAmount:F2}",
+            Result = $"Saldo: {principalRemaining:F2} PLN",
+            Context = new LogEntryContext
+            {
+                PaymentNumber = paymentNumber,
+                PaymentDate = paymentDate,
+                Type = LogEntryType.BalanceUpdate,
+                Metadata = new Dictionary<string, string>
+                {
+                    ["PrincipalBefore"] = $"{principalBefore:F2}",
+                    ["PrincipalAfter"] = $"{principalRemaining:F2}",
+                    ["PrepaymentAmount"] = $"{prepaymentAmount:F2}",
+                    ["PrepaymentDates"] = string.Join(", ", prepayments.Select(prepayment => prepayment.Date.ToString("yyyy-MM-dd"))),
+                    ["Mode"] = string.Join(", ", prepayments.Select(prepayment => prepayment.Mode.ToString()).Distinct())
+                }
+            }
+        });
+    }
+
+    private void LogRecurringFees(
+        List<CalculationLogEntry> log,
+        int paymentNumber,
+        DateTime paymentDate,
+        IReadOnlyList<RecurringFee> fees,
+        IReadOnlyList<decimal> feeAmounts,
+        decimal openingBalance)
+    {
+        var collected = fees
+            .Select((fee, index) => (Fee: fee, Label: fee.GetDisplayName(index), Amount: feeAmounts[index], Number: index + 1))
+            .Where(charge => charge.Amount != 0m)
+            .ToList();
+
+        log.Add(new CalculationLogEntry
+        {
+            ShortDescription = "Opłaty cykliczne",
+            SymbolicFormula = "opłata = (kwota stała lub saldo × stawka%) × liczba naliczeń",
+            SubstitutedFormula = string.Join("; ", collected.Select(charge => charge.Fee.Type == RecurringFeeType.BalancePercentage
+                ? $"{charge.Label}: {openingBalance:F2} × {charge.Fee.Value}%"
+                : $"{charge.Label}: {charge.Fee.Value:F2}")),
+            Result = $"Opłaty: {collected.Sum(charge => charge.Amount):F2} PLN",
+            Context = new LogEntryContext
+            {
+                PaymentNumber = paymentNumber,
+                PaymentDate = paymentDate,
+                Type = LogEntryType.Detail,
+                Metadata = collected.ToDictionary(charge => $"Fee{charge.Number}", charge => $"{charge.Label}: {charge.Amount:F2}")
+            }
+        });
+    }
+
+    private void LogInstallmentRecalculation(
+        List<CalculationLogEntry> log,
+        int paymentNumber,
+        DateTime paymentDate,
+        CreditParameters parameters,
+        decimal principalRemaining,
+        int paymentsLeft,
+        decimal? fixedTotal)
+    {
+        var isAnnuity = parameters.PaymentType == PaymentType.EqualInstallments;
+
+        log.Add(new CalculationLogEntry
+        {
+            ShortDescription = "Przeliczenie raty po nadpłacie",
+            SymbolicFormula = isAnnuity
+                ? "rata_docelowa = f(saldo, pozostałe_raty)"
+                : "kapitał = saldo / pozostałe_raty",
+            SubstitutedFormula = $"saldo: {principalRemaining:F2}, pozostałe raty: {paymentsLeft}",
+            Result = isAnnuity && fixedTotal.HasValue
+                ? $"Nowa rata docelowa: {fixedTotal.Value:F2} PLN"
+                : "Nowa część kapitałowa raty malejącej",
+            Context = new LogEntryContext
+            {
+                PaymentNumber = paymentNumber,
+                PaymentDate = paymentDate,
+                Type = LogEntryType.Detail,
+                Metadata = new Dictionary<string, string>
+                {
+                    ["PrincipalRemaining"] = $"{principalRemaining:F2}",
+                    ["PaymentsLeft"] = paymentsLeft.ToString(),
+                    ["FixedTotal"] = fixedTotal.HasValue ? $"{fixedTotal.Value:F2}" : "N/A"
+                }
+            }
+        });
+    }
+
     #endregion
 }
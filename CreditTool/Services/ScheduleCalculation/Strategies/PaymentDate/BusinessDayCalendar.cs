@@ -0,0 +1,122 @@
+using CreditTool.Models;
+
+namespace CreditTool.Services.ScheduleCalculation.Strategies.PaymentDate;
+
+/// <summary>
+/// Business days under the Polish public holiday calendar, with optional extra closing days.
+/// wwwroot/dates.js builds the same calendar for the dates shown before calculation.
+/// </summary>
+public class BusinessDayCalendar
+{
+    private readonly HashSet<DateTime> _closingDays;
+    private readonly Dictionary<int, HashSet<DateTime>> _holidaysByYear = new();
+
+    public BusinessDayCalendar(IEnumerable<DateTime>? closingDays = null)
+    {
+        _closingDays = (closingDays ?? Enumerable.Empty<DateTime>()).Select(day => day.Date).ToHashSet();
+    }
+
+    public bool IsBusinessDay(DateTime date)
+    {
+        var day = date.Date;
+        if (day.DayOfWeek is DayOfWeek.Saturday or DayOfWeek.Sunday || _closingDays.Contains(day))
+        {
+            return false;
+        }
+
+        if (!_holidaysByYear.TryGetValue(day.Year, out var holidays))
+        {
+            holidays = GetPolishHolidays(day.Year).ToHashSet();
+            _holidaysByYear[day.Year] = holidays;
+        }
+
+        return !holidays.Contains(day);
+    }
+
+    public DateTime Adjust(DateTime date, BusinessDayConvention convention)
+    {
+        switch (convention)
+        {
+            case BusinessDayConvention.Following:
+                return Roll(date, 1);
+            case BusinessDayConvention.Preceding:
+                return Roll(date, -1);
+            case BusinessDayConvention.ModifiedFollowing:
+                // Following, unless that crosses into the next month
+                var following = Roll(date, 1);
+                return following.Month == date.Month ? following : Roll(date, -1);
+            default:
+                return date;
+        }
+    }
+
+    private DateTime Roll(DateTime date, int step)
+    {
+        while (!IsBusinessDay(date))
+        {
+            date = date.AddDays(step);
+        }
+
+        return date;
+    }
+
+    /// <summary>
+    /// Statutory days off in Poland (ustawa o dniach wolnych od pracy), including the Easter-based ones.
+    /// </summary>
+    public static List<DateTime> GetPolishHolidays(int year)
+    {
+        var easter = GetEasterSunday(year);
+        var holidays = new List<DateTime>
+        {
+            new(year, 1, 1),
+            easter,
+            easter.AddDays(1),
+            new(year, 5, 1),
+            new(year, 5, 3),
+            // Pentecost and Corpus Christi
+            easter.AddDays(49),
+            easter.AddDays(60),
+            new(year, 8, 15),
+            new(year, 11, 1),
+            new(year, 11, 11),
+            new(year, 12, 25),
+            new(year, 12, 26)
+        };
+
+        // Epiphany has been a day off since 2011 and Christmas Eve since 2025
+        if (year >= 2011)
+        {
+            holidays.Add(new DateTime(year, 1, 6));
+        }
+
+        if (year >= 2025)
+        {
+            holidays.Add(new DateTime(year, 12, 24));
+        }
+
+        holidays.Sort();
+        return holidays;
+    }
+
+    /// <summary>
+    /// Gregorian Easter Sunday (the anonymous Gregorian algorithm).
+    /// </summary>
+    public static DateTime GetEasterSunday(int year)
+    {
+        var a = year % 19;
+        var b = year / 100;
+        var c = year % 100;
+        var d = b / 4;
+        var e = b % 4;
+        var f = (b + 8) / 25;
+        var g = (b - f + 1) / 3;
+        var h = (19 * a + b - d - g + 15) % 30;
+        var i = c / 4;
+        var k = c % 4;
+        var l = (32 + 2 * e + 2 * i - h - k) % 7;
+        var m = (a + 11 * h + 22 * l) / 451;
+        var month = (h + l - 7 * m + 114) / 31;
+        var day = (h + l - 7 * m + 114) % 31 + 1;
+        return new DateTime(year, month, day);
+    }
+}
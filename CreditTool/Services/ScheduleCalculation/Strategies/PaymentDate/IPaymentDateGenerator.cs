@@ -8,16 +8,9 @@ namespace CreditTool.Services.ScheduleCalculation.Strategies.PaymentDate;
 public interface IPaymentDateGenerator
 {
     /// <summary>
-    /// Generates a list of payment dates between the start and end dates.
+    /// Generates a list of payment dates between the credit start and end dates.
     /// </summary>
-    /// <param name="startDate">The loan start date.</param>
-    /// <param name="endDate">The loan end date.</param>
-    /// <param name="frequency">The payment frequency.</param>
-    /// <param name="paymentDay">The day of month option for payments.</param>
-    /// <returns>A list of payment dates.</returns>
-    List<DateTime> GeneratePaymentDates(
-        DateTime startDate,
-        DateTime endDate,
-        PaymentFrequency frequency,
-        PaymentDayOption paymentDay);
+    /// <param name="parameters">The loan parameters: credit dates, payment frequency, payment day and business-day convention.</param>
+    /// <returns>A list of payment dates, ending with the credit end date.</returns>
+    List<DateTime> GeneratePaymentDates(CreditParameters parameters);
 }
@@ -4,26 +4,37 @@ namespace CreditTool.Services.ScheduleCalculation.Strategies.PaymentDate;
 
 /// <summary>
 /// Standard implementation of payment date generation.
-/// Generates dates based on frequency and payment day options.
+/// Generates dates based on frequency and payment day options, then moves them to business days
+/// when a business-day convention is set. The Custom frequency uses the agreed dates as they are.
 /// </summary>
 public class StandardPaymentDateGenerator : IPaymentDateGenerator
 {
-    public List<DateTime> GeneratePaymentDates(
-        DateTime startDate,
-        DateTime endDate,
-        PaymentFrequency frequency,
-        PaymentDayOption paymentDay)
+    public List<DateTime> GeneratePaymentDates(CreditParameters parameters)
     {
+        var startDate = parameters.CreditStartDate;
+        var endDate = parameters.CreditEndDate;
+        if (parameters.PaymentFrequency == PaymentFrequency.Custom)
+        {
+            return CustomDates(parameters);
+        }
+
+        var calendar = parameters.BusinessDayConvention == BusinessDayConvention.None
+            ? null
+            : new BusinessDayCalendar(parameters.ClosingDays);
+
         var dates = new List<DateTime>();
         var current = startDate;
 
         while (current < endDate)
         {
-            DateTime next = frequency switch
+            DateTime next = parameters.PaymentFrequency switch
             {
                 PaymentFrequency.Daily => current.AddDays(1),
-                PaymentFrequency.Monthly => NextMonthDate(current, 1, paymentDay),
-                PaymentFrequency.Quarterly => NextMonthDate(current, 3, paymentDay),
+                PaymentFrequency.Weekly => current.AddDays(7),
+                PaymentFrequency.Monthly => NextMonthDate(current, 1, parameters),
+                PaymentFrequency.Quarterly => NextMonthDate(current, 3, parameters),
+                PaymentFrequency.SemiAnnual => NextMonthDate(current, 6, parameters),
+                PaymentFrequency.Annual => NextMonthDate(current, 12, parameters),
                 _ => current.AddMonths(1)
             };
 
@@ -32,7 +43,21 @@ public class StandardPaymentDateGenerator : IPaymentDateGenerator
                 next = endDate;
             }
 
-            dates.Add(next);
+            if (calendar is not null && next < endDate)
+            {
+                // The next date is still counted from the unadjusted one, so adjustments do not accumulate.
+                // A date moved onto or past its neighbours (e.g. a daily payment on a weekend) is dropped.
+                var adjusted = calendar.Adjust(next, parameters.BusinessDayConvention);
+                if (adjusted > (dates.Count > 0 ? dates[^1] : startDate) && adjusted < endDate)
+                {
+                    dates.Add(adjusted);
+                }
+            }
+            else
+            {
+                dates.Add(next);
+            }
+
             current = next;
         }
 
@@ -45,17 +70,31 @@ public class StandardPaymentDateGenerator : IPaymentDateGenerator
         return dates;
     }
 
-    private static DateTime NextMonthDate(DateTime from, int monthsToAdd, PaymentDayOption paymentDay)
+    private static List<DateTime> CustomDates(CreditParameters parameters)
+    {
+        // ScheduleCalculator rejects dates outside the credit period; the end date is added below in any case
+        var dates = parameters.CustomPaymentDates
+            .Select(date => date.Date)
+            .Where(date => date > parameters.CreditStartDate && date < parameters.CreditEndDate)
+            .Distinct()
+            .OrderBy(date => date)
+            .ToList();
+        dates.Add(parameters.CreditEndDate);
+        return dates;
+    }
+
+    private static DateTime NextMonthDate(DateTime from, int monthsToAdd, CreditParameters parameters)
     {
         var tentative = from.AddMonths(monthsToAdd);
         var year = tentative.Year;
         var month = tentative.Month;
 
-        return paymentDay switch
+        return parameters.PaymentDay switch
         {
             PaymentDayOption.FirstOfMonth => new DateTime(year, month, 1),
             PaymentDayOption.TenthOfMonth => new DateTime(year, month, 10),
             PaymentDayOption.LastOfMonth => new DateTime(year, month, DateTime.DaysInMonth(year, month)),
+            PaymentDayOption.DayOfMonth => new DateTime(year, month, Math.Min(parameters.PaymentDayOfMonth, DateTime.DaysInMonth(year, month))),
             _ => tentative
         };
     }
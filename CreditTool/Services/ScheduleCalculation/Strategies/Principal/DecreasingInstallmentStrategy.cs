@@ -34,7 +34,7 @@ public class DecreasingInstallmentStrategy : IPrincipalPaymentStrategy
             return context.RemainingPrincipal;
         }
 
-        // Regular payment: fixed principal step
-        return _principalStep;
+        // Regular payment: fixed principal step, capped once a prepayment shortened the term
+        return Math.Min(_principalStep, context.RemainingPrincipal);
     }
 }
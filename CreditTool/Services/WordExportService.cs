@@ -7,7 +7,7 @@ namespace CreditTool.Services;
 
 public class WordExportService
 {
-    public byte[] Export(CreditParameters parameters, IEnumerable<InterestRatePeriod> rates, IEnumerable<ScheduleItem> schedule, decimal totalInterest)
+    public byte[] Export(CreditParameters parameters, IEnumerable<InterestRatePeriod> rates, IEnumerable<ScheduleItem> schedule, decimal totalInterest, IReadOnlyList<ScheduleAggregate>? aggregates = null)
     {
         using var memoryStream = new MemoryStream();
         using var wordDocument = WordprocessingDocument.Create(memoryStream, WordprocessingDocumentType.Document, true);
@@ -29,8 +29,20 @@ public class WordExportService
         body.Append(CreateHeading("Stopy procentowe"));
         body.Append(CreateRateTable(rates));
 
+        if (parameters.RecurringFees.Count > 0)
+        {
+            body.Append(CreateHeading("Opłaty cykliczne"));
+            body.Append(CreateRecurringFeeTable(parameters.RecurringFees));
+        }
+
         body.Append(CreateHeading("Harmonogram spłat"));
-        body.Append(CreateScheduleTable(schedule));
+        body.Append(CreateScheduleTable(schedule, parameters.RecurringFees));
+
+        if (aggregates is not null)
+        {
+            body.Append(CreateHeading("Zestawienie okresowe"));
+            body.Append(CreateAggregateTable(aggregates));
+        }
 
         mainPart.Document.Save();
         return memoryStream.ToArray();
@@ -61,6 +73,10 @@ public class WordExportService
             ("Marża", $"{parameters.MarginRate:N2}%"),
             ("Częstotliwość płatności", parameters.PaymentFrequency.ToString()),
             ("Dzień płatności", parameters.PaymentDay.ToString()),
+            ("Dzień miesiąca płatności", parameters.PaymentDayOfMonth.ToString()),
+            ("Konwencja dnia roboczego", parameters.BusinessDayConvention.ToString()),
+            ("Dodatkowe dni wolne", ExcelService.FormatDateList(parameters.ClosingDays)),
+            ("Własne daty płatności", ExcelService.FormatDateList(parameters.CustomPaymentDates)),
             ("Data początkowa", parameters.CreditStartDate.ToString("yyyy-MM-dd")),
             ("Data końcowa", parameters.CreditEndDate.ToString("yyyy-MM-dd")),
             ("Konwencja dni", parameters.DayCountBasis.ToString()),
@@ -69,7 +85,8 @@ public class WordExportService
             ("Prowizja przygotowawcza", $"{parameters.ProcessingFeeRate:N2}%"),
             ("Prowizja przygotowawcza (kwota)", parameters.ProcessingFeeAmount.ToString("N2")),
             ("Typ spłaty", parameters.PaymentType.ToString()),
-            ("Spłata balonowa", parameters.BulletRepayment ? "Tak" : "Nie")
+            ("Spłata balonowa", parameters.BulletRepayment ? "Tak" : "Nie"),
+            ("Sposób naliczania odsetek", parameters.InterestRateApplication.ToString())
         };
 
         return BuildTable(new[] { "Parametr", "Wartość" }, rows.Select(row => new[] { row.Label, row.Value }));
@@ -87,8 +104,23 @@ public class WordExportService
         return BuildTable(new[] { "Od", "Do", "Stopa (%)" }, rateRows);
     }
 
-    private static Table CreateScheduleTable(IEnumerable<ScheduleItem> schedule)
+    private static Table CreateRecurringFeeTable(IReadOnlyList<RecurringFee> fees)
+    {
+        var feeRows = fees.Select((fee, index) => new[]
+        {
+            fee.GetDisplayName(index),
+            fee.Type == RecurringFeeType.BalancePercentage ? $"{fee.Value:N4}% salda" : fee.Value.ToString("N2"),
+            fee.Frequency.ToString(),
+            fee.DateFrom?.ToString("yyyy-MM-dd") ?? string.Empty,
+            fee.DateTo?.ToString("yyyy-MM-dd") ?? string.Empty
+        });
+
+        return BuildTable(new[] { "Nazwa", "Wartość", "Częstotliwość", "Od", "Do" }, feeRows);
+    }
+
+    private static Table CreateScheduleTable(IEnumerable<ScheduleItem> schedule, IReadOnlyList<RecurringFee> fees)
     {
+        // A credit with recurring fees gets one column per fee
         var scheduleRows = schedule.Select(item => new[]
         {
             item.PaymentDate.ToString("yyyy-MM-dd"),
@@ -98,13 +130,34 @@ public class WordExportService
             item.PrincipalPayment.ToString("N2"),
             item.TotalPayment.ToString("N2"),
             item.RemainingPrincipal.ToString("N2")
-        });
+        }.Concat(fees.Select((_, index) => (index < item.FeeAmounts.Count ? item.FeeAmounts[index] : 0m).ToString("N2"))));
 
         return BuildTable(
-            new[] { "Data płatności", "Dni", "Stopa %", "Odsetki", "Kapitał", "Płatność", "Pozostały kapitał" },
+            new[] { "Data płatności", "Dni", "Stopa %", "Odsetki", "Kapitał", "Płatność", "Pozostały kapitał" }
+                .Concat(fees.Select((fee, index) => fee.GetDisplayName(index))),
             scheduleRows);
     }
 
+    private static Table CreateAggregateTable(IEnumerable<ScheduleAggregate> aggregates)
+    {
+        var aggregateRows = aggregates.Select(aggregate => new[]
+        {
+            aggregate.Label,
+            aggregate.PaymentCount.ToString(),
+            aggregate.InterestAmount.ToString("N2"),
+            aggregate.PrincipalPayment.ToString("N2"),
+            aggregate.TotalPayment.ToString("N2"),
+            aggregate.PrepaymentAmount.ToString("N2"),
+            aggregate.OpeningBalance.ToString("N2"),
+            aggregate.ClosingBalance.ToString("N2"),
+            aggregate.WeightedAverageRate.ToString("N4")
+        });
+
+        return BuildTable(
+            new[] { "Okres", "Liczba rat", "Odsetki", "Kapitał", "Płatność", "Nadpłata", "Kapitał na początku", "Kapitał na końcu", "Średnia stopa %" },
+            aggregateRows);
+    }
+
     private static Table BuildTable(IEnumerable<string> headers, IEnumerable<IEnumerable<string>> rows)
     {
         var table = new Table();
@@ -48,6 +48,10 @@ public class WordImportService
             MarginRate = ParseDecimal(map, "MarginRate", required: true),
             PaymentFrequency = ParseEnum(map, "PaymentFrequency", PaymentFrequency.Monthly, required: true),
             PaymentDay = ParseEnum(map, "PaymentDay", PaymentDayOption.LastOfMonth, required: true),
+            PaymentDayOfMonth = ParseInt(map, "PaymentDayOfMonth", 1),
+            BusinessDayConvention = ParseEnum(map, "BusinessDayConvention", BusinessDayConvention.None),
+            ClosingDays = ParseDateList(map, "ClosingDays"),
+            CustomPaymentDates = ParseDateList(map, "CustomPaymentDates"),
             CreditStartDate = ParseDate(map, "CreditStartDate", required: true),
             CreditEndDate = ParseDate(map, "CreditEndDate", required: true),
             DayCountBasis = ParseEnum(map, "DayCountBasis", DayCountBasis.Actual365, required: true),
@@ -56,7 +60,8 @@ public class WordImportService
             ProcessingFeeRate = ParseDecimal(map, "ProcessingFeeRate"),
             ProcessingFeeAmount = ParseDecimal(map, "ProcessingFeeAmount"),
             PaymentType = ParseEnum(map, "PaymentType", PaymentType.DecreasingInstallments),
-            BulletRepayment = ParseBool(map, "BulletRepayment")
+            BulletRepayment = ParseBool(map, "BulletRepayment"),
+            InterestRateApplication = ParseEnum(map, "InterestRateApplication", InterestRateApplication.DailyAccrual)
         };
     }
 
@@ -99,9 +104,12 @@ public class WordImportService
             return 0m;
         }
 
-        foreach (var culture in new[] { CultureInfo.InvariantCulture, CultureInfo.GetCultureInfo("pl-PL"), CultureInfo.CurrentCulture })
+        // WordExportService writes percentages as "2,50%" and amounts with the server culture,
+        // so the Polish format is tried first: the invariant one would read "2,50" as 250
+        var number = value.TrimEnd('%').Trim();
+        foreach (var culture in new[] { CultureInfo.GetCultureInfo("pl-PL"), CultureInfo.InvariantCulture, CultureInfo.CurrentCulture })
         {
-            if (decimal.TryParse(value, NumberStyles.Any, culture, out var result))
+            if (decimal.TryParse(number, NumberStyles.Any, culture, out var result))
             {
                 return result;
             }
@@ -150,6 +158,21 @@ public class WordImportService
         throw new InvalidOperationException($"Nie można odczytać daty dla parametru {key}.");
     }
 
+    // WordExportService writes closing days as yyyy-MM-dd dates separated by commas
+    private static List<DateTime> ParseDateList(IDictionary<string, string> parameters, string key)
+    {
+        if (!parameters.TryGetValue(key, out var value) || string.IsNullOrWhiteSpace(value))
+        {
+            return new List<DateTime>();
+        }
+
+        return value.Split(new[] { ',', ';' }, StringSplitOptions.RemoveEmptyEntries | StringSplitOptions.TrimEntries)
+            .Select(part => DateTime.TryParse(part, out var date)
+                ? date
+                : throw new InvalidOperationException($"Nie można odczytać daty \"{part}\" dla parametru {key}."))
+            .ToList();
+    }
+
     private static TEnum ParseEnum<TEnum>(IDictionary<string, string> parameters, string key, TEnum defaultValue, bool required = false) where TEnum : struct
     {
         if (!parameters.TryGetValue(key, out var value) || string.IsNullOrWhiteSpace(value))
@@ -172,6 +195,13 @@ public class WordImportService
 
     private static bool ParseBool(IDictionary<string, string> parameters, string key)
     {
-        return parameters.TryGetValue(key, out var value) && bool.TryParse(value, out var result) && result;
+        if (!parameters.TryGetValue(key, out var value))
+        {
+            return false;
+        }
+
+        // WordExportService writes Tak/Nie
+        return string.Equals(value, "Tak", StringComparison.OrdinalIgnoreCase)
+            || (bool.TryParse(value, out var result) && result);
     }
 }
@@ -1,4 +1,5 @@
 const rateTableBody = document.querySelector('#rate-table tbody');
+const prepaymentTableBody = document.querySelector('#prepayment-table tbody');
 const scheduleTableBody = document.querySelector('#schedule-table tbody');
 const importForm = document.getElementById('import-form');
 const importStatus = document.getElementById('import-status');
@@ -10,27 +11,15 @@ const interestApplicationSelect = document.getElementById('interest-application'
 const creditStartInput = document.getElementById('credit-start');
 const creditEndInput = document.getElementById('credit-end');
 
-const DAY_IN_MS = 24 * 60 * 60 * 1000;
-
 // Store the last calculation log for export consistency
 let lastCalculationLog = null;
+let lastCalculationResult = null;
+// The request behind lastCalculationResult, so reports describe what was calculated rather than later form edits
+let lastCalculationPayload = null;
 
-function parseDateInput(value) {
-    if (!value) {
-        return null;
-    }
-    const date = new Date(value);
-    return Number.isNaN(date.getTime()) ? null : date;
-}
-
-function formatDateInput(date) {
-    return date ? date.toISOString().substring(0, 10) : '';
-}
-
-function addDays(date, days) {
-    const copy = new Date(date);
-    copy.setDate(copy.getDate() + days);
-    return copy;
+function getTodayDate() {
+    const now = new Date();
+    return createDate(now.getFullYear(), now.getMonth(), now.getDate());
 }
 
 function getCreditDates() {
@@ -40,62 +29,192 @@ function getCreditDates() {
     };
 }
 
-function buildPaymentDates(start, end, frequency, paymentDay) {
-    const dates = [];
-    let current = start;
-
-    const buildMonthDate = (from, monthsToAdd) => {
-        const tentative = new Date(from);
-        tentative.setMonth(tentative.getMonth() + monthsToAdd);
-        const year = tentative.getFullYear();
-        const month = tentative.getMonth();
-
-        switch (paymentDay) {
-            case 'FirstOfMonth':
-                return new Date(year, month, 1);
-            case 'TenthOfMonth':
-                return new Date(year, month, 10);
-            case 'LastOfMonth':
-            default:
-                return new Date(year, month + 1, 0);
-        }
+// The fields of readParametersFromForm that buildPaymentDates needs. The rate table tooling reads them
+// without validating the form, so the day of month is kept within 1–31 here.
+function readPaymentDateOptions() {
+    const dayOfMonth = parseInt(document.getElementById('payment-day-of-month').value, 10) || 1;
+    return {
+        paymentFrequency: document.getElementById('payment-frequency').value,
+        paymentDay: document.getElementById('payment-day').value,
+        paymentDayOfMonth: Math.min(Math.max(dayOfMonth, 1), 31),
+        businessDayConvention: document.getElementById('business-day-convention').value,
+        closingDays: readDateList(closingDayList),
+        customPaymentDates: readDateList(customDateList)
     };
+}
 
-    while (current < end) {
-        let next;
-        switch (frequency) {
-            case 'Daily':
-                next = addDays(current, 1);
-                break;
-            case 'Quarterly':
-                next = buildMonthDate(current, 3);
-                break;
-            case 'Monthly':
-            default:
-                next = buildMonthDate(current, 1);
-                break;
+// Payment day, closing days and custom payment dates
+const paymentFrequencySelect = document.getElementById('payment-frequency');
+const closingDayList = document.getElementById('closing-day-list');
+const closingDayInput = document.getElementById('closing-day-input');
+const customDateList = document.getElementById('custom-date-list');
+const customDateInput = document.getElementById('custom-date-input');
+const customDatesStatus = document.getElementById('custom-dates-status');
+// The generated frequency last selected, which seeds an empty custom date list
+let lastGeneratedFrequency = paymentFrequencySelect.value;
+
+function updatePaymentDayFields() {
+    const isCustom = paymentFrequencySelect.value === 'Custom';
+    const isDayOfMonth = document.getElementById('payment-day').value === 'DayOfMonth';
+    const adjustsDates = document.getElementById('business-day-convention').value !== 'None';
+    const show = (id, visible) => {
+        document.getElementById(id).style.display = visible ? '' : 'none';
+    };
+
+    // Custom dates are used as agreed, so the payment day and business-day settings do not apply to them
+    show('payment-day-field', !isCustom);
+    show('payment-day-of-month-field', !isCustom && isDayOfMonth);
+    show('business-day-convention-field', !isCustom);
+    show('closing-days-field', !isCustom && adjustsDates);
+    show('custom-dates-field', isCustom);
+
+    if (!isCustom) {
+        lastGeneratedFrequency = paymentFrequencySelect.value;
+    }
+}
+
+// Date lists keep sorted yyyy-MM-dd values in the data-date attribute of each list item
+function readDateList(list) {
+    return Array.from(list.querySelectorAll('li')).map(item => item.dataset.date);
+}
+
+function renderDateList(list, days) {
+    const unique = Array.from(new Set((days ?? []).map(day => String(day).substring(0, 10)))).sort();
+    list.innerHTML = '';
+    unique.forEach(day => {
+        const item = document.createElement('li');
+        item.dataset.date = day;
+        const label = formatDisplayDate(day);
+        item.innerHTML = `<span>${label}</span>
+            <button type="button" class="secondary remove-date" aria-label="${t(list.dataset.removeLabel, { date: label })}">✖</button>`;
+        list.appendChild(item);
+    });
+}
+
+function setCustomDatesStatus(message, type = '') {
+    customDatesStatus.textContent = message;
+    customDatesStatus.className = type ? `status ${type}` : 'status';
+}
+
+function handleDateListChange() {
+    scheduleLivePreview();
+    schedulePersistState();
+}
+
+function addDateFromInput(list, input) {
+    if (!parseDateInput(input.value)) {
+        return;
+    }
+
+    renderDateList(list, [...readDateList(list), input.value]);
+    input.value = '';
+    handleDateListChange();
+}
+
+// Switching to custom dates starts from the dates the previous frequency produced, ready to be edited
+function seedCustomDates() {
+    const { startDate, endDate } = getCreditDates();
+    if (!startDate || !endDate || startDate >= endDate) {
+        return;
+    }
+
+    const options = { ...readPaymentDateOptions(), paymentFrequency: lastGeneratedFrequency };
+    const dates = buildPaymentDates(startDate, endDate, options).slice(0, -1).map(date => dayNumberToIso(toDayNumber(date)));
+    renderDateList(customDateList, dates);
+    setCustomDatesStatus(t('customDates.seeded', {
+        count: dates.length,
+        frequency: describeSelectOption('payment-frequency', lastGeneratedFrequency)
+    }));
+}
+
+// One date per line in the first column; the delimiters and date formats of the rate series import are accepted
+function parseCustomDates(text) {
+    const lines = text.split(/\r?\n/)
+        .map((line, index) => ({ text: line.trim(), number: index + 1 }))
+        .filter(line => line.text);
+
+    const delimiter = detectFixingDelimiter(lines.map(line => line.text));
+    const values = lines.map(line => splitFixingLine(line.text, delimiter)[0]);
+    const dateOrder = detectFixingDateOrder(values);
+
+    const dates = [];
+    const errors = [];
+    lines.forEach((line, index) => {
+        const date = parseFixingDate(values[index], dateOrder);
+        if (date) {
+            dates.push(dayNumberToIso(toDayNumber(date)));
+        } else if (index > 0) {
+            // Only the first line may be a header
+            errors.push(t('customDates.unrecognizedLine', { line: line.number, text: line.text }));
         }
+    });
 
-        if (next > end) {
-            next = new Date(end);
+    return { dates, errors };
+}
+
+async function readCustomDatesFile(file) {
+    try {
+        const { dates, errors } = parseCustomDates(await file.text());
+        if (!dates.length) {
+            setCustomDatesStatus(t('customDates.noDates', { file: file.name }), 'error');
+            return;
         }
 
-        dates.push(next);
-        current = next;
+        renderDateList(customDateList, dates);
+        handleDateListChange();
+        const message = t('customDates.imported', { count: readDateList(customDateList).length, file: file.name });
+        setCustomDatesStatus(errors.length ? `${message} ${errors.join(' ')}` : message, errors.length ? 'error' : 'success');
+    } catch (error) {
+        setCustomDatesStatus(t('fixings.fileFailed', { file: file.name, message: error.message }), 'error');
     }
-
-    return dates;
 }
 
-function getLastPaymentPeriodStart(startDate, endDate) {
-    const frequency = document.getElementById('payment-frequency').value;
-    const paymentDay = document.getElementById('payment-day').value;
+document.getElementById('add-closing-day').addEventListener('click', () => addDateFromInput(closingDayList, closingDayInput));
+document.getElementById('add-custom-date').addEventListener('click', () => addDateFromInput(customDateList, customDateInput));
+document.getElementById('clear-custom-dates').addEventListener('click', () => {
+    renderDateList(customDateList, []);
+    setCustomDatesStatus('');
+    handleDateListChange();
+});
+document.getElementById('custom-dates-file').addEventListener('change', event => {
+    const file = event.target.files[0];
+    if (file) {
+        readCustomDatesFile(file);
+    }
+    event.target.value = '';
+});
+[[closingDayList, closingDayInput], [customDateList, customDateInput]].forEach(([list, input]) => {
+    input.addEventListener('keydown', event => {
+        if (event.key === 'Enter') {
+            event.preventDefault();
+            addDateFromInput(list, input);
+        }
+    });
+    list.addEventListener('click', event => {
+        const button = event.target.closest('.remove-date');
+        if (!button) {
+            return;
+        }
+
+        button.closest('li').remove();
+        handleDateListChange();
+    });
+});
+paymentFrequencySelect.addEventListener('change', () => {
+    if (paymentFrequencySelect.value === 'Custom' && !readDateList(customDateList).length) {
+        seedCustomDates();
+    }
+    updatePaymentDayFields();
+});
+document.getElementById('payment-day').addEventListener('change', updatePaymentDayFields);
+document.getElementById('business-day-convention').addEventListener('change', updatePaymentDayFields);
 
+function getLastPaymentPeriodStart(startDate, endDate) {
     if (!startDate || !endDate || startDate >= endDate) {
         return null;
     }
 
-    const paymentDates = buildPaymentDates(startDate, endDate, frequency, paymentDay);
+    const paymentDates = buildPaymentDates(startDate, endDate, readPaymentDateOptions());
     if (!paymentDates.length) {
         return null;
     }
@@ -108,14 +227,11 @@ function getLastPaymentPeriodStart(startDate, endDate) {
 }
 
 function getFirstPaymentPeriodEnd(startDate, endDate) {
-    const frequency = document.getElementById('payment-frequency').value;
-    const paymentDay = document.getElementById('payment-day').value;
-
     if (!startDate || !endDate || startDate >= endDate) {
         return null;
     }
 
-    const paymentDates = buildPaymentDates(startDate, endDate, frequency, paymentDay);
+    const paymentDates = buildPaymentDates(startDate, endDate, readPaymentDateOptions());
     if (!paymentDates.length) {
         return null;
     }
@@ -125,7 +241,7 @@ function getFirstPaymentPeriodEnd(startDate, endDate) {
 
 function enforceInterestApplicationAvailability() {
     const frequency = document.getElementById('payment-frequency').value;
-    const isLongPeriod = frequency === 'Monthly' || frequency === 'Quarterly';
+    const isLongPeriod = frequency !== 'Daily' && frequency !== 'Weekly';
 
     Array.from(interestApplicationSelect.options).forEach(option => {
         option.disabled = !isLongPeriod && option.value !== 'DailyAccrual';
@@ -137,6 +253,12 @@ function enforceInterestApplicationAvailability() {
 }
 
 // Lock/unlock functionality
+// The emoji is hidden from screen readers; the button is announced as a pressed or released toggle
+function updateLockButton(button, locked) {
+    button.textContent = locked ? '🔒' : '🔓';
+    button.setAttribute('aria-pressed', String(locked));
+}
+
 function toggleLock(row, field, button) {
     const rows = Array.from(rateTableBody.querySelectorAll('tr'));
     const rowIndex = rows.indexOf(row);
@@ -146,7 +268,7 @@ function toggleLock(row, field, button) {
 
     // Lock/unlock this field
     row.dataset[dataField] = newLockState;
-    button.textContent = !isLocked ? '🔒' : '🔓';
+    updateLockButton(button, !isLocked);
 
     // Also lock/unlock the adjacent boundary
     if (field === 'start' && rowIndex > 0) {
@@ -155,7 +277,7 @@ function toggleLock(row, field, button) {
         prevRow.dataset.endLocked = newLockState;
         const prevEndButton = prevRow.querySelector('.lock-end');
         if (prevEndButton) {
-            prevEndButton.textContent = !isLocked ? '🔒' : '🔓';
+            updateLockButton(prevEndButton, !isLocked);
         }
     } else if (field === 'end' && rowIndex < rows.length - 1) {
         // Lock next row's start
@@ -163,7 +285,7 @@ function toggleLock(row, field, button) {
         nextRow.dataset.startLocked = newLockState;
         const nextStartButton = nextRow.querySelector('.lock-start');
         if (nextStartButton) {
-            nextStartButton.textContent = !isLocked ? '🔒' : '🔓';
+            updateLockButton(nextStartButton, !isLocked);
         }
     }
 }
@@ -367,21 +489,30 @@ function addRateRow(rate, prepend = false) {
         : '';
 
     const rateValue = rate?.rate ?? '';
+    const startLocked = rate?.startLocked === true;
+    const endLocked = rate?.endLocked === true;
 
     const row = document.createElement('tr');
-    row.dataset.startLocked = 'false';
-    row.dataset.endLocked = 'false';
+    row.dataset.startLocked = String(startLocked);
+    row.dataset.endLocked = String(endLocked);
 
     const isAutoContinuity = document.getElementById('auto-continuity').checked;
     const lockCellDisplay = isAutoContinuity ? '' : 'none';
 
     row.innerHTML = `
-        <td class="lock-cell" style="display: ${lockCellDisplay};"><button type="button" class="lock-btn lock-start" title="Zablokuj datę początkową">🔓</button></td>
-        <td><input type="date" class="date-from" value="${dateFromValue}" required></td>
-        <td class="lock-cell" style="display: ${lockCellDisplay};"><button type="button" class="lock-btn lock-end" title="Zablokuj datę końcową">🔓</button></td>
-        <td><input type="date" class="date-to" value="${dateToValue}" required></td>
-        <td><input type="number" step="0.01" class="rate-value" value="${rateValue}" required></td>
-        <td><button type="button" class="secondary remove-rate">Usuń</button></td>
+        <td class="lock-cell" style="display: ${lockCellDisplay};"><button type="button" class="lock-btn lock-start" data-i18n-title="rates.lockStart" title="${t('rates.lockStart')}" data-i18n-aria-label="rates.lockStartLabel" aria-label="${t('rates.lockStartLabel')}" aria-pressed="${startLocked}">${startLocked ? '🔒' : '🔓'}</button></td>
+        <td><input type="date" class="date-from" value="${dateFromValue}" data-i18n-aria-label="rates.from" aria-label="${t('rates.from')}" required></td>
+        <td class="lock-cell" style="display: ${lockCellDisplay};"><button type="button" class="lock-btn lock-end" data-i18n-title="rates.lockEnd" title="${t('rates.lockEnd')}" data-i18n-aria-label="rates.lockEndLabel" aria-label="${t('rates.lockEndLabel')}" aria-pressed="${endLocked}">${endLocked ? '🔒' : '🔓'}</button></td>
+        <td><input type="date" class="date-to" value="${dateToValue}" data-i18n-aria-label="rates.to" aria-label="${t('rates.to')}" required></td>
+        <td><input type="text" inputmode="decimal" class="rate-value" value="${formatInputNumber(rateValue)}" data-i18n-aria-label="rates.rate" aria-label="${t('rates.rate')}" required></td>
+        <td>
+            <div class="row-actions">
+                <button type="button" class="secondary insert-rate" data-i18n="rates.insert" data-i18n-title="rates.insertHint" title="${t('rates.insertHint')}">${t('rates.insert')}</button>
+                <button type="button" class="secondary split-rate" data-i18n="rates.split" data-i18n-title="rates.splitHint" title="${t('rates.splitHint')}">${t('rates.split')}</button>
+                <button type="button" class="secondary merge-rate" data-i18n="rates.merge" data-i18n-title="rates.mergeHint" title="${t('rates.mergeHint')}">${t('rates.merge')}</button>
+                <button type="button" class="secondary remove-rate" data-i18n="common.remove">${t('common.remove')}</button>
+            </div>
+        </td>
     `;
 
     // Lock button handlers
@@ -393,6 +524,10 @@ function addRateRow(rate, prepend = false) {
         toggleLock(row, 'end', e.target);
     });
 
+    row.querySelector('.insert-rate').addEventListener('click', () => insertRateRowAfter(row));
+    row.querySelector('.split-rate').addEventListener('click', () => splitRateRow(row));
+    row.querySelector('.merge-rate').addEventListener('click', () => mergeRateRow(row));
+
     row.querySelector('.remove-rate').addEventListener('click', () => {
         row.remove();
         alignRateBoundariesToCreditDates();
@@ -416,6 +551,8 @@ function addRateRow(rate, prepend = false) {
     } else {
         rateTableBody.appendChild(row);
     }
+
+    return row;
 }
 
 function alignRateBoundariesToCreditDates() {
@@ -455,9 +592,7 @@ function handleAddRateRow() {
 
     // With auto-continuity, use smart algorithm
     const firstPeriodEnd = getFirstPaymentPeriodEnd(startDate, endDate);
-    const paymentDates = buildPaymentDates(startDate, endDate,
-        document.getElementById('payment-frequency').value,
-        document.getElementById('payment-day').value);
+    const paymentDates = buildPaymentDates(startDate, endDate, readPaymentDateOptions());
     const numPaymentPeriods = paymentDates.length;
 
     // Determine new row duration
@@ -537,42 +672,262 @@ function toggleLockColumnsVisibility() {
     });
 }
 
+// Rate table editing history and row actions
+// Every committed edit stores the previous table (dates, rates and locks) so it can be undone.
+const RATE_HISTORY_LIMIT = 100;
+const rateUndoButton = document.getElementById('rate-undo');
+const rateRedoButton = document.getElementById('rate-redo');
+
+const rateHistory = {
+    undo: [],
+    redo: [],
+    current: null
+};
+
+function captureRateTableState() {
+    return JSON.stringify(readRateRowsFromTable());
+}
+
+function updateRateHistoryButtons() {
+    rateUndoButton.disabled = rateHistory.undo.length === 0;
+    rateRedoButton.disabled = rateHistory.redo.length === 0;
+}
+
+// Records the table as it is now; a difference from the last recorded state becomes an undo step
+function commitRateTableState() {
+    const state = captureRateTableState();
+    if (state === rateHistory.current) {
+        return;
+    }
+
+    if (rateHistory.current !== null) {
+        rateHistory.undo.push(rateHistory.current);
+        if (rateHistory.undo.length > RATE_HISTORY_LIMIT) {
+            rateHistory.undo.shift();
+        }
+        rateHistory.redo = [];
+    }
+
+    rateHistory.current = state;
+    updateRateHistoryButtons();
+}
+
+function restoreRateTableState(state) {
+    rateTableBody.innerHTML = '';
+    JSON.parse(state).forEach(rate => addRateRow(rate));
+    rateHistory.current = state;
+
+    updateRateHistoryButtons();
+    clearRateRowHighlights();
+    schedulePersistState();
+    scheduleLivePreview();
+}
+
+function undoRateTableEdit() {
+    commitRateTableState();
+    if (!rateHistory.undo.length) {
+        return;
+    }
+
+    rateHistory.redo.push(rateHistory.current);
+    restoreRateTableState(rateHistory.undo.pop());
+}
+
+function redoRateTableEdit() {
+    if (!rateHistory.redo.length) {
+        return;
+    }
+
+    rateHistory.undo.push(rateHistory.current);
+    restoreRateTableState(rateHistory.redo.pop());
+}
+
+function setLockState(row, field, locked) {
+    const dataField = field === 'start' ? 'startLocked' : 'endLocked';
+    row.dataset[dataField] = String(locked);
+    const button = row.querySelector(field === 'start' ? '.lock-start' : '.lock-end');
+    if (button) {
+        updateLockButton(button, locked);
+    }
+}
+
+function finishRateRowAction() {
+    commitRateTableState();
+    schedulePersistState();
+    scheduleLivePreview();
+
+    const validationError = validateRateTableWithHighlight();
+    if (validationError) {
+        setRateSeriesStatus(validationError, 'error');
+    }
+}
+
+function insertRateRowAfter(row) {
+    const dateTo = parseDateInput(row.querySelector('.date-to').value);
+    const newRow = addRateRow({ rate: row.querySelector('.rate-value').value });
+    row.after(newRow);
+
+    if (!document.getElementById('auto-continuity').checked || !dateTo) {
+        // Without auto-continuity the new row is left for the user to fill in, like "Dodaj okres stopy"
+        finishRateRowAction();
+        return;
+    }
+
+    // The boundary between the row and the new period keeps the row's lock; the new boundary
+    // after the inserted period starts unlocked
+    const nextRow = newRow.nextElementSibling;
+    setLockState(newRow, 'start', isDateLocked(row, 'end'));
+    if (nextRow) {
+        setLockState(nextRow, 'start', false);
+    }
+
+    newRow.querySelector('.date-from').value = formatDateInput(addDays(dateTo, 1));
+    newRow.querySelector('.date-to').value = nextRow
+        ? nextRow.querySelector('.date-to').value
+        : row.querySelector('.date-to').value;
+    cascadeForward(row);
+    alignRateBoundariesToCreditDates();
+    finishRateRowAction();
+}
+
+function splitRateRow(row) {
+    const dateFrom = parseDateInput(row.querySelector('.date-from').value);
+    const dateTo = parseDateInput(row.querySelector('.date-to').value);
+    if (!dateFrom || !dateTo) {
+        setRateSeriesStatus(t('rates.splitMissingDates'), 'error');
+        return;
+    }
+
+    // Both halves must keep "Od" before "Do"
+    const earliest = addDays(dateFrom, 2);
+    const latest = addDays(dateTo, -1);
+    if (earliest > latest) {
+        setRateSeriesStatus(t('rates.splitTooShort'), 'error');
+        return;
+    }
+
+    const middle = addDays(dateFrom, Math.floor(daysBetween(dateFrom, dateTo) / 2) + 1);
+    const answer = prompt(
+        t('rates.splitPrompt', { from: formatDateInput(earliest), to: formatDateInput(latest) }),
+        formatDateInput(middle));
+    if (answer === null) {
+        return;
+    }
+
+    const splitDate = parseDateInput(answer.trim());
+    if (!splitDate || splitDate < earliest || splitDate > latest) {
+        setRateSeriesStatus(t('rates.splitOutOfRange', { from: formatDateInput(earliest), to: formatDateInput(latest) }), 'error');
+        return;
+    }
+
+    const newRow = addRateRow({
+        dateFrom: formatDateInput(splitDate),
+        dateTo: formatDateInput(dateTo),
+        rate: row.querySelector('.rate-value').value,
+        endLocked: isDateLocked(row, 'end')
+    });
+    row.after(newRow);
+
+    row.querySelector('.date-to').value = formatDateInput(addDays(splitDate, -1));
+    setLockState(row, 'end', false);
+    finishRateRowAction();
+}
+
+function mergeRateRow(row) {
+    const rows = Array.from(rateTableBody.querySelectorAll('tr'));
+    if (rows.length < 2) {
+        setRateSeriesStatus(t('rates.mergeNoNeighbour'), 'error');
+        return;
+    }
+
+    // The last row merges with the previous one; the first of the pair keeps its rate
+    const index = rows.indexOf(row);
+    const first = index === rows.length - 1 ? rows[index - 1] : row;
+    const second = first.nextElementSibling;
+
+    first.querySelector('.date-to').value = second.querySelector('.date-to').value;
+    setLockState(first, 'end', isDateLocked(second, 'end'));
+    second.remove();
+    finishRateRowAction();
+}
+
+function isEditableTarget(target) {
+    return target instanceof HTMLElement &&
+        (target.isContentEditable || ['INPUT', 'SELECT', 'TEXTAREA'].includes(target.tagName));
+}
+
+rateUndoButton.addEventListener('click', undoRateTableEdit);
+rateRedoButton.addEventListener('click', redoRateTableEdit);
+
+// Edits inside the table (date cascades, lock toggles, removals) are recorded once their own handlers ran
+document.getElementById('rate-table').addEventListener('change', commitRateTableState);
+document.getElementById('rate-table').addEventListener('click', commitRateTableState);
+document.getElementById('add-rate').addEventListener('click', commitRateTableState);
+
+document.addEventListener('keydown', event => {
+    if (!(event.ctrlKey || event.metaKey) || isEditableTarget(event.target)) {
+        // Form fields keep their native text undo
+        return;
+    }
+
+    const key = event.key.toLowerCase();
+    if (key === 'z' && !event.shiftKey) {
+        event.preventDefault();
+        undoRateTableEdit();
+    } else if (key === 'y' || (key === 'z' && event.shiftKey)) {
+        event.preventDefault();
+        redoRateTableEdit();
+    }
+});
+
 function readParametersFromForm() {
     return {
-        netValue: parseFloat(document.getElementById('net-value').value) || 0,
-        marginRate: parseFloat(document.getElementById('margin-rate').value) || 0,
+        netValue: parseLocaleNumber(document.getElementById('net-value').value) || 0,
+        marginRate: parseLocaleNumber(document.getElementById('margin-rate').value) || 0,
         paymentFrequency: document.getElementById('payment-frequency').value,
         paymentDay: document.getElementById('payment-day').value,
+        paymentDayOfMonth: parseInt(document.getElementById('payment-day-of-month').value || '1', 10),
+        businessDayConvention: document.getElementById('business-day-convention').value,
+        closingDays: readDateList(closingDayList),
+        customPaymentDates: readDateList(customDateList),
         creditStartDate: document.getElementById('credit-start').value,
         creditEndDate: document.getElementById('credit-end').value,
         dayCountBasis: document.getElementById('day-count').value,
         interestRateApplication: interestApplicationSelect.value,
         roundingMode: document.getElementById('rounding-mode').value,
         roundingDecimals: parseInt(document.getElementById('rounding-decimals').value || '4', 10),
-        processingFeeRate: parseFloat(document.getElementById('processing-fee').value) || 0,
-        processingFeeAmount: parseFloat(document.getElementById('processing-fee-amount').value) || 0,
+        processingFeeRate: parseLocaleNumber(document.getElementById('processing-fee').value) || 0,
+        processingFeeAmount: parseLocaleNumber(document.getElementById('processing-fee-amount').value) || 0,
         paymentType: document.getElementById('payment-type').value,
-        gracePeriodMonths: parseInt(document.getElementById('grace-period').value || '0', 10)
+        gracePeriodMonths: parseInt(document.getElementById('grace-period').value || '0', 10),
+        recurringFees: readFeesFromTable()
     };
 }
 
 function setParametersToForm(parameters) {
-    document.getElementById('net-value').value = parameters.netValue ?? '';
-    document.getElementById('margin-rate').value = parameters.marginRate ?? 0;
+    document.getElementById('net-value').value = formatInputNumber(parameters.netValue ?? '');
+    document.getElementById('margin-rate').value = formatInputNumber(parameters.marginRate ?? 0);
     document.getElementById('payment-frequency').value = parameters.paymentFrequency ?? 'Monthly';
     document.getElementById('payment-day').value = parameters.paymentDay ?? 'LastOfMonth';
+    document.getElementById('payment-day-of-month').value = parameters.paymentDayOfMonth ?? 1;
+    document.getElementById('business-day-convention').value = parameters.businessDayConvention ?? 'None';
+    renderDateList(closingDayList, parameters.closingDays);
+    renderDateList(customDateList, parameters.customPaymentDates);
+    setCustomDatesStatus('');
     document.getElementById('credit-start').value = parameters.creditStartDate?.substring(0, 10) ?? '';
     document.getElementById('credit-end').value = parameters.creditEndDate?.substring(0, 10) ?? '';
     document.getElementById('day-count').value = parameters.dayCountBasis ?? 'Actual365';
     interestApplicationSelect.value = parameters.interestRateApplication ?? 'DailyAccrual';
     document.getElementById('rounding-mode').value = parameters.roundingMode ?? 'Bankers';
     document.getElementById('rounding-decimals').value = parameters.roundingDecimals ?? 4;
-    document.getElementById('processing-fee').value = parameters.processingFeeRate ?? 0;
-    document.getElementById('processing-fee-amount').value = parameters.processingFeeAmount ?? 0;
+    document.getElementById('processing-fee').value = formatInputNumber(parameters.processingFeeRate ?? 0);
+    document.getElementById('processing-fee-amount').value = formatInputNumber(parameters.processingFeeAmount ?? 0);
     document.getElementById('payment-type').value = parameters.paymentType ?? 'DecreasingInstallments';
     document.getElementById('grace-period').value = parameters.gracePeriodMonths ?? 0;
+    populateFeeTable(parameters.recurringFees);
 
     enforceInterestApplicationAvailability();
+    updatePaymentDayFields();
 }
 
 function readRatesFromTable() {
@@ -580,7 +935,7 @@ function readRatesFromTable() {
     return Array.from(rows).map(row => ({
         dateFrom: row.querySelector('.date-from').value,
         dateTo: row.querySelector('.date-to').value,
-        rate: parseFloat(row.querySelector('.rate-value').value) || 0
+        rate: parseLocaleNumber(row.querySelector('.rate-value').value) || 0
     }));
 }
 
@@ -592,41 +947,50 @@ function populateRateTable(rates) {
     }
 
     alignRateBoundariesToCreditDates();
+    commitRateTableState();
 }
 
-function validateRatePeriods(rates) {
-    const { startDate, endDate } = getCreditDates();
-    if (!startDate || !endDate) {
-        throw new Error('Podaj datę rozpoczęcia i zakończenia kredytu.');
-    }
+// Collects every problem in the rate table; each issue names the row and the input it concerns
+function collectRateIssues(rates) {
+    const issues = [];
+    const rateIssue = (message, rowIndex = null, field = null) => issues.push({ scope: 'rate', rowIndex, field, message });
 
     if (!rates.length) {
-        throw new Error('Dodaj co najmniej jeden okres stopy procentowej.');
+        rateIssue(t('validation.noRates'));
+        return issues;
     }
 
-    const normalized = rates.map((rate, index) => {
+    const normalized = [];
+    rates.forEach((rate, index) => {
         const dateFrom = parseDateInput(rate.dateFrom);
         const dateTo = parseDateInput(rate.dateTo);
 
         if (!dateFrom || !dateTo) {
-            throw new Error(`Wiersz ${index + 1}: podaj daty początku i końca okresu.`);
+            rateIssue(t('validation.rateDatesMissing', { row: index + 1 }), index, dateFrom ? 'date-to' : 'date-from');
+            return;
         }
 
         if (dateFrom >= dateTo) {
-            throw new Error(`Wiersz ${index + 1}: data "Od" musi być wcześniejsza niż data "Do".`);
+            rateIssue(t('validation.rateDatesOrder', { row: index + 1 }), index, 'date-to');
+            return;
         }
 
-        return { ...rate, dateFrom, dateTo };
+        normalized.push({ ...rate, dateFrom, dateTo, rowIndex: index });
     });
 
+    const { startDate, endDate } = getCreditDates();
+    if (!normalized.length || !startDate || !endDate) {
+        return issues;
+    }
+
     const sorted = normalized.sort((a, b) => a.dateFrom - b.dateFrom);
 
     if (sorted[0].dateFrom.getTime() !== startDate.getTime()) {
-        throw new Error('Pierwszy okres stopy musi zaczynać się w dniu uruchomienia kredytu.');
+        rateIssue(t('validation.rateFirstStart'), sorted[0].rowIndex, 'date-from');
     }
 
     if (sorted[sorted.length - 1].dateTo.getTime() !== endDate.getTime()) {
-        throw new Error('Ostatni okres stopy musi kończyć się w dniu zakończenia kredytu.');
+        rateIssue(t('validation.rateLastEnd'), sorted[sorted.length - 1].rowIndex, 'date-to');
     }
 
     for (let i = 1; i < sorted.length; i++) {
@@ -635,287 +999,4344 @@ function validateRatePeriods(rates) {
         const expectedStart = addDays(prev.dateTo, 1).getTime();
 
         if (current.dateFrom.getTime() < expectedStart) {
-            throw new Error(`Okres ${i + 1} nakłada się na poprzedni.`);
-        }
-
-        if (current.dateFrom.getTime() !== expectedStart) {
-            throw new Error(`Pomiędzy okresem ${i} i ${i + 1} występuje przerwa.`);
+            rateIssue(t('validation.rateOverlap', { period: i + 1 }), current.rowIndex, 'date-from');
+        } else if (current.dateFrom.getTime() !== expectedStart) {
+            rateIssue(t('validation.rateGap', { previous: i, period: i + 1 }), current.rowIndex, 'date-from');
         }
     }
+
+    return issues;
 }
 
-function updateTotalInterest(totalInterest) {
-    totalInterestElement.textContent = (totalInterest ?? 0).toFixed(2);
+// Prepayments ("Nadpłaty"): the server settles each one with the first installment on or after its date
+function addPrepaymentRow(prepayment) {
+    const dateValue = prepayment?.date
+        ? prepayment.date.split('T')[0]
+        : '';
+    const amountValue = prepayment?.amount ?? '';
+
+    const row = document.createElement('tr');
+    row.innerHTML = `
+        <td><input type="date" class="prepayment-date" value="${dateValue}" data-i18n-aria-label="prepayments.date" aria-label="${t('prepayments.date')}" required></td>
+        <td><input type="text" inputmode="decimal" class="prepayment-amount" value="${formatInputNumber(amountValue)}" data-i18n-aria-label="prepayments.amount" aria-label="${t('prepayments.amount')}" required></td>
+        <td>
+            <select class="prepayment-mode" data-i18n-aria-label="prepayments.mode" aria-label="${t('prepayments.mode')}">
+                <option value="ReduceTerm" data-i18n="prepayments.reduceTerm">${t('prepayments.reduceTerm')}</option>
+                <option value="ReduceInstallment" data-i18n="prepayments.reduceInstallment">${t('prepayments.reduceInstallment')}</option>
+            </select>
+        </td>
+        <td><button type="button" class="secondary remove-prepayment" data-i18n="common.remove">${t('common.remove')}</button></td>
+    `;
+    row.querySelector('.prepayment-mode').value = prepayment?.mode === 'ReduceInstallment' ? 'ReduceInstallment' : 'ReduceTerm';
+
+    row.querySelector('.remove-prepayment').addEventListener('click', () => {
+        row.remove();
+    });
+
+    prepaymentTableBody.appendChild(row);
 }
 
-function updateApr(apr) {
-    aprElement.textContent = `${(apr ?? 0).toFixed(4)}%`;
+function readPrepaymentsFromTable() {
+    const rows = prepaymentTableBody.querySelectorAll('tr');
+    return Array.from(rows).map(row => ({
+        date: row.querySelector('.prepayment-date').value,
+        amount: parseLocaleNumber(row.querySelector('.prepayment-amount').value) || 0,
+        mode: row.querySelector('.prepayment-mode').value
+    }));
 }
 
-// Add after the schedule table
-function displaySchedule(schedule, totalInterest, annualPercentageRate, warnings, targetPayment, actualFinalPayment) {
-    scheduleTableBody.innerHTML = '';
-    (schedule ?? []).forEach((item, index) => {
-        const row = document.createElement('tr');
+function populatePrepaymentTable(prepayments) {
+    prepaymentTableBody.innerHTML = '';
+    (prepayments ?? []).forEach(prepayment => addPrepaymentRow(prepayment));
+}
 
-        // Add grace period class if in grace period
-        if (item.isInGracePeriod) {
-            row.classList.add('grace-period-row');
+function collectPrepaymentIssues(prepayments) {
+    const { startDate, endDate } = getCreditDates();
+    const issues = [];
+
+    prepayments.forEach((prepayment, index) => {
+        const date = parseDateInput(prepayment.date);
+        if (!date) {
+            issues.push({ scope: 'prepayment', rowIndex: index, field: 'prepayment-date', message: t('validation.prepaymentDateMissing', { row: index + 1 }) });
+        } else if (startDate && endDate && (date <= startDate || date > endDate)) {
+            issues.push({
+                scope: 'prepayment',
+                rowIndex: index,
+                field: 'prepayment-date',
+                message: t('validation.prepaymentDateRange', { row: index + 1 })
+            });
         }
 
-        // Add warning class if needed
-        if (item.warnings && item.warnings !== 0) {
-            row.classList.add('warning-row');
+        if (!(prepayment.amount > 0)) {
+            issues.push({ scope: 'prepayment', rowIndex: index, field: 'prepayment-amount', message: t('validation.prepaymentAmount', { row: index + 1 }) });
         }
+    });
 
-        let paymentDisplay = item.totalPayment.toFixed(2);
-        if (item.isFinalPaymentAdjusted) {
-            paymentDisplay += ' *';
-        }
+    return issues;
+}
 
-        // Add grace period indicator to payment date
-        let paymentDateDisplay = item.paymentDate?.substring(0, 10);
-        if (item.isInGracePeriod) {
-            paymentDateDisplay += ' (karencja)';
-        }
+document.getElementById('add-prepayment').addEventListener('click', () => addPrepaymentRow());
+
+// Recurring fees ("Opłaty cykliczne"): sent with the parameters; RecurringFeeSchedule on the server
+// collects each charge with the first installment on or after its date
+const feeTableBody = document.querySelector('#fee-table tbody');
+const FEE_TYPES = [['FixedAmount', 'fees.fixedAmount'], ['BalancePercentage', 'fees.balancePercentage']];
+const FEE_FREQUENCIES = [
+    ['EveryInstallment', 'fees.everyInstallment'],
+    ['Monthly', 'fees.monthly'],
+    ['Quarterly', 'fees.quarterly'],
+    ['Annually', 'fees.annually']
+];
+
+function renderFeeOptions(options) {
+    return options.map(([value, key]) => `<option value="${value}" data-i18n="${key}">${t(key)}</option>`).join('');
+}
 
-        row.innerHTML = `
-            <td>${paymentDateDisplay}</td>
-            <td>${item.daysInPeriod}</td>
-            <td>${item.interestRate.toFixed(4)}%${item.nominalRate ? ` (nom: ${item.nominalRate.toFixed(4)}%)` : ''}</td>
-            <td>${item.interestAmount.toFixed(2)}</td>
-            <td>${item.principalPayment.toFixed(2)}</td>
-            <td>${paymentDisplay}</td>
-            <td>${item.remainingPrincipal.toFixed(2)}</td>
-        `;
-        scheduleTableBody.appendChild(row);
+function addFeeRow(fee) {
+    const row = document.createElement('tr');
+    row.innerHTML = `
+        <td><input type="text" class="fee-name" data-i18n-aria-label="fees.name" aria-label="${t('fees.name')}" data-i18n-placeholder="fees.namePlaceholder" placeholder="${t('fees.namePlaceholder')}"></td>
+        <td><select class="fee-type" data-i18n-aria-label="fees.type" aria-label="${t('fees.type')}">${renderFeeOptions(FEE_TYPES)}</select></td>
+        <td><input type="text" inputmode="decimal" class="fee-value" value="${formatInputNumber(fee?.value ?? '')}" data-i18n-aria-label="fees.value" aria-label="${t('fees.value')}" required></td>
+        <td><select class="fee-frequency" data-i18n-aria-label="fees.frequency" aria-label="${t('fees.frequency')}">${renderFeeOptions(FEE_FREQUENCIES)}</select></td>
+        <td><input type="date" class="fee-date-from" value="${fee?.dateFrom?.split('T')[0] ?? ''}" data-i18n-aria-label="fees.from" aria-label="${t('fees.from')}"></td>
+        <td><input type="date" class="fee-date-to" value="${fee?.dateTo?.split('T')[0] ?? ''}" data-i18n-aria-label="fees.to" aria-label="${t('fees.to')}"></td>
+        <td><button type="button" class="secondary remove-fee" data-i18n="common.remove">${t('common.remove')}</button></td>
+    `;
+    // Set as a property, so names with quotes or markup need no escaping
+    row.querySelector('.fee-name').value = fee?.name ?? '';
+    row.querySelector('.fee-type').value = fee?.type === 'BalancePercentage' ? 'BalancePercentage' : 'FixedAmount';
+    row.querySelector('.fee-frequency').value = FEE_FREQUENCIES.some(([value]) => value === fee?.frequency) ? fee.frequency : 'Monthly';
+
+    row.querySelector('.remove-fee').addEventListener('click', () => {
+        row.remove();
     });
 
-    const calculatedTotal = totalInterest ?? (schedule ?? []).reduce((sum, item) => sum + (item.interestAmount ?? 0), 0);
-    updateTotalInterest(calculatedTotal);
-    updateApr(annualPercentageRate ?? 0);
+    feeTableBody.appendChild(row);
+}
 
-    // Display warnings
-    const warningSection = document.getElementById('warnings-section');
-    if (warnings && warnings.length > 0) {
-        warningSection.innerHTML = '<h3>Ostrzeżenia</h3><ul>' +
-            warnings.map(w => `<li>${w}</li>`).join('') + '</ul>';
-        warningSection.style.display = 'block';
-    } else {
-        warningSection.style.display = 'none';
-    }
+// Empty dates are sent as null: the fee then runs from the credit start or until its end
+function readFeesFromTable() {
+    const rows = feeTableBody.querySelectorAll('tr');
+    return Array.from(rows).map(row => ({
+        name: row.querySelector('.fee-name').value.trim(),
+        type: row.querySelector('.fee-type').value,
+        value: parseLocaleNumber(row.querySelector('.fee-value').value) || 0,
+        frequency: row.querySelector('.fee-frequency').value,
+        dateFrom: row.querySelector('.fee-date-from').value || null,
+        dateTo: row.querySelector('.fee-date-to').value || null
+    }));
+}
 
-    // Display payment info for equal installments
-    const paymentInfo = document.getElementById('payment-info');
-    if (targetPayment && actualFinalPayment) {
-        const diff = Math.abs(actualFinalPayment - targetPayment);
-        if (diff >= 0.01) {
-            paymentInfo.innerHTML = `<p><strong>Rata docelowa:</strong> ${targetPayment.toFixed(2)} | <strong>Ostatnia rata:</strong> ${actualFinalPayment.toFixed(2)} (dostosowana)</p>`;
-            paymentInfo.style.display = 'block';
-        } else {
-            paymentInfo.style.display = 'none';
-        }
-    } else {
-        paymentInfo.style.display = 'none';
-    }
+function populateFeeTable(fees) {
+    feeTableBody.innerHTML = '';
+    (fees ?? []).forEach(fee => addFeeRow(fee));
 }
 
-function buildPayload() {
-    return {
-        parameters: readParametersFromForm(),
-        rates: readRatesFromTable()
-    };
+// Mirrors RecurringFee.GetDisplayName
+function getFeeDisplayName(fee, index) {
+    return fee?.name || t('fees.defaultName', { number: index + 1 });
 }
 
-function buildValidatedPayload() {
-    const payload = buildPayload();
-    validateRatePeriods(payload.rates);
-    return payload;
+function collectFeeIssues(fees) {
+    const { startDate, endDate } = getCreditDates();
+    const issues = [];
+
+    fees.forEach((fee, index) => {
+        if (!(fee.value > 0)) {
+            issues.push({ scope: 'fee', rowIndex: index, field: 'fee-value', message: t('validation.feeValue', { row: index + 1 }) });
+        }
+
+        if (!startDate || !endDate) {
+            return;
+        }
+
+        const dateFrom = parseDateInput(fee.dateFrom) ?? startDate;
+        const dateTo = parseDateInput(fee.dateTo) ?? endDate;
+        if (dateFrom < startDate || dateFrom > dateTo) {
+            issues.push({ scope: 'fee', rowIndex: index, field: 'fee-date-from', message: t('validation.feeDateRange', { row: index + 1 }) });
+        } else if (dateTo > endDate) {
+            issues.push({ scope: 'fee', rowIndex: index, field: 'fee-date-to', message: t('validation.feeDateRange', { row: index + 1 }) });
+        }
+    });
+
+    return issues;
 }
 
-function getAntiforgeryToken() {
-    const match = document.cookie.match(/XSRF-TOKEN=([^;]+)/);
-    return match ? decodeURIComponent(match[1]) : '';
+document.getElementById('add-fee').addEventListener('click', () => addFeeRow());
+
+function updateTotalInterest(totalInterest) {
+    totalInterestElement.textContent = formatAmount(totalInterest ?? 0);
 }
 
-function buildAntiforgeryHeaders(baseHeaders = {}) {
-    const token = getAntiforgeryToken();
-    if (token) {
-        return { ...baseHeaders, 'RequestVerificationToken': token };
-    }
-    return baseHeaders;
+function updateApr(apr) {
+    aprElement.textContent = formatPercent(apr ?? 0, 4);
 }
 
-importForm.addEventListener('submit', async (event) => {
-    event.preventDefault();
-    importStatus.textContent = '';
-    const fileInput = document.getElementById('import-file');
-    if (!fileInput.files.length) {
-        importStatus.textContent = 'Wybierz plik Excel (.xlsx), OpenDocument (.ods) lub JSON do importu.';
-        importStatus.className = 'status error';
-        return;
+// Schedule table
+// Rows are filtered and sorted in memory. Long schedules (e.g. daily payments over several years) only
+// render the rows around the visible part of #schedule-scroll; spacer rows stand in for the rest.
+const scheduleTable = document.getElementById('schedule-table');
+const scheduleScroll = document.getElementById('schedule-scroll');
+const scheduleRowCount = document.getElementById('schedule-row-count');
+const scheduleFilterGrace = document.getElementById('schedule-filter-grace');
+const scheduleFilterWarnings = document.getElementById('schedule-filter-warnings');
+const scheduleFilterRateChange = document.getElementById('schedule-filter-rate-change');
+const scheduleFilterFrom = document.getElementById('schedule-filter-from');
+const scheduleFilterTo = document.getElementById('schedule-filter-to');
+// Schedules up to this length are rendered in full
+const SCHEDULE_VIRTUAL_THRESHOLD = 200;
+// Rows rendered above and below the visible part, so fast scrolling does not show blank space
+const SCHEDULE_ROW_BUFFER = 20;
+// Used until a rendered row can be measured
+const SCHEDULE_DEFAULT_ROW_HEIGHT = 37;
+const SCHEDULE_DEFAULT_VIEWPORT_HEIGHT = 600;
+
+// Schedule items with their paymentNumber, cumulativeInterest and rateChanged, in payment order
+let scheduleRows = [];
+// scheduleRows after filtering and sorting
+let displayedScheduleRows = [];
+// direction is 1 (ascending) or -1 (descending); no column keeps the payment order
+let scheduleSort = { column: null, direction: 1 };
+let scheduleRowHeight = SCHEDULE_DEFAULT_ROW_HEIGHT;
+let scheduleRenderFrame = null;
+
+// value: what the column sorts by; render: the cell content; sum: whether the footer totals the column
+const SCHEDULE_COLUMNS = {
+    paymentDate: {
+        value: row => row.paymentDate,
+        render: row => `${formatDisplayDate(row.paymentDate)}${row.isInGracePeriod ? ` (${t('schedule.graceMarker')})` : ''}`
+    },
+    daysInPeriod: { value: row => row.daysInPeriod, render: row => row.daysInPeriod },
+    interestRate: {
+        value: row => row.interestRate,
+        // The nominal rate is shown next to the effective one unless it has its own column
+        render: row => `${formatPercent(row.interestRate, 4)}${row.nominalRate && !isScheduleColumnVisible('nominalRate')
+            ? ` (${t('schedule.nominal')}: ${formatPercent(row.nominalRate, 4)})`
+            : ''}`
+    },
+    effectivePeriodRate: {
+        value: row => row.effectivePeriodRate ?? 0,
+        render: row => row.effectivePeriodRate != null ? formatPercent(row.effectivePeriodRate * 100, 6) : ''
+    },
+    nominalRate: {
+        value: row => row.nominalRate ?? 0,
+        render: row => row.nominalRate != null ? formatPercent(row.nominalRate, 4) : ''
+    },
+    interestAmount: { value: row => row.interestAmount, render: row => formatAmount(row.interestAmount), sum: true },
+    cumulativeInterest: { value: row => row.cumulativeInterest, render: row => formatAmount(row.cumulativeInterest) },
+    principalPayment: { value: row => row.principalPayment, render: row => formatAmount(row.principalPayment), sum: true },
+    totalPayment: {
+        value: row => row.totalPayment,
+        render: row => `${formatAmount(row.totalPayment)}${row.isFinalPaymentAdjusted ? ' *' : ''}`,
+        sum: true
+    },
+    remainingPrincipal: { value: row => row.remainingPrincipal, render: row => formatAmount(row.remainingPrincipal) },
+    prepaymentAmount: {
+        value: row => row.prepaymentAmount ?? 0,
+        render: row => (row.prepaymentAmount ?? 0) > 0 ? formatAmount(row.prepaymentAmount) : '',
+        sum: true
+    },
+    log: {
+        render: row => `<button type="button" class="secondary show-log" data-payment-number="${row.paymentNumber}" ${lastCalculationLog?.length ? '' : 'disabled'} title="${t('schedule.showLogHint')}">${t('schedule.showLog')}</button>`
     }
+};
 
-    const formData = new FormData();
-    formData.append('file', fileInput.files[0]);
+function getScheduleHeaderCells() {
+    return [...scheduleTable.querySelectorAll('thead th[data-column]')];
+}
+
+function isScheduleColumnVisible(column) {
+    return !scheduleTable.querySelector(`thead th[data-column="${column}"]`).hidden;
+}
+
+function getVisibleScheduleColumns() {
+    return getScheduleHeaderCells().filter(th => !th.hidden).map(th => th.dataset.column);
+}
+
+// One column per recurring fee, named as in the calculated payload, followed by their total.
+// The columns only exist while the schedule carries fees.
+function renderScheduleFeeColumns(schedule) {
+    scheduleTable.querySelectorAll('thead th[data-fee-column]').forEach(th => {
+        delete SCHEDULE_COLUMNS[th.dataset.column];
+        th.remove();
+    });
+
+    const feeCount = Math.max(0, ...(schedule ?? []).map(item => item.feeAmounts?.length ?? 0));
+    const fees = lastCalculationPayload?.parameters.recurringFees ?? readFeesFromTable();
+    const logHeader = scheduleTable.querySelector('thead th[data-column="log"]');
+    const addColumn = (column, label, value) => {
+        SCHEDULE_COLUMNS[column] = { value, render: row => value(row) > 0 ? formatAmount(value(row)) : '', sum: true };
+        const th = document.createElement('th');
+        th.dataset.column = column;
+        th.dataset.feeColumn = '';
+        th.innerHTML = `<button type="button" class="sort-button">${escapeHtml(label)}</button>`;
+        logHeader.before(th);
+    };
+
+    for (let index = 0; index < feeCount; index++) {
+        addColumn(`fee${index}`, getFeeDisplayName(fees[index], index), row => row.feeAmounts?.[index] ?? 0);
+    }
+    if (feeCount > 0) {
+        addColumn('feeAmount', t('schedule.feeTotal'), row => row.feeAmount ?? 0);
+    }
+
+    // Sorting by a fee column that is gone falls back to the payment order
+    if (scheduleSort.column && !SCHEDULE_COLUMNS[scheduleSort.column]) {
+        scheduleSort = { column: null, direction: 1 };
+    }
+}
+
+function setScheduleRows(schedule) {
+    renderScheduleFeeColumns(schedule);
+    let cumulativeInterest = 0;
+    scheduleRows = (schedule ?? []).map((item, index, items) => {
+        cumulativeInterest += item.interestAmount ?? 0;
+        return {
+            ...item,
+            paymentNumber: index + 1,
+            cumulativeInterest,
+            rateChanged: index > 0 && item.interestRate !== items[index - 1].interestRate
+        };
+    });
+    renderScheduleTable();
+    renderScheduleAggregates();
+}
+
+function filterScheduleRows(rows) {
+    const from = scheduleFilterFrom.value;
+    const to = scheduleFilterTo.value;
+
+    // Payment dates start with yyyy-MM-dd, so they compare with the date inputs as strings
+    return rows.filter(row => {
+        const date = String(row.paymentDate).slice(0, 10);
+        return (!scheduleFilterGrace.checked || row.isInGracePeriod)
+            && (!scheduleFilterWarnings.checked || hasScheduleWarnings(row))
+            && (!scheduleFilterRateChange.checked || row.rateChanged)
+            && (!from || date >= from)
+            && (!to || date <= to);
+    });
+}
+
+function sortScheduleRows(rows) {
+    const { column, direction } = scheduleSort;
+    if (!column) {
+        return rows;
+    }
+
+    const value = SCHEDULE_COLUMNS[column].value;
+    return [...rows].sort((a, b) => {
+        const left = value(a);
+        const right = value(b);
+        const order = left < right ? -1 : left > right ? 1 : 0;
+        return order * direction || a.paymentNumber - b.paymentNumber;
+    });
+}
+
+function renderScheduleTable() {
+    displayedScheduleRows = sortScheduleRows(filterScheduleRows(scheduleRows));
+
+    getScheduleHeaderCells().forEach(th => {
+        if (th.dataset.column === scheduleSort.column) {
+            th.setAttribute('aria-sort', scheduleSort.direction === 1 ? 'ascending' : 'descending');
+        } else {
+            th.removeAttribute('aria-sort');
+        }
+    });
+
+    scheduleRowCount.textContent = scheduleRows.length
+        ? t('schedule.rowCount', { shown: displayedScheduleRows.length, total: scheduleRows.length })
+        : '';
+    scheduleScroll.classList.toggle('virtualized', displayedScheduleRows.length > SCHEDULE_VIRTUAL_THRESHOLD);
+    renderScheduleFooter();
+    renderScheduleWindow();
+}
+
+function renderScheduleRow(row, columns) {
+    const classes = [
+        row.isInGracePeriod ? 'grace-period-row' : '',
+        hasScheduleWarnings(row) ? 'warning-row' : '',
+        (row.prepaymentAmount ?? 0) > 0 ? 'prepayment-row' : ''
+    ].filter(Boolean).join(' ');
+    const title = (row.prepaymentAmount ?? 0) > 0
+        ? ` title="${escapeHtml(t('schedule.prepaymentHint', { amount: formatAmount(row.prepaymentAmount) }))}"`
+        : '';
+    // Row colours are not announced, so warning rows start with a hidden label (grace rows carry a visible marker)
+    const warningLabel = hasScheduleWarnings(row) ? `<span class="visually-hidden">${escapeHtml(t('schedule.warningRow'))}: </span>` : '';
+    const cells = columns.map((column, index) => `<td>${index === 0 ? warningLabel : ''}${SCHEDULE_COLUMNS[column].render(row)}</td>`).join('');
+    return `<tr data-payment-number="${row.paymentNumber}" class="${classes}"${title}>${cells}</tr>`;
+}
+
+function renderScheduleSpacer(height, columnCount) {
+    return height > 0 ? `<tr class="schedule-spacer" aria-hidden="true"><td colspan="${columnCount}" style="height: ${height}px;"></td></tr>` : '';
+}
+
+// Renders the rows around the scroll position, or all of them when the schedule is short
+function renderScheduleWindow() {
+    const columns = getVisibleScheduleColumns();
+    const rows = displayedScheduleRows;
+    let first = 0;
+    let last = rows.length;
+
+    if (rows.length > SCHEDULE_VIRTUAL_THRESHOLD) {
+        const headerHeight = scheduleTable.tHead.offsetHeight;
+        const viewportHeight = scheduleScroll.clientHeight || SCHEDULE_DEFAULT_VIEWPORT_HEIGHT;
+        const firstVisible = Math.floor(Math.max(0, scheduleScroll.scrollTop - headerHeight) / scheduleRowHeight);
+        first = Math.max(0, Math.min(firstVisible, rows.length - 1) - SCHEDULE_ROW_BUFFER);
+        last = Math.min(rows.length, firstVisible + Math.ceil(viewportHeight / scheduleRowHeight) + SCHEDULE_ROW_BUFFER);
+    }
+
+    scheduleTableBody.innerHTML = renderScheduleSpacer(first * scheduleRowHeight, columns.length)
+        + rows.slice(first, last).map(row => renderScheduleRow(row, columns)).join('')
+        + renderScheduleSpacer((rows.length - last) * scheduleRowHeight, columns.length);
+
+    // Spacer heights follow the real row height once a row has been laid out
+    const measured = scheduleTableBody.querySelector('tr[data-payment-number]')?.offsetHeight;
+    if (measured && Math.abs(measured - scheduleRowHeight) > 1) {
+        scheduleRowHeight = measured;
+        if (rows.length > SCHEDULE_VIRTUAL_THRESHOLD) {
+            renderScheduleWindow();
+        }
+    }
+}
+
+// Sums of the filtered rows; sticky at the bottom of #schedule-scroll
+function renderScheduleFooter() {
+    const footer = scheduleTable.tFoot;
+    if (scheduleRows.length === 0) {
+        footer.innerHTML = '';
+        return;
+    }
+
+    const cells = getVisibleScheduleColumns().map((column, index) => {
+        if (index === 0) {
+            return `<th>${escapeHtml(t('schedule.footerTotal', { count: displayedScheduleRows.length }))}</th>`;
+        }
+        if (!SCHEDULE_COLUMNS[column].sum) {
+            return '<td></td>';
+        }
+
+        const value = SCHEDULE_COLUMNS[column].value;
+        return `<td>${formatAmount(displayedScheduleRows.reduce((sum, row) => sum + value(row), 0))}</td>`;
+    }).join('');
+    footer.innerHTML = `<tr>${cells}</tr>`;
+}
+
+// Brings a payment into view, switching back to the payment view and clearing filters that hide it
+function revealScheduleRow(paymentNumber) {
+    if (scheduleViewSelect.value) {
+        scheduleViewSelect.value = '';
+        updateScheduleView();
+    }
+    if (!displayedScheduleRows.some(row => row.paymentNumber === paymentNumber)) {
+        clearScheduleFilters();
+    }
+
+    const index = displayedScheduleRows.findIndex(row => row.paymentNumber === paymentNumber);
+    if (index < 0) {
+        return null;
+    }
+
+    if (displayedScheduleRows.length > SCHEDULE_VIRTUAL_THRESHOLD) {
+        scheduleScroll.scrollTop = scheduleTable.tHead.offsetHeight + index * scheduleRowHeight;
+        renderScheduleWindow();
+    }
+    return scheduleTableBody.querySelector(`tr[data-payment-number="${paymentNumber}"]`);
+}
+
+function clearScheduleFilters() {
+    [scheduleFilterGrace, scheduleFilterWarnings, scheduleFilterRateChange].forEach(input => { input.checked = false; });
+    scheduleFilterFrom.value = '';
+    scheduleFilterTo.value = '';
+    renderScheduleTable();
+}
+
+// Clicking a header sorts ascending, then descending, then back to the payment order
+scheduleTable.tHead.addEventListener('click', event => {
+    const column = event.target.closest('.sort-button')?.closest('th').dataset.column;
+    if (!column) {
+        return;
+    }
+
+    if (scheduleSort.column !== column) {
+        scheduleSort = { column, direction: 1 };
+    } else if (scheduleSort.direction === 1) {
+        scheduleSort = { column, direction: -1 };
+    } else {
+        scheduleSort = { column: null, direction: 1 };
+    }
+    renderScheduleTable();
+});
+
+[scheduleFilterGrace, scheduleFilterWarnings, scheduleFilterRateChange, scheduleFilterFrom, scheduleFilterTo]
+    .forEach(input => input.addEventListener('change', renderScheduleTable));
+document.getElementById('schedule-filter-clear').addEventListener('click', clearScheduleFilters);
+
+document.querySelectorAll('[data-schedule-column]').forEach(input => {
+    input.addEventListener('change', () => {
+        scheduleTable.querySelector(`thead th[data-column="${input.dataset.scheduleColumn}"]`).hidden = !input.checked;
+        renderScheduleTable();
+    });
+});
+
+scheduleScroll.addEventListener('scroll', () => {
+    if (displayedScheduleRows.length <= SCHEDULE_VIRTUAL_THRESHOLD || scheduleRenderFrame) {
+        return;
+    }
+
+    scheduleRenderFrame = requestAnimationFrame(() => {
+        scheduleRenderFrame = null;
+        renderScheduleWindow();
+    });
+});
+
+// Aggregated schedule views
+// Mirrors ScheduleAggregator on the server, which adds the same roll-up to exports.
+const scheduleViewSelect = document.getElementById('schedule-view');
+const scheduleAggregateTable = document.getElementById('schedule-aggregate-table');
+// Columns of the payments listed under an expanded period
+const SCHEDULE_AGGREGATE_DETAIL_COLUMNS = [
+    ['paymentDate', 'schedule.paymentDate'],
+    ['daysInPeriod', 'schedule.days'],
+    ['interestRate', 'schedule.interestRate'],
+    ['interestAmount', 'schedule.interest'],
+    ['principalPayment', 'schedule.principal'],
+    ['totalPayment', 'schedule.total'],
+    ['remainingPrincipal', 'schedule.remaining'],
+    ['prepaymentAmount', 'schedule.prepayment']
+];
+
+// Period starts (yyyy-MM-dd) of the expanded rows
+const expandedScheduleAggregates = new Set();
+
+function getAggregatePeriodStart(paymentDate, period) {
+    const date = parseDateInput(paymentDate);
+    const month = period === 'Year' ? 0
+        : period === 'Quarter' ? Math.floor(date.getUTCMonth() / 3) * 3
+            : date.getUTCMonth();
+    return formatDateInput(createDate(date.getUTCFullYear(), month, 1));
+}
+
+// rows are scheduleRows; the balance before the first payment is rebuilt from it, as on the server
+function aggregateSchedule(rows, period) {
+    const aggregates = [];
+    if (rows.length === 0) {
+        return aggregates;
+    }
+
+    let openingBalance = rows[0].remainingPrincipal + rows[0].principalPayment + (rows[0].prepaymentAmount ?? 0);
+    let current = null;
+
+    rows.forEach(row => {
+        const periodStart = getAggregatePeriodStart(row.paymentDate, period);
+        if (!current || current.periodStart !== periodStart) {
+            current = {
+                periodStart,
+                rows: [],
+                interestAmount: 0,
+                principalPayment: 0,
+                totalPayment: 0,
+                prepaymentAmount: 0,
+                openingBalance,
+                closingBalance: openingBalance,
+                rateWeight: 0,
+                weightedRate: 0,
+                days: 0,
+                dayWeightedRate: 0
+            };
+            aggregates.push(current);
+        }
+
+        current.rows.push(row);
+        current.interestAmount += row.interestAmount;
+        current.principalPayment += row.principalPayment;
+        current.totalPayment += row.totalPayment;
+        current.prepaymentAmount += row.prepaymentAmount ?? 0;
+        current.closingBalance = row.remainingPrincipal;
+
+        const weight = openingBalance * row.daysInPeriod;
+        current.rateWeight += weight;
+        current.weightedRate += row.interestRate * weight;
+        current.days += row.daysInPeriod;
+        current.dayWeightedRate += row.interestRate * row.daysInPeriod;
+
+        openingBalance = row.remainingPrincipal;
+    });
+
+    // Periods without an outstanding balance fall back to weighting by days only
+    aggregates.forEach(aggregate => {
+        aggregate.weightedAverageRate = aggregate.rateWeight > 0
+            ? aggregate.weightedRate / aggregate.rateWeight
+            : aggregate.days > 0 ? aggregate.dayWeightedRate / aggregate.days : 0;
+    });
+    return aggregates;
+}
+
+function formatAggregateLabel(periodStart, period) {
+    const date = parseDateInput(periodStart);
+    const year = date.getUTCFullYear();
+    if (period === 'Year') {
+        return String(year);
+    }
+    if (period === 'Quarter') {
+        return t('schedule.quarterLabel', { quarter: Math.floor(date.getUTCMonth() / 3) + 1, year });
+    }
+    return new Intl.DateTimeFormat(getLanguage(), { month: 'long', year: 'numeric', timeZone: 'UTC' }).format(date);
+}
+
+function renderScheduleAggregateDetails(aggregate) {
+    const headers = SCHEDULE_AGGREGATE_DETAIL_COLUMNS.map(([, key]) => `<th>${escapeHtml(t(key))}</th>`).join('');
+    const columns = SCHEDULE_AGGREGATE_DETAIL_COLUMNS.map(([column]) => column);
+    return `<tr class="schedule-aggregate-details"><td colspan="9">
+        <table><thead><tr>${headers}</tr></thead>
+        <tbody>${aggregate.rows.map(row => renderScheduleRow(row, columns)).join('')}</tbody></table>
+    </td></tr>`;
+}
+
+function renderScheduleAggregates() {
+    const period = scheduleViewSelect.value;
+    const tbody = scheduleAggregateTable.querySelector('tbody');
+    if (!period) {
+        tbody.innerHTML = '';
+        return;
+    }
+
+    tbody.innerHTML = aggregateSchedule(scheduleRows, period).map(aggregate => {
+        const expanded = expandedScheduleAggregates.has(aggregate.periodStart);
+        const label = formatAggregateLabel(aggregate.periodStart, period);
+        const row = `<tr>
+            <td><button type="button" class="secondary aggregate-toggle" data-period="${aggregate.periodStart}" aria-expanded="${expanded}"
+                title="${escapeHtml(t('schedule.aggregateToggle', { period: label }))}">${expanded ? '▾' : '▸'}</button> ${escapeHtml(label)}</td>
+            <td>${aggregate.rows.length}</td>
+            <td>${formatAmount(aggregate.interestAmount)}</td>
+            <td>${formatAmount(aggregate.principalPayment)}</td>
+            <td>${formatAmount(aggregate.totalPayment)}</td>
+            <td>${aggregate.prepaymentAmount > 0 ? formatAmount(aggregate.prepaymentAmount) : ''}</td>
+            <td>${formatAmount(aggregate.openingBalance)}</td>
+            <td>${formatAmount(aggregate.closingBalance)}</td>
+            <td>${formatPercent(aggregate.weightedAverageRate, 4)}</td>
+        </tr>`;
+        return expanded ? row + renderScheduleAggregateDetails(aggregate) : row;
+    }).join('');
+}
+
+// The payment view's filters and extra columns do not apply to the rolled-up rows
+function updateScheduleView() {
+    const aggregated = Boolean(scheduleViewSelect.value);
+    document.querySelectorAll('.schedule-filters, .schedule-columns, #schedule-row-count, #schedule-scroll').forEach(element => {
+        element.style.display = aggregated ? 'none' : '';
+    });
+    scheduleAggregateTable.style.display = aggregated ? '' : 'none';
+    renderScheduleAggregates();
+}
+
+scheduleViewSelect.addEventListener('change', () => {
+    expandedScheduleAggregates.clear();
+    updateScheduleView();
+});
+
+scheduleAggregateTable.addEventListener('click', event => {
+    const button = event.target.closest('.aggregate-toggle');
+    if (!button) {
+        return;
+    }
+
+    const period = button.dataset.period;
+    if (!expandedScheduleAggregates.delete(period)) {
+        expandedScheduleAggregates.add(period);
+    }
+    renderScheduleAggregates();
+});
+
+// APR explanation
+// Lists the cash flows and solver steps AprCalculator returns with /api/calculate, next to an APR
+// recomputed here from the displayed schedule as an independent check.
+const aprSolverSummary = document.getElementById('apr-solver-summary');
+const aprCrossCheck = document.getElementById('apr-cross-check');
+const aprCashFlowTable = document.getElementById('apr-cash-flow-table');
+const aprSolverTableBody = document.querySelector('#apr-solver-table tbody');
+const aprExportButton = document.getElementById('apr-export');
+// Both results are rounded to 4 decimals, so they may differ by one unit in the last place
+const APR_CROSS_CHECK_TOLERANCE = 0.0001;
+const APR_METHOD_KEYS = { Newton: 'aprPanel.methodNewton', Bisection: 'aprPanel.methodBisection' };
+
+// { explanation, serverApr, recomputedApr } of the shown result
+let aprExplanationState = null;
+
+// Builds the cash flows from the schedule and the calculated parameters instead of reusing the server's,
+// and solves them by bisection rather than the server's Newton iterations
+function recomputeApr(parameters, schedule) {
+    const startDate = parseDateInput(parameters?.creditStartDate);
+    if (!startDate || !schedule?.length) {
+        return 0;
+    }
+
+    let disbursement = parameters.netValue ?? 0;
+    if (parameters.processingFeeRate > 0) {
+        disbursement -= parameters.netValue * parameters.processingFeeRate / 100;
+    }
+    if (parameters.processingFeeAmount > 0) {
+        disbursement -= parameters.processingFeeAmount;
+    }
+
+    const flows = [
+        { years: 0, amount: disbursement },
+        ...schedule.map(item => ({
+            years: (toDayNumber(parseDateInput(item.paymentDate)) - toDayNumber(startDate)) / 365,
+            amount: -((item.totalPayment ?? 0) + (item.prepaymentAmount ?? 0) + (item.feeAmount ?? 0))
+        }))
+    ];
+    const netPresentValue = rate => flows.reduce((sum, flow) => sum + flow.amount * Math.pow(1 + rate, -flow.years), 0);
+
+    // Payments follow the disbursement, so the net present value grows with the rate
+    let lower = -0.99;
+    let upper = 10;
+    for (let iteration = 0; iteration < 200 && upper - lower > 1e-12; iteration++) {
+        const middle = (lower + upper) / 2;
+        if (netPresentValue(middle) < 0) {
+            lower = middle;
+        } else {
+            upper = middle;
+        }
+    }
+
+    return Math.round((lower + upper) / 2 * 1e6) / 1e4;
+}
+
+function renderAprExplanation(result, parameters) {
+    const explanation = result?.aprExplanation;
+    aprExplanationState = explanation
+        ? { explanation, serverApr: result.annualPercentageRate ?? 0, recomputedApr: recomputeApr(parameters, result.schedule) }
+        : null;
+    aprExportButton.disabled = !explanation;
+
+    if (!explanation) {
+        aprSolverSummary.textContent = result ? t('aprPanel.noData') : '';
+        aprCrossCheck.textContent = '';
+        aprCrossCheck.className = 'status';
+        aprCashFlowTable.tBodies[0].innerHTML = '';
+        aprCashFlowTable.tFoot.innerHTML = '';
+        aprSolverTableBody.innerHTML = '';
+        return;
+    }
+
+    const { serverApr, recomputedApr } = aprExplanationState;
+    aprSolverSummary.textContent = [
+        t('aprPanel.summary', {
+            apr: formatPercent(explanation.annualPercentageRate, 4),
+            method: t(APR_METHOD_KEYS[explanation.method]),
+            count: explanation.steps.length
+        }),
+        explanation.converged ? '' : t('aprPanel.notConverged')
+    ].filter(Boolean).join(' ');
+
+    const difference = recomputedApr - serverApr;
+    const matches = Math.abs(difference) <= APR_CROSS_CHECK_TOLERANCE + 1e-9;
+    aprCrossCheck.className = `status ${matches ? 'success' : 'error'}`;
+    aprCrossCheck.textContent = t(matches ? 'aprPanel.crossCheckMatch' : 'aprPanel.crossCheckMismatch', {
+        apr: formatPercent(recomputedApr, 4),
+        difference: formatNumber(difference, 4)
+    });
+
+    aprCashFlowTable.tBodies[0].innerHTML = explanation.cashFlows.map(flow => `<tr>
+            <td>${formatDisplayDate(flow.date)}</td>
+            <td>${formatAmount(flow.amount)}</td>
+            <td>${formatNumber(flow.yearFraction, 6)}</td>
+            <td>${formatAmount(flow.presentValue)}</td>
+        </tr>`).join('');
+    const sum = value => explanation.cashFlows.reduce((total, flow) => total + value(flow), 0);
+    aprCashFlowTable.tFoot.innerHTML = `<tr>
+            <th>${escapeHtml(t('aprPanel.total'))}</th>
+            <td>${formatAmount(sum(flow => flow.amount))}</td>
+            <td></td>
+            <td>${formatAmount(sum(flow => flow.presentValue))}</td>
+        </tr>`;
+
+    aprSolverTableBody.innerHTML = explanation.steps.map(step => `<tr>
+            <td>${step.iteration}</td>
+            <td>${escapeHtml(t(APR_METHOD_KEYS[step.method]))}</td>
+            <td>${formatPercent(step.rate * 100, 6)}</td>
+            <td>${formatNumber(step.netPresentValue, 6)}</td>
+        </tr>`).join('');
+}
+
+// Semicolon-separated with the UI's decimal separator, so spreadsheets in the same locale open it as numbers
+function buildAprExplanationCsv() {
+    const { explanation, recomputedApr } = aprExplanationState;
+    const cell = value => {
+        const text = typeof value === 'number' ? formatInputNumber(value) : String(value ?? '');
+        return /[";\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+
+    const rows = [
+        [t('summary.apr'), explanation.annualPercentageRate],
+        [t('aprPanel.method'), t(APR_METHOD_KEYS[explanation.method])],
+        [aprSolverSummary.textContent],
+        [aprCrossCheck.textContent],
+        [t('aprPanel.crossCheckApr'), recomputedApr],
+        [],
+        [t('aprPanel.date'), t('aprPanel.amount'), t('aprPanel.yearFraction'), t('aprPanel.presentValue')],
+        ...explanation.cashFlows.map(flow => [String(flow.date).substring(0, 10), flow.amount, flow.yearFraction, flow.presentValue]),
+        [],
+        ['#', t('aprPanel.method'), t('aprPanel.rate'), t('aprPanel.npv')],
+        ...explanation.steps.map(step => [step.iteration, t(APR_METHOD_KEYS[step.method]), step.rate, step.netPresentValue])
+    ];
+
+    return rows.map(row => row.map(cell).join(';')).join('\r\n');
+}
+
+aprExportButton.addEventListener('click', () => {
+    if (!aprExplanationState) {
+        return;
+    }
+
+    // The byte order mark lets spreadsheet applications detect UTF-8
+    downloadBlob(new Blob(['\uFEFF' + buildAprExplanationCsv()], { type: 'text/csv;charset=utf-8' }), 'rrso-obliczenie.csv');
+});
+
+// Amounts quoted by calculation warnings, formatted for the UI locale
+const warningAmountValues = ['requested', 'applied', 'interest', 'payment'];
+
+// Calculation warnings in the UI language; results saved before warnings had codes hold plain strings
+function describeWarning(warning) {
+    if (typeof warning === 'string') {
+        return warning;
+    }
+
+    const key = `warnings.${warning.code}`;
+    const params = { ...warning.values };
+    warningAmountValues
+        .filter(name => name in params)
+        .forEach(name => {
+            params[name] = formatAmount(Number(params[name]));
+        });
+    const message = t(key, params);
+    return message === key ? warning.message : message;
+}
+
+// Add after the schedule table
+function displaySchedule(schedule, totalInterest, annualPercentageRate, warnings, targetPayment, actualFinalPayment) {
+    setScheduleRows(schedule);
+
+    renderScheduleCharts(schedule, readRatesFromTable());
+
+    const calculatedTotal = totalInterest ?? (schedule ?? []).reduce((sum, item) => sum + (item.interestAmount ?? 0), 0);
+    updateTotalInterest(calculatedTotal);
+    updateApr(annualPercentageRate ?? 0);
+
+    // Display warnings
+    const warningSection = document.getElementById('warnings-section');
+    if (warnings && warnings.length > 0) {
+        warningSection.innerHTML = `<h3>${t('schedule.warnings')}</h3><ul>` +
+            warnings.map(w => `<li>${escapeHtml(describeWarning(w))}</li>`).join('') + '</ul>';
+        warningSection.style.display = 'block';
+    } else {
+        warningSection.style.display = 'none';
+    }
+
+    // Display payment info for equal installments
+    const paymentInfo = document.getElementById('payment-info');
+    if (targetPayment && actualFinalPayment) {
+        const diff = Math.abs(actualFinalPayment - targetPayment);
+        if (diff >= 0.01) {
+            paymentInfo.innerHTML = `<p>${t('schedule.finalPaymentAdjusted', { target: formatAmount(targetPayment), final: formatAmount(actualFinalPayment) })}</p>`;
+            paymentInfo.style.display = 'block';
+        } else {
+            paymentInfo.style.display = 'none';
+        }
+    } else {
+        paymentInfo.style.display = 'none';
+    }
+}
+
+function buildPayload() {
+    return {
+        parameters: readParametersFromForm(),
+        rates: readRatesFromTable(),
+        prepayments: readPrepaymentsFromTable()
+    };
+}
+
+// Form validation
+// Every problem is collected in one pass and shown next to the input or table row it concerns.
+// Issues have the shape { scope: 'parameter' | 'rate' | 'prepayment' | 'fee', field, rowIndex, message }.
+const validationSummary = document.getElementById('validation-summary');
+const calculateButton = document.getElementById('calculate');
+const exportButton = document.getElementById('export');
+
+function collectParameterIssues(parameters) {
+    const issues = [];
+    const parameterIssue = (field, message) => issues.push({ scope: 'parameter', field, rowIndex: null, message });
+
+    if (!(parameters.netValue > 0)) {
+        parameterIssue('net-value', t('validation.netValue'));
+    }
+
+    const { startDate, endDate } = getCreditDates();
+    if (!startDate) {
+        parameterIssue('credit-start', t('validation.creditStartMissing'));
+    }
+    if (!endDate) {
+        parameterIssue('credit-end', t('validation.creditEndMissing'));
+    } else if (startDate && endDate <= startDate) {
+        parameterIssue('credit-end', t('validation.creditEndOrder'));
+    }
+
+    const decimals = parameters.roundingDecimals;
+    if (!Number.isInteger(decimals) || decimals < 4 || decimals > 10) {
+        parameterIssue('rounding-decimals', t('validation.roundingDecimals'));
+    }
+
+    if (parameters.processingFeeRate < 0 || parameters.processingFeeRate >= 100) {
+        parameterIssue('processing-fee', t('validation.processingFeeRate'));
+    }
+
+    if (parameters.processingFeeAmount < 0) {
+        parameterIssue('processing-fee-amount', t('validation.processingFeeNegative'));
+    } else if (parameters.netValue > 0 && parameters.processingFeeAmount >= parameters.netValue) {
+        parameterIssue('processing-fee-amount', t('validation.processingFeeTooHigh'));
+    }
+
+    // AprCalculator deducts both, so entering the same fee twice would silently double it
+    if (parameters.processingFeeRate > 0 && parameters.processingFeeAmount > 0) {
+        const message = t('validation.processingFeeBoth');
+        parameterIssue('processing-fee', message);
+        parameterIssue('processing-fee-amount', message);
+    }
+
+    const dayOfMonth = parameters.paymentDayOfMonth;
+    const dayOfMonthValid = parameters.paymentDay !== 'DayOfMonth'
+        || (Number.isInteger(dayOfMonth) && dayOfMonth >= 1 && dayOfMonth <= 31);
+    if (!dayOfMonthValid) {
+        parameterIssue('payment-day-of-month', t('validation.paymentDayOfMonth'));
+    }
+
+    // As in ScheduleCalculator.ValidateCustomPaymentDates
+    if (parameters.paymentFrequency === 'Custom' && startDate && endDate) {
+        const outside = parameters.customPaymentDates.filter(value => {
+            const date = parseDateInput(value);
+            return date <= startDate || date > endDate;
+        });
+        if (outside.length) {
+            parameterIssue('custom-date-list', t('validation.customPaymentDateRange', { dates: outside.map(formatDisplayDate).join(', ') }));
+        }
+    }
+
+    // The grace period counts payments, as in ScheduleCalculator.ValidateGracePeriod
+    const grace = parameters.gracePeriodMonths;
+    if (!Number.isInteger(grace) || grace < 0) {
+        parameterIssue('grace-period', t('validation.gracePeriodInteger'));
+    } else if (grace > 0 && dayOfMonthValid && startDate && endDate && endDate > startDate) {
+        const paymentCount = buildPaymentDates(startDate, endDate, parameters).length;
+        if (grace >= paymentCount) {
+            parameterIssue('grace-period', t('validation.gracePeriodTooLong', { grace, count: paymentCount }));
+        }
+    }
+
+    return issues;
+}
+
+function collectValidationIssues(payload) {
+    return [
+        ...collectParameterIssues(payload.parameters),
+        ...collectRateIssues(payload.rates),
+        ...collectPrepaymentIssues(payload.prepayments),
+        ...collectFeeIssues(payload.parameters.recurringFees)
+    ];
+}
+
+// The input an issue points at, or the whole table for problems not tied to one row
+function findIssueTarget(issue) {
+    if (issue.scope === 'parameter') {
+        return document.getElementById(issue.field);
+    }
+
+    const body = { rate: rateTableBody, prepayment: prepaymentTableBody, fee: feeTableBody }[issue.scope];
+    const row = issue.rowIndex !== null ? body.children[issue.rowIndex] : null;
+    return row && issue.field ? row.querySelector(`.${issue.field}`) : body.closest('table');
+}
+
+function clearValidationIssues() {
+    document.querySelectorAll('.field-error').forEach(element => element.remove());
+    document.querySelectorAll('.invalid-input').forEach(element => {
+        element.classList.remove('invalid-input');
+        element.removeAttribute('aria-invalid');
+    });
+    clearRateRowHighlights();
+    [prepaymentTableBody, feeTableBody].forEach(body => body.querySelectorAll('tr.invalid-row').forEach(row => {
+        row.classList.remove('invalid-row');
+        row.removeAttribute('title');
+    }));
+}
+
+// Marks every offending input with its own message and blocks calculation and export until they are fixed
+function renderValidationIssues(issues) {
+    clearValidationIssues();
+
+    issues.forEach(issue => {
+        const target = findIssueTarget(issue);
+        if (!target) {
+            return;
+        }
+
+        const row = target.closest('tbody tr');
+        if (row) {
+            row.classList.add('invalid-row');
+            row.title = row.title ? `${row.title}\n${issue.message}` : issue.message;
+        }
+
+        if (target.matches('input, select')) {
+            target.classList.add('invalid-input');
+            target.setAttribute('aria-invalid', 'true');
+        }
+
+        const message = document.createElement('span');
+        message.className = 'field-error';
+        message.textContent = issue.message;
+        target.insertAdjacentElement('afterend', message);
+    });
+
+    const messages = [...new Set(issues.map(issue => issue.message))];
+    validationSummary.innerHTML = messages.length
+        ? `<strong>${t('validation.summary')}</strong><ul>${messages.map(message => `<li>${escapeHtml(message)}</li>`).join('')}</ul>`
+        : '';
+    validationSummary.style.display = messages.length ? '' : 'none';
+
+    calculateButton.disabled = issues.length > 0;
+    exportButton.disabled = issues.length > 0;
+}
+
+function validateForm() {
+    const payload = buildPayload();
+    const issues = collectValidationIssues(payload);
+    renderValidationIssues(issues);
+    return { payload, issues };
+}
+
+function validationError(issues) {
+    const error = new Error(issues.length === 1
+        ? issues[0].message
+        : t('validation.multiple', { count: issues.length, message: issues[0].message }));
+    error.issues = issues;
+    return error;
+}
+
+function buildValidatedPayload() {
+    const { payload, issues } = validateForm();
+    if (issues.length) {
+        throw validationError(issues);
+    }
+    return payload;
+}
+
+// The checks of ScheduleCalculator (CalculationValidationException codes) and the fields they concern
+const serverValidationTargets = {
+    creditEndOrder: { scope: 'parameter', field: 'credit-end', key: 'validation.creditEndOrder' },
+    paymentType: { scope: 'parameter', field: 'payment-type', key: 'validation.paymentType' },
+    paymentDayOfMonth: { scope: 'parameter', field: 'payment-day-of-month', key: 'validation.paymentDayOfMonth' },
+    customPaymentDateRange: { scope: 'parameter', field: 'custom-date-list', key: 'validation.customPaymentDateRange' },
+    gracePeriodNegative: { scope: 'parameter', field: 'grace-period', key: 'validation.gracePeriodInteger' },
+    gracePeriodTooLong: { scope: 'parameter', field: 'grace-period', key: 'validation.gracePeriodTooLong' },
+    noRates: { scope: 'rate', field: null, key: 'validation.noRates' },
+    rateOrder: { scope: 'rate', field: null, key: 'validation.serverRateOrder' },
+    rateCoverage: { scope: 'rate', field: null, key: 'validation.serverRateCoverage' },
+    rateOverlap: { scope: 'rate', field: null, key: 'validation.serverRateOverlap' },
+    rateGap: { scope: 'rate', field: null, key: 'validation.serverRateGap' },
+    prepaymentAmount: { scope: 'prepayment', field: 'prepayment-amount', key: 'validation.prepaymentAmount' },
+    prepaymentDateRange: { scope: 'prepayment', field: 'prepayment-date', key: 'validation.prepaymentDateRange' },
+    feeValue: { scope: 'fee', field: 'fee-value', key: 'validation.feeValue' },
+    feeDateRange: { scope: 'fee', field: 'fee-date-from', key: 'validation.feeDateRange' },
+    // GoalSeekSolver rejects the search settings, which are not part of the credit form
+    goalSeekTarget: { scope: 'goalSeek', field: 'goal-target-value', key: 'goalSeek.invalidTarget' },
+    goalSeekBounds: { scope: 'goalSeek', field: 'goal-minimum', key: 'goalSeek.invalidBounds' },
+    goalSeekVariable: { scope: 'goalSeek', field: 'goal-variable', key: 'goalSeek.unsupportedVariable' },
+    goalSeekTargetKind: { scope: 'goalSeek', field: 'goal-target', key: 'goalSeek.unsupportedTarget' }
+};
+
+// Maps a rejected calculation onto the field it concerns, in the UI language
+function mapServerErrorToIssues(validation) {
+    const target = serverValidationTargets[validation.code];
+    if (!target) {
+        return [];
+    }
+
+    const params = { ...validation.values };
+    if (params.date) {
+        params.dates = formatDisplayDate(params.date);
+    }
+    const hasRow = !['parameter', 'goalSeek'].includes(target.scope) && Number.isInteger(validation.index);
+    if (hasRow) {
+        params.row = validation.index + 1;
+    }
+
+    return [{ scope: target.scope, field: target.field, rowIndex: hasRow ? validation.index : null, message: t(target.key, params) }];
+}
+
+// Highlights the fields a server BadRequest refers to; returns the message to show in the status line
+function showServerValidationIssues(error) {
+    if (error.status !== 400 || !error.validation) {
+        return error.message;
+    }
+
+    const issues = mapServerErrorToIssues(error.validation);
+    if (!issues.length) {
+        return error.message;
+    }
+
+    // A rejected search setting must not block calculating the credit itself
+    if (issues[0].scope === 'goalSeek') {
+        markGoalSeekInput(issues[0].field);
+    } else {
+        renderValidationIssues(issues);
+    }
+    return issues[0].message;
+}
+
+// Codes of endpoint errors that concern no form field
+const serverErrorKeys = {
+    fileEmpty: 'serverError.fileEmpty',
+    importFormat: 'serverError.importFormat',
+    aggregationPeriod: 'serverError.aggregationPeriod',
+    antiforgery: 'serverError.antiforgery',
+    batchEmpty: 'serverError.batchEmpty',
+    batchTooLarge: 'serverError.batchTooLarge',
+    batchExportSize: 'serverError.batchExportSize',
+    batchFormat: 'serverError.batchFormat',
+    batchJson: 'serverError.batchJson',
+    batchArchive: 'serverError.batchArchive',
+    batchLoanIncomplete: 'serverError.batchLoanIncomplete',
+    batchEntryFormat: 'serverError.batchEntryFormat',
+    batchEntryJson: 'serverError.batchEntryJson',
+    batchEntryTooLarge: 'serverError.batchEntryTooLarge'
+};
+
+// The message of a coded BadRequest in the UI language; unknown codes keep the server message
+function describeServerError(body) {
+    if (serverValidationTargets[body.code]) {
+        return mapServerErrorToIssues(body)[0].message;
+    }
+
+    const key = serverErrorKeys[body.code];
+    return key ? t(key, body.values ?? {}) : body.message;
+}
+
+// Results.BadRequest(string) sends the message as a JSON string; a rejected calculation or endpoint
+// sends a ValidationErrorResponse, kept on the error for showServerValidationIssues
+async function readResponseError(response) {
+    const text = await response.text();
+    let body = text;
+    try {
+        body = JSON.parse(text);
+    } catch (error) {
+        // Plain-text body
+    }
+
+    const hasCode = Boolean(body && typeof body === 'object' && body.code);
+    const error = new Error(typeof body === 'string' ? body : hasCode ? describeServerError(body) : body?.message ?? text);
+    error.status = response.status;
+    if (hasCode) {
+        error.validation = body;
+    }
+    return error;
+}
+
+function getAntiforgeryToken() {
+    const match = document.cookie.match(/XSRF-TOKEN=([^;]+)/);
+    return match ? decodeURIComponent(match[1]) : '';
+}
+
+function buildAntiforgeryHeaders(baseHeaders = {}) {
+    const token = getAntiforgeryToken();
+    if (token) {
+        return { ...baseHeaders, 'RequestVerificationToken': token };
+    }
+    return baseHeaders;
+}
+
+importForm.addEventListener('submit', async (event) => {
+    event.preventDefault();
+    importStatus.textContent = '';
+    const fileInput = document.getElementById('import-file');
+    if (!fileInput.files.length) {
+        importStatus.textContent = t('import.noFile');
+        importStatus.className = 'status error';
+        return;
+    }
+
+    const formData = new FormData();
+    formData.append('file', fileInput.files[0]);
+
+    try {
+        const response = await fetch('/api/import', { method: 'POST', body: formData, headers: buildAntiforgeryHeaders() });
+        if (!response.ok) {
+            throw await readResponseError(response);
+        }
+        const data = await response.json();
+        setParametersToForm(data.parameters);
+        populateRateTable(data.rates);
+        schedulePersistState();
+        scheduleLivePreview();
+        importStatus.textContent = t('import.success');
+        importStatus.className = 'status success';
+    } catch (error) {
+        importStatus.textContent = t('import.failed', { message: error.message });
+        importStatus.className = 'status error';
+    }
+});
+
+creditStartInput.addEventListener('change', alignRateBoundariesToCreditDates);
+creditEndInput.addEventListener('change', alignRateBoundariesToCreditDates);
+creditStartInput.addEventListener('change', commitRateTableState);
+creditEndInput.addEventListener('change', commitRateTableState);
+
+async function requestSchedule(payload) {
+    const response = await fetch('/api/calculate', {
+        method: 'POST',
+        headers: buildAntiforgeryHeaders({ 'Content-Type': 'application/json' }),
+        body: JSON.stringify(payload)
+    });
+    if (!response.ok) {
+        throw await readResponseError(response);
+    }
+    return response.json();
+}
+
+function showCalculationResult(result) {
+    // Store calculation log for later export (ensures consistency)
+    lastCalculationLog = result.calculationLog;
+    lastCalculationResult = result;
+
+    displaySchedule(
+        result.schedule,
+        result.totalInterest,
+        result.annualPercentageRate,
+        result.warnings,
+        result.targetLevelPayment,
+        result.actualFinalPayment
+    );
+    renderCalculationLog(result.calculationLog);
+    renderAprExplanation(result, lastCalculationPayload?.parameters ?? readParametersFromForm());
+    announceCalculationResult(result);
+    schedulePersistState();
+}
+
+document.getElementById('calculate').addEventListener('click', async () => {
+    actionStatus.textContent = t('status.calculating');
+    actionStatus.className = 'status';
+    try {
+        const payload = buildValidatedPayload();
+        const result = await requestSchedule(payload);
+        lastCalculationPayload = payload;
+        showCalculationResult(result);
+        reportPreviewDivergence(payload, result);
+        actionStatus.textContent = t('status.calculated');
+        actionStatus.className = 'status success';
+    } catch (error) {
+        actionStatus.textContent = t('status.calculationFailed', { message: showServerValidationIssues(error) });
+        actionStatus.className = 'status error';
+        updateTotalInterest(0);
+        updateApr(0);
+    }
+});
+
+// Reads the file name the server suggests in Content-Disposition (filename="..." or filename*=UTF-8''...)
+function readDownloadFileName(response) {
+    const contentDisposition = response.headers.get('content-disposition');
+    if (!contentDisposition) {
+        return null;
+    }
+
+    const fileNameStarMatch = contentDisposition.match(/filename\*\s*=\s*UTF-8''([^;]+)/i);
+    const fileNameMatch = contentDisposition.match(/filename\s*=\s*"([^"]+)"/i)
+        || contentDisposition.match(/filename\s*=\s*([^;]+)/i);
+
+    if (fileNameStarMatch && fileNameStarMatch[1]) {
+        return decodeURIComponent(fileNameStarMatch[1]);
+    }
+    if (fileNameMatch && fileNameMatch[1]) {
+        return fileNameMatch[1].trim();
+    }
+    return null;
+}
+
+function downloadBlob(blob, fileName) {
+    const url = window.URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    link.click();
+    window.URL.revokeObjectURL(url);
+}
+
+// File extension per #export-format value, used when the response has no Content-Disposition name
+const EXPORT_EXTENSIONS = {
+    excel: 'xlsx',
+    ods: 'ods',
+    docx: 'docx',
+    json: 'json'
+};
+
+document.getElementById('export').addEventListener('click', async () => {
+    actionStatus.textContent = t('status.exporting');
+    actionStatus.className = 'status';
+
+    try {
+        const payload = buildValidatedPayload();
+        const format = document.getElementById('export-format').value;
+
+        // The selected roll-up (month, quarter or year) is exported next to the schedule
+        const aggregation = scheduleViewSelect.value;
+        const query = `format=${encodeURIComponent(format)}${aggregation ? `&aggregation=${aggregation}` : ''}`;
+        const response = await fetch(`/api/export?${query}`, {
+            method: 'POST',
+            headers: buildAntiforgeryHeaders({ 'Content-Type': 'application/json' }),
+            body: JSON.stringify(payload)
+        });
+
+        if (!response.ok) {
+            throw await readResponseError(response);
+        }
+
+        const fileName = readDownloadFileName(response) ?? `harmonogram.${EXPORT_EXTENSIONS[format] ?? 'xlsx'}`;
+        downloadBlob(await response.blob(), fileName);
+
+        actionStatus.textContent = t('status.exported');
+        actionStatus.className = 'status success';
+    } catch (error) {
+        actionStatus.textContent = t('status.exportFailed', { message: showServerValidationIssues(error) });
+        actionStatus.className = 'status error';
+    }
+});
+
+exportLogButton.addEventListener('click', async () => {
+    actionStatus.textContent = t('status.exportingLog');
+    actionStatus.className = 'status';
+    try {
+        const payload = buildValidatedPayload();
+
+        // Include the stored calculation log to ensure it matches the displayed schedule
+        if (lastCalculationLog) {
+            payload.calculationLog = lastCalculationLog;
+        }
+
+        const response = await fetch('/api/export-log', {
+            method: 'POST',
+            headers: buildAntiforgeryHeaders({ 'Content-Type': 'application/json' }),
+            body: JSON.stringify(payload)
+        });
+        if (!response.ok) {
+            throw await readResponseError(response);
+        }
+
+        downloadBlob(await response.blob(), 'harmonogram-log.txt');
+
+        actionStatus.textContent = t('status.logExported');
+        actionStatus.className = 'status success';
+    } catch (error) {
+        actionStatus.textContent = t('status.logExportFailed', { message: error.message });
+        actionStatus.className = 'status error';
+    }
+});
+
+// Rate series paste and CSV import; the fixings are parsed and turned into rate periods in fixings.js
+const rateSeriesStatus = document.getElementById('rate-series-status');
+
+function setRateSeriesStatus(message, type = '') {
+    rateSeriesStatus.textContent = message;
+    rateSeriesStatus.className = type ? `status ${type}` : 'status';
+}
+
+function clearRateRowHighlights() {
+    rateTableBody.querySelectorAll('tr.invalid-row').forEach(row => {
+        row.classList.remove('invalid-row');
+        row.removeAttribute('title');
+    });
+}
+
+// Re-validates the form (marking every offending row) and returns the first rate table problem
+function validateRateTableWithHighlight() {
+    const rateIssue = validateForm().issues.find(issue => issue.scope === 'rate');
+    return rateIssue ? rateIssue.message : null;
+}
+
+function applyRateSeries(text, sourceLabel) {
+    const { startDate, endDate } = getCreditDates();
+    if (!startDate || !endDate) {
+        setRateSeriesStatus(t('fixings.missingCreditDates'), 'error');
+        return;
+    }
+
+    const { fixings, errors } = parseRateFixings(text);
+    if (!fixings.length) {
+        setRateSeriesStatus(`${t('fixings.noPairs', { source: sourceLabel })} ${errors.slice(0, 3).join(' ')}`, 'error');
+        return;
+    }
+
+    const { rates, notes } = buildRatePeriodsFromFixings(fixings, startDate, endDate);
+    if (!rates.length) {
+        setRateSeriesStatus(t('fixings.outsideCredit', { source: sourceLabel }), 'error');
+        return;
+    }
+
+    if (rateTableBody.children.length > 1 &&
+        !confirm(t('fixings.confirmReplace', { current: rateTableBody.children.length, count: rates.length }))) {
+        return;
+    }
+
+    populateRateTable(rates);
+    schedulePersistState();
+    scheduleLivePreview();
+
+    const validationError = validateRateTableWithHighlight();
+    const summary = t('fixings.summary', { source: sourceLabel, fixings: fixings.length, periods: rates.length });
+    const details = [...errors, ...notes];
+    setRateSeriesStatus(
+        [summary, validationError, ...details.slice(0, 5), details.length > 5 ? t('fixings.moreNotes', { count: details.length - 5 }) : '']
+            .filter(Boolean)
+            .join(' '),
+        validationError || errors.length ? 'error' : 'success');
+}
+
+function looksLikeRateSeries(text) {
+    const lines = text.split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+    if (!lines.length) {
+        return false;
+    }
+
+    const { fixings } = parseRateFixings(text);
+    return fixings.length > 1 || (fixings.length === 1 && lines.length === 1 && /[\t;,\s]/.test(lines[0]));
+}
+
+async function readRateSeriesFile(file) {
+    try {
+        applyRateSeries(await file.text(), file.name);
+    } catch (error) {
+        setRateSeriesStatus(t('fixings.fileFailed', { file: file.name, message: error.message }), 'error');
+    }
+}
+
+document.getElementById('rate-table').addEventListener('paste', event => {
+    const text = event.clipboardData?.getData('text/plain') ?? '';
+    if (!looksLikeRateSeries(text)) {
+        // A single value pasted into a cell keeps the default behaviour
+        return;
+    }
+
+    event.preventDefault();
+    applyRateSeries(text, t('fixings.pastedSource'));
+});
+
+const rateSection = document.getElementById('rate-section');
+rateSection.addEventListener('dragover', event => {
+    if (event.dataTransfer?.types?.includes('Files')) {
+        event.preventDefault();
+        rateSection.classList.add('drop-target');
+    }
+});
+rateSection.addEventListener('dragleave', () => rateSection.classList.remove('drop-target'));
+rateSection.addEventListener('drop', event => {
+    rateSection.classList.remove('drop-target');
+    const file = event.dataTransfer?.files?.[0];
+    if (!file) {
+        return;
+    }
+
+    event.preventDefault();
+    readRateSeriesFile(file);
+});
+
+document.getElementById('rate-series-file').addEventListener('change', event => {
+    const file = event.target.files[0];
+    if (file) {
+        readRateSeriesFile(file);
+    }
+    event.target.value = '';
+});
+
+rateTableBody.addEventListener('input', event => {
+    const row = event.target.closest('tr');
+    if (row?.classList.contains('invalid-row')) {
+        row.classList.remove('invalid-row');
+        row.removeAttribute('title');
+    }
+});
+
+// Rate path generator
+// Fills the rate table from a described path for periods whose base rate is not known yet. Locked
+// boundaries of the current table stay period boundaries (and stay locked); the generated periods are
+// shown as a preview before they replace the rows.
+const ratePathShapeSelect = document.getElementById('rate-path-shape');
+const ratePathStatus = document.getElementById('rate-path-status');
+const ratePathTable = document.getElementById('rate-path-table');
+const ratePathApplyButton = document.getElementById('rate-path-apply');
+// Interpolated rates are rounded to the precision typed into the rate table
+const RATE_PATH_DECIMALS = 4;
+
+// The periods shown in the preview: { rates, lockedCount, foldedCount }
+let ratePathPreview = null;
+
+function setRatePathStatus(message, type = '') {
+    ratePathStatus.textContent = message;
+    ratePathStatus.className = type ? `status ${type}` : 'status';
+}
+
+// Only the inputs the chosen path uses are shown
+function updateRatePathFields() {
+    document.querySelectorAll('[data-rate-path-shapes]').forEach(label => {
+        label.style.display = label.dataset.ratePathShapes.split(' ').includes(ratePathShapeSelect.value) ? '' : 'none';
+    });
+}
+
+// An empty input falls back to the given default; without one the value is required
+function readRatePathRate(id, labelKey, fallback = null) {
+    const input = document.getElementById(id);
+    if (!input.value.trim() && fallback !== null) {
+        return fallback;
+    }
+
+    const value = parseLocaleNumber(input.value);
+    if (!Number.isFinite(value)) {
+        throw new Error(t('ratePath.invalidRate', { field: t(labelKey) }));
+    }
+    return value;
+}
+
+function readRatePathCount(id, labelKey) {
+    const value = Number(document.getElementById(id).value);
+    if (!Number.isInteger(value) || value < 1) {
+        throw new Error(t('ratePath.invalidCount', { field: t(labelKey) }));
+    }
+    return value;
+}
+
+function readRatePathOptions() {
+    const shape = ratePathShapeSelect.value;
+    const startRate = readRatePathRate('rate-path-start', 'ratePath.startRate');
+
+    return {
+        shape,
+        startRate,
+        targetRate: shape === 'drift' || shape === 'resets'
+            ? readRatePathRate('rate-path-target', 'ratePath.targetRate', startRate)
+            : startRate,
+        stepChange: shape === 'step' ? readRatePathRate('rate-path-step', 'ratePath.stepChange') : 0,
+        months: shape === 'drift' || shape === 'step' ? readRatePathCount('rate-path-months', 'ratePath.months') : null,
+        periods: shape === 'resets' ? readRatePathCount('rate-path-periods', 'ratePath.periods') : null
+    };
+}
+
+// Start dates of the path's periods after the first one
+function buildRatePathBoundaries(options, startDate, endDate) {
+    const boundaries = [];
+
+    if (options.months) {
+        // Counted from the start date each time, so a clamped month end does not drift (31.01 → 29.02 → 31.03)
+        for (let step = 1; ; step++) {
+            const boundary = addMonths(startDate, step * options.months);
+            if (boundary >= endDate) {
+                break;
+            }
+            boundaries.push(boundary);
+        }
+    } else if (options.periods) {
+        // A reset period ends on a payment date, like the periods "Dodaj okres stopy" creates
+        const paymentDates = buildPaymentDates(startDate, endDate, readPaymentDateOptions());
+        paymentDates.forEach((paymentDate, index) => {
+            const boundary = addDays(paymentDate, 1);
+            if ((index + 1) % options.periods === 0 && boundary < endDate) {
+                boundaries.push(boundary);
+            }
+        });
+    }
+
+    return boundaries;
+}
+
+// The rate of the path's index-th period out of count
+function getRatePathRate(options, index, count) {
+    let rate = options.startRate;
+    if (options.shape === 'step') {
+        rate += options.stepChange * index;
+    } else if (count > 1) {
+        // Linear drift reaches the target rate in the last period
+        rate += (options.targetRate - options.startRate) * index / (count - 1);
+    }
+
+    const factor = 10 ** RATE_PATH_DECIMALS;
+    return Math.round(rate * factor) / factor;
+}
+
+// Start dates of the rows whose start boundary is locked in the current table
+function readLockedRateBoundaries() {
+    return Array.from(rateTableBody.querySelectorAll('tr'))
+        .slice(1)
+        .filter(row => isBoundaryLocked(row, 'start'))
+        .map(row => parseDateInput(row.querySelector('.date-from').value))
+        .filter(Boolean);
+}
+
+function buildRatePath(options, startDate, endDate, lockedBoundaries) {
+    const pathStarts = [startDate, ...buildRatePathBoundaries(options, startDate, endDate)];
+    const rateOn = date => {
+        let index = pathStarts.length - 1;
+        while (pathStarts[index] > date) {
+            index--;
+        }
+        return getRatePathRate(options, index, pathStarts.length);
+    };
+
+    // A locked boundary splits the path's period it falls into; both parts keep the path's rate
+    const locked = new Set(lockedBoundaries
+        .filter(date => date > startDate && date < endDate)
+        .map(date => date.getTime()));
+    const starts = [...new Set([...pathStarts.map(date => date.getTime()), ...locked])]
+        .sort((a, b) => a - b)
+        .map(time => new Date(time));
+
+    const periods = starts.map((from, index) => ({
+        from,
+        to: index + 1 < starts.length ? addDays(starts[index + 1], -1) : endDate,
+        rate: rateOn(from),
+        startLocked: locked.has(from.getTime())
+    }));
+
+    // The rate table cannot hold one-day periods (start must be before end); the path's boundary gives way
+    let foldedCount = 0;
+    for (let i = 0; i < periods.length && periods.length > 1; i++) {
+        if (periods[i].from.getTime() !== periods[i].to.getTime()) {
+            continue;
+        }
+
+        foldedCount++;
+        if (i > 0 && !periods[i].startLocked) {
+            periods[i - 1].to = periods[i].to;
+            periods.splice(i, 1);
+        } else {
+            // The day after a locked boundary takes the next period's rate
+            periods[i].to = periods[i + 1].to;
+            periods[i].rate = periods[i + 1].rate;
+            periods.splice(i + 1, 1);
+        }
+        i--;
+    }
+
+    // Neighbours with the same rate become one period unless a locked boundary separates them
+    for (let i = 1; i < periods.length; i++) {
+        if (!periods[i].startLocked && periods[i].rate === periods[i - 1].rate) {
+            periods[i - 1].to = periods[i].to;
+            periods.splice(i, 1);
+            i--;
+        }
+    }
+
+    return {
+        rates: periods.map((period, index) => ({
+            dateFrom: formatDateInput(period.from),
+            dateTo: formatDateInput(period.to),
+            rate: period.rate,
+            startLocked: period.startLocked,
+            endLocked: periods[index + 1]?.startLocked === true
+        })),
+        lockedCount: locked.size,
+        foldedCount
+    };
+}
+
+function renderRatePathPreview() {
+    const tbody = ratePathTable.querySelector('tbody');
+    ratePathApplyButton.disabled = !ratePathPreview;
+    if (!ratePathPreview) {
+        tbody.innerHTML = '';
+        ratePathTable.style.display = 'none';
+        return;
+    }
+
+    tbody.innerHTML = ratePathPreview.rates.map(rate => {
+        const lockedBoundaries = [rate.startLocked ? t('rates.from') : '', rate.endLocked ? t('rates.to') : '']
+            .filter(Boolean)
+            .join(', ');
+        return `
+            <tr>
+                <td>${formatDisplayDate(rate.dateFrom)}</td>
+                <td>${formatDisplayDate(rate.dateTo)}</td>
+                <td>${formatPercent(rate.rate, RATE_PATH_DECIMALS)}</td>
+                <td>${lockedBoundaries}</td>
+            </tr>
+        `;
+    }).join('');
+    ratePathTable.style.display = '';
+}
+
+function describeRatePathPreview() {
+    return [
+        t('ratePath.previewSummary', { count: ratePathPreview.rates.length, current: rateTableBody.children.length }),
+        ratePathPreview.lockedCount ? t('ratePath.lockedKept', { count: ratePathPreview.lockedCount }) : '',
+        ratePathPreview.foldedCount ? t('ratePath.folded', { count: ratePathPreview.foldedCount }) : ''
+    ].filter(Boolean).join(' ');
+}
+
+// Builds the preview from the current inputs and table; returns false when the inputs are incomplete
+function previewRatePath() {
+    ratePathPreview = null;
+    try {
+        const { startDate, endDate } = getCreditDates();
+        if (!startDate || !endDate || startDate >= endDate) {
+            throw new Error(t('ratePath.missingCreditDates'));
+        }
+
+        ratePathPreview = buildRatePath(readRatePathOptions(), startDate, endDate, readLockedRateBoundaries());
+        setRatePathStatus(describeRatePathPreview());
+    } catch (error) {
+        setRatePathStatus(error.message, 'error');
+    }
+
+    renderRatePathPreview();
+    return ratePathPreview !== null;
+}
+
+function applyRatePath() {
+    // The table or the credit dates may have changed since the preview was shown
+    const shownRates = JSON.stringify(ratePathPreview?.rates);
+    if (!previewRatePath()) {
+        return;
+    }
+    if (JSON.stringify(ratePathPreview.rates) !== shownRates) {
+        setRatePathStatus(`${t('ratePath.previewChanged')} ${describeRatePathPreview()}`, 'error');
+        return;
+    }
+
+    const count = ratePathPreview.rates.length;
+    populateRateTable(ratePathPreview.rates);
+    schedulePersistState();
+    scheduleLivePreview();
+
+    ratePathPreview = null;
+    renderRatePathPreview();
+
+    const validationError = validateRateTableWithHighlight();
+    setRatePathStatus(
+        [t('ratePath.applied', { count }), validationError].filter(Boolean).join(' '),
+        validationError ? 'error' : 'success');
+}
+
+ratePathShapeSelect.addEventListener('change', updateRatePathFields);
+document.getElementById('rate-path-preview-button').addEventListener('click', previewRatePath);
+ratePathApplyButton.addEventListener('click', applyRatePath);
+
+// Once shown, the preview follows the generator inputs
+document.getElementById('rate-path-panel').addEventListener('input', () => {
+    if (ratePathPreview) {
+        previewRatePath();
+    }
+});
+
+updateRatePathFields();
+
+// Schedule charts (dependency-free SVG)
+const SVG_NS = 'http://www.w3.org/2000/svg';
+const CHART_WIDTH = 960;
+const CHART_HEIGHT = 240;
+const CHART_MARGIN = { top: 16, right: 16, bottom: 28, left: 72 };
+const CHART_COLORS = {
+    balance: '#2563eb',
+    interest: '#f97316',
+    principal: '#2563eb',
+    prepayment: '#16a34a',
+    rate: '#7c3aed',
+    effectiveRate: '#94a3b8',
+    grace: '#e0f2fe',
+    warning: '#dc2626',
+    grid: '#e2e8f0',
+    guide: '#0f172a'
+};
+
+const chartsSection = document.getElementById('charts-section');
+
+// The server serializes ScheduleWarnings as a string ("None", "InterestExceedsPayment, …")
+function hasScheduleWarnings(item) {
+    return Boolean(item.warnings) && item.warnings !== 0 && item.warnings !== 'None';
+}
+
+function createSvgElement(name, attributes = {}) {
+    const element = document.createElementNS(SVG_NS, name);
+    Object.entries(attributes).forEach(([key, value]) => element.setAttribute(key, String(value)));
+    return element;
+}
+
+function getNiceStep(max, tickCount) {
+    const rough = max / tickCount;
+    const magnitude = Math.pow(10, Math.floor(Math.log10(rough)));
+    const normalized = rough / magnitude;
+    const nice = normalized <= 1 ? 1 : normalized <= 2 ? 2 : normalized <= 5 ? 5 : 10;
+    return nice * magnitude;
+}
+
+function buildChartScales(startDay, endDay, minValue, maxValue) {
+    const plotWidth = CHART_WIDTH - CHART_MARGIN.left - CHART_MARGIN.right;
+    const plotHeight = CHART_HEIGHT - CHART_MARGIN.top - CHART_MARGIN.bottom;
+    const daySpan = Math.max(1, endDay - startDay);
+    const step = getNiceStep(Math.max(maxValue - minValue, 1e-9), 4);
+    const low = Math.floor(minValue / step) * step;
+    const high = Math.max(Math.ceil(maxValue / step) * step, low + step);
+
+    const ticks = [];
+    for (let value = low; value <= high + step / 2; value += step) {
+        ticks.push(value);
+    }
+
+    return {
+        x: day => CHART_MARGIN.left + (day - startDay) / daySpan * plotWidth,
+        y: value => CHART_MARGIN.top + (high - value) / (high - low) * plotHeight,
+        dayFromX: x => startDay + (x - CHART_MARGIN.left) / plotWidth * daySpan,
+        startDay,
+        endDay,
+        ticks,
+        decimals: step < 1 ? 2 : 0
+    };
+}
+
+function drawChartAxes(svg, scales) {
+    const left = CHART_MARGIN.left;
+    const right = CHART_WIDTH - CHART_MARGIN.right;
+
+    scales.ticks.forEach(value => {
+        const y = scales.y(value);
+        svg.appendChild(createSvgElement('line', { x1: left, x2: right, y1: y, y2: y, stroke: CHART_COLORS.grid }));
+        const label = createSvgElement('text', { x: left - 6, y: y + 4, 'text-anchor': 'end', class: 'chart-label' });
+        label.textContent = formatNumber(value, scales.decimals);
+        svg.appendChild(label);
+    });
+
+    // Year boundaries on the date axis, thinned out for long credits
+    const startYear = new Date(scales.startDay * DAY_IN_MS).getUTCFullYear();
+    const endYear = new Date(scales.endDay * DAY_IN_MS).getUTCFullYear();
+    const yearStep = Math.max(1, Math.ceil((endYear - startYear + 1) / 12));
+    const bottom = CHART_HEIGHT - CHART_MARGIN.bottom;
+
+    for (let year = startYear; year <= endYear + 1; year += yearStep) {
+        const day = toDayNumber(createDate(year, 0, 1));
+        const isInside = day >= scales.startDay && day <= scales.endDay;
+        const x = scales.x(isInside ? day : scales.startDay);
+        if (!isInside && year !== startYear) {
+            continue;
+        }
+
+        svg.appendChild(createSvgElement('line', { x1: x, x2: x, y1: bottom, y2: bottom + 4, stroke: CHART_COLORS.guide }));
+        const label = createSvgElement('text', { x, y: bottom + 18, 'text-anchor': 'middle', class: 'chart-label' });
+        label.textContent = isInside ? String(year) : formatDisplayDate(dayNumberToIso(scales.startDay));
+        svg.appendChild(label);
+    }
+
+    svg.appendChild(createSvgElement('line', { x1: left, x2: right, y1: bottom, y2: bottom, stroke: CHART_COLORS.guide }));
+}
+
+// Shades the span of every grace-period payment: from the previous payment date to its own date
+function drawGraceShading(svg, scales, points) {
+    points.filter(point => point.item.isInGracePeriod).forEach(point => {
+        const x1 = scales.x(point.periodStart);
+        const x2 = scales.x(point.day);
+        svg.appendChild(createSvgElement('rect', {
+            x: x1,
+            y: CHART_MARGIN.top,
+            width: Math.max(1, x2 - x1),
+            height: CHART_HEIGHT - CHART_MARGIN.top - CHART_MARGIN.bottom,
+            fill: CHART_COLORS.grace
+        }));
+    });
+}
+
+function drawWarningMarkers(svg, scales, points) {
+    points.filter(point => hasScheduleWarnings(point.item)).forEach(point => {
+        const x = scales.x(point.day);
+        const y = CHART_MARGIN.top;
+        svg.appendChild(createSvgElement('path', {
+            d: `M${x - 5},${y} L${x + 5},${y} L${x},${y + 8} Z`,
+            fill: CHART_COLORS.warning
+        }));
+    });
+}
+
+// Adds a guide line and a tooltip showing the point nearest to the mouse
+function attachChartTooltip(container, svg, scales, points, describe) {
+    const tooltip = document.createElement('div');
+    tooltip.className = 'chart-tooltip';
+    tooltip.style.display = 'none';
+    container.appendChild(tooltip);
+
+    const guide = createSvgElement('line', {
+        y1: CHART_MARGIN.top,
+        y2: CHART_HEIGHT - CHART_MARGIN.bottom,
+        stroke: CHART_COLORS.guide,
+        'stroke-dasharray': '3 3',
+        visibility: 'hidden'
+    });
+    svg.appendChild(guide);
+
+    svg.addEventListener('mousemove', event => {
+        const bounds = svg.getBoundingClientRect();
+        if (!bounds.width) {
+            return;
+        }
+
+        const day = scales.dayFromX((event.clientX - bounds.left) * CHART_WIDTH / bounds.width);
+        let low = 0;
+        let high = points.length - 1;
+        while (low < high) {
+            const mid = Math.floor((low + high) / 2);
+            if (points[mid].day < day) {
+                low = mid + 1;
+            } else {
+                high = mid;
+            }
+        }
+        const nearest = low > 0 && Math.abs(points[low - 1].day - day) < Math.abs(points[low].day - day)
+            ? points[low - 1]
+            : points[low];
+
+        const x = scales.x(nearest.day);
+        guide.setAttribute('x1', x);
+        guide.setAttribute('x2', x);
+        guide.setAttribute('visibility', 'visible');
+
+        tooltip.innerHTML = describe(nearest);
+        tooltip.style.display = '';
+        const left = x / CHART_WIDTH * bounds.width;
+        tooltip.style.left = `${Math.min(left + 12, bounds.width - tooltip.offsetWidth - 4)}px`;
+        tooltip.style.top = `${CHART_MARGIN.top}px`;
+    });
+
+    svg.addEventListener('mouseleave', () => {
+        guide.setAttribute('visibility', 'hidden');
+        tooltip.style.display = 'none';
+    });
+}
+
+function createChart(containerId, scales, points) {
+    const container = document.getElementById(containerId);
+    container.innerHTML = '';
+
+    const svg = createSvgElement('svg', {
+        viewBox: `0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`,
+        preserveAspectRatio: 'none',
+        role: 'img'
+    });
+    container.appendChild(svg);
+
+    drawGraceShading(svg, scales, points);
+    drawChartAxes(svg, scales);
+    return { container, svg };
+}
+
+function describeChartPoint(point, lines) {
+    const flags = [];
+    if (point.item.isInGracePeriod) {
+        flags.push(t('charts.graceFlag'));
+    }
+    if (hasScheduleWarnings(point.item)) {
+        flags.push(`${t('charts.warningFlag')}: ${escapeHtml(point.item.warnings)}`);
+    }
+
+    return `<strong>${t('charts.pointTitle', { number: point.index + 1, date: formatDisplayDate(dayNumberToIso(point.day)) })}</strong><br>` +
+        lines.join('<br>') +
+        (flags.length ? `<br><em>${flags.join(', ')}</em>` : '');
+}
+
+function renderBalanceChart(points) {
+    const openingBalance = points[0].balanceBefore;
+    const scales = buildChartScales(points[0].periodStart, points[points.length - 1].day, 0, openingBalance);
+    const { container, svg } = createChart('balance-chart', scales, points);
+
+    // Step line: the balance stays flat within a period and drops on the payment date
+    let path = `M${scales.x(points[0].periodStart)},${scales.y(openingBalance)}`;
+    points.forEach(point => {
+        const x = scales.x(point.day);
+        path += ` H${x} V${scales.y(point.item.remainingPrincipal)}`;
+    });
+    svg.appendChild(createSvgElement('path', { d: path, fill: 'none', stroke: CHART_COLORS.balance, 'stroke-width': 2 }));
+
+    drawWarningMarkers(svg, scales, points);
+    attachChartTooltip(container, svg, scales, points, point => describeChartPoint(point, [
+        `${t('charts.balanceBefore')}: ${formatAmount(point.balanceBefore)}`,
+        `${t('charts.remainingPrincipal')}: ${formatAmount(point.item.remainingPrincipal)}`
+    ]));
+}
+
+function renderPaymentChart(points) {
+    const maxPayment = Math.max(...points.map(point => point.item.totalPayment + point.prepayment));
+    const scales = buildChartScales(points[0].periodStart, points[points.length - 1].day, 0, maxPayment);
+    const { container, svg } = createChart('payment-chart', scales, points);
+
+    const plotWidth = CHART_WIDTH - CHART_MARGIN.left - CHART_MARGIN.right;
+    const barWidth = Math.max(1, Math.min(24, plotWidth / points.length * 0.7));
+    const segments = { interest: '', principal: '', prepayment: '' };
+
+    // One path per series keeps long (daily) schedules cheap to render
+    points.forEach(point => {
+        const left = scales.x(point.day) - barWidth / 2;
+        let base = 0;
+        [
+            ['interest', point.item.interestAmount],
+            ['principal', point.item.principalPayment],
+            ['prepayment', point.prepayment]
+        ].forEach(([series, value]) => {
+            if (value <= 0) {
+                return;
+            }
+            const top = scales.y(base + value);
+            segments[series] += `M${left},${scales.y(base)} V${top} h${barWidth} V${scales.y(base)} Z `;
+            base += value;
+        });
+    });
+
+    Object.entries(segments).forEach(([series, d]) => {
+        if (d) {
+            svg.appendChild(createSvgElement('path', { d, fill: CHART_COLORS[series] }));
+        }
+    });
+
+    drawWarningMarkers(svg, scales, points);
+    attachChartTooltip(container, svg, scales, points, point => describeChartPoint(point, [
+        `${t('charts.interest')}: ${formatAmount(point.item.interestAmount)}`,
+        `${t('charts.principal')}: ${formatAmount(point.item.principalPayment)}`,
+        `${t('charts.paymentValue')}: ${formatAmount(point.item.totalPayment)}`,
+        ...(point.prepayment > 0 ? [`${t('charts.prepayment')}: ${formatAmount(point.prepayment)}`] : [])
+    ]));
+}
+
+function renderRateChart(points, rates) {
+    const startDay = points[0].periodStart;
+    const endDay = points[points.length - 1].day;
+    const periods = normalizePreviewRates(rates.filter(rate => parseDateInput(rate.dateFrom) && parseDateInput(rate.dateTo)))
+        .filter(period => period.to >= startDay && period.from <= endDay)
+        .sort((a, b) => a.from - b.from);
+    const values = [
+        ...periods.map(period => period.rate),
+        ...points.map(point => point.item.interestRate)
+    ];
+    const scales = buildChartScales(startDay, endDay, Math.min(0, ...values), Math.max(...values));
+    const { container, svg } = createChart('rate-chart', scales, points);
+
+    // Base rate from the rate table as a step function; each period runs through the end of its last day
+    let basePath = '';
+    periods.forEach(period => {
+        const x1 = scales.x(Math.max(period.from, startDay));
+        const x2 = scales.x(Math.min(period.to + 1, endDay));
+        const y = scales.y(period.rate);
+        basePath += basePath ? ` V${y} H${x2}` : `M${x1},${y} H${x2}`;
+    });
+    if (basePath) {
+        svg.appendChild(createSvgElement('path', { d: basePath, fill: 'none', stroke: CHART_COLORS.rate, 'stroke-width': 2 }));
+    }
+
+    // Effective rate per payment (base + margin, weighted over the period) for reference
+    let effectivePath = '';
+    points.forEach(point => {
+        const y = scales.y(point.item.interestRate);
+        effectivePath += effectivePath
+            ? ` V${y} H${scales.x(point.day)}`
+            : `M${scales.x(point.periodStart)},${y} H${scales.x(point.day)}`;
+    });
+    svg.appendChild(createSvgElement('path', {
+        d: effectivePath,
+        fill: 'none',
+        stroke: CHART_COLORS.effectiveRate,
+        'stroke-width': 1.5,
+        'stroke-dasharray': '4 3'
+    }));
+
+    drawWarningMarkers(svg, scales, points);
+    attachChartTooltip(container, svg, scales, points, point => {
+        const period = periods.find(candidate => candidate.from <= point.day && candidate.to >= point.day);
+        return describeChartPoint(point, [
+            `${t('charts.baseRateValue')}: ${period ? formatPercent(period.rate, 4) : '–'}`,
+            `${t('charts.effectiveRate')}: ${formatPercent(point.item.interestRate, 4)}`
+        ]);
+    });
+}
+
+function renderScheduleCharts(schedule, rates) {
+    const items = (schedule ?? []).filter(item => parseDateInput(item.paymentDate));
+    if (!items.length) {
+        chartsSection.style.display = 'none';
+        return;
+    }
+
+    const points = items.map((item, index) => {
+        const day = toDayNumber(parseDateInput(item.paymentDate));
+        const prepayment = item.prepaymentAmount ?? 0;
+        return {
+            item,
+            index,
+            day,
+            periodStart: day - (item.daysInPeriod ?? 0),
+            prepayment,
+            balanceBefore: item.remainingPrincipal + item.principalPayment + prepayment
+        };
+    });
+
+    chartsSection.style.display = '';
+    renderBalanceChart(points);
+    renderPaymentChart(points);
+    renderRateChart(points, rates ?? []);
+}
+
+// Calculation log explorer
+// Groups lastCalculationLog by CalculationLogEntry.Context.PaymentNumber; a group's entries are only
+// rendered once it is opened, so long daily schedules stay responsive.
+const logSection = document.getElementById('log-section');
+const logGroupsContainer = document.getElementById('log-groups');
+const logTypeFilters = document.getElementById('log-type-filters');
+const logSearchInput = document.getElementById('log-search');
+const logSummary = document.getElementById('log-summary');
+const LOG_SEARCH_DELAY_MS = 200;
+const LOG_HIGHLIGHT_MS = 2000;
+// LogEntryType values in display order; labels come from the log.types.* translations
+const LOG_TYPES = ['Header', 'RateChange', 'PeriodCalculation', 'InterestCalculation', 'PrincipalCalculation', 'BalanceUpdate', 'Summary', 'Detail'];
+
+let logGroups = [];
+let logSearchTimer = null;
+
+function getLogEntryType(entry) {
+    return entry.context?.type ?? 'Detail';
+}
+
+// Entries without a payment number (rate changes, summaries) form the general group, listed first
+function groupCalculationLog(log) {
+    const groups = new Map();
+    (log ?? []).forEach(entry => {
+        const paymentNumber = entry.context?.paymentNumber ?? 0;
+        if (!groups.has(paymentNumber)) {
+            groups.set(paymentNumber, { paymentNumber, paymentDate: null, entries: [] });
+        }
+
+        const group = groups.get(paymentNumber);
+        group.paymentDate = group.paymentDate ?? entry.context?.paymentDate?.substring(0, 10) ?? null;
+        group.entries.push(entry);
+    });
+
+    return [...groups.values()].sort((a, b) => a.paymentNumber - b.paymentNumber);
+}
+
+function getLogFilter() {
+    const types = new Set(Array.from(logTypeFilters.querySelectorAll('input:checked')).map(input => input.value));
+    return { types, term: logSearchInput.value.trim().toLowerCase() };
+}
+
+function entryMatchesLogFilter(entry, filter) {
+    if (!filter.types.has(getLogEntryType(entry))) {
+        return false;
+    }
+
+    if (!filter.term) {
+        return true;
+    }
+
+    return [entry.shortDescription, entry.symbolicFormula, entry.substitutedFormula, entry.result]
+        .some(text => (text ?? '').toLowerCase().includes(filter.term));
+}
+
+function highlightLogText(text, term) {
+    const value = text ?? '';
+    if (!term) {
+        return escapeHtml(value);
+    }
+
+    const lower = value.toLowerCase();
+    let html = '';
+    let position = 0;
+    let match = lower.indexOf(term);
+    while (match !== -1) {
+        html += `${escapeHtml(value.substring(position, match))}<mark>${escapeHtml(value.substring(match, match + term.length))}</mark>`;
+        position = match + term.length;
+        match = lower.indexOf(term, position);
+    }
+    return html + escapeHtml(value.substring(position));
+}
+
+function renderLogEntry(entry, term) {
+    const type = getLogEntryType(entry);
+    const formulas = [entry.symbolicFormula, entry.substitutedFormula]
+        .filter(Boolean)
+        .map(formula => `<code>${highlightLogText(formula, term)}</code>`)
+        .join('');
+
+    return `
+        <div class="log-entry log-type-${escapeHtml(type)}">
+            <div class="log-entry-title"><span class="log-type">${escapeHtml(LOG_TYPES.includes(type) ? t(`log.types.${type}`) : type)}</span>${highlightLogText(entry.shortDescription, term)}</div>
+            ${formulas}
+            <div class="log-result">${highlightLogText(entry.result, term)}</div>
+        </div>
+    `;
+}
+
+function fillLogGroup(details, group) {
+    const filter = getLogFilter();
+    details.querySelector('.log-entries').innerHTML = group.entries
+        .filter(entry => entryMatchesLogFilter(entry, filter))
+        .map(entry => renderLogEntry(entry, filter.term))
+        .join('');
+    details.dataset.rendered = 'true';
+}
+
+function renderLogTypeFilters() {
+    const counts = {};
+    logGroups.forEach(group => group.entries.forEach(entry => {
+        const type = getLogEntryType(entry);
+        counts[type] = (counts[type] ?? 0) + 1;
+    }));
+
+    const unchecked = new Set(Array.from(logTypeFilters.querySelectorAll('input:not(:checked)')).map(input => input.value));
+    logTypeFilters.innerHTML = LOG_TYPES
+        .filter(type => counts[type])
+        .map(type => `
+            <label class="inline-label">
+                <input type="checkbox" value="${type}" ${unchecked.has(type) ? '' : 'checked'}>
+                <span>${t(`log.types.${type}`)} (${counts[type]})</span>
+            </label>
+        `)
+        .join('');
+}
+
+function renderLogGroups() {
+    const filter = getLogFilter();
+    let visibleEntries = 0;
+    let visibleGroups = 0;
+    let totalEntries = 0;
+
+    logGroupsContainer.innerHTML = '';
+    logGroups.forEach(group => {
+        totalEntries += group.entries.length;
+        const matching = group.entries.filter(entry => entryMatchesLogFilter(entry, filter)).length;
+        if (!matching) {
+            return;
+        }
+
+        visibleEntries += matching;
+        visibleGroups += 1;
+
+        const details = document.createElement('details');
+        details.className = 'log-group';
+        details.dataset.paymentNumber = group.paymentNumber;
+        const title = group.paymentNumber
+            ? `${t('log.payment', { number: group.paymentNumber })}${group.paymentDate ? ` – ${formatDisplayDate(group.paymentDate)}` : ''}`
+            : t('log.general');
+        details.innerHTML = `
+            <summary>
+                <span>${title} <small>(${matching === group.entries.length ? matching : t('log.partialCount', { matching, total: group.entries.length })})</small></span>
+                ${group.paymentNumber ? `<button type="button" class="secondary log-to-schedule">${t('log.showInSchedule')}</button>` : ''}
+            </summary>
+            <div class="log-entries"></div>
+        `;
+        details.addEventListener('toggle', () => {
+            if (details.open && !details.dataset.rendered) {
+                fillLogGroup(details, group);
+            }
+        });
+        logGroupsContainer.appendChild(details);
+    });
+
+    logSummary.textContent = visibleEntries === totalEntries
+        ? t('log.summary', { entries: totalEntries, groups: visibleGroups })
+        : t('log.filteredSummary', { matching: visibleEntries, entries: totalEntries, groups: visibleGroups });
+}
+
+function renderCalculationLog(log) {
+    logGroups = groupCalculationLog(log);
+    if (!logGroups.length) {
+        logSection.style.display = 'none';
+        logGroupsContainer.innerHTML = '';
+        return;
+    }
+
+    logSection.style.display = '';
+    renderLogTypeFilters();
+    renderLogGroups();
+}
+
+function flashElement(element) {
+    element.classList.add('log-target');
+    element.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    setTimeout(() => element.classList.remove('log-target'), LOG_HIGHLIGHT_MS);
+}
+
+function findLogGroupElement(paymentNumber) {
+    return logGroupsContainer.querySelector(`.log-group[data-payment-number="${paymentNumber}"]`);
+}
+
+// Opens the log entries of one schedule row, clearing filters that would hide them
+function showLogForPayment(paymentNumber) {
+    let details = findLogGroupElement(paymentNumber);
+    if (!details && logGroups.some(group => group.paymentNumber === paymentNumber)) {
+        logSearchInput.value = '';
+        logTypeFilters.querySelectorAll('input').forEach(input => { input.checked = true; });
+        renderLogGroups();
+        details = findLogGroupElement(paymentNumber);
+    }
+
+    if (!details) {
+        return;
+    }
+
+    details.open = true;
+    if (!details.dataset.rendered) {
+        fillLogGroup(details, logGroups.find(group => group.paymentNumber === paymentNumber));
+    }
+    flashElement(details);
+}
+
+function showScheduleRow(paymentNumber) {
+    const row = revealScheduleRow(paymentNumber);
+    if (row) {
+        flashElement(row);
+    }
+}
+
+logTypeFilters.addEventListener('change', renderLogGroups);
+logSearchInput.addEventListener('input', () => {
+    clearTimeout(logSearchTimer);
+    logSearchTimer = setTimeout(renderLogGroups, LOG_SEARCH_DELAY_MS);
+});
+
+logGroupsContainer.addEventListener('click', event => {
+    const button = event.target.closest('.log-to-schedule');
+    if (!button) {
+        return;
+    }
+
+    // Keep the summary click from toggling the group
+    event.preventDefault();
+    showScheduleRow(Number(button.closest('.log-group').dataset.paymentNumber));
+});
+
+document.getElementById('log-expand-all').addEventListener('click', () => {
+    logGroupsContainer.querySelectorAll('.log-group').forEach(details => { details.open = true; });
+});
+document.getElementById('log-collapse-all').addEventListener('click', () => {
+    logGroupsContainer.querySelectorAll('.log-group').forEach(details => { details.open = false; });
+});
+
+scheduleTableBody.addEventListener('click', event => {
+    const button = event.target.closest('.show-log');
+    if (button) {
+        showLogForPayment(Number(button.dataset.paymentNumber));
+    }
+});
+
+// Client-side preview schedule engine
+// Mirrors ScheduleCalculator for the principal strategies, grace period, day-count basis
+// and DailyAccrual interest. The server result stays authoritative.
+const previewStatus = document.getElementById('preview-status');
+const previewSummary = document.getElementById('preview-summary');
+const previewTableBody = document.querySelector('#preview-table tbody');
+const previewDivergence = document.getElementById('preview-divergence');
+const PREVIEW_DELAY_MS = 250;
+const PREVIEW_TOLERANCE = 0.01;
+const LEVEL_PAYMENT_TOLERANCE = 0.0001;
+const MAX_LEVEL_PAYMENT_ITERATIONS = 200;
+const MAX_RANGE_FINDING_ITERATIONS = 25;
+
+let previewTimer = null;
+
+// Mirrors Math.Round(value, decimals, MidpointRounding) for the two supported modes
+function roundValue(value, mode, decimals) {
+    const factor = 10 ** decimals;
+    const sign = value < 0 ? -1 : 1;
+    const scaled = Math.abs(value) * factor;
+    const floor = Math.floor(scaled);
+    const fraction = scaled - floor;
+    const isMidpoint = Math.abs(fraction - 0.5) < 1e-7;
+
+    let rounded;
+    if (isMidpoint) {
+        rounded = mode === 'AwayFromZero' || floor % 2 === 1 ? floor + 1 : floor;
+    } else {
+        rounded = Math.round(scaled);
+    }
+
+    return sign * rounded / factor;
+}
+
+function normalizePreviewRates(rates) {
+    return rates.map(rate => ({
+        from: toDayNumber(parseDateInput(rate.dateFrom)),
+        to: toDayNumber(parseDateInput(rate.dateTo)),
+        rate: Number(rate.rate) || 0
+    }));
+}
+
+function findPreviewRateForDay(rates, day) {
+    return rates.find(period => period.from <= day && period.to >= day);
+}
+
+// Mirrors SimpleInterestStrategy: interest accrues per day at the rate valid on that day
+function calculateDailyAccrualInterest(from, to, principal, marginRate, rates, dayCountBasis) {
+    const daysInPeriod = Math.max(to - from, 0);
+    const denominator = dayCountBasis === 'Actual360' ? 360 : 365;
+
+    let interest = 0;
+    let totalEffectiveRate = 0;
+    let current = from;
+
+    while (current < to) {
+        const period = findPreviewRateForDay(rates, current);
+        const nextChange = period ? period.to + 1 : to;
+        const chunkEnd = Math.min(nextChange, to);
+        const days = Math.max(chunkEnd - current, 0);
+        if (days === 0) {
+            break;
+        }
+
+        const effectiveRate = (period?.rate ?? 0) + marginRate;
+        interest += principal * effectiveRate / 100 / denominator * days;
+        totalEffectiveRate += effectiveRate * days;
+        current = chunkEnd;
+    }
+
+    return {
+        interest,
+        effectiveRate: daysInPeriod > 0 ? totalEffectiveRate / daysInPeriod : 0
+    };
+}
+
+function buildPreviewPaymentDays(parameters) {
+    const start = parseDateInput(parameters.creditStartDate);
+    const end = parseDateInput(parameters.creditEndDate);
+    return buildPaymentDates(start, end, parameters).map(toDayNumber);
+}
+
+function getPaymentsInGracePeriod(parameters, paymentCount) {
+    return parameters.gracePeriodMonths > 0 ? Math.min(parameters.gracePeriodMonths, paymentCount) : 0;
+}
+
+// Prepayments sorted by date, as ScheduleCalculator.ValidatePrepayments orders them
+function normalizePreviewPrepayments(prepayments) {
+    return (prepayments ?? [])
+        .map(prepayment => ({
+            day: toDayNumber(parseDateInput(prepayment.date)),
+            amount: prepayment.amount,
+            mode: prepayment.mode
+        }))
+        .sort((a, b) => a.day - b.day);
+}
+
+// `start` describes where the simulation begins: the whole credit, or the balance left after a prepayment
+function simulatePreviewRemainingPrincipal(parameters, rates, paymentDays, totalPayment, start) {
+    const { roundingMode, roundingDecimals } = parameters;
+    let principalRemaining = start.principal;
+    let previousDay = start.day;
+
+    paymentDays.forEach((paymentDay, index) => {
+        const { interest } = calculateDailyAccrualInterest(
+            previousDay, paymentDay, principalRemaining, parameters.marginRate, rates, parameters.dayCountBasis);
+        const interestRounded = roundValue(interest, roundingMode, roundingDecimals);
+
+        let principalPayment = index < start.paymentsInGracePeriod ? 0 : totalPayment - interestRounded;
+        principalPayment = Math.min(Math.max(principalPayment, 0), principalRemaining);
+        principalPayment = roundValue(principalPayment, roundingMode, roundingDecimals);
+        principalRemaining = roundValue(principalRemaining - principalPayment, roundingMode, roundingDecimals);
+        previousDay = paymentDay;
+    });
+
+    return principalRemaining;
+}
+
+// Mirrors ScheduleCalculator.CalculateLevelPayment (bisection on the remaining principal)
+function calculatePreviewLevelPayment(parameters, rates, paymentDays, start) {
+    let low = 0;
+    let high = Math.max(start.principal, start.principal + 1000);
+
+    let remainingHigh = simulatePreviewRemainingPrincipal(parameters, rates, paymentDays, high, start);
+    for (let guard = 0; remainingHigh > 0 && guard < MAX_RANGE_FINDING_ITERATIONS; guard++) {
+        low = high;
+        high *= 2;
+        remainingHigh = simulatePreviewRemainingPrincipal(parameters, rates, paymentDays, high, start);
+    }
+
+    for (let i = 0; i < MAX_LEVEL_PAYMENT_ITERATIONS; i++) {
+        if (Math.abs(high - low) <= LEVEL_PAYMENT_TOLERANCE) {
+            break;
+        }
+
+        const mid = (low + high) / 2;
+        if (simulatePreviewRemainingPrincipal(parameters, rates, paymentDays, mid, start) > 0) {
+            low = mid;
+        } else {
+            high = mid;
+        }
+    }
+
+    return roundValue((low + high) / 2, parameters.roundingMode, parameters.roundingDecimals);
+}
+
+function calculatePreviewPrincipal(parameters, context) {
+    switch (parameters.paymentType) {
+        case 'Bullet':
+            return context.isLastPayment ? context.remainingPrincipal : 0;
+        case 'EqualInstallments':
+            if (context.isInGracePeriod) {
+                return 0;
+            }
+            if (context.isLastPayment) {
+                return context.remainingPrincipal;
+            }
+            return Math.max(Math.min(context.targetTotalPayment - context.interestAmount, context.remainingPrincipal), 0);
+        case 'DecreasingInstallments':
+        default:
+            if (context.isInGracePeriod) {
+                return 0;
+            }
+            return context.isLastPayment
+                ? context.remainingPrincipal
+                : Math.min(context.principalStep, context.remainingPrincipal);
+    }
+}
+
+function calculatePreviewSchedule(payload) {
+    const parameters = payload.parameters;
+    const { roundingMode, roundingDecimals } = parameters;
+
+    if (parameters.interestRateApplication !== 'DailyAccrual') {
+        throw new Error(t('preview.unsupportedInterest'));
+    }
+
+    const rates = normalizePreviewRates(payload.rates);
+    const prepayments = normalizePreviewPrepayments(payload.prepayments);
+    const paymentDays = buildPreviewPaymentDays(parameters);
+    const paymentsInGracePeriod = getPaymentsInGracePeriod(parameters, paymentDays.length);
+    const startDay = toDayNumber(parseDateInput(parameters.creditStartDate));
+
+    let targetTotalPayment = parameters.paymentType === 'EqualInstallments'
+        ? calculatePreviewLevelPayment(parameters, rates, paymentDays, {
+            principal: parameters.netValue,
+            day: startDay,
+            paymentsInGracePeriod
+        })
+        : null;
+
+    const effectivePaymentCount = Math.max(1, paymentDays.length - paymentsInGracePeriod);
+    let principalStep = roundValue(parameters.netValue / effectivePaymentCount, roundingMode, roundingDecimals);
+
+    const schedule = [];
+    let principalRemaining = parameters.netValue;
+    let previousDay = startDay;
+    let nextPrepaymentIndex = 0;
+    let prepaymentApplied = false;
+
+    for (let index = 0; index < paymentDays.length; index++) {
+        const paymentDay = paymentDays[index];
+        const isLastPayment = index === paymentDays.length - 1;
+        const isInGracePeriod = index < paymentsInGracePeriod;
+        const interestResult = calculateDailyAccrualInterest(
+            previousDay, paymentDay, principalRemaining, parameters.marginRate, rates, parameters.dayCountBasis);
+        const interestRounded = roundValue(interestResult.interest, roundingMode, roundingDecimals);
+
+        const principalPaymentRaw = calculatePreviewPrincipal(parameters, {
+            remainingPrincipal: principalRemaining,
+            interestAmount: interestRounded,
+            isLastPayment,
+            isInGracePeriod,
+            targetTotalPayment,
+            principalStep
+        });
+        const principalPayment = roundValue(principalPaymentRaw, roundingMode, roundingDecimals);
+        principalRemaining = roundValue(principalRemaining - principalPayment, roundingMode, roundingDecimals);
+
+        const duePrepayments = [];
+        while (nextPrepaymentIndex < prepayments.length && prepayments[nextPrepaymentIndex].day <= paymentDay) {
+            duePrepayments.push(prepayments[nextPrepaymentIndex]);
+            nextPrepaymentIndex++;
+        }
+
+        let prepaymentAmount = 0;
+        if (duePrepayments.length) {
+            const requestedAmount = roundValue(
+                duePrepayments.reduce((sum, prepayment) => sum + prepayment.amount, 0), roundingMode, roundingDecimals);
+            prepaymentAmount = Math.min(requestedAmount, Math.max(principalRemaining, 0));
+
+            if (prepaymentAmount > 0) {
+                prepaymentApplied = true;
+                principalRemaining = roundValue(principalRemaining - prepaymentAmount, roundingMode, roundingDecimals);
+
+                const paymentsLeft = paymentDays.length - index - 1;
+                if (principalRemaining > 0 && paymentsLeft > 0 &&
+                    duePrepayments.some(prepayment => prepayment.mode === 'ReduceInstallment')) {
+                    const graceLeft = Math.max(0, paymentsInGracePeriod - index - 1);
+
+                    if (parameters.paymentType === 'EqualInstallments') {
+                        targetTotalPayment = calculatePreviewLevelPayment(parameters, rates, paymentDays.slice(index + 1), {
+                            principal: principalRemaining,
+                            day: paymentDay,
+                            paymentsInGracePeriod: graceLeft
+                        });
+                    } else if (parameters.paymentType === 'DecreasingInstallments') {
+                        principalStep = roundValue(
+                            principalRemaining / Math.max(1, paymentsLeft - graceLeft), roundingMode, roundingDecimals);
+                    }
+                }
+            }
+        }
+
+        // Same cash rounding as RoundCashSchedule in Program.cs
+        const interestCash = roundValue(interestRounded, roundingMode, 2);
+        const principalCash = roundValue(principalPayment, roundingMode, 2);
+
+        schedule.push({
+            paymentDate: dayNumberToIso(paymentDay),
+            daysInPeriod: paymentDay - previousDay,
+            interestRate: interestResult.effectiveRate,
+            interestAmount: interestCash,
+            principalPayment: principalCash,
+            totalPayment: roundValue(interestCash + principalCash, roundingMode, 2),
+            remainingPrincipal: roundValue(Math.max(principalRemaining, 0), roundingMode, 2),
+            prepaymentAmount: roundValue(prepaymentAmount, roundingMode, 2),
+            isInGracePeriod
+        });
+
+        previousDay = paymentDay;
+
+        if (prepaymentApplied && principalRemaining <= 0) {
+            break;
+        }
+    }
+
+    return {
+        schedule,
+        totalInterest: roundValue(schedule.reduce((sum, item) => sum + item.interestAmount, 0), roundingMode, 2),
+        targetLevelPayment: targetTotalPayment
+    };
+}
+
+// Returns a list of human-readable differences between the preview and the server schedule
+function compareWithServerSchedule(preview, serverResult) {
+    const differences = [];
+    const serverSchedule = serverResult.schedule ?? [];
+
+    if (preview.schedule.length !== serverSchedule.length) {
+        differences.push(t('preview.countDiffers', { preview: preview.schedule.length, server: serverSchedule.length }));
+    }
+
+    const fields = [
+        ['interestAmount', t('preview.fields.interest')],
+        ['principalPayment', t('preview.fields.principal')],
+        ['totalPayment', t('preview.fields.payment')],
+        ['remainingPrincipal', t('preview.fields.balance')],
+        ['prepaymentAmount', t('preview.fields.prepayment')]
+    ];
+
+    const count = Math.min(preview.schedule.length, serverSchedule.length);
+    for (let i = 0; i < count; i++) {
+        const local = preview.schedule[i];
+        const remote = serverSchedule[i];
+
+        if (local.paymentDate !== remote.paymentDate?.substring(0, 10)) {
+            differences.push(t('preview.dateDiffers', { number: i + 1, preview: local.paymentDate, server: remote.paymentDate?.substring(0, 10) }));
+            continue;
+        }
+
+        fields.forEach(([field, label]) => {
+            if (Math.abs((local[field] ?? 0) - (remote[field] ?? 0)) > PREVIEW_TOLERANCE) {
+                differences.push(t('preview.valueDiffers', { number: i + 1, field: label, preview: formatAmount(local[field]), server: formatAmount(remote[field]) }));
+            }
+        });
+    }
+
+    if (Math.abs(preview.totalInterest - (serverResult.totalInterest ?? 0)) > PREVIEW_TOLERANCE) {
+        differences.push(t('preview.totalInterestDiffers', { preview: formatAmount(preview.totalInterest), server: formatAmount(serverResult.totalInterest ?? 0) }));
+    }
+
+    return differences;
+}
+
+function renderPreview(preview) {
+    const payments = preview.schedule.map(item => item.totalPayment);
+    previewSummary.innerHTML = `
+        <strong>${t('preview.paymentCount')}:</strong> ${payments.length} |
+        <strong>${t('preview.firstPayment')}:</strong> ${formatAmount(payments[0] ?? 0)} |
+        <strong>${t('preview.lastPayment')}:</strong> ${formatAmount(payments[payments.length - 1] ?? 0)} |
+        <strong>${t('preview.totalInterest')}:</strong> ${formatAmount(preview.totalInterest)}
+    `;
+
+    previewTableBody.innerHTML = preview.schedule.map(item => `
+        <tr class="${item.isInGracePeriod ? 'grace-period-row' : ''} ${item.prepaymentAmount > 0 ? 'prepayment-row' : ''}">
+            <td>${formatDisplayDate(item.paymentDate)}</td>
+            <td>${item.daysInPeriod}</td>
+            <td>${formatPercent(item.interestRate, 4)}</td>
+            <td>${formatAmount(item.interestAmount)}</td>
+            <td>${formatAmount(item.principalPayment)}</td>
+            <td>${formatAmount(item.totalPayment)}</td>
+            <td>${formatAmount(item.remainingPrincipal)}</td>
+        </tr>
+    `).join('');
+}
+
+function updateLivePreview() {
+    clearTimeout(previewTimer);
+    previewTimer = null;
+
+    try {
+        const payload = buildValidatedPayload();
+        const preview = calculatePreviewSchedule(payload);
+        renderPreview(preview);
+        previewStatus.textContent = t('preview.localNotice');
+        previewStatus.className = 'status';
+    } catch (error) {
+        previewSummary.innerHTML = '';
+        previewTableBody.innerHTML = '';
+        previewStatus.textContent = error.message;
+        previewStatus.className = 'status error';
+    }
+}
+
+function scheduleLivePreview() {
+    clearTimeout(previewTimer);
+    previewTimer = setTimeout(updateLivePreview, PREVIEW_DELAY_MS);
+}
+
+function reportPreviewDivergence(payload, serverResult) {
+    let preview;
+    try {
+        preview = calculatePreviewSchedule(payload);
+    } catch (error) {
+        previewDivergence.style.display = 'none';
+        return;
+    }
+
+    const differences = compareWithServerSchedule(preview, serverResult);
+    if (!differences.length) {
+        previewDivergence.className = 'status success';
+        previewDivergence.textContent = t('preview.matches');
+    } else {
+        const shown = differences.slice(0, 10).map(text => `<li>${escapeHtml(text)}</li>`).join('');
+        const more = differences.length > 10 ? `<li>${t('preview.moreDifferences', { count: differences.length - 10 })}</li>` : '';
+        previewDivergence.className = 'status error';
+        previewDivergence.innerHTML = `<strong>${t('preview.differs')}</strong><ul>${shown}${more}</ul>`;
+    }
+    previewDivergence.style.display = '';
+}
+
+document.getElementById('parameter-form').addEventListener('input', scheduleLivePreview);
+document.getElementById('parameter-form').addEventListener('change', scheduleLivePreview);
+document.getElementById('rate-table').addEventListener('input', scheduleLivePreview);
+document.getElementById('rate-table').addEventListener('change', scheduleLivePreview);
+document.getElementById('rate-table').addEventListener('click', scheduleLivePreview);
+document.getElementById('add-rate').addEventListener('click', scheduleLivePreview);
+document.getElementById('prepayment-table').addEventListener('input', scheduleLivePreview);
+document.getElementById('prepayment-table').addEventListener('change', scheduleLivePreview);
+document.getElementById('prepayment-table').addEventListener('click', scheduleLivePreview);
+document.getElementById('fee-table').addEventListener('input', scheduleLivePreview);
+document.getElementById('fee-table').addEventListener('change', scheduleLivePreview);
+document.getElementById('fee-table').addEventListener('click', scheduleLivePreview);
+
+// Scenario comparison workspace
+const scenarioListBody = document.querySelector('#scenario-table tbody');
+const scenarioStatus = document.getElementById('scenario-status');
+const scenarioBaselineSelect = document.getElementById('scenario-baseline');
+
+let scenarios = [];
+let nextScenarioId = 1;
+
+function escapeHtml(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+function clonePayload(payload) {
+    return JSON.parse(JSON.stringify(payload));
+}
+
+function findScenario(id) {
+    return scenarios.find(scenario => scenario.id === id);
+}
+
+function setScenarioStatus(message, type = '') {
+    scenarioStatus.textContent = message;
+    scenarioStatus.className = type ? `status ${type}` : 'status';
+}
+
+// Uses the option label of a form select (e.g. #payment-type), so descriptions follow the UI language
+function describeSelectOption(selectId, value) {
+    const option = document.querySelector(`#${selectId} option[value="${value}"]`);
+    return option?.textContent ?? value;
+}
+
+function summarizeSchedule(result) {
+    const schedule = result?.schedule ?? [];
+    const payments = schedule.map(item => item.totalPayment ?? 0);
+    const prepaid = schedule.reduce((sum, item) => sum + (item.prepaymentAmount ?? 0), 0);
+    const totalFees = schedule.reduce((sum, item) => sum + (item.feeAmount ?? 0), 0);
+
+    return {
+        paymentCount: schedule.length,
+        totalInterest: result?.totalInterest ?? 0,
+        totalFees,
+        totalPaid: payments.reduce((sum, value) => sum + value, 0) + prepaid + totalFees,
+        firstPayment: payments.length ? payments[0] : 0,
+        maxPayment: payments.length ? Math.max(...payments) : 0,
+        annualPercentageRate: result?.annualPercentageRate ?? 0
+    };
+}
+
+async function calculateScenario(scenario) {
+    scenario.error = null;
+    try {
+        scenario.result = await requestSchedule(scenario.payload);
+    } catch (error) {
+        scenario.result = null;
+        scenario.error = error.message;
+    }
+}
+
+async function saveCurrentAsScenario() {
+    const nameInput = document.getElementById('scenario-name');
+
+    try {
+        const payload = buildValidatedPayload();
+        const scenario = {
+            id: nextScenarioId++,
+            name: nameInput.value.trim() || t('scenarios.defaultName', { number: nextScenarioId - 1 }),
+            payload: clonePayload(payload),
+            result: null,
+            error: null,
+            compare: true
+        };
+
+        scenarios.push(scenario);
+        nameInput.value = '';
+        setScenarioStatus(t('scenarios.calculating'));
+        await calculateScenario(scenario);
+        renderScenarios();
+
+        if (scenario.error) {
+            setScenarioStatus(t('scenarios.savedWithError', { message: scenario.error }), 'error');
+        } else {
+            setScenarioStatus(t('scenarios.saved', { name: scenario.name }), 'success');
+        }
+    } catch (error) {
+        setScenarioStatus(t('scenarios.saveFailed', { message: error.message }), 'error');
+    }
+}
+
+function cloneScenario(id) {
+    const source = findScenario(id);
+    if (!source) {
+        return;
+    }
+
+    scenarios.push({
+        id: nextScenarioId++,
+        name: t('scenarios.copyName', { name: source.name }),
+        payload: clonePayload(source.payload),
+        result: source.result ? clonePayload(source.result) : null,
+        error: source.error,
+        compare: true
+    });
+    renderScenarios();
+}
+
+function loadScenarioToForm(id) {
+    const scenario = findScenario(id);
+    if (!scenario) {
+        return;
+    }
+
+    setParametersToForm(scenario.payload.parameters);
+    populateRateTable(scenario.payload.rates);
+    populatePrepaymentTable(scenario.payload.prepayments);
+
+    if (scenario.result) {
+        lastCalculationPayload = scenario.payload;
+        showCalculationResult(scenario.result);
+    }
+    schedulePersistState();
+    scheduleLivePreview();
+
+    setScenarioStatus(t('scenarios.loaded', { name: scenario.name }), 'success');
+}
+
+async function overwriteScenarioFromForm(id) {
+    const scenario = findScenario(id);
+    if (!scenario) {
+        return;
+    }
+
+    try {
+        scenario.payload = clonePayload(buildValidatedPayload());
+        await calculateScenario(scenario);
+        renderScenarios();
+        setScenarioStatus(t('scenarios.updated', { name: scenario.name }), scenario.error ? 'error' : 'success');
+    } catch (error) {
+        setScenarioStatus(t('scenarios.updateFailed', { message: error.message }), 'error');
+    }
+}
+
+function removeScenario(id) {
+    scenarios = scenarios.filter(scenario => scenario.id !== id);
+    renderScenarios();
+}
+
+async function recalculateAllScenarios() {
+    if (!scenarios.length) {
+        setScenarioStatus(t('scenarios.none'), 'error');
+        return;
+    }
+
+    setScenarioStatus(t('scenarios.recalculating'));
+    for (const scenario of scenarios) {
+        await calculateScenario(scenario);
+    }
+    renderScenarios();
+
+    const failed = scenarios.filter(scenario => scenario.error);
+    if (failed.length) {
+        setScenarioStatus(t('scenarios.recalculateFailed', { names: failed.map(scenario => scenario.name).join(', ') }), 'error');
+    } else {
+        setScenarioStatus(t('scenarios.recalculated'), 'success');
+    }
+}
+
+function renderScenarios() {
+    renderScenarioList();
+    renderScenarioBaselineOptions();
+    renderScenarioComparison();
+    schedulePersistState();
+}
+
+function renderScenarioList() {
+    scenarioListBody.innerHTML = '';
+
+    scenarios.forEach(scenario => {
+        const summary = summarizeSchedule(scenario.result);
+        const parameters = scenario.payload.parameters;
+        const row = document.createElement('tr');
+        if (scenario.error) {
+            row.classList.add('warning-row');
+        }
+
+        row.innerHTML = `
+            <td><input type="checkbox" class="scenario-compare" ${scenario.compare ? 'checked' : ''}></td>
+            <td><input type="text" class="scenario-name" value="${escapeHtml(scenario.name)}"></td>
+            <td>${escapeHtml(describeSelectOption('payment-type', parameters.paymentType))}<br><small>${t('scenarios.variantDetails', {
+                start: formatDisplayDate(parameters.creditStartDate),
+                end: formatDisplayDate(parameters.creditEndDate),
+                grace: parameters.gracePeriodMonths ?? 0,
+                margin: formatPercent(parameters.marginRate ?? 0, 2)
+            })}</small></td>
+            <td>${scenario.result ? formatAmount(summary.totalInterest) : '–'}</td>
+            <td>${scenario.result ? formatAmount(summary.totalPaid) : '–'}</td>
+            <td>${scenario.result ? formatPercent(summary.annualPercentageRate, 4) : '–'}</td>
+            <td>${scenario.result ? formatAmount(summary.firstPayment) : '–'}</td>
+            <td>${scenario.result ? formatAmount(summary.maxPayment) : '–'}</td>
+            <td>${scenario.result ? summary.paymentCount : (scenario.error ? escapeHtml(scenario.error) : '–')}</td>
+            <td class="scenario-actions">
+                <button type="button" class="secondary scenario-load">${t('scenarios.load')}</button>
+                <button type="button" class="secondary scenario-overwrite">${t('scenarios.overwrite')}</button>
+                <button type="button" class="secondary scenario-clone">${t('scenarios.clone')}</button>
+                <button type="button" class="secondary scenario-recalculate">${t('scenarios.recalculate')}</button>
+                <button type="button" class="secondary scenario-remove">${t('common.remove')}</button>
+            </td>
+        `;
+
+        row.querySelector('.scenario-compare').addEventListener('change', (e) => {
+            scenario.compare = e.target.checked;
+            renderScenarioBaselineOptions();
+            renderScenarioComparison();
+            schedulePersistState();
+        });
+
+        row.querySelector('.scenario-name').addEventListener('change', (e) => {
+            scenario.name = e.target.value.trim() || scenario.name;
+            renderScenarioBaselineOptions();
+            renderScenarioComparison();
+            schedulePersistState();
+        });
+
+        row.querySelector('.scenario-load').addEventListener('click', () => loadScenarioToForm(scenario.id));
+        row.querySelector('.scenario-overwrite').addEventListener('click', () => overwriteScenarioFromForm(scenario.id));
+        row.querySelector('.scenario-clone').addEventListener('click', () => cloneScenario(scenario.id));
+        row.querySelector('.scenario-remove').addEventListener('click', () => removeScenario(scenario.id));
+        row.querySelector('.scenario-recalculate').addEventListener('click', async () => {
+            await calculateScenario(scenario);
+            renderScenarios();
+        });
+
+        scenarioListBody.appendChild(row);
+    });
+}
+
+function getComparedScenarios() {
+    return scenarios.filter(scenario => scenario.compare && scenario.result);
+}
+
+function renderScenarioBaselineOptions() {
+    const compared = getComparedScenarios();
+    const previous = parseInt(scenarioBaselineSelect.value, 10);
+
+    scenarioBaselineSelect.innerHTML = compared
+        .map(scenario => `<option value="${scenario.id}">${escapeHtml(scenario.name)}</option>`)
+        .join('');
+
+    if (compared.some(scenario => scenario.id === previous)) {
+        scenarioBaselineSelect.value = String(previous);
+    }
+}
+
+function renderScenarioComparison() {
+    const table = document.getElementById('scenario-comparison');
+    const compared = getComparedScenarios();
+
+    if (compared.length < 2) {
+        table.style.display = 'none';
+        table.innerHTML = '';
+        return;
+    }
+
+    const baselineId = parseInt(scenarioBaselineSelect.value, 10);
+    const baseline = compared.find(scenario => scenario.id === baselineId) ?? compared[0];
+    const others = compared.filter(scenario => scenario !== baseline);
+
+    // Index payments by date so scenarios with different schedules line up
+    const paymentsByScenario = new Map(compared.map(scenario => [
+        scenario.id,
+        new Map((scenario.result.schedule ?? []).map(item => [item.paymentDate?.substring(0, 10), item.totalPayment ?? 0]))
+    ]));
+
+    const dates = Array.from(new Set(compared.flatMap(scenario =>
+        Array.from(paymentsByScenario.get(scenario.id).keys())))).sort();
+
+    const formatPayment = value => value === undefined ? '–' : formatAmount(value);
+    const formatSigned = (difference, decimals) => `${difference > 0 ? '+' : ''}${formatNumber(difference, decimals)}`;
+    const formatDifference = (value, base) => {
+        const difference = (value ?? 0) - (base ?? 0);
+        const cssClass = difference > 0.005 ? 'difference-positive' : difference < -0.005 ? 'difference-negative' : '';
+        return `<td class="${cssClass}">${formatSigned(difference, 2)}</td>`;
+    };
+
+    const headerCells = [`<th>${t('schedule.paymentDate')}</th>`, `<th>${t('scenarios.baselineColumn', { name: escapeHtml(baseline.name) })}</th>`]
+        .concat(others.flatMap(scenario => [
+            `<th>${escapeHtml(scenario.name)}</th>`,
+            `<th>${t('scenarios.difference')}</th>`
+        ]));
+
+    const bodyRows = dates.map(date => {
+        const basePayment = paymentsByScenario.get(baseline.id).get(date);
+        const cells = [`<td>${formatDisplayDate(date)}</td>`, `<td>${formatPayment(basePayment)}</td>`]
+            .concat(others.flatMap(scenario => {
+                const payment = paymentsByScenario.get(scenario.id).get(date);
+                return [`<td>${formatPayment(payment)}</td>`, formatDifference(payment, basePayment)];
+            }));
+        return `<tr>${cells.join('')}</tr>`;
+    });
+
+    const baseSummary = summarizeSchedule(baseline.result);
+    const summaryRows = [
+        [t('summary.totalInterest'), 'totalInterest', 2],
+        [t('summary.totalPaid'), 'totalPaid', 2],
+        [t('scenarios.aprPercent'), 'annualPercentageRate', 4]
+    ].map(([label, key, decimals]) => {
+        const cells = [`<th>${label}</th>`, `<th>${formatNumber(baseSummary[key], decimals)}</th>`]
+            .concat(others.flatMap(scenario => {
+                const value = summarizeSchedule(scenario.result)[key];
+                const difference = value - baseSummary[key];
+                return [`<th>${formatNumber(value, decimals)}</th>`, `<th>${formatSigned(difference, decimals)}</th>`];
+            }));
+        return `<tr class="scenario-summary-row">${cells.join('')}</tr>`;
+    });
+
+    table.innerHTML = `
+        <thead><tr>${headerCells.join('')}</tr></thead>
+        <tbody>${bodyRows.join('')}</tbody>
+        <tfoot>${summaryRows.join('')}</tfoot>
+    `;
+    table.style.display = '';
+}
+
+document.getElementById('scenario-save').addEventListener('click', saveCurrentAsScenario);
+document.getElementById('scenario-recalculate-all').addEventListener('click', recalculateAllScenarios);
+scenarioBaselineSelect.addEventListener('change', renderScenarioComparison);
+
+// Local persistence of the working state
+const STATE_STORAGE_KEY = 'creditCalculator.state';
+const STATE_VERSION = 3;
+const PERSIST_DELAY_MS = 300;
+
+// Each entry upgrades a stored state from version (index + 1) to version (index + 2).
+// Add a new entry whenever the shape of the stored state changes.
+const stateMigrations = [
+    // v1 → v2: prepayments table
+    state => ({ ...state, version: 2, prepayments: [] }),
+    // v2 → v3: logo and footer of the printable report
+    state => ({ ...state, version: 3, reportBranding: { logo: null, footer: '' } })
+];
+
+let persistTimer = null;
+
+function readRateRowsFromTable() {
+    return Array.from(rateTableBody.querySelectorAll('tr')).map(row => ({
+        dateFrom: row.querySelector('.date-from').value,
+        dateTo: row.querySelector('.date-to').value,
+        rate: row.querySelector('.rate-value').value,
+        startLocked: row.dataset.startLocked === 'true',
+        endLocked: row.dataset.endLocked === 'true'
+    }));
+}
+
+function stripCalculationLog(result) {
+    if (!result) {
+        return null;
+    }
+
+    const { calculationLog, ...rest } = result;
+    return rest;
+}
+
+function buildStoredState(includeLog = true) {
+    return {
+        version: STATE_VERSION,
+        savedAt: new Date().toISOString(),
+        parameters: readParametersFromForm(),
+        rateRows: readRateRowsFromTable(),
+        prepayments: readPrepaymentsFromTable(),
+        autoContinuity: document.getElementById('auto-continuity').checked,
+        reportBranding: { logo: reportLogo, footer: reportFooterInput.value },
+        lastResult: includeLog ? lastCalculationResult : stripCalculationLog(lastCalculationResult),
+        scenarios: scenarios.map(scenario => ({ ...scenario, result: stripCalculationLog(scenario.result) }))
+    };
+}
+
+function persistState() {
+    clearTimeout(persistTimer);
+    persistTimer = null;
+
+    try {
+        localStorage.setItem(STATE_STORAGE_KEY, JSON.stringify(buildStoredState()));
+    } catch (error) {
+        // Calculation logs of long schedules can exceed the storage quota; keep the rest of the state
+        try {
+            localStorage.setItem(STATE_STORAGE_KEY, JSON.stringify(buildStoredState(false)));
+        } catch (innerError) {
+            actionStatus.textContent = t('status.stateNotSaved');
+            actionStatus.className = 'status error';
+        }
+    }
+}
+
+function schedulePersistState() {
+    clearTimeout(persistTimer);
+    persistTimer = setTimeout(persistState, PERSIST_DELAY_MS);
+}
+
+function migrateStoredState(state) {
+    let migrated = state;
+    let version = state.version;
+
+    if (!Number.isInteger(version) || version < 1 || version > STATE_VERSION) {
+        // Not a state of this application, or written by a newer version; do not guess its format
+        return null;
+    }
+
+    while (version < STATE_VERSION) {
+        migrated = stateMigrations[version - 1](migrated);
+        version++;
+    }
+
+    return migrated;
+}
+
+function loadStoredState() {
+    try {
+        const raw = localStorage.getItem(STATE_STORAGE_KEY);
+        if (!raw) {
+            return null;
+        }
+
+        const parsed = JSON.parse(raw);
+        return parsed && typeof parsed === 'object' ? migrateStoredState(parsed) : null;
+    } catch (error) {
+        // An unreadable state is skipped and overwritten by the next save
+        return null;
+    }
+}
+
+function restoreStoredState(state) {
+    setParametersToForm(state.parameters ?? {});
+    document.getElementById('auto-continuity').checked = state.autoContinuity === true;
+    populateRateTable(state.rateRows);
+    populatePrepaymentTable(state.prepayments);
+    toggleLockColumnsVisibility();
+    setReportBranding(state.reportBranding);
+
+    scenarios = Array.isArray(state.scenarios) ? state.scenarios : [];
+    nextScenarioId = scenarios.reduce((max, scenario) => Math.max(max, scenario.id), 0) + 1;
+    renderScenarios();
+
+    if (state.lastResult) {
+        showCalculationResult(state.lastResult);
+    }
+}
+
+function clearStoredState() {
+    clearTimeout(persistTimer);
+    localStorage.removeItem(STATE_STORAGE_KEY);
+    window.removeEventListener('beforeunload', persistState);
+    window.location.reload();
+}
+
+document.getElementById('parameter-form').addEventListener('input', schedulePersistState);
+document.getElementById('parameter-form').addEventListener('change', schedulePersistState);
+document.getElementById('rate-table').addEventListener('input', schedulePersistState);
+document.getElementById('rate-table').addEventListener('change', schedulePersistState);
+document.getElementById('rate-table').addEventListener('click', schedulePersistState);
+document.getElementById('add-rate').addEventListener('click', schedulePersistState);
+document.getElementById('prepayment-table').addEventListener('input', schedulePersistState);
+document.getElementById('prepayment-table').addEventListener('change', schedulePersistState);
+document.getElementById('prepayment-table').addEventListener('click', schedulePersistState);
+document.getElementById('fee-table').addEventListener('input', schedulePersistState);
+document.getElementById('fee-table').addEventListener('change', schedulePersistState);
+document.getElementById('fee-table').addEventListener('click', schedulePersistState);
+document.getElementById('add-prepayment').addEventListener('click', schedulePersistState);
+document.getElementById('add-fee').addEventListener('click', schedulePersistState);
+document.getElementById('auto-continuity').addEventListener('change', schedulePersistState);
+document.getElementById('clear-state').addEventListener('click', clearStoredState);
+window.addEventListener('beforeunload', persistState);
+
+// Shareable deep links
+const SHARE_HASH_KEY = 'calc';
+const SHARE_RUN_KEY = 'run';
+const SHARE_LINK_VERSION = '1';
+
+function bytesToBase64Url(bytes) {
+    let binary = '';
+    const chunkSize = 0x8000;
+    for (let i = 0; i < bytes.length; i += chunkSize) {
+        binary += String.fromCharCode(...bytes.subarray(i, i + chunkSize));
+    }
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function base64UrlToBytes(value) {
+    const base64 = value.replace(/-/g, '+').replace(/_/g, '/');
+    const binary = atob(base64 + '='.repeat((4 - base64.length % 4) % 4));
+    return Uint8Array.from(binary, char => char.charCodeAt(0));
+}
+
+async function transformBytes(bytes, stream) {
+    const response = new Response(new Blob([bytes]).stream().pipeThrough(stream));
+    return new Uint8Array(await response.arrayBuffer());
+}
+
+// Rates are stored as [from, to, rate] and prepayments as [date, amount, mode] tuples to keep the link short
+function compactPayload(payload) {
+    const compact = {
+        p: payload.parameters,
+        r: payload.rates.map(rate => [rate.dateFrom, rate.dateTo, rate.rate])
+    };
+
+    if (payload.prepayments?.length) {
+        compact.n = payload.prepayments.map(prepayment => [prepayment.date, prepayment.amount, prepayment.mode]);
+    }
+
+    return compact;
+}
+
+function expandPayload(compact) {
+    if (!compact || typeof compact.p !== 'object' || !Array.isArray(compact.r)) {
+        throw new Error(t('share.noParameters'));
+    }
+
+    return {
+        parameters: compact.p,
+        rates: compact.r.map(([dateFrom, dateTo, rate]) => ({ dateFrom, dateTo, rate })),
+        prepayments: (Array.isArray(compact.n) ? compact.n : []).map(([date, amount, mode]) => ({ date, amount, mode }))
+    };
+}
+
+// Format: <version><codec><base64url>, where codec "z" is deflate-raw and "j" is plain JSON
+async function encodeSharePayload(payload) {
+    const bytes = new TextEncoder().encode(JSON.stringify(compactPayload(payload)));
+
+    if (typeof CompressionStream === 'function') {
+        const compressed = await transformBytes(bytes, new CompressionStream('deflate-raw'));
+        return `${SHARE_LINK_VERSION}z${bytesToBase64Url(compressed)}`;
+    }
+
+    return `${SHARE_LINK_VERSION}j${bytesToBase64Url(bytes)}`;
+}
+
+async function decodeSharePayload(encoded) {
+    const version = encoded.charAt(0);
+    const codec = encoded.charAt(1);
+    if (version !== SHARE_LINK_VERSION) {
+        throw new Error(t('share.unsupportedVersion', { version }));
+    }
+
+    let bytes = base64UrlToBytes(encoded.substring(2));
+    if (codec === 'z') {
+        if (typeof DecompressionStream !== 'function') {
+            throw new Error(t('share.noDecompression'));
+        }
+        bytes = await transformBytes(bytes, new DecompressionStream('deflate-raw'));
+    } else if (codec !== 'j') {
+        throw new Error(t('share.unsupportedCodec', { codec }));
+    }
+
+    return expandPayload(JSON.parse(new TextDecoder().decode(bytes)));
+}
+
+async function buildShareLink(payload, autoCalculate) {
+    const hash = new URLSearchParams();
+    hash.set(SHARE_HASH_KEY, await encodeSharePayload(payload));
+    if (autoCalculate) {
+        hash.set(SHARE_RUN_KEY, '1');
+    }
+
+    const url = new URL(window.location.href);
+    url.hash = hash.toString();
+    return url.toString();
+}
+
+async function readSharedLink() {
+    const hash = new URLSearchParams(window.location.hash.substring(1));
+    const encoded = hash.get(SHARE_HASH_KEY);
+    if (!encoded) {
+        return null;
+    }
+
+    return {
+        payload: await decodeSharePayload(encoded),
+        autoCalculate: hash.get(SHARE_RUN_KEY) === '1'
+    };
+}
+
+function clearSharedLinkFromAddressBar() {
+    // The link has been applied; later edits should not be overwritten by it on reload
+    history.replaceState(null, '', window.location.pathname + window.location.search);
+}
+
+async function copyShareLink() {
+    const shareStatus = document.getElementById('share-status');
+    const shareOutput = document.getElementById('share-link');
+
+    try {
+        const payload = buildValidatedPayload();
+        const link = await buildShareLink(payload, document.getElementById('share-auto-calculate').checked);
+        shareOutput.value = link;
+        shareOutput.style.display = '';
+
+        try {
+            await navigator.clipboard.writeText(link);
+            shareStatus.textContent = t('share.copied', { length: link.length });
+        } catch (clipboardError) {
+            shareOutput.select();
+            shareStatus.textContent = t('share.copyManually', { length: link.length });
+        }
+        shareStatus.className = 'status success';
+    } catch (error) {
+        shareStatus.textContent = t('share.failed', { message: error.message });
+        shareStatus.className = 'status error';
+    }
+}
+
+document.getElementById('share-link-button').addEventListener('click', copyShareLink);
+
+// Printable report
+// Rendered into #report from the same result displaySchedule receives; the print stylesheet hides
+// the application and shows only the report, so the browser's print dialog produces the A4 document.
+const reportContainer = document.getElementById('report');
+const reportStatus = document.getElementById('report-status');
+const reportFooterInput = document.getElementById('report-footer');
+const reportLogoInput = document.getElementById('report-logo');
+const reportLogoPreview = document.getElementById('report-logo-preview');
+const reportLogoClearButton = document.getElementById('report-logo-clear');
+const REPORT_LOGO_MAX_BYTES = 512 * 1024;
+
+// Data URL of the uploaded logo; kept in the stored state so it survives reloads
+let reportLogo = null;
+
+function setReportStatus(message, type = '') {
+    reportStatus.textContent = message;
+    reportStatus.className = type ? `status ${type}` : 'status';
+}
+
+function setReportBranding(branding) {
+    reportLogo = typeof branding?.logo === 'string' ? branding.logo : null;
+    reportFooterInput.value = branding?.footer ?? '';
+    updateReportLogoPreview();
+}
+
+function updateReportLogoPreview() {
+    if (reportLogo) {
+        reportLogoPreview.src = reportLogo;
+        reportLogoPreview.style.display = '';
+        reportLogoClearButton.style.display = '';
+    } else {
+        reportLogoPreview.removeAttribute('src');
+        reportLogoPreview.style.display = 'none';
+        reportLogoClearButton.style.display = 'none';
+    }
+}
+
+function readFileAsDataUrl(file) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.onerror = () => reject(reader.error);
+        reader.readAsDataURL(file);
+    });
+}
+
+async function loadReportLogo() {
+    const file = reportLogoInput.files[0];
+    if (!file) {
+        return;
+    }
 
     try {
-        const response = await fetch('/api/import', { method: 'POST', body: formData, headers: buildAntiforgeryHeaders() });
-        if (!response.ok) {
-            throw new Error(await response.text());
+        if (file.size > REPORT_LOGO_MAX_BYTES) {
+            throw new Error(t('report.logoTooLarge', { size: REPORT_LOGO_MAX_BYTES / 1024 }));
         }
-        const data = await response.json();
-        setParametersToForm(data.parameters);
-        populateRateTable(data.rates);
-        importStatus.textContent = 'Parametry zostały zaimportowane.';
-        importStatus.className = 'status success';
+        reportLogo = await readFileAsDataUrl(file);
+        updateReportLogoPreview();
+        schedulePersistState();
+        setReportStatus('');
     } catch (error) {
-        importStatus.textContent = `Import nieudany: ${error.message}`;
-        importStatus.className = 'status error';
+        setReportStatus(error.message, 'error');
+    } finally {
+        reportLogoInput.value = '';
     }
-});
+}
 
-creditStartInput.addEventListener('change', alignRateBoundariesToCreditDates);
-creditEndInput.addEventListener('change', alignRateBoundariesToCreditDates);
+function clearReportLogo() {
+    reportLogo = null;
+    updateReportLogoPreview();
+    schedulePersistState();
+}
 
-document.getElementById('calculate').addEventListener('click', async () => {
-    actionStatus.textContent = 'Trwa obliczanie...';
-    actionStatus.className = 'status';
+function renderReportTable(headers, rows, className = '') {
+    return `<table${className ? ` class="${className}"` : ''}>
+        <thead><tr>${headers.map(header => `<th>${escapeHtml(header)}</th>`).join('')}</tr></thead>
+        <tbody>${rows.map(cells => `<tr>${cells.join('')}</tr>`).join('')}</tbody>
+    </table>`;
+}
+
+function renderReportParameters(parameters) {
+    const rows = [
+        [t('parameters.netValue'), formatAmount(parameters.netValue)],
+        [t('parameters.marginRate'), formatPercent(parameters.marginRate)],
+        [t('parameters.creditStart'), formatDisplayDate(parameters.creditStartDate)],
+        [t('parameters.creditEnd'), formatDisplayDate(parameters.creditEndDate)],
+        [t('parameters.paymentType'), describeSelectOption('payment-type', parameters.paymentType)],
+        [t('parameters.paymentFrequency'), describeSelectOption('payment-frequency', parameters.paymentFrequency)],
+        // Custom payment dates are listed below instead of a payment day
+        ...(parameters.paymentFrequency === 'Custom' ? [] : [[t('parameters.paymentDay'), parameters.paymentDay === 'DayOfMonth'
+            ? `${describeSelectOption('payment-day', parameters.paymentDay)}: ${parameters.paymentDayOfMonth}`
+            : describeSelectOption('payment-day', parameters.paymentDay)]]),
+        [t('parameters.dayCount'), describeSelectOption('day-count', parameters.dayCountBasis)],
+        [t('parameters.interestApplication'), describeSelectOption('interest-application', parameters.interestRateApplication)],
+        [t('parameters.roundingMode'), `${describeSelectOption('rounding-mode', parameters.roundingMode)}, ${parameters.roundingDecimals}`]
+    ];
+    if (parameters.paymentFrequency === 'Custom') {
+        rows.push([t('customDates.title'), (parameters.customPaymentDates ?? []).map(formatDisplayDate).join(', ')]);
+    } else if ((parameters.businessDayConvention ?? 'None') !== 'None') {
+        rows.push([t('parameters.businessDayConvention'), describeSelectOption('business-day-convention', parameters.businessDayConvention)]);
+        if (parameters.closingDays?.length) {
+            rows.push([t('closingDays.title'), parameters.closingDays.map(formatDisplayDate).join(', ')]);
+        }
+    }
+    if (parameters.processingFeeRate > 0) {
+        rows.push([t('parameters.processingFeeRate'), formatPercent(parameters.processingFeeRate)]);
+    }
+    if (parameters.processingFeeAmount > 0) {
+        rows.push([t('parameters.processingFeeAmount'), formatAmount(parameters.processingFeeAmount)]);
+    }
+    if (parameters.gracePeriodMonths > 0) {
+        rows.push([t('parameters.gracePeriod'), parameters.gracePeriodMonths]);
+    }
+
+    return `<table class="report-parameters"><tbody>${rows.map(([label, value]) =>
+        `<tr><th>${escapeHtml(label)}</th><td>${escapeHtml(value)}</td></tr>`).join('')}</tbody></table>`;
+}
+
+function renderReport(payload, result) {
+    const schedule = result.schedule ?? [];
+    const summary = summarizeSchedule(result);
+    const hasPrepayments = schedule.some(item => (item.prepaymentAmount ?? 0) > 0);
+    const hasFees = summary.totalFees > 0;
+    const footer = reportFooterInput.value.trim();
+
+    const rateRows = (payload.rates ?? []).map(rate => [
+        `<td>${formatDisplayDate(rate.dateFrom)}</td>`,
+        `<td>${formatDisplayDate(rate.dateTo)}</td>`,
+        `<td class="number">${formatPercent(rate.rate, 4)}</td>`
+    ]);
+
+    const prepaymentRows = (payload.prepayments ?? []).map(prepayment => [
+        `<td>${formatDisplayDate(prepayment.date)}</td>`,
+        `<td class="number">${formatAmount(prepayment.amount)}</td>`,
+        `<td>${t(prepayment.mode === 'ReduceInstallment' ? 'prepayments.reduceInstallment' : 'prepayments.reduceTerm')}</td>`
+    ]);
+
+    const feeRows = (payload.parameters.recurringFees ?? []).map((fee, index) => [
+        `<td>${escapeHtml(getFeeDisplayName(fee, index))}</td>`,
+        `<td>${t(fee.type === 'BalancePercentage' ? 'fees.balancePercentage' : 'fees.fixedAmount')}</td>`,
+        `<td class="number">${fee.type === 'BalancePercentage' ? formatPercent(fee.value, 4) : formatAmount(fee.value)}</td>`,
+        `<td>${t(FEE_FREQUENCIES.find(([value]) => value === fee.frequency)?.[1] ?? 'fees.monthly')}</td>`,
+        `<td>${fee.dateFrom ? formatDisplayDate(fee.dateFrom) : ''}</td>`,
+        `<td>${fee.dateTo ? formatDisplayDate(fee.dateTo) : ''}</td>`
+    ]);
+
+    const summaryRows = [
+        [t('summary.totalInterest'), formatAmount(summary.totalInterest)],
+        ...(hasFees ? [[t('schedule.feeTotal'), formatAmount(summary.totalFees)]] : []),
+        [t('summary.totalPaid'), formatAmount(summary.totalPaid)],
+        [t('summary.apr'), formatPercent(summary.annualPercentageRate)],
+        [t('summary.firstPayment'), formatAmount(summary.firstPayment)],
+        [t('summary.maxPayment'), formatAmount(summary.maxPayment)],
+        [t('summary.paymentCount'), summary.paymentCount]
+    ];
+
+    const scheduleHeaders = [
+        '#', t('schedule.paymentDate'), t('schedule.days'), t('schedule.interestRate'), t('schedule.interest'),
+        t('schedule.principal'), t('schedule.total'), t('schedule.remaining')
+    ];
+    if (hasPrepayments) {
+        scheduleHeaders.push(t('schedule.prepayment'));
+    }
+    if (hasFees) {
+        scheduleHeaders.push(t('schedule.feeTotal'));
+    }
+    const scheduleRows = schedule.map((item, index) => {
+        const cells = [
+            `<td class="number">${index + 1}</td>`,
+            `<td>${formatDisplayDate(item.paymentDate)}${item.isInGracePeriod ? ` (${t('schedule.graceMarker')})` : ''}</td>`,
+            `<td class="number">${item.daysInPeriod}</td>`,
+            `<td class="number">${formatPercent(item.interestRate, 4)}</td>`,
+            `<td class="number">${formatAmount(item.interestAmount)}</td>`,
+            `<td class="number">${formatAmount(item.principalPayment)}</td>`,
+            `<td class="number">${formatAmount(item.totalPayment)}${item.isFinalPaymentAdjusted ? ' *' : ''}</td>`,
+            `<td class="number">${formatAmount(item.remainingPrincipal)}</td>`
+        ];
+        if (hasPrepayments) {
+            cells.push(`<td class="number">${(item.prepaymentAmount ?? 0) > 0 ? formatAmount(item.prepaymentAmount) : ''}</td>`);
+        }
+        if (hasFees) {
+            cells.push(`<td class="number">${(item.feeAmount ?? 0) > 0 ? formatAmount(item.feeAmount) : ''}</td>`);
+        }
+        return cells;
+    });
+
+    // The roll-up selected above the schedule table is printed before the payments
+    const aggregation = scheduleViewSelect.value;
+    const aggregateHeaders = [
+        t('schedule.period'), t('summary.paymentCount'), t('schedule.interest'), t('schedule.principal'), t('schedule.total'),
+        t('schedule.prepayment'), t('schedule.openingBalance'), t('schedule.closingBalance'), t('schedule.weightedRate')
+    ];
+    const aggregateRows = aggregation ? aggregateSchedule(schedule, aggregation).map(aggregate => [
+        `<td>${escapeHtml(formatAggregateLabel(aggregate.periodStart, aggregation))}</td>`,
+        `<td class="number">${aggregate.rows.length}</td>`,
+        `<td class="number">${formatAmount(aggregate.interestAmount)}</td>`,
+        `<td class="number">${formatAmount(aggregate.principalPayment)}</td>`,
+        `<td class="number">${formatAmount(aggregate.totalPayment)}</td>`,
+        `<td class="number">${aggregate.prepaymentAmount > 0 ? formatAmount(aggregate.prepaymentAmount) : ''}</td>`,
+        `<td class="number">${formatAmount(aggregate.openingBalance)}</td>`,
+        `<td class="number">${formatAmount(aggregate.closingBalance)}</td>`,
+        `<td class="number">${formatPercent(aggregate.weightedAverageRate, 4)}</td>`
+    ]) : [];
+
+    const warnings = result.warnings ?? [];
+
+    reportContainer.innerHTML = `
+        <header class="report-header">
+            ${reportLogo ? `<img class="report-logo" src="${escapeHtml(reportLogo)}" alt="">` : ''}
+            <div>
+                <h1>${escapeHtml(t('report.heading'))}</h1>
+                <p>${escapeHtml(t('report.generatedOn', { date: formatDisplayDate(formatDateInput(getTodayDate())) }))}</p>
+            </div>
+        </header>
+        <section class="report-columns">
+            <div>
+                <h2>${escapeHtml(t('report.parameters'))}</h2>
+                ${renderReportParameters(payload.parameters)}
+            </div>
+            <div>
+                <h2>${escapeHtml(t('report.summary'))}</h2>
+                <table class="report-parameters"><tbody>${summaryRows.map(([label, value]) =>
+                    `<tr><th>${escapeHtml(label)}</th><td>${escapeHtml(value)}</td></tr>`).join('')}</tbody></table>
+            </div>
+        </section>
+        <section>
+            <h2>${escapeHtml(t('report.rates'))}</h2>
+            ${renderReportTable([t('rates.from'), t('rates.to'), t('rates.rate')], rateRows)}
+        </section>
+        ${prepaymentRows.length ? `<section>
+            <h2>${escapeHtml(t('prepayments.title'))}</h2>
+            ${renderReportTable([t('prepayments.date'), t('prepayments.amount'), t('prepayments.mode')], prepaymentRows)}
+        </section>` : ''}
+        ${feeRows.length ? `<section>
+            <h2>${escapeHtml(t('fees.title'))}</h2>
+            ${renderReportTable([t('fees.name'), t('fees.type'), t('fees.value'), t('fees.frequency'), t('fees.from'), t('fees.to')], feeRows)}
+        </section>` : ''}
+        ${warnings.length ? `<section class="report-warnings">
+            <h2>${escapeHtml(t('schedule.warnings'))}</h2>
+            <ul>${warnings.map(warning => `<li>${escapeHtml(describeWarning(warning))}</li>`).join('')}</ul>
+        </section>` : ''}
+        ${aggregateRows.length ? `<section>
+            <h2>${escapeHtml(t('schedule.aggregatesTitle'))}</h2>
+            ${renderReportTable(aggregateHeaders, aggregateRows, 'report-schedule')}
+        </section>` : ''}
+        <section>
+            <h2>${escapeHtml(t('schedule.title'))}</h2>
+            ${renderReportTable(scheduleHeaders, scheduleRows, 'report-schedule')}
+        </section>
+        ${footer ? `<footer class="report-footer">${escapeHtml(footer)}</footer>` : ''}
+    `;
+}
+
+// Calculates the current form first, so the printed schedule always matches the printed parameters
+async function printReport() {
+    setReportStatus(t('report.preparing'));
     try {
         const payload = buildValidatedPayload();
-        const response = await fetch('/api/calculate', {
-            method: 'POST',
-            headers: buildAntiforgeryHeaders({ 'Content-Type': 'application/json' }),
-            body: JSON.stringify(payload)
-        });
-        if (!response.ok) {
-            throw new Error(await response.text());
-        }
-        const result = await response.json();
+        const result = await requestSchedule(payload);
+        lastCalculationPayload = payload;
+        showCalculationResult(result);
+        renderReport(payload, result);
+        window.print();
+        setReportStatus(t('report.ready'), 'success');
+    } catch (error) {
+        setReportStatus(t('report.failed', { message: showServerValidationIssues(error) }), 'error');
+    }
+}
+
+// Printing with the browser menu (Ctrl+P) uses the last calculated result as it is
+function prepareReportForPrint() {
+    if (lastCalculationResult) {
+        renderReport(lastCalculationPayload ?? buildPayload(), lastCalculationResult);
+    } else {
+        reportContainer.innerHTML = `<p>${escapeHtml(t('report.noResult'))}</p>`;
+    }
+}
 
-        // Store calculation log for later export (ensures consistency)
-        lastCalculationLog = result.calculationLog;
+document.getElementById('print-report').addEventListener('click', printReport);
+reportLogoInput.addEventListener('change', loadReportLogo);
+reportLogoClearButton.addEventListener('click', clearReportLogo);
+reportFooterInput.addEventListener('input', schedulePersistState);
+window.addEventListener('beforeprint', prepareReportForPrint);
+
+// Goal seek
+// The server bisects the chosen variable (GoalSeekSolver); every step is listed so the search can be followed.
+const goalVariableSelect = document.getElementById('goal-variable');
+const goalTargetSelect = document.getElementById('goal-target');
+const goalTargetValueInput = document.getElementById('goal-target-value');
+const goalMinimumInput = document.getElementById('goal-minimum');
+const goalMaximumInput = document.getElementById('goal-maximum');
+const goalSeekStatus = document.getElementById('goal-seek-status');
+const goalSeekStepsTable = document.getElementById('goal-seek-steps');
+// GoalSeekVariable → the CreditParameters field it changes
+const GOAL_SEEK_PARAMETERS = { NetValue: 'netValue', CreditEndDate: 'creditEndDate', MarginRate: 'marginRate' };
+
+// The last response and the variable and target it was searched for, kept to re-render on language change
+let lastGoalSeek = null;
+
+function setGoalSeekStatus(message, type = '') {
+    goalSeekStatus.textContent = message;
+    goalSeekStatus.className = type ? `status ${type}` : 'status';
+}
 
-        displaySchedule(
-            result.schedule,
-            result.totalInterest,
-            result.annualPercentageRate,
-            result.warnings,
-            result.targetLevelPayment,
-            result.actualFinalPayment
-        );
-        actionStatus.textContent = 'Harmonogram został obliczony.';
-        actionStatus.className = 'status success';
+function markGoalSeekInput(id) {
+    const input = document.getElementById(id);
+    input.classList.add('invalid-input');
+    input.setAttribute('aria-invalid', 'true');
+}
+
+function clearGoalSeekInputs() {
+    [goalVariableSelect, goalTargetSelect, goalTargetValueInput, goalMinimumInput, goalMaximumInput].forEach(input => {
+        input.classList.remove('invalid-input');
+        input.removeAttribute('aria-invalid');
+    });
+}
+
+function updateGoalSeekBoundsHint() {
+    const hint = t(`goalSeek.boundsHint.${goalVariableSelect.value}`);
+    goalMinimumInput.placeholder = hint;
+    goalMaximumInput.placeholder = hint;
+}
+
+// Empty bounds are left to the server defaults
+function readGoalSeekBound(input) {
+    if (!input.value.trim()) {
+        return null;
+    }
+
+    const value = parseLocaleNumber(input.value);
+    if (!Number.isFinite(value)) {
+        throw new Error(t('goalSeek.invalidBound'));
+    }
+    return value;
+}
+
+function formatGoalSeekValue(variable, step) {
+    switch (variable) {
+        case 'CreditEndDate':
+            return formatDisplayDate(step.creditEndDate);
+        case 'MarginRate':
+            return formatPercent(step.value, 4);
+        default:
+            return formatAmount(step.value);
+    }
+}
+
+function formatGoalSeekResult(target, value) {
+    return target === 'AnnualPercentageRate' ? formatPercent(value) : formatAmount(value);
+}
+
+function renderGoalSeekSteps() {
+    const tbody = goalSeekStepsTable.querySelector('tbody');
+    if (!lastGoalSeek) {
+        tbody.innerHTML = '';
+        goalSeekStepsTable.style.display = 'none';
+        return;
+    }
+
+    const { variable, target, response } = lastGoalSeek;
+    document.getElementById('goal-seek-value-header').textContent = t(`goalSeek.variables.${variable}`);
+    document.getElementById('goal-seek-result-header').textContent = t(`goalSeek.targets.${target}`);
+    tbody.innerHTML = response.steps.map(step => `
+        <tr class="${step.withinTarget ? '' : 'warning-row'}">
+            <td>${step.iteration}</td>
+            <td>${formatGoalSeekValue(variable, step)}</td>
+            <td>${formatGoalSeekResult(target, step.result)}</td>
+            <td>${t(step.withinTarget ? 'goalSeek.yes' : 'goalSeek.no')}</td>
+        </tr>
+    `).join('');
+    goalSeekStepsTable.style.display = '';
+}
+
+function describeGoalSeekResult() {
+    const { variable, target, response } = lastGoalSeek;
+    const parameters = response.calculation.parameters;
+    const found = {
+        value: parameters[GOAL_SEEK_PARAMETERS[variable]],
+        creditEndDate: parameters.creditEndDate
+    };
+
+    return t(response.converged ? 'goalSeek.found' : 'goalSeek.outOfRange', {
+        variable: t(`goalSeek.variables.${variable}`),
+        value: formatGoalSeekValue(variable, found),
+        target: t(`goalSeek.targets.${target}`),
+        result: formatGoalSeekResult(target, response.result),
+        steps: response.steps.length
+    });
+}
+
+async function requestGoalSeek(request) {
+    const response = await fetch('/api/goal-seek', {
+        method: 'POST',
+        headers: buildAntiforgeryHeaders({ 'Content-Type': 'application/json' }),
+        body: JSON.stringify(request)
+    });
+    if (!response.ok) {
+        throw await readResponseError(response);
+    }
+    return response.json();
+}
+
+async function runGoalSeek() {
+    clearGoalSeekInputs();
+    setGoalSeekStatus(t('goalSeek.searching'));
+    try {
+        const targetValue = parseLocaleNumber(goalTargetValueInput.value);
+        if (!(targetValue > 0)) {
+            throw new Error(t('goalSeek.invalidTarget'));
+        }
+
+        const request = {
+            calculation: buildValidatedPayload(),
+            variable: goalVariableSelect.value,
+            target: goalTargetSelect.value,
+            targetValue,
+            minimum: readGoalSeekBound(goalMinimumInput),
+            maximum: readGoalSeekBound(goalMaximumInput)
+        };
+        const response = await requestGoalSeek(request);
+        lastGoalSeek = { variable: request.variable, target: request.target, response };
+
+        // The found calculation replaces the form (a changed end date also moves the last rate period)
+        setParametersToForm(response.calculation.parameters);
+        populateRateTable(response.calculation.rates);
+        populatePrepaymentTable(response.calculation.prepayments);
+        commitRateTableState();
+        validateForm();
+
+        lastCalculationPayload = buildPayload();
+        showCalculationResult(response.schedule);
+        scheduleLivePreview();
+
+        renderGoalSeekSteps();
+        setGoalSeekStatus(describeGoalSeekResult(), response.converged ? 'success' : 'error');
     } catch (error) {
-        actionStatus.textContent = `Błąd obliczeń: ${error.message}`;
-        actionStatus.className = 'status error';
-        updateTotalInterest(0);
-        updateApr(0);
+        setGoalSeekStatus(t('goalSeek.failed', { message: showServerValidationIssues(error) }), 'error');
     }
-});
+}
 
-document.getElementById('export').addEventListener('click', async () => {
-    actionStatus.textContent = 'Trwa eksport...';
-    actionStatus.className = 'status';
+updateGoalSeekBoundsHint();
+goalVariableSelect.addEventListener('change', updateGoalSeekBoundsHint);
+document.getElementById('goal-seek').addEventListener('click', runGoalSeek);
+
+// Sensitivity analysis
+// Each variant is the current payload with every rate table row shifted in parallel and, optionally,
+// a changed margin. Variants are calculated one after another by /api/calculate.
+const sensitivityStatus = document.getElementById('sensitivity-status');
+const sensitivityGrid = document.getElementById('sensitivity-grid');
+const sensitivityMetricSelect = document.getElementById('sensitivity-metric');
+const sensitivityMarginsInput = document.getElementById('sensitivity-margins');
+const sensitivityRunButton = document.getElementById('sensitivity-run');
+const SENSITIVITY_RATE_SHIFTS_BP = [-300, -200, -100, 0, 100, 200, 300];
+
+// { marginChanges, cells } where cells[shiftIndex][marginIndex] is { summary } or { error }
+let lastSensitivity = null;
+
+function setSensitivityStatus(message, type = '') {
+    sensitivityStatus.textContent = message;
+    sensitivityStatus.className = type ? `status ${type}` : 'status';
+}
+
+// The unchanged margin is always included, so the grid contains the current calculation
+function parseMarginChanges(text) {
+    const changes = text.split(';')
+        .map(part => part.trim())
+        .filter(Boolean)
+        .map(part => {
+            const value = parseLocaleNumber(part);
+            if (!Number.isFinite(value)) {
+                throw new Error(t('sensitivity.invalidMargin', { value: part }));
+            }
+            return value;
+        });
+
+    return [...new Set([0, ...changes])].sort((a, b) => a - b);
+}
+
+function buildSensitivityVariant(payload, shiftBp, marginChange) {
+    // Rounded so binary fractions (5.85 + 1) do not reach the server as 6.8500000000000005
+    const roundRate = value => Math.round(value * 1e6) / 1e6;
+    const variant = clonePayload(payload);
+    variant.rates.forEach(rate => {
+        rate.rate = roundRate(rate.rate + shiftBp / 100);
+    });
+    variant.parameters.marginRate = roundRate(variant.parameters.marginRate + marginChange);
+    return variant;
+}
 
+async function runSensitivityAnalysis() {
     try {
         const payload = buildValidatedPayload();
-        const format = document.getElementById('export-format').value;
+        const marginChanges = parseMarginChanges(sensitivityMarginsInput.value);
+        const total = SENSITIVITY_RATE_SHIFTS_BP.length * marginChanges.length;
+        let done = 0;
+
+        sensitivityRunButton.disabled = true;
+        setSensitivityStatus(t('sensitivity.progress', { done, total }));
+
+        const cells = [];
+        for (const shift of SENSITIVITY_RATE_SHIFTS_BP) {
+            const row = [];
+            for (const change of marginChanges) {
+                try {
+                    const result = await requestSchedule(buildSensitivityVariant(payload, shift, change));
+                    row.push({ summary: summarizeSchedule(result) });
+                    done++;
+                } catch (error) {
+                    row.push({ error: error.message });
+                }
+                setSensitivityStatus(t('sensitivity.progress', { done, total }));
+            }
+            cells.push(row);
+        }
+
+        lastSensitivity = { marginChanges, cells };
+        renderSensitivityGrid();
+        if (done === total) {
+            setSensitivityStatus(t('sensitivity.done', { total }), 'success');
+        } else {
+            setSensitivityStatus(t('sensitivity.doneWithErrors', { done, total }), 'error');
+        }
+    } catch (error) {
+        setSensitivityStatus(t('sensitivity.failed', { message: error.message }), 'error');
+    } finally {
+        sensitivityRunButton.disabled = false;
+    }
+}
+
+function renderSensitivityGrid() {
+    if (!lastSensitivity) {
+        sensitivityGrid.innerHTML = '';
+        sensitivityGrid.style.display = 'none';
+        return;
+    }
+
+    const { marginChanges, cells } = lastSensitivity;
+    const metric = sensitivityMetricSelect.value;
+    const formatMetric = value => metric === 'annualPercentageRate' ? formatPercent(value) : formatAmount(value);
+    const formatSigned = (value, decimals) => `${value > 0 ? '+' : ''}${formatNumber(value, decimals)}`;
+
+    // Cells are shaded from green (lowest value) to red (highest)
+    const values = cells.flat().filter(cell => cell.summary).map(cell => cell.summary[metric]);
+    const min = Math.min(...values);
+    const max = Math.max(...values);
+    const heatColor = value => {
+        const ratio = max > min ? (value - min) / (max - min) : 0;
+        return `hsl(${Math.round(120 * (1 - ratio))}, 70%, 85%)`;
+    };
+
+    const describeCell = summary => [
+        [t('summary.firstPayment'), formatAmount(summary.firstPayment)],
+        [t('summary.maxPayment'), formatAmount(summary.maxPayment)],
+        [t('summary.totalInterest'), formatAmount(summary.totalInterest)],
+        [t('summary.apr'), formatPercent(summary.annualPercentageRate)]
+    ].map(([label, value]) => `${label}: ${value}`).join('\n');
+
+    const header = `<thead><tr><th>${escapeHtml(t('sensitivity.corner'))}</th>${marginChanges.map(change =>
+        `<th>${escapeHtml(t('sensitivity.marginChange', { change: formatSigned(change, 2) }))}</th>`).join('')}</tr></thead>`;
+
+    const rows = SENSITIVITY_RATE_SHIFTS_BP.map((shift, shiftIndex) => {
+        const shiftLabel = t('sensitivity.shift', { shift: formatSigned(shift, 0) });
+        const cellsHtml = cells[shiftIndex].map((cell, marginIndex) => {
+            const isBase = shift === 0 && marginChanges[marginIndex] === 0;
+            if (cell.error) {
+                return `<td title="${escapeHtml(cell.error)}">–</td>`;
+            }
+
+            const title = `${t('sensitivity.cellTitle', { shift: formatSigned(shift, 0), margin: formatSigned(marginChanges[marginIndex], 2) })}\n${describeCell(cell.summary)}`;
+            return `<td class="${isBase ? 'sensitivity-base' : ''}" style="background-color: ${heatColor(cell.summary[metric])}" title="${escapeHtml(title)}">${formatMetric(cell.summary[metric])}</td>`;
+        }).join('');
+        return `<tr><th>${escapeHtml(shiftLabel)}</th>${cellsHtml}</tr>`;
+    }).join('');
+
+    sensitivityGrid.innerHTML = `${header}<tbody>${rows}</tbody>`;
+    sensitivityGrid.style.display = '';
+}
+
+sensitivityRunButton.addEventListener('click', runSensitivityAnalysis);
+sensitivityMetricSelect.addEventListener('change', renderSensitivityGrid);
+
+// Batch calculation
+// Every dropped file is sent to /api/calculate-batch on its own; the loans found in all of them are
+// listed together, with the reason next to each one that could not be read or calculated.
+const batchSection = document.getElementById('batch-section');
+const batchFilesInput = document.getElementById('batch-files');
+const batchProgress = document.getElementById('batch-progress');
+const batchStatus = document.getElementById('batch-status');
+const batchTable = document.getElementById('batch-table');
+const batchExportButton = document.getElementById('batch-export');
+const batchClearButton = document.getElementById('batch-clear');
+
+// Loans as returned by the server ({ name, calculation, error, summary, schedule }) from all processed files
+let batchLoans = [];
+
+function setBatchStatus(message, type = '') {
+    batchStatus.textContent = message;
+    batchStatus.className = type ? `status ${type}` : 'status';
+}
+
+async function requestBatchCalculation(file) {
+    const formData = new FormData();
+    formData.append('file', file);
 
-        const response = await fetch(`/api/export?format=${encodeURIComponent(format)}`, {
+    const response = await fetch('/api/calculate-batch', {
+        method: 'POST',
+        headers: buildAntiforgeryHeaders(),
+        body: formData
+    });
+
+    if (!response.ok) {
+        throw await readResponseError(response);
+    }
+
+    return response.json();
+}
+
+async function calculateBatchFiles(files) {
+    if (files.length === 0) {
+        return;
+    }
+
+    batchFilesInput.disabled = true;
+    batchProgress.max = files.length;
+    batchProgress.value = 0;
+    batchProgress.style.display = '';
+
+    // Files the server rejects as a whole are listed like a loan that could not be read
+    for (const [index, file] of files.entries()) {
+        setBatchStatus(t('batch.processing', { file: file.name, index: index + 1, total: files.length }));
+        try {
+            const response = await requestBatchCalculation(file);
+            batchLoans.push(...response.loans);
+        } catch (error) {
+            batchLoans.push({ name: file.name, error: error.message, errorDetails: error.validation });
+        }
+        batchProgress.value = index + 1;
+        renderBatchResults();
+    }
+
+    batchProgress.style.display = 'none';
+    batchFilesInput.disabled = false;
+    batchFilesInput.value = '';
+
+    const failed = batchLoans.filter(loan => loan.error).length;
+    const counts = { calculated: batchLoans.length - failed, total: batchLoans.length, failed };
+    if (failed === 0) {
+        setBatchStatus(t('batch.done', counts), 'success');
+    } else {
+        setBatchStatus(t('batch.doneWithErrors', counts), 'error');
+    }
+}
+
+function renderBatchResults() {
+    const tbody = batchTable.querySelector('tbody');
+    tbody.innerHTML = '';
+    batchTable.style.display = batchLoans.length ? '' : 'none';
+    batchExportButton.disabled = !batchLoans.some(loan => loan.calculation);
+    batchClearButton.disabled = batchLoans.length === 0;
+
+    batchLoans.forEach((loan, index) => {
+        const row = document.createElement('tr');
+        if (loan.error) {
+            row.className = 'warning-row';
+            row.innerHTML = `
+                <td>${escapeHtml(loan.name)}</td>
+                <td colspan="7" class="batch-error">${escapeHtml(loan.errorDetails ? describeServerError(loan.errorDetails) : loan.error)}</td>
+            `;
+        } else {
+            const { summary } = loan;
+            row.innerHTML = `
+                <td>${escapeHtml(loan.name)}</td>
+                <td class="number">${summary.paymentCount}</td>
+                <td class="number">${formatAmount(summary.firstPayment)}</td>
+                <td class="number">${formatAmount(summary.maxPayment)}</td>
+                <td class="number">${formatAmount(summary.totalInterest)}</td>
+                <td class="number">${formatAmount(summary.totalPaid)}</td>
+                <td class="number">${formatPercent(summary.annualPercentageRate)}</td>
+                <td><button type="button" class="secondary batch-load" data-index="${index}" title="${escapeHtml(t('batch.loadHint'))}">${escapeHtml(t('batch.load'))}</button></td>
+            `;
+        }
+        tbody.appendChild(row);
+    });
+}
+
+function loadBatchLoanToForm(index) {
+    const loan = batchLoans[index];
+    if (!loan?.calculation) {
+        return;
+    }
+
+    setParametersToForm(loan.calculation.parameters);
+    populateRateTable(loan.calculation.rates);
+    populatePrepaymentTable(loan.calculation.prepayments);
+    commitRateTableState();
+    validateForm();
+
+    lastCalculationPayload = buildPayload();
+    showCalculationResult(loan.schedule);
+    scheduleLivePreview();
+
+    setBatchStatus(t('batch.loaded', { name: loan.name }), 'success');
+}
+
+// Only loans with a calculation can be exported; the server calculates them again for the export
+async function exportBatch() {
+    const format = document.getElementById('batch-export-format').value;
+    const loans = batchLoans
+        .filter(loan => loan.calculation)
+        .map(loan => ({ ...loan.calculation, name: loan.name }));
+
+    setBatchStatus(t('batch.exporting'));
+    try {
+        const response = await fetch(`/api/export-batch?format=${encodeURIComponent(format)}`, {
             method: 'POST',
             headers: buildAntiforgeryHeaders({ 'Content-Type': 'application/json' }),
-            body: JSON.stringify(payload)
+            body: JSON.stringify({ loans })
         });
 
         if (!response.ok) {
-            throw new Error(await response.text());
+            throw await readResponseError(response);
         }
 
-        // --- NEW: try to read filename from Content-Disposition ---
-        const contentDisposition = response.headers.get('content-disposition');
-        let fileName;
+        downloadBlob(await response.blob(), readDownloadFileName(response) ?? `harmonogramy.${format}`);
+        setBatchStatus(t('batch.exported'), 'success');
+    } catch (error) {
+        setBatchStatus(t('batch.exportFailed', { message: error.message }), 'error');
+    }
+}
 
-        if (contentDisposition) {
-            // handle filename="..." and filename*=UTF-8''...
-            const fileNameStarMatch = contentDisposition.match(/filename\*\s*=\s*UTF-8''([^;]+)/i);
-            const fileNameMatch = contentDisposition.match(/filename\s*=\s*"([^"]+)"/i)
-                || contentDisposition.match(/filename\s*=\s*([^;]+)/i);
+batchFilesInput.addEventListener('change', () => calculateBatchFiles([...batchFilesInput.files]));
 
-            if (fileNameStarMatch && fileNameStarMatch[1]) {
-                fileName = decodeURIComponent(fileNameStarMatch[1]);
-            } else if (fileNameMatch && fileNameMatch[1]) {
-                fileName = fileNameMatch[1].trim();
-            }
-        }
+batchSection.addEventListener('dragover', event => {
+    if (event.dataTransfer?.types?.includes('Files')) {
+        event.preventDefault();
+        batchSection.classList.add('drop-target');
+    }
+});
+batchSection.addEventListener('dragleave', () => batchSection.classList.remove('drop-target'));
+batchSection.addEventListener('drop', event => {
+    batchSection.classList.remove('drop-target');
+    const files = [...(event.dataTransfer?.files ?? [])];
+    if (files.length === 0) {
+        return;
+    }
+
+    event.preventDefault();
+    if (!batchFilesInput.disabled) {
+        calculateBatchFiles(files);
+    }
+});
+
+batchTable.addEventListener('click', event => {
+    const button = event.target.closest('.batch-load');
+    if (button) {
+        loadBatchLoanToForm(Number(button.dataset.index));
+    }
+});
+
+batchExportButton.addEventListener('click', exportBatch);
+
+batchClearButton.addEventListener('click', () => {
+    batchLoans = [];
+    renderBatchResults();
+    setBatchStatus('');
+});
+
+// Keyboard shortcuts and screen reader announcements
+// Ctrl+Enter calculates, Alt+Shift+E exports and Alt+Shift+N adds a rate period from anywhere on the page.
+// In the rate table Enter / Shift+Enter move down and up a row and Ctrl+arrows move between cells.
+const livePoliteRegion = document.getElementById('live-polite');
+const liveAssertiveRegion = document.getElementById('live-assertive');
+const RATE_GRID_COLUMNS = ['date-from', 'date-to', 'rate-value'];
+const ANNOUNCE_DELAY_MS = 100;
+
+// Messages arriving together (a result and its status line) are read as one announcement
+const pendingAnnouncements = new Map();
+
+// The region is emptied first so the same message is announced again when it repeats
+function announce(message, type = '') {
+    const region = type === 'error' ? liveAssertiveRegion : livePoliteRegion;
+    if (!pendingAnnouncements.has(region)) {
+        pendingAnnouncements.set(region, []);
+        region.textContent = '';
+        setTimeout(() => {
+            region.textContent = [...new Set(pendingAnnouncements.get(region))].join(' ');
+            pendingAnnouncements.delete(region);
+        }, ANNOUNCE_DELAY_MS);
+    }
+    pendingAnnouncements.get(region).push(message);
+}
 
-        // Fallback if header missing / unparsable
-        if (!fileName) {
-            const extension =
-                format === 'ods' ? 'ods' :
-                    format === 'json' ? 'json' :
-                        'xlsx';
-            fileName = `harmonogram.${extension}`;
+function announceCalculationResult(result) {
+    const summary = summarizeSchedule(result);
+    const warnings = result.warnings ?? [];
+    const message = t('a11y.result', {
+        count: summary.paymentCount,
+        interest: formatAmount(summary.totalInterest),
+        apr: formatPercent(summary.annualPercentageRate)
+    });
+    announce(warnings.length ? `${message} ${t('a11y.resultWarnings', { count: warnings.length })}` : message);
+}
+
+// Status lines are read out when their text changes; the live preview updates on every keystroke and stays silent
+function observeStatusElement(element) {
+    new MutationObserver(() => {
+        const message = element.textContent.trim();
+        if (message && element.style.display !== 'none') {
+            announce(message, element.classList.contains('error') || element === validationSummary ? 'error' : '');
         }
+    }).observe(element, { childList: true, characterData: true, subtree: true });
+}
 
-        const blob = await response.blob();
-        const url = window.URL.createObjectURL(blob);
-        const link = document.createElement('a');
-        link.href = url;
-        link.download = fileName; // <-- now uses backend name or fallback
-        link.click();
-        window.URL.revokeObjectURL(url);
+document.querySelectorAll('.status:not(#preview-status):not(#preview-divergence)').forEach(observeStatusElement);
+observeStatusElement(validationSummary);
 
-        actionStatus.textContent = 'Eksport zakończony powodzeniem.';
-        actionStatus.className = 'status success';
-    } catch (error) {
-        actionStatus.textContent = `Eksport nieudany: ${error.message}`;
-        actionStatus.className = 'status error';
+function focusGridInput(input) {
+    input.focus();
+    if (input.type === 'text') {
+        input.select();
+    }
+}
+
+// Moves the focus by rows and columns of date and rate inputs; returns false at the edge of the table
+function moveRateGridFocus(input, rowOffset, columnOffset) {
+    const rows = Array.from(rateTableBody.querySelectorAll('tr'));
+    const rowIndex = rows.indexOf(input.closest('tr'));
+    const columnIndex = RATE_GRID_COLUMNS.findIndex(column => input.classList.contains(column));
+    const targetRow = rows[rowIndex + rowOffset];
+    const targetColumn = RATE_GRID_COLUMNS[columnIndex + columnOffset];
+    if (rowIndex < 0 || columnIndex < 0 || !targetRow || !targetColumn) {
+        return false;
+    }
+
+    focusGridInput(targetRow.querySelector(`.${targetColumn}`));
+    return true;
+}
+
+rateTableBody.addEventListener('keydown', event => {
+    const input = event.target.closest('input');
+    if (!input || event.altKey) {
+        return;
+    }
+
+    let rowOffset = 0;
+    let columnOffset = 0;
+    if (event.key === 'Enter' && !event.ctrlKey && !event.metaKey) {
+        rowOffset = event.shiftKey ? -1 : 1;
+    } else if (event.ctrlKey || event.metaKey) {
+        // Plain arrows keep changing the day, month and year parts of the date inputs
+        rowOffset = { ArrowUp: -1, ArrowDown: 1 }[event.key] ?? 0;
+        columnOffset = { ArrowLeft: -1, ArrowRight: 1 }[event.key] ?? 0;
+    }
+
+    if ((rowOffset || columnOffset) && moveRateGridFocus(input, rowOffset, columnOffset)) {
+        event.preventDefault();
     }
 });
 
-exportLogButton.addEventListener('click', async () => {
-    actionStatus.textContent = 'Trwa przygotowywanie logu obliczeń...';
-    actionStatus.className = 'status';
-    try {
-        const payload = buildValidatedPayload();
+// The new period is added where the button would add it; its first empty input takes the focus
+function addRateRowFromKeyboard() {
+    const existingRows = new Set(rateTableBody.querySelectorAll('tr'));
+    document.getElementById('add-rate').click();
+    const newRow = Array.from(rateTableBody.querySelectorAll('tr')).find(row => !existingRows.has(row));
+    if (!newRow) {
+        return;
+    }
 
-        // Include the stored calculation log to ensure it matches the displayed schedule
-        if (lastCalculationLog) {
-            payload.calculationLog = lastCalculationLog;
+    const inputs = RATE_GRID_COLUMNS.map(column => newRow.querySelector(`.${column}`));
+    focusGridInput(inputs.find(input => !input.value) ?? inputs[0]);
+}
+
+document.addEventListener('keydown', event => {
+    if ((event.ctrlKey || event.metaKey) && event.key === 'Enter') {
+        event.preventDefault();
+        calculateButton.click();
+    } else if (event.altKey && event.shiftKey && event.code === 'KeyE') {
+        event.preventDefault();
+        exportButton.click();
+    } else if (event.altKey && event.shiftKey && event.code === 'KeyN') {
+        event.preventDefault();
+        addRateRowFromKeyboard();
+    }
+});
+
+// Language switching
+// Static texts are swapped by applyTranslations (i18n.js); content generated here is rendered again.
+const languageSelect = document.getElementById('language');
+const LOCALE_NUMBER_INPUTS = '#net-value, #margin-rate, #processing-fee, #processing-fee-amount, .rate-value, .prepayment-amount, .fee-value, '
+    + '#goal-target-value, #goal-minimum, #goal-maximum, #rate-path-start, #rate-path-target, #rate-path-step';
+
+// Numbers typed in the form are read with the previous language's separators and written back in the new one
+function reformatNumberInputs(previousLanguage) {
+    document.querySelectorAll(LOCALE_NUMBER_INPUTS).forEach(input => {
+        const value = parseLocaleNumber(input.value, previousLanguage);
+        if (Number.isFinite(value)) {
+            input.value = formatInputNumber(value);
         }
+    });
 
-        const response = await fetch('/api/export-log', {
-            method: 'POST',
-            headers: buildAntiforgeryHeaders({ 'Content-Type': 'application/json' }),
-            body: JSON.stringify(payload)
-        });
-        if (!response.ok) {
-            throw new Error(await response.text());
+    const marginChanges = sensitivityMarginsInput.value.split(';').map(part => part.trim()).filter(Boolean);
+    const parsedChanges = marginChanges.map(part => parseLocaleNumber(part, previousLanguage));
+    if (parsedChanges.every(Number.isFinite)) {
+        sensitivityMarginsInput.value = parsedChanges.map(formatInputNumber).join('; ');
+    }
+}
+
+function rerenderLocalizedContent(event) {
+    reformatNumberInputs(event.detail.previousLanguage);
+    [closingDayList, customDateList].forEach(list => renderDateList(list, readDateList(list)));
+
+    if (lastCalculationResult) {
+        displaySchedule(
+            lastCalculationResult.schedule,
+            lastCalculationResult.totalInterest,
+            lastCalculationResult.annualPercentageRate,
+            lastCalculationResult.warnings,
+            lastCalculationResult.targetLevelPayment,
+            lastCalculationResult.actualFinalPayment
+        );
+        renderCalculationLog(lastCalculationResult.calculationLog);
+        renderAprExplanation(lastCalculationResult, lastCalculationPayload?.parameters ?? readParametersFromForm());
+        if (previewDivergence.style.display !== 'none') {
+            reportPreviewDivergence(buildPayload(), lastCalculationResult);
         }
+    }
 
-        const blob = await response.blob();
-        const url = window.URL.createObjectURL(blob);
-        const link = document.createElement('a');
-        link.href = url;
-        link.download = 'harmonogram-log.txt';
-        link.click();
-        window.URL.revokeObjectURL(url);
+    renderScenarios();
+    updateLivePreview();
+    updateGoalSeekBoundsHint();
+    if (lastGoalSeek) {
+        renderGoalSeekSteps();
+        setGoalSeekStatus(describeGoalSeekResult(), lastGoalSeek.response.converged ? 'success' : 'error');
+    }
+    renderSensitivityGrid();
+    renderBatchResults();
+    if (ratePathPreview) {
+        renderRatePathPreview();
+        setRatePathStatus(describeRatePathPreview());
+    }
+}
 
-        actionStatus.textContent = 'Log obliczeń został pobrany.';
-        actionStatus.className = 'status success';
+languageSelect.value = getLanguage();
+languageSelect.addEventListener('change', () => setLanguage(languageSelect.value));
+
+document.addEventListener('localechange', rerenderLocalizedContent);
+
+// Initialize from a shared link, the stored state, or with default dates and one rate row aligned to them
+function initializeDefaultState() {
+    const today = getTodayDate();
+    creditStartInput.value = formatDateInput(today);
+    creditEndInput.value = formatDateInput(addMonths(today, 6));
+
+    populateRateTable();
+    alignRateBoundariesToCreditDates();
+}
+
+async function initializeApp() {
+    applyTranslations();
+    const storedState = loadStoredState();
+    if (storedState) {
+        restoreStoredState(storedState);
+    } else {
+        initializeDefaultState();
+    }
+
+    let sharedLink = null;
+    try {
+        sharedLink = await readSharedLink();
     } catch (error) {
-        actionStatus.textContent = `Nie udało się pobrać logu: ${error.message}`;
+        actionStatus.textContent = t('share.readFailed', { message: error.message });
         actionStatus.className = 'status error';
     }
-});
 
-// Initialize with default dates and one rate row aligned to them
-const today = new Date().toISOString().substring(0, 10);
-const inSixMonths = new Date();
-inSixMonths.setMonth(inSixMonths.getMonth() + 6);
-creditStartInput.value = today;
-creditEndInput.value = inSixMonths.toISOString().substring(0, 10);
+    if (!sharedLink) {
+        updateLivePreview();
+        return;
+    }
+
+    setParametersToForm(sharedLink.payload.parameters);
+    populateRateTable(sharedLink.payload.rates);
+    populatePrepaymentTable(sharedLink.payload.prepayments);
+    clearSharedLinkFromAddressBar();
+    schedulePersistState();
+    updateLivePreview();
+
+    if (sharedLink.autoCalculate && calculateButton.disabled) {
+        actionStatus.textContent = t('share.loadedNeedsFixes');
+        actionStatus.className = 'status error';
+    } else if (sharedLink.autoCalculate) {
+        calculateButton.click();
+    } else {
+        actionStatus.textContent = t('share.loaded');
+        actionStatus.className = 'status success';
+    }
+}
 
-populateRateTable();
-alignRateBoundariesToCreditDates();
+initializeApp();
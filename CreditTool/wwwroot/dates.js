@@ -0,0 +1,248 @@
+// Date-only arithmetic and the payment date schedule shared by app.js and fixings.js. The file does not touch the page,
+// so CreditTool.Tests runs buildPaymentDates against Fixtures/payment-dates.json in Node.
+// Dates are handled as date-only values: every Date produced below is midnight UTC,
+// so the calendar day never shifts with the browser's time zone or DST.
+const DAY_IN_MS = 24 * 60 * 60 * 1000;
+
+function createDate(year, monthIndex, day) {
+    return new Date(Date.UTC(year, monthIndex, day));
+}
+
+function daysInMonth(year, monthIndex) {
+    return new Date(Date.UTC(year, monthIndex + 1, 0)).getUTCDate();
+}
+
+function parseDateInput(value) {
+    if (!value) {
+        return null;
+    }
+
+    // Accept "yyyy-MM-dd" as well as server timestamps such as "yyyy-MM-ddT00:00:00"
+    const match = /^(\d{4})-(\d{2})-(\d{2})/.exec(String(value));
+    if (!match) {
+        return null;
+    }
+
+    const year = Number(match[1]);
+    const monthIndex = Number(match[2]) - 1;
+    const day = Number(match[3]);
+    if (monthIndex < 0 || monthIndex > 11 || day < 1 || day > daysInMonth(year, monthIndex)) {
+        return null;
+    }
+
+    return createDate(year, monthIndex, day);
+}
+
+function formatDateInput(date) {
+    return date ? date.toISOString().substring(0, 10) : '';
+}
+
+function addDays(date, days) {
+    const copy = new Date(date);
+    copy.setUTCDate(copy.getUTCDate() + days);
+    return copy;
+}
+
+// Mirrors DateTime.AddMonths: the day is clamped to the length of the target month
+function addMonths(date, months) {
+    const totalMonths = date.getUTCFullYear() * 12 + date.getUTCMonth() + months;
+    const year = Math.floor(totalMonths / 12);
+    const monthIndex = totalMonths - year * 12;
+    return createDate(year, monthIndex, Math.min(date.getUTCDate(), daysInMonth(year, monthIndex)));
+}
+
+// Whole days since the epoch for a date-only value
+function toDayNumber(date) {
+    return Math.round(date.getTime() / DAY_IN_MS);
+}
+
+function dayNumberToIso(dayNumber) {
+    return new Date(dayNumber * DAY_IN_MS).toISOString().substring(0, 10);
+}
+
+// Mirrors BusinessDayCalendar.GetEasterSunday (the anonymous Gregorian algorithm)
+function getEasterSunday(year) {
+    const a = year % 19;
+    const b = Math.floor(year / 100);
+    const c = year % 100;
+    const d = Math.floor(b / 4);
+    const e = b % 4;
+    const f = Math.floor((b + 8) / 25);
+    const g = Math.floor((b - f + 1) / 3);
+    const h = (19 * a + b - d - g + 15) % 30;
+    const i = Math.floor(c / 4);
+    const k = c % 4;
+    const l = (32 + 2 * e + 2 * i - h - k) % 7;
+    const m = Math.floor((a + 11 * h + 22 * l) / 451);
+    const month = Math.floor((h + l - 7 * m + 114) / 31);
+    const day = (h + l - 7 * m + 114) % 31 + 1;
+    return createDate(year, month - 1, day);
+}
+
+// Mirrors BusinessDayCalendar.GetPolishHolidays
+function getPolishHolidays(year) {
+    const easter = getEasterSunday(year);
+    const holidays = [
+        createDate(year, 0, 1),
+        easter,
+        addDays(easter, 1),
+        createDate(year, 4, 1),
+        createDate(year, 4, 3),
+        // Pentecost and Corpus Christi
+        addDays(easter, 49),
+        addDays(easter, 60),
+        createDate(year, 7, 15),
+        createDate(year, 10, 1),
+        createDate(year, 10, 11),
+        createDate(year, 11, 25),
+        createDate(year, 11, 26)
+    ];
+
+    // Epiphany has been a day off since 2011 and Christmas Eve since 2025
+    if (year >= 2011) {
+        holidays.push(createDate(year, 0, 6));
+    }
+
+    if (year >= 2025) {
+        holidays.push(createDate(year, 11, 24));
+    }
+
+    return holidays.sort((left, right) => left - right);
+}
+
+// Mirrors BusinessDayCalendar: weekends, Polish public holidays and the extra closing days are not business days
+function createBusinessDayCalendar(closingDays) {
+    const closed = new Set((closingDays ?? []).map(parseDateInput).filter(Boolean).map(toDayNumber));
+    const holidaysByYear = new Map();
+
+    const isBusinessDay = date => {
+        const weekday = date.getUTCDay();
+        if (weekday === 0 || weekday === 6 || closed.has(toDayNumber(date))) {
+            return false;
+        }
+
+        const year = date.getUTCFullYear();
+        if (!holidaysByYear.has(year)) {
+            holidaysByYear.set(year, new Set(getPolishHolidays(year).map(toDayNumber)));
+        }
+
+        return !holidaysByYear.get(year).has(toDayNumber(date));
+    };
+
+    const roll = (date, step) => {
+        let rolled = date;
+        while (!isBusinessDay(rolled)) {
+            rolled = addDays(rolled, step);
+        }
+        return rolled;
+    };
+
+    const adjust = (date, convention) => {
+        switch (convention) {
+            case 'Following':
+                return roll(date, 1);
+            case 'Preceding':
+                return roll(date, -1);
+            case 'ModifiedFollowing': {
+                // Following, unless that crosses into the next month
+                const following = roll(date, 1);
+                return following.getUTCMonth() === date.getUTCMonth() ? following : roll(date, -1);
+            }
+            default:
+                return date;
+        }
+    };
+
+    return { isBusinessDay, adjust };
+}
+
+// Mirrors StandardPaymentDateGenerator; both must produce the dates listed in
+// CreditTool.Tests/Fixtures/payment-dates.json. The options carry the parameter fields paymentFrequency,
+// paymentDay, paymentDayOfMonth, businessDayConvention, closingDays and customPaymentDates.
+function buildPaymentDates(start, end, options) {
+    if (options.paymentFrequency === 'Custom') {
+        return buildCustomPaymentDates(start, end, options.customPaymentDates);
+    }
+
+    const dates = [];
+    const convention = options.businessDayConvention ?? 'None';
+    const calendar = convention === 'None' ? null : createBusinessDayCalendar(options.closingDays);
+    let current = start;
+
+    // Mirrors StandardPaymentDateGenerator.NextMonthDate
+    const buildMonthDate = (from, monthsToAdd) => {
+        const tentative = addMonths(from, monthsToAdd);
+        const year = tentative.getUTCFullYear();
+        const month = tentative.getUTCMonth();
+
+        switch (options.paymentDay) {
+            case 'FirstOfMonth':
+                return createDate(year, month, 1);
+            case 'TenthOfMonth':
+                return createDate(year, month, 10);
+            case 'DayOfMonth':
+                return createDate(year, month, Math.min(options.paymentDayOfMonth, daysInMonth(year, month)));
+            case 'LastOfMonth':
+            default:
+                return createDate(year, month, daysInMonth(year, month));
+        }
+    };
+
+    while (current < end) {
+        let next;
+        switch (options.paymentFrequency) {
+            case 'Daily':
+                next = addDays(current, 1);
+                break;
+            case 'Weekly':
+                next = addDays(current, 7);
+                break;
+            case 'Quarterly':
+                next = buildMonthDate(current, 3);
+                break;
+            case 'SemiAnnual':
+                next = buildMonthDate(current, 6);
+                break;
+            case 'Annual':
+                next = buildMonthDate(current, 12);
+                break;
+            case 'Monthly':
+            default:
+                next = buildMonthDate(current, 1);
+                break;
+        }
+
+        if (next > end) {
+            next = new Date(end);
+        }
+
+        if (calendar && next < end) {
+            // The next date is still counted from the unadjusted one, so adjustments do not accumulate.
+            // A date moved onto or past its neighbours (e.g. a daily payment on a weekend) is dropped.
+            const adjusted = calendar.adjust(next, convention);
+            if (adjusted > (dates.length ? dates[dates.length - 1] : start) && adjusted < end) {
+                dates.push(adjusted);
+            }
+        } else {
+            dates.push(next);
+        }
+
+        current = next;
+    }
+
+    if (!dates.length || dates[dates.length - 1] < end) {
+        dates.push(new Date(end));
+    }
+
+    return dates;
+}
+
+// Mirrors StandardPaymentDateGenerator.CustomDates: the agreed dates in order, then the end date
+function buildCustomPaymentDates(start, end, customPaymentDates) {
+    const dates = Array.from(new Set((customPaymentDates ?? []).map(date => String(date).substring(0, 10))))
+        .map(parseDateInput)
+        .filter(date => date && date > start && date < end)
+        .sort((left, right) => left - right);
+    dates.push(new Date(end));
+    return dates;
+}
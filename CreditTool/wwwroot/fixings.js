@@ -0,0 +1,168 @@
+// Rate series paste and CSV import: parses point-in-time fixings (date, rate) and turns them into
+// contiguous rate periods clipped to the credit dates. The file does not touch the page,
+// so CreditTool.Tests checks it in Node; messages come from i18n.js and day numbers from dates.js.
+function detectFixingDelimiter(lines) {
+    if (lines.some(line => line.includes('\t'))) {
+        return '\t';
+    }
+    if (lines.some(line => line.includes(';'))) {
+        return ';';
+    }
+    if (lines.some(line => line.includes(','))) {
+        return ',';
+    }
+    return /\s+/;
+}
+
+function splitFixingLine(line, delimiter) {
+    const fields = line.split(delimiter).map(field => field.trim().replace(/^"(.*)"$/, '$1').trim());
+
+    // "2024-01-02,5,85" – a comma-separated line whose rate uses a decimal comma
+    if (delimiter === ',' && fields.length === 3 && /^\d+$/.test(fields[2])) {
+        return [fields[0], `${fields[1]},${fields[2]}`];
+    }
+
+    return fields;
+}
+
+// Day-first or month-first order for dates like 02/03/2024, decided once for the whole series
+function detectFixingDateOrder(values) {
+    let order = null;
+    values.forEach(value => {
+        const match = value.match(/^(\d{1,2})([./-])(\d{1,2})\2(\d{4})$/);
+        if (!match || order) {
+            return;
+        }
+        if (Number(match[1]) > 12) {
+            order = 'dmy';
+        } else if (Number(match[3]) > 12) {
+            order = 'mdy';
+        }
+    });
+
+    // Polish spreadsheets write dd.MM.yyyy; use day-first when the series is ambiguous
+    return order ?? 'dmy';
+}
+
+function parseFixingDate(value, order) {
+    let year;
+    let month;
+    let day;
+
+    const isoMatch = value.match(/^(\d{4})[./-](\d{1,2})[./-](\d{1,2})(?:[ T].*)?$/);
+    const localMatch = value.match(/^(\d{1,2})([./-])(\d{1,2})\2(\d{4})$/);
+
+    if (isoMatch) {
+        [year, month, day] = [Number(isoMatch[1]), Number(isoMatch[2]), Number(isoMatch[3])];
+    } else if (localMatch) {
+        year = Number(localMatch[4]);
+        [day, month] = order === 'mdy'
+            ? [Number(localMatch[3]), Number(localMatch[1])]
+            : [Number(localMatch[1]), Number(localMatch[3])];
+    } else {
+        return null;
+    }
+
+    if (month < 1 || month > 12 || day < 1 || day > daysInMonth(year, month - 1)) {
+        return null;
+    }
+
+    return createDate(year, month - 1, day);
+}
+
+function parseFixingRate(value) {
+    const normalized = value.replace(/[\s %]/g, '').replace(',', '.');
+    if (!/^[-+]?\d*\.?\d+$/.test(normalized)) {
+        return null;
+    }
+    return Number(normalized);
+}
+
+function parseRateFixings(text) {
+    const lines = text.split(/\r?\n/)
+        .map((line, index) => ({ text: line.trim(), number: index + 1 }))
+        .filter(line => line.text);
+
+    const delimiter = detectFixingDelimiter(lines.map(line => line.text));
+    const rows = lines.map(line => ({ ...line, fields: splitFixingLine(line.text, delimiter) }));
+    const dateOrder = detectFixingDateOrder(rows.map(row => row.fields[0]));
+
+    const fixings = [];
+    const errors = [];
+    rows.forEach((row, index) => {
+        const date = parseFixingDate(row.fields[0], dateOrder);
+        const rate = row.fields.length > 1 ? parseFixingRate(row.fields[1]) : null;
+
+        if (date && rate !== null) {
+            fixings.push({ date, rate, line: row.number });
+        } else if (index > 0 || date) {
+            // Only the first line may be a header
+            errors.push(t('fixings.unrecognizedLine', { line: row.number, text: row.text }));
+        }
+    });
+
+    return { fixings, errors, dateOrder };
+}
+
+function buildRatePeriodsFromFixings(fixings, startDate, endDate) {
+    const notes = [];
+    const byDay = new Map();
+    fixings.forEach(fixing => {
+        const day = toDayNumber(fixing.date);
+        if (byDay.has(day)) {
+            notes.push(t('fixings.duplicate', { date: formatDisplayDate(dayNumberToIso(day)), line: fixing.line }));
+        }
+        byDay.set(day, fixing.rate);
+    });
+
+    const startDay = toDayNumber(startDate);
+    const endDay = toDayNumber(endDate);
+    const sorted = Array.from(byDay, ([day, rate]) => ({ day, rate })).sort((a, b) => a.day - b.day);
+
+    // The fixing in force on the start date is the last one published on or before it
+    let firstIndex = sorted.findIndex(fixing => fixing.day > startDay) - 1;
+    if (firstIndex === -2) {
+        firstIndex = sorted.length - 1;
+    }
+    if (firstIndex < 0) {
+        firstIndex = 0;
+        notes.push(t('fixings.noStartFixing', { start: formatDisplayDate(dayNumberToIso(startDay)), first: formatDisplayDate(dayNumberToIso(sorted[0].day)) }));
+    }
+
+    const periods = [];
+    for (let i = firstIndex; i < sorted.length && sorted[i].day <= endDay; i++) {
+        // A series published after the start date still covers the credit from its first day
+        const from = i === firstIndex ? startDay : sorted[i].day;
+        const to = i + 1 < sorted.length ? Math.min(sorted[i + 1].day - 1, endDay) : endDay;
+        const previous = periods[periods.length - 1];
+
+        if (previous && previous.rate === sorted[i].rate) {
+            previous.to = to;
+        } else {
+            periods.push({ from, to, rate: sorted[i].rate });
+        }
+    }
+
+    // The rate table cannot hold one-day periods (start must be before end); fold them into a neighbour
+    for (let i = 0; i < periods.length; i++) {
+        if (periods.length > 1 && periods[i].from === periods[i].to) {
+            notes.push(t('fixings.singleDay', { rate: formatNumber(periods[i].rate), date: formatDisplayDate(dayNumberToIso(periods[i].from)) }));
+            if (i > 0) {
+                periods[i - 1].to = periods[i].to;
+            } else {
+                periods[i + 1].from = periods[i].from;
+            }
+            periods.splice(i, 1);
+            i--;
+        }
+    }
+
+    return {
+        rates: periods.map(period => ({
+            dateFrom: dayNumberToIso(period.from),
+            dateTo: dayNumberToIso(period.to),
+            rate: period.rate
+        })),
+        notes
+    };
+}
@@ -0,0 +1,1157 @@
+// Translation layer and locale-aware formatting
+// Loaded before app.js. Static texts in index.html carry data-i18n (text), data-i18n-title and
+// data-i18n-placeholder keys; messages built in app.js go through t(). Polish is the reference language.
+const LOCALE_STORAGE_KEY = 'creditCalculator.locale';
+const DEFAULT_LANGUAGE = 'pl';
+const SUPPORTED_LOCALES = {
+    pl: 'pl-PL',
+    en: 'en-GB'
+};
+
+const translations = {
+    pl: {
+        'page.title': 'Kalkulator harmonogramu kredytu',
+        'page.intro': 'Wczytaj parametry z pliku Excel, OpenDocument, Word lub JSON albo uzupełnij je ręcznie, aby obliczyć harmonogram płatności.',
+        'language.label': 'Język',
+        'common.remove': 'Usuń',
+
+        'import.title': 'Import parametrów',
+        'import.submit': 'Importuj z pliku',
+        'import.noFile': 'Wybierz plik Excel (.xlsx), OpenDocument (.ods), Word (.docx) lub JSON do importu.',
+        'import.success': 'Parametry zostały zaimportowane.',
+        'import.failed': 'Import nieudany: {message}',
+
+        'parameters.title': 'Parametry',
+        'parameters.netValue': 'Kwota netto',
+        'parameters.marginRate': 'Marża (% w skali roku)',
+        'parameters.paymentFrequency': 'Częstotliwość płatności',
+        'parameters.paymentDay': 'Dzień płatności',
+        'parameters.creditStart': 'Dzień rozpoczęcia kredytu',
+        'parameters.creditEnd': 'Dzień zakończenia kredytu',
+        'parameters.dayCount': 'Konwencja naliczania dni',
+        'parameters.interestApplication': 'Sposób naliczania odsetek',
+        'parameters.roundingMode': 'Zaokrąglanie',
+        'parameters.roundingDecimals': 'Liczba miejsc po przecinku',
+        'parameters.processingFeeRate': 'Prowizja przygotowawcza (%)',
+        'parameters.processingFeeAmount': 'Prowizja przygotowawcza (kwota)',
+        'parameters.paymentType': 'Typ spłaty',
+        'parameters.gracePeriod': 'Karencja (miesiące)',
+        'parameters.gracePeriodHint': 'Okres karencji w miesiącach, w którym spłacane są tylko odsetki (bez kapitału)',
+        'parameters.paymentDayOfMonth': 'Dzień miesiąca (1–31)',
+        'parameters.paymentDayOfMonthHint': 'W krótszych miesiącach płatność przypada na ostatni dzień miesiąca',
+        'parameters.businessDayConvention': 'Przesunięcie na dzień roboczy',
+        'parameters.businessDayConventionHint': 'Płatności przypadające w weekend, święto ustawowe w Polsce lub dodatkowy dzień wolny są przesuwane na dzień roboczy',
+        'frequency.monthly': 'Miesięczna',
+        'frequency.daily': 'Dzienna',
+        'frequency.quarterly': 'Kwartalna',
+        'frequency.weekly': 'Tygodniowa',
+        'frequency.semiAnnual': 'Półroczna',
+        'frequency.annual': 'Roczna',
+        'frequency.custom': 'Własne daty płatności',
+        'paymentDay.last': 'Ostatni dzień miesiąca',
+        'paymentDay.first': 'Pierwszy dzień miesiąca',
+        'paymentDay.tenth': '10. dzień miesiąca',
+        'paymentDay.dayOfMonth': 'Wybrany dzień miesiąca',
+        'businessDayConvention.none': 'Bez przesunięcia',
+        'businessDayConvention.following': 'Następny dzień roboczy',
+        'businessDayConvention.modifiedFollowing': 'Następny dzień roboczy w tym samym miesiącu',
+        'businessDayConvention.preceding': 'Poprzedni dzień roboczy',
+        'closingDays.title': 'Dodatkowe dni wolne',
+        'closingDays.help': 'Weekendy i święta ustawowe w Polsce są uwzględniane automatycznie. Dodaj tu pozostałe dni, w których płatność nie może zostać zrealizowana.',
+        'closingDays.date': 'Dzień wolny',
+        'closingDays.add': 'Dodaj dzień wolny',
+        'closingDays.remove': 'Usuń dzień wolny {date}',
+        'customDates.title': 'Własne daty płatności',
+        'customDates.help': 'Płatności przypadają dokładnie w podanych dniach, bez przesuwania na dni robocze. Ostatnią płatnością jest zawsze dzień zakończenia kredytu. Daty można też wczytać z pliku CSV lub TXT z datą w pierwszej kolumnie.',
+        'customDates.date': 'Data płatności',
+        'customDates.add': 'Dodaj datę',
+        'customDates.clear': 'Wyczyść listę',
+        'customDates.file': 'Importuj daty płatności (CSV)',
+        'customDates.remove': 'Usuń datę płatności {date}',
+        'customDates.seeded': 'Wypełniono listę datami wynikającymi z częstotliwości „{frequency}” (liczba dat: {count}). Można je teraz zmienić.',
+        'customDates.imported': 'Wczytano daty płatności z pliku {file} (liczba dat: {count}).',
+        'customDates.unrecognizedLine': 'Linia {line}: nie rozpoznano daty („{text}”).',
+        'customDates.noDates': 'Plik {file} nie zawiera rozpoznanych dat.',
+        'interestApplication.dailyAccrual': 'Zmienna stopa w trakcie okresu',
+        'interestApplication.nextPeriod': 'Nowa stopa od kolejnego okresu (mies./kw.)',
+        'interestApplication.compoundDaily': 'Kapitalizacja dzienna',
+        'interestApplication.compoundMonthly': 'Kapitalizacja miesięczna',
+        'interestApplication.compoundQuarterly': 'Kapitalizacja kwartalna',
+        'roundingMode.bankers': 'Bankowe (do parzystej)',
+        'roundingMode.awayFromZero': 'Od zera',
+        'paymentType.decreasing': 'Raty malejące',
+        'paymentType.equal': 'Raty równe',
+        'paymentType.bullet': 'Spłata balonowa',
+
+        'rates.title': 'Tabela stóp procentowych',
+        'rates.autoContinuity': 'Automatyczna ciągłość dat',
+        'rates.from': 'Od',
+        'rates.to': 'Do',
+        'rates.rate': 'Stopa (%)',
+        'rates.add': 'Dodaj okres stopy',
+        'rates.undo': 'Cofnij',
+        'rates.undoHint': 'Cofnij zmianę tabeli stóp (Ctrl+Z)',
+        'rates.redo': 'Ponów',
+        'rates.redoHint': 'Ponów zmianę tabeli stóp (Ctrl+Y)',
+        'rates.lockStart': 'Zablokuj datę początkową',
+        'rates.lockEnd': 'Zablokuj datę końcową',
+        'rates.lockColumn': 'Blokada',
+        'rates.lockStartLabel': 'Blokada daty początkowej',
+        'rates.lockEndLabel': 'Blokada daty końcowej',
+        'rates.insert': 'Wstaw',
+        'rates.insertHint': 'Wstaw nowy okres po tym wierszu',
+        'rates.split': 'Podziel',
+        'rates.splitHint': 'Podziel okres w wybranym dniu',
+        'rates.merge': 'Scal',
+        'rates.mergeHint': 'Scal z następnym okresem (ostatni wiersz – z poprzednim)',
+        'rates.splitMissingDates': 'Uzupełnij daty okresu przed jego podziałem.',
+        'rates.splitTooShort': 'Okres jest zbyt krótki, aby go podzielić.',
+        'rates.splitPrompt': 'Podaj datę początku nowego okresu ({from} – {to}):',
+        'rates.splitOutOfRange': 'Data podziału musi mieścić się w zakresie {from} – {to}.',
+        'rates.mergeNoNeighbour': 'Brak sąsiedniego okresu do scalenia.',
+        'rates.seriesHelp': 'Serię fixingów (data i stopa, rozdzielone tabulatorem, średnikiem lub przecinkiem) można wkleić do tabeli albo upuścić tutaj jako plik CSV.',
+        'rates.seriesFile': 'Importuj serię stóp (CSV)',
+
+        'fixings.unrecognizedLine': 'Linia {line}: nie rozpoznano daty i stopy („{text}”).',
+        'fixings.duplicate': 'Zdublowany fixing z dnia {date} – użyto wartości z linii {line}.',
+        'fixings.noStartFixing': 'Brak fixingu na dzień uruchomienia – od {start} przyjęto pierwszy dostępny ({first}).',
+        'fixings.singleDay': 'Stopa {rate} obowiązywałaby tylko w dniu {date} – dzień dołączono do sąsiedniego okresu.',
+        'fixings.missingCreditDates': 'Podaj daty kredytu przed wczytaniem serii stóp.',
+        'fixings.noPairs': '{source}: nie znaleziono par data–stopa.',
+        'fixings.outsideCredit': '{source}: żaden fixing nie przypada w okresie kredytu.',
+        'fixings.confirmReplace': 'Zastąpić {current} okresów w tabeli stóp {count} okresami z serii?',
+        'fixings.summary': '{source}: wczytane fixingi: {fixings}, utworzone okresy: {periods}.',
+        'fixings.moreNotes': '… oraz {count} innych uwag.',
+        'fixings.fileFailed': 'Nie udało się odczytać pliku {file}: {message}',
+        'fixings.pastedSource': 'Wklejona seria',
+
+        'ratePath.title': 'Generator ścieżki stóp',
+        'ratePath.help': 'Wypełnia tabelę stóp według opisanej ścieżki. Zablokowane granice okresów pozostają na swoich miejscach; przed zastąpieniem tabeli wynik jest pokazywany jako podgląd.',
+        'ratePath.shape': 'Ścieżka',
+        'ratePath.shapes.flat': 'Stała stopa',
+        'ratePath.shapes.drift': 'Liniowa zmiana do stopy docelowej',
+        'ratePath.shapes.step': 'Skokowa zmiana co N miesięcy',
+        'ratePath.shapes.resets': 'Aktualizacja co N okresów płatności',
+        'ratePath.startRate': 'Stopa początkowa (%)',
+        'ratePath.targetRate': 'Stopa docelowa (%)',
+        'ratePath.targetPlaceholder': 'bez zmiany',
+        'ratePath.stepChange': 'Zmiana przy każdym kroku (pp)',
+        'ratePath.months': 'Co ile miesięcy',
+        'ratePath.periods': 'Co ile okresów płatności',
+        'ratePath.preview': 'Pokaż podgląd',
+        'ratePath.apply': 'Zastąp tabelę stóp',
+        'ratePath.lockedBoundary': 'Zablokowana granica',
+        'ratePath.invalidRate': 'Pole „{field}” musi zawierać liczbę.',
+        'ratePath.invalidCount': 'Pole „{field}” musi zawierać liczbę całkowitą większą od zera.',
+        'ratePath.missingCreditDates': 'Podaj daty kredytu przed wygenerowaniem ścieżki stóp.',
+        'ratePath.previewSummary': 'Podgląd – okresy ze ścieżki: {count}, obecne wiersze tabeli stóp: {current}.',
+        'ratePath.lockedKept': 'Zachowane zablokowane granice: {count}.',
+        'ratePath.folded': 'Okresy jednodniowe dołączone do sąsiednich: {count}.',
+        'ratePath.previewChanged': 'Tabela stóp lub daty kredytu zmieniły się od podglądu – sprawdź zaktualizowany podgląd.',
+        'ratePath.applied': 'Tabelę stóp zastąpiono okresami ze ścieżki: {count}.',
+
+        'prepayments.title': 'Nadpłaty',
+        'prepayments.help': 'Nadpłata jest rozliczana razem z pierwszą ratą przypadającą w dniu nadpłaty lub po nim.',
+        'prepayments.date': 'Data',
+        'prepayments.amount': 'Kwota',
+        'prepayments.mode': 'Efekt',
+        'prepayments.add': 'Dodaj nadpłatę',
+        'prepayments.reduceTerm': 'Skrócenie okresu',
+        'prepayments.reduceInstallment': 'Obniżenie raty',
+        'fees.title': 'Opłaty cykliczne',
+        'fees.help': 'Opłaty i składki ubezpieczeniowe są pobierane razem z pierwszą ratą przypadającą w dniu naliczenia lub po nim. Nie zmieniają rat, ale są wliczane do RRSO.',
+        'fees.name': 'Nazwa',
+        'fees.namePlaceholder': 'np. ubezpieczenie',
+        'fees.type': 'Rodzaj',
+        'fees.fixedAmount': 'Kwota stała',
+        'fees.balancePercentage': '% pozostałego kapitału',
+        'fees.value': 'Wartość',
+        'fees.frequency': 'Częstotliwość',
+        'fees.everyInstallment': 'Z każdą ratą',
+        'fees.monthly': 'Co miesiąc',
+        'fees.quarterly': 'Co kwartał',
+        'fees.annually': 'Co rok',
+        'fees.from': 'Od',
+        'fees.to': 'Do',
+        'fees.add': 'Dodaj opłatę',
+        'fees.defaultName': 'Opłata nr {number}',
+
+        'validation.summary': 'Popraw zaznaczone pola:',
+        'validation.multiple': 'Popraw zaznaczone pola ({count}). Pierwszy problem: {message}',
+        'validation.netValue': 'Kwota netto musi być większa od zera.',
+        'validation.creditStartMissing': 'Podaj dzień rozpoczęcia kredytu.',
+        'validation.creditEndMissing': 'Podaj dzień zakończenia kredytu.',
+        'validation.creditEndOrder': 'Dzień zakończenia musi przypadać po dniu rozpoczęcia kredytu.',
+        'validation.roundingDecimals': 'Liczba miejsc po przecinku musi być liczbą całkowitą od 4 do 10.',
+        'validation.processingFeeRate': 'Prowizja procentowa musi mieścić się w przedziale od 0 do 100%.',
+        'validation.processingFeeNegative': 'Kwota prowizji nie może być ujemna.',
+        'validation.processingFeeTooHigh': 'Kwota prowizji musi być mniejsza niż kwota netto.',
+        'validation.processingFeeBoth': 'Podaj prowizję przygotowawczą jako procent albo jako kwotę, nie obie jednocześnie.',
+        'validation.gracePeriodInteger': 'Karencja musi być nieujemną liczbą całkowitą.',
+        'validation.paymentDayOfMonth': 'Dzień płatności musi być liczbą całkowitą od 1 do 31.',
+        'validation.customPaymentDateRange': 'Daty płatności muszą przypadać po dniu rozpoczęcia i nie później niż w dniu zakończenia kredytu: {dates}.',
+        'validation.gracePeriodTooLong': 'Karencja ({grace}) musi obejmować mniej rat niż liczba rat kredytu ({count}).',
+        'validation.paymentType': 'Wybierz obsługiwany typ spłaty.',
+        'validation.noRates': 'Dodaj co najmniej jeden okres stopy procentowej.',
+        'validation.rateDatesMissing': 'Wiersz {row}: podaj daty początku i końca okresu.',
+        'validation.rateDatesOrder': 'Wiersz {row}: data "Od" musi być wcześniejsza niż data "Do".',
+        'validation.rateFirstStart': 'Pierwszy okres stopy musi zaczynać się w dniu uruchomienia kredytu.',
+        'validation.rateLastEnd': 'Ostatni okres stopy musi kończyć się w dniu zakończenia kredytu.',
+        'validation.rateOverlap': 'Okres {period} nakłada się na poprzedni.',
+        'validation.rateGap': 'Pomiędzy okresem {previous} i {period} występuje przerwa.',
+        'validation.serverRateOrder': 'Data początkowa okresu stopy procentowej musi być wcześniejsza niż końcowa.',
+        'validation.serverRateCoverage': 'Okresy stóp procentowych muszą obejmować cały czas kredytu.',
+        'validation.serverRateOverlap': 'Okresy stóp procentowych nachodzą na siebie.',
+        'validation.serverRateGap': 'Pomiędzy okresami stóp procentowych występuje przerwa.',
+        'validation.prepaymentDateMissing': 'Nadpłata {row}: podaj datę.',
+        'validation.prepaymentDateRange': 'Nadpłata {row}: data musi przypadać po dniu uruchomienia i nie później niż w dniu zakończenia kredytu.',
+        'validation.prepaymentAmount': 'Nadpłata {row}: kwota musi być większa od zera.',
+        'validation.feeValue': 'Opłata {row}: wartość musi być większa od zera.',
+        'validation.feeDateRange': 'Opłata {row}: okres musi mieścić się w okresie kredytu, a data początkowa nie może być późniejsza niż końcowa.',
+        'serverError.fileEmpty': 'Plik jest pusty.',
+        'serverError.importFormat': 'Nieobsługiwany format importu. Użyj .xlsx, .ods, .docx lub .json.',
+        'serverError.aggregationPeriod': 'Nieobsługiwany okres zestawienia.',
+        'serverError.antiforgery': 'Nieprawidłowy token zabezpieczający. Odśwież stronę i spróbuj ponownie.',
+        'serverError.batchEmpty': 'Brak kredytów do obliczenia.',
+        'serverError.batchTooLarge': 'Jedno obliczenie wsadowe może obejmować najwyżej {max} kredytów.',
+        'serverError.batchExportSize': 'Eksport wsadowy musi obejmować od 1 do {max} kredytów.',
+        'serverError.batchFormat': 'Nieobsługiwany format pliku wsadowego. Użyj .zip, .xlsx (arkusz na kredyt) lub .json.',
+        'serverError.batchJson': 'Nieprawidłowy plik JSON z kredytami.',
+        'serverError.batchArchive': 'Nieprawidłowe archiwum ZIP.',
+        'serverError.batchLoanIncomplete': 'Brak parametrów kredytu lub stóp procentowych.',
+        'serverError.batchEntryFormat': 'Nieobsługiwany format pliku {file}. Użyj .xlsx, .ods, .docx lub .json.',
+        'serverError.batchEntryJson': 'Plik {file} nie zawiera prawidłowego kredytu w formacie JSON.',
+        'serverError.batchEntryTooLarge': 'Plik {file} jest za duży; pojedynczy plik może mieć najwyżej {limit} MB.',
+
+        'actions.calculate': 'Wylicz harmonogram',
+        'actions.exportFormat': 'Format eksportu',
+        'actions.export': 'Eksportuj',
+        'actions.exportLog': 'Pobierz log obliczeń',
+        'actions.clearState': 'Wyczyść zapisany stan',
+        'actions.clearStateHint': 'Usuwa parametry, tabelę stóp, scenariusze i ostatni wynik zapisane w przeglądarce',
+        'status.calculating': 'Trwa obliczanie...',
+        'status.calculated': 'Harmonogram został obliczony.',
+        'status.stateNotSaved': 'Nie udało się zapisać stanu w przeglądarce – po odświeżeniu strony zmiany nie zostaną przywrócone.',
+        'status.calculationFailed': 'Błąd obliczeń: {message}',
+        'status.exporting': 'Trwa eksport...',
+        'status.exported': 'Eksport zakończony powodzeniem.',
+        'status.exportFailed': 'Eksport nieudany: {message}',
+        'status.exportingLog': 'Trwa przygotowywanie logu obliczeń...',
+        'status.logExported': 'Log obliczeń został pobrany.',
+        'status.logExportFailed': 'Nie udało się pobrać logu: {message}',
+
+        'share.title': 'Udostępnij obliczenie',
+        'share.help': 'Link zawiera wszystkie parametry i okresy stóp procentowych, więc odtwarza dokładnie to samo obliczenie.',
+        'share.copy': 'Kopiuj link',
+        'share.autoCalculate': 'Oblicz automatycznie po otwarciu',
+        'share.copied': 'Link skopiowany do schowka ({length} znaków).',
+        'share.copyManually': 'Skopiuj link z pola poniżej ({length} znaków).',
+        'share.failed': 'Nie można utworzyć linku: {message}',
+        'share.noParameters': 'Link nie zawiera parametrów kalkulacji.',
+        'share.unsupportedVersion': 'Nieobsługiwana wersja linku: {version}.',
+        'share.noDecompression': 'Przeglądarka nie obsługuje dekompresji linku.',
+        'share.unsupportedCodec': 'Nieobsługiwany format linku: {codec}.',
+        'share.readFailed': 'Nie udało się odczytać linku: {message}',
+        'share.loaded': 'Wczytano parametry z linku.',
+        'share.loadedNeedsFixes': 'Wczytano parametry z linku, ale wymagają poprawek przed obliczeniem.',
+
+        'report.title': 'Raport do druku',
+        'report.help': 'Raport A4 zawiera parametry, tabelę stóp, podsumowanie z RRSO, harmonogram i ostrzeżenia. Logo i stopka są opcjonalne.',
+        'report.logo': 'Logo (PNG, JPG lub SVG)',
+        'report.removeLogo': 'Usuń logo',
+        'report.footer': 'Tekst stopki',
+        'report.footerPlaceholder': 'np. dane kontaktowe doradcy lub klauzula informacyjna',
+        'report.print': 'Drukuj raport',
+        'report.heading': 'Harmonogram spłaty kredytu',
+        'report.generatedOn': 'Wygenerowano: {date}',
+        'report.parameters': 'Parametry kredytu',
+        'report.summary': 'Podsumowanie',
+        'report.rates': 'Stopy procentowe',
+        'report.preparing': 'Trwa przygotowywanie raportu...',
+        'report.ready': 'Raport został przekazany do druku.',
+        'report.failed': 'Nie można przygotować raportu: {message}',
+        'report.noResult': 'Brak obliczonego harmonogramu. Użyj przycisku „Drukuj raport”, aby go wyliczyć i wydrukować.',
+        'report.logoTooLarge': 'Plik logo jest zbyt duży (maks. {size} KB).',
+
+        'goalSeek.title': 'Wyszukiwanie celu',
+        'goalSeek.help': 'Znajdź kwotę netto, datę zakończenia lub marżę, przy której rata, łączne odsetki lub RRSO osiągają wartość docelową. Pozostałe parametry pozostają bez zmian, a znaleziona wartość trafia do formularza.',
+        'goalSeek.variable': 'Szukana wartość',
+        'goalSeek.variables.NetValue': 'Kwota netto',
+        'goalSeek.variables.CreditEndDate': 'Data zakończenia (okres kredytu)',
+        'goalSeek.variables.MarginRate': 'Marża',
+        'goalSeek.target': 'Cel',
+        'goalSeek.targets.Installment': 'Rata (najwyższa lub stała)',
+        'goalSeek.targets.TotalInterest': 'Łączne odsetki',
+        'goalSeek.targets.AnnualPercentageRate': 'RRSO (%)',
+        'goalSeek.targetValue': 'Wartość docelowa (nie więcej niż)',
+        'goalSeek.minimum': 'Dolna granica (opcjonalnie)',
+        'goalSeek.maximum': 'Górna granica (opcjonalnie)',
+        'goalSeek.boundsHint.NetValue': 'kwota',
+        'goalSeek.boundsHint.CreditEndDate': 'okres w miesiącach',
+        'goalSeek.boundsHint.MarginRate': 'marża w %',
+        'goalSeek.run': 'Szukaj',
+        'goalSeek.withinTarget': 'W granicy celu',
+        'goalSeek.yes': 'tak',
+        'goalSeek.no': 'nie',
+        'goalSeek.invalidTarget': 'Podaj wartość docelową większą od zera.',
+        'goalSeek.invalidBound': 'Granica wyszukiwania musi być liczbą.',
+        'goalSeek.invalidBounds': 'Dolna granica wyszukiwania musi być mniejsza niż górna.',
+        'goalSeek.unsupportedVariable': 'Nieobsługiwana wartość wyszukiwania.',
+        'goalSeek.unsupportedTarget': 'Nieobsługiwany cel wyszukiwania.',
+        'goalSeek.searching': 'Trwa wyszukiwanie...',
+        'goalSeek.found': 'Znaleziono: {variable} = {value} ({target}: {result}, kroki: {steps}). Wartość wpisano do formularza.',
+        'goalSeek.outOfRange': 'Cel jest poza zakresem wyszukiwania. Najbliższy wynik: {variable} = {value} ({target}: {result}). Wartość wpisano do formularza.',
+        'goalSeek.failed': 'Wyszukiwanie nieudane: {message}',
+
+        'sensitivity.title': 'Analiza wrażliwości',
+        'sensitivity.help': 'Przelicza bieżące parametry z równoległym przesunięciem wszystkich stóp z tabeli o ±100, ±200 i ±300 pb. Opcjonalnie każdą zmianę stóp można połączyć ze zmianami marży.',
+        'sensitivity.margins': 'Zmiany marży (pp, oddzielone średnikami)',
+        'sensitivity.marginsPlaceholder': 'np. -0,5; 0,5; 1',
+        'sensitivity.metric': 'Miara na mapie',
+        'sensitivity.run': 'Oblicz wrażliwość',
+        'sensitivity.invalidMargin': 'Nieprawidłowa zmiana marży: „{value}”.',
+        'sensitivity.progress': 'Obliczono {done} z {total} wariantów...',
+        'sensitivity.done': 'Obliczono {total} wariantów.',
+        'sensitivity.doneWithErrors': 'Obliczono {done} z {total} wariantów; pozostałe zakończyły się błędem.',
+        'sensitivity.failed': 'Analiza wrażliwości nieudana: {message}',
+        'sensitivity.corner': 'Przesunięcie stóp / zmiana marży',
+        'sensitivity.shift': '{shift} pb',
+        'sensitivity.marginChange': 'marża {change} pp',
+        'sensitivity.cellTitle': 'Stopy {shift} pb, marża {margin}',
+
+        'batch.title': 'Obliczenia wsadowe',
+        'batch.help': 'Przelicz wiele kredytów naraz: archiwum .zip z plikami pojedynczych kredytów (.xlsx, .ods, .docx, .json), skoroszyt .xlsx z jednym kredytem na arkusz (parametry w kolumnach A–B, stopy w kolumnach D–F) lub plik .json z listą kredytów.',
+        'batch.files': 'Upuść pliki tutaj lub wybierz z dysku',
+        'batch.export': 'Eksportuj zbiorczo',
+        'batch.clear': 'Wyczyść wyniki',
+        'batch.loan': 'Kredyt',
+        'batch.load': 'Wczytaj',
+        'batch.loadHint': 'Wczytaj parametry i harmonogram tego kredytu do formularza',
+        'batch.processing': 'Przetwarzanie pliku {file} ({index} z {total})...',
+        'batch.fileFailed': '{file}: {message}',
+        'batch.done': 'Obliczono kredyty: {calculated} z {total}.',
+        'batch.doneWithErrors': 'Obliczono kredyty: {calculated} z {total}, błędy: {failed}.',
+        'batch.loaded': 'Wczytano kredyt „{name}” do formularza.',
+        'batch.exporting': 'Trwa eksport zbiorczy...',
+        'batch.exported': 'Eksport zbiorczy zakończony powodzeniem.',
+        'batch.exportFailed': 'Eksport zbiorczy nieudany: {message}',
+
+        'preview.title': 'Podgląd na żywo',
+        'preview.show': 'Pokaż harmonogram podglądu',
+        'preview.unsupportedInterest': 'Podgląd obsługuje tylko naliczanie odsetek "Zmienna stopa w trakcie okresu".',
+        'preview.localNotice': 'Podgląd obliczony lokalnie – wynik serwera pozostaje wiążący.',
+        'preview.paymentCount': 'Liczba rat',
+        'preview.firstPayment': 'Pierwsza rata',
+        'preview.lastPayment': 'Ostatnia rata',
+        'preview.totalInterest': 'Łączne odsetki',
+        'preview.matches': 'Podgląd jest zgodny z wynikiem serwera.',
+        'preview.differs': 'Podgląd różni się od wyniku serwera:',
+        'preview.moreDifferences': '… oraz {count} innych różnic',
+        'preview.countDiffers': 'Liczba rat: podgląd {preview}, serwer {server}.',
+        'preview.dateDiffers': 'Rata {number}: data {preview} ≠ {server}.',
+        'preview.valueDiffers': 'Rata {number}: {field} {preview} ≠ {server}.',
+        'preview.totalInterestDiffers': 'Łączne odsetki: podgląd {preview}, serwer {server}.',
+        'preview.fields.interest': 'odsetki',
+        'preview.fields.principal': 'kapitał',
+        'preview.fields.payment': 'rata',
+        'preview.fields.balance': 'saldo',
+        'preview.fields.prepayment': 'nadpłata',
+
+        'schedule.title': 'Harmonogram',
+        'schedule.paymentDate': 'Data płatności',
+        'schedule.days': 'Dni',
+        'schedule.interestRate': 'Stopa procentowa',
+        'schedule.interest': 'Odsetki',
+        'schedule.principal': 'Kapitał',
+        'schedule.total': 'Suma',
+        'schedule.remaining': 'Pozostały kapitał',
+        'schedule.prepayment': 'Nadpłata',
+        'schedule.totalInterest': 'Łączne odsetki:',
+        'schedule.apr': 'RRSO (APR):',
+        'schedule.graceMarker': 'karencja',
+        'schedule.nominal': 'nom',
+        'schedule.prepaymentHint': 'Nadpłata {amount} rozliczona z tą ratą',
+        'schedule.feeTotal': 'Opłaty razem',
+        'aprPanel.title': 'Jak obliczono RRSO',
+        'aprPanel.help': 'RRSO to stopa, przy której suma zdyskontowanych przepływów jest równa zeru. Wypłata pomniejszona o prowizje jest dodatnia, raty wraz z nadpłatami i opłatami cyklicznymi są ujemne, a czas liczy się jako liczba dni od wypłaty podzielona przez 365.',
+        'aprPanel.export': 'Eksportuj (CSV)',
+        'aprPanel.cashFlows': 'Przepływy',
+        'aprPanel.date': 'Data',
+        'aprPanel.amount': 'Kwota',
+        'aprPanel.yearFraction': 'Ułamek roku',
+        'aprPanel.presentValue': 'Wartość bieżąca',
+        'aprPanel.steps': 'Kroki rozwiązania',
+        'aprPanel.method': 'Metoda',
+        'aprPanel.rate': 'Stopa',
+        'aprPanel.npv': 'Wartość bieżąca netto',
+        'aprPanel.total': 'Suma',
+        'aprPanel.methodNewton': 'metoda Newtona',
+        'aprPanel.methodBisection': 'bisekcja',
+        'aprPanel.summary': 'RRSO {apr}: {method}, liczba kroków: {count}.',
+        'aprPanel.notConverged': 'Nie osiągnięto wymaganej dokładności; RRSO to środek ostatniego przedziału bisekcji.',
+        'aprPanel.noData': 'Brak szczegółów obliczenia RRSO. Przelicz harmonogram, aby je zobaczyć.',
+        'aprPanel.crossCheckApr': 'RRSO z kontroli w przeglądarce',
+        'aprPanel.crossCheckMatch': 'Kontrola w przeglądarce: {apr}, zgodnie z wynikiem serwera.',
+        'aprPanel.crossCheckMismatch': 'Kontrola w przeglądarce: {apr}, różnica względem serwera: {difference} p.p.',
+        'schedule.showLog': 'Log',
+        'schedule.showLogHint': 'Pokaż wpisy logu obliczeń dla tej raty',
+        'schedule.warnings': 'Ostrzeżenia',
+        'warnings.prepaymentCapped': 'Rata {row}: nadpłata ({requested}) przekracza saldo – ograniczono do {applied}.',
+        'warnings.prepaymentsSkipped': 'Nadpłaty po spłacie kredytu zostały pominięte ({count}).',
+        'warnings.interestExceedsPayment': 'Rata {row}: odsetki ({interest}) przekraczają ratę docelową ({payment}).',
+        'schedule.filterGrace': 'Tylko karencja',
+        'schedule.filterWarnings': 'Tylko z ostrzeżeniem',
+        'schedule.filterRateChange': 'Tylko zmiana stopy',
+        'schedule.filterFrom': 'Od daty',
+        'schedule.filterTo': 'Do daty',
+        'schedule.filterClear': 'Wyczyść filtry',
+        'schedule.extraColumns': 'Dodatkowe kolumny:',
+        'schedule.effectivePeriodRate': 'Stopa okresowa',
+        'schedule.nominalRate': 'Stopa nominalna',
+        'schedule.cumulativeInterest': 'Skumulowane odsetki',
+        'schedule.rowCount': 'Wyświetlono raty: {shown} z {total}.',
+        'schedule.footerTotal': 'Razem ({count})',
+        'schedule.view': 'Widok',
+        'schedule.viewPayments': 'Wszystkie raty',
+        'schedule.viewMonth': 'Miesięcznie',
+        'schedule.viewQuarter': 'Kwartalnie',
+        'schedule.viewYear': 'Rocznie',
+        'schedule.period': 'Okres',
+        'schedule.openingBalance': 'Kapitał na początku',
+        'schedule.closingBalance': 'Kapitał na końcu',
+        'schedule.weightedRate': 'Średnia ważona stopa',
+        'schedule.quarterLabel': '{quarter} kw. {year}',
+        'schedule.aggregateToggle': 'Pokaż lub ukryj raty okresu {period}',
+        'schedule.aggregatesTitle': 'Zestawienie okresowe',
+        'schedule.warningRow': 'Rata z ostrzeżeniem',
+        'shortcuts.help': 'Skróty klawiaturowe: Ctrl+Enter – wylicz harmonogram, Alt+Shift+E – eksportuj, Alt+Shift+N – dodaj okres stopy. W tabeli stóp Enter i Shift+Enter przechodzą do wiersza niżej i wyżej, a Ctrl+strzałki między komórkami.',
+        'a11y.result': 'Obliczono {count} rat. Łączne odsetki {interest}, RRSO {apr}.',
+        'a11y.resultWarnings': 'Ostrzeżenia: {count}.',
+        'schedule.finalPaymentAdjusted': '<strong>Rata docelowa:</strong> {target} | <strong>Ostatnia rata:</strong> {final} (dostosowana)',
+
+        'charts.title': 'Wykresy',
+        'charts.grace': 'Karencja',
+        'charts.warning': 'Rata z ostrzeżeniem',
+        'charts.balance': 'Pozostały kapitał',
+        'charts.payment': 'Struktura raty',
+        'charts.rate': 'Stopa procentowa',
+        'charts.baseRate': 'Stopa bazowa (tabela stóp)',
+        'charts.effectiveRate': 'Stopa efektywna raty',
+        'charts.pointTitle': 'Rata {number} – {date}',
+        'charts.balanceBefore': 'Saldo przed ratą',
+        'charts.remainingPrincipal': 'Pozostały kapitał',
+        'charts.interest': 'Odsetki',
+        'charts.paymentValue': 'Rata',
+        'charts.baseRateValue': 'Stopa bazowa',
+        'charts.principal': 'Kapitał',
+        'charts.prepayment': 'Nadpłata',
+        'charts.graceFlag': 'karencja',
+        'charts.warningFlag': 'ostrzeżenie',
+
+        'log.title': 'Log obliczeń',
+        'log.help': 'Wpisy logu są pogrupowane według rat. Przycisk „Log” w harmonogramie otwiera wpisy danej raty.',
+        'log.search': 'Szukaj w opisach i wzorach',
+        'log.searchPlaceholder': 'np. odsetki, 5.0000%, saldo',
+        'log.expandAll': 'Rozwiń wszystkie',
+        'log.collapseAll': 'Zwiń wszystkie',
+        'log.general': 'Informacje ogólne',
+        'log.payment': 'Rata {number}',
+        'log.partialCount': '{matching} z {total}',
+        'log.showInSchedule': 'Pokaż w harmonogramie',
+        'log.summary': 'Wpisy: {entries}, grupy: {groups}.',
+        'log.filteredSummary': 'Pasujące wpisy: {matching} z {entries}, grupy: {groups}.',
+        'log.types.Header': 'Nagłówki rat',
+        'log.types.RateChange': 'Zmiany stóp',
+        'log.types.PeriodCalculation': 'Dni w okresie',
+        'log.types.InterestCalculation': 'Odsetki',
+        'log.types.PrincipalCalculation': 'Kapitał',
+        'log.types.BalanceUpdate': 'Saldo i nadpłaty',
+        'log.types.Summary': 'Podsumowania',
+        'log.types.Detail': 'Szczegóły',
+
+        'scenarios.title': 'Scenariusze',
+        'scenarios.help': 'Zapisz bieżące parametry i tabelę stóp jako nazwany scenariusz, aby porównać kilka wariantów oferty obok siebie.',
+        'scenarios.name': 'Nazwa scenariusza',
+        'scenarios.namePlaceholder': 'np. Raty równe, karencja 6 mies.',
+        'scenarios.save': 'Zapisz jako scenariusz',
+        'scenarios.recalculateAll': 'Przelicz wszystkie',
+        'scenarios.compare': 'Porównaj',
+        'scenarios.nameColumn': 'Nazwa',
+        'scenarios.variant': 'Wariant',
+        'scenarios.variantDetails': '{start} – {end}, karencja: {grace}, marża: {margin}',
+        'scenarios.comparisonTitle': 'Porównanie rat',
+        'scenarios.baseline': 'Scenariusz bazowy',
+        'scenarios.baselineColumn': '{name} (bazowy)',
+        'scenarios.difference': 'Różnica',
+        'scenarios.aprPercent': 'RRSO (APR) %',
+        'scenarios.defaultName': 'Scenariusz {number}',
+        'scenarios.copyName': '{name} (kopia)',
+        'scenarios.load': 'Wczytaj',
+        'scenarios.overwrite': 'Nadpisz z formularza',
+        'scenarios.clone': 'Klonuj',
+        'scenarios.recalculate': 'Przelicz',
+        'scenarios.calculating': 'Trwa obliczanie scenariusza...',
+        'scenarios.saved': 'Zapisano scenariusz "{name}".',
+        'scenarios.savedWithError': 'Scenariusz zapisany, ale obliczenie nie powiodło się: {message}',
+        'scenarios.saveFailed': 'Nie można zapisać scenariusza: {message}',
+        'scenarios.loaded': 'Wczytano scenariusz "{name}" do formularza.',
+        'scenarios.updated': 'Scenariusz "{name}" został zaktualizowany.',
+        'scenarios.updateFailed': 'Nie można zaktualizować scenariusza: {message}',
+        'scenarios.none': 'Brak zapisanych scenariuszy.',
+        'scenarios.recalculating': 'Trwa przeliczanie scenariuszy...',
+        'scenarios.recalculateFailed': 'Nie udało się przeliczyć: {names}',
+        'scenarios.recalculated': 'Wszystkie scenariusze zostały przeliczone.',
+
+        'summary.totalInterest': 'Łączne odsetki',
+        'summary.totalPaid': 'Łączna kwota spłat',
+        'summary.apr': 'RRSO (APR)',
+        'summary.firstPayment': 'Pierwsza rata',
+        'summary.maxPayment': 'Najwyższa rata',
+        'summary.paymentCount': 'Liczba rat'
+    },
+    en: {
+        'page.title': 'Credit schedule calculator',
+        'page.intro': 'Load the parameters from an Excel, OpenDocument, Word or JSON file, or fill them in by hand, to calculate the payment schedule.',
+        'language.label': 'Language',
+        'common.remove': 'Remove',
+
+        'import.title': 'Import parameters',
+        'import.submit': 'Import from file',
+        'import.noFile': 'Choose an Excel (.xlsx), OpenDocument (.ods), Word (.docx) or JSON file to import.',
+        'import.success': 'The parameters have been imported.',
+        'import.failed': 'Import failed: {message}',
+
+        'parameters.title': 'Parameters',
+        'parameters.netValue': 'Net amount',
+        'parameters.marginRate': 'Margin (% per annum)',
+        'parameters.paymentFrequency': 'Payment frequency',
+        'parameters.paymentDay': 'Payment day',
+        'parameters.creditStart': 'Credit start date',
+        'parameters.creditEnd': 'Credit end date',
+        'parameters.dayCount': 'Day count convention',
+        'parameters.interestApplication': 'Interest application',
+        'parameters.roundingMode': 'Rounding',
+        'parameters.roundingDecimals': 'Decimal places',
+        'parameters.processingFeeRate': 'Processing fee (%)',
+        'parameters.processingFeeAmount': 'Processing fee (amount)',
+        'parameters.paymentType': 'Repayment type',
+        'parameters.gracePeriod': 'Grace period (months)',
+        'parameters.gracePeriodHint': 'Grace period in months during which only interest is paid (no principal)',
+        'parameters.paymentDayOfMonth': 'Day of the month (1–31)',
+        'parameters.paymentDayOfMonthHint': 'In shorter months the payment falls on the last day of the month',
+        'parameters.businessDayConvention': 'Business day adjustment',
+        'parameters.businessDayConventionHint': 'Payments falling on a weekend, a Polish public holiday or an extra closing day are moved to a business day',
+        'frequency.monthly': 'Monthly',
+        'frequency.daily': 'Daily',
+        'frequency.quarterly': 'Quarterly',
+        'frequency.weekly': 'Weekly',
+        'frequency.semiAnnual': 'Semi-annual',
+        'frequency.annual': 'Annual',
+        'frequency.custom': 'Custom payment dates',
+        'paymentDay.last': 'Last day of the month',
+        'paymentDay.first': 'First day of the month',
+        'paymentDay.tenth': '10th day of the month',
+        'paymentDay.dayOfMonth': 'Chosen day of the month',
+        'businessDayConvention.none': 'No adjustment',
+        'businessDayConvention.following': 'Following business day',
+        'businessDayConvention.modifiedFollowing': 'Following business day in the same month',
+        'businessDayConvention.preceding': 'Preceding business day',
+        'closingDays.title': 'Extra closing days',
+        'closingDays.help': 'Weekends and Polish public holidays are taken into account automatically. Add any other days on which a payment cannot be made.',
+        'closingDays.date': 'Closing day',
+        'closingDays.add': 'Add closing day',
+        'closingDays.remove': 'Remove closing day {date}',
+        'customDates.title': 'Custom payment dates',
+        'customDates.help': 'Payments fall exactly on the listed days and are not moved to business days. The credit end date is always the last payment. Dates can also be loaded from a CSV or TXT file with the date in the first column.',
+        'customDates.date': 'Payment date',
+        'customDates.add': 'Add date',
+        'customDates.clear': 'Clear list',
+        'customDates.file': 'Import payment dates (CSV)',
+        'customDates.remove': 'Remove payment date {date}',
+        'customDates.seeded': 'The list holds the {count} dates of the "{frequency}" frequency. You can edit them now.',
+        'customDates.imported': 'Loaded {count} payment dates from {file}.',
+        'customDates.unrecognizedLine': 'Line {line}: no date recognised ("{text}").',
+        'customDates.noDates': 'No dates were recognised in {file}.',
+        'interestApplication.dailyAccrual': 'Rate changes within the period',
+        'interestApplication.nextPeriod': 'New rate from the next period (month/quarter)',
+        'interestApplication.compoundDaily': 'Daily compounding',
+        'interestApplication.compoundMonthly': 'Monthly compounding',
+        'interestApplication.compoundQuarterly': 'Quarterly compounding',
+        'roundingMode.bankers': 'Banker\'s (to even)',
+        'roundingMode.awayFromZero': 'Away from zero',
+        'paymentType.decreasing': 'Decreasing instalments',
+        'paymentType.equal': 'Equal instalments',
+        'paymentType.bullet': 'Bullet repayment',
+
+        'rates.title': 'Interest rate table',
+        'rates.autoContinuity': 'Keep dates continuous',
+        'rates.from': 'From',
+        'rates.to': 'To',
+        'rates.rate': 'Rate (%)',
+        'rates.add': 'Add rate period',
+        'rates.undo': 'Undo',
+        'rates.undoHint': 'Undo the last rate table change (Ctrl+Z)',
+        'rates.redo': 'Redo',
+        'rates.redoHint': 'Redo the rate table change (Ctrl+Y)',
+        'rates.lockStart': 'Lock the start date',
+        'rates.lockEnd': 'Lock the end date',
+        'rates.lockColumn': 'Lock',
+        'rates.lockStartLabel': 'Start date lock',
+        'rates.lockEndLabel': 'End date lock',
+        'rates.insert': 'Insert',
+        'rates.insertHint': 'Insert a new period after this row',
+        'rates.split': 'Split',
+        'rates.splitHint': 'Split the period on a chosen day',
+        'rates.merge': 'Merge',
+        'rates.mergeHint': 'Merge with the next period (last row – with the previous one)',
+        'rates.splitMissingDates': 'Fill in the period dates before splitting it.',
+        'rates.splitTooShort': 'The period is too short to split.',
+        'rates.splitPrompt': 'Enter the start date of the new period ({from} – {to}):',
+        'rates.splitOutOfRange': 'The split date must fall within {from} – {to}.',
+        'rates.mergeNoNeighbour': 'There is no neighbouring period to merge with.',
+        'rates.seriesHelp': 'A series of fixings (date and rate, separated by a tab, semicolon or comma) can be pasted into the table or dropped here as a CSV file.',
+        'rates.seriesFile': 'Import rate series (CSV)',
+
+        'fixings.unrecognizedLine': 'Line {line}: no date and rate recognised ("{text}").',
+        'fixings.duplicate': 'Duplicate fixing on {date} – the value from line {line} was used.',
+        'fixings.noStartFixing': 'No fixing on the start date – the first available one ({first}) applies from {start}.',
+        'fixings.singleDay': 'Rate {rate} would only apply on {date} – the day was joined to the neighbouring period.',
+        'fixings.missingCreditDates': 'Enter the credit dates before loading a rate series.',
+        'fixings.noPairs': '{source}: no date–rate pairs found.',
+        'fixings.outsideCredit': '{source}: no fixing falls within the credit term.',
+        'fixings.confirmReplace': 'Replace the {current} periods in the rate table with {count} periods from the series?',
+        'fixings.summary': '{source}: fixings loaded: {fixings}, periods created: {periods}.',
+        'fixings.moreNotes': '… and {count} more notes.',
+        'fixings.fileFailed': 'Could not read the file {file}: {message}',
+        'fixings.pastedSource': 'Pasted series',
+
+        'ratePath.title': 'Rate path generator',
+        'ratePath.help': 'Fills the rate table from a described path. Locked period boundaries stay where they are; the result is previewed before it replaces the table.',
+        'ratePath.shape': 'Path',
+        'ratePath.shapes.flat': 'Flat rate',
+        'ratePath.shapes.drift': 'Linear drift to a target rate',
+        'ratePath.shapes.step': 'Step change every N months',
+        'ratePath.shapes.resets': 'Reset every N payment periods',
+        'ratePath.startRate': 'Starting rate (%)',
+        'ratePath.targetRate': 'Target rate (%)',
+        'ratePath.targetPlaceholder': 'unchanged',
+        'ratePath.stepChange': 'Change at each step (pp)',
+        'ratePath.months': 'Every how many months',
+        'ratePath.periods': 'Every how many payment periods',
+        'ratePath.preview': 'Show preview',
+        'ratePath.apply': 'Replace the rate table',
+        'ratePath.lockedBoundary': 'Locked boundary',
+        'ratePath.invalidRate': 'The "{field}" field must contain a number.',
+        'ratePath.invalidCount': 'The "{field}" field must contain a whole number greater than zero.',
+        'ratePath.missingCreditDates': 'Enter the credit dates before generating a rate path.',
+        'ratePath.previewSummary': 'Preview: {count} periods will replace {current} rate table rows.',
+        'ratePath.lockedKept': 'Locked boundaries kept: {count}.',
+        'ratePath.folded': 'One-day periods merged into a neighbour: {count}.',
+        'ratePath.previewChanged': 'The rate table or the credit dates have changed since the preview – check the updated preview.',
+        'ratePath.applied': 'The rate table was replaced with {count} periods from the path.',
+
+        'prepayments.title': 'Prepayments',
+        'prepayments.help': 'A prepayment is settled with the first instalment due on or after the prepayment date.',
+        'prepayments.date': 'Date',
+        'prepayments.amount': 'Amount',
+        'prepayments.mode': 'Effect',
+        'prepayments.add': 'Add prepayment',
+        'prepayments.reduceTerm': 'Shorten the term',
+        'prepayments.reduceInstallment': 'Lower the instalment',
+        'fees.title': 'Recurring fees',
+        'fees.help': 'Fees and insurance premiums are collected with the first instalment due on or after the charge date. They do not change the instalments but are included in the APR.',
+        'fees.name': 'Name',
+        'fees.namePlaceholder': 'e.g. insurance',
+        'fees.type': 'Type',
+        'fees.fixedAmount': 'Fixed amount',
+        'fees.balancePercentage': '% of outstanding principal',
+        'fees.value': 'Value',
+        'fees.frequency': 'Frequency',
+        'fees.everyInstallment': 'With every instalment',
+        'fees.monthly': 'Monthly',
+        'fees.quarterly': 'Quarterly',
+        'fees.annually': 'Yearly',
+        'fees.from': 'From',
+        'fees.to': 'To',
+        'fees.add': 'Add fee',
+        'fees.defaultName': 'Fee no. {number}',
+
+        'validation.summary': 'Correct the highlighted fields:',
+        'validation.multiple': 'Correct the highlighted fields ({count}). First problem: {message}',
+        'validation.netValue': 'The net amount must be greater than zero.',
+        'validation.creditStartMissing': 'Enter the credit start date.',
+        'validation.creditEndMissing': 'Enter the credit end date.',
+        'validation.creditEndOrder': 'The end date must be after the credit start date.',
+        'validation.roundingDecimals': 'Decimal places must be a whole number from 4 to 10.',
+        'validation.processingFeeRate': 'The fee percentage must be between 0 and 100%.',
+        'validation.processingFeeNegative': 'The fee amount cannot be negative.',
+        'validation.processingFeeTooHigh': 'The fee amount must be lower than the net amount.',
+        'validation.processingFeeBoth': 'Enter the processing fee either as a percentage or as an amount, not both.',
+        'validation.gracePeriodInteger': 'The grace period must be a non-negative whole number.',
+        'validation.paymentDayOfMonth': 'The payment day must be a whole number from 1 to 31.',
+        'validation.customPaymentDateRange': 'Payment dates must fall after the start date and no later than the credit end date: {dates}.',
+        'validation.gracePeriodTooLong': 'The grace period ({grace}) must cover fewer payments than the credit has ({count}).',
+        'validation.paymentType': 'Choose a supported repayment type.',
+        'validation.noRates': 'Add at least one interest rate period.',
+        'validation.rateDatesMissing': 'Row {row}: enter the start and end dates of the period.',
+        'validation.rateDatesOrder': 'Row {row}: the "From" date must be earlier than the "To" date.',
+        'validation.rateFirstStart': 'The first rate period must start on the credit start date.',
+        'validation.rateLastEnd': 'The last rate period must end on the credit end date.',
+        'validation.rateOverlap': 'Period {period} overlaps the previous one.',
+        'validation.rateGap': 'There is a gap between periods {previous} and {period}.',
+        'validation.serverRateOrder': 'The start date of a rate period must be earlier than its end date.',
+        'validation.serverRateCoverage': 'The rate periods must cover the whole credit term.',
+        'validation.serverRateOverlap': 'The rate periods overlap.',
+        'validation.serverRateGap': 'There is a gap between the rate periods.',
+        'validation.prepaymentDateMissing': 'Prepayment {row}: enter the date.',
+        'validation.prepaymentDateRange': 'Prepayment {row}: the date must be after the credit start date and no later than the credit end date.',
+        'validation.prepaymentAmount': 'Prepayment {row}: the amount must be greater than zero.',
+        'validation.feeValue': 'Fee {row}: the value must be greater than zero.',
+        'validation.feeDateRange': 'Fee {row}: the period must lie within the credit period and its start cannot be after its end.',
+        'serverError.fileEmpty': 'The file is empty.',
+        'serverError.importFormat': 'Unsupported import format. Use .xlsx, .ods, .docx or .json.',
+        'serverError.aggregationPeriod': 'Unsupported summary period.',
+        'serverError.antiforgery': 'Invalid security token. Reload the page and try again.',
+        'serverError.batchEmpty': 'There are no loans to calculate.',
+        'serverError.batchTooLarge': 'One batch calculation can include at most {max} loans.',
+        'serverError.batchExportSize': 'A batch export must include from 1 to {max} loans.',
+        'serverError.batchFormat': 'Unsupported batch file format. Use .zip, .xlsx (one sheet per loan) or .json.',
+        'serverError.batchJson': 'Invalid JSON file with loans.',
+        'serverError.batchArchive': 'Invalid ZIP archive.',
+        'serverError.batchLoanIncomplete': 'The loan parameters or interest rates are missing.',
+        'serverError.batchEntryFormat': 'Unsupported format of file {file}. Use .xlsx, .ods, .docx or .json.',
+        'serverError.batchEntryJson': 'File {file} does not contain a valid loan in JSON format.',
+        'serverError.batchEntryTooLarge': 'File {file} is too large; a single file can have at most {limit} MB.',
+
+        'actions.calculate': 'Calculate schedule',
+        'actions.exportFormat': 'Export format',
+        'actions.export': 'Export',
+        'actions.exportLog': 'Download calculation log',
+        'actions.clearState': 'Clear saved state',
+        'actions.clearStateHint': 'Removes the parameters, rate table, scenarios and last result saved in the browser',
+        'status.calculating': 'Calculating...',
+        'status.calculated': 'The schedule has been calculated.',
+        'status.stateNotSaved': 'The state could not be saved in the browser – changes will not be restored after reloading the page.',
+        'status.calculationFailed': 'Calculation error: {message}',
+        'status.exporting': 'Exporting...',
+        'status.exported': 'Export completed successfully.',
+        'status.exportFailed': 'Export failed: {message}',
+        'status.exportingLog': 'Preparing the calculation log...',
+        'status.logExported': 'The calculation log has been downloaded.',
+        'status.logExportFailed': 'Could not download the log: {message}',
+
+        'share.title': 'Share calculation',
+        'share.help': 'The link contains every parameter and rate period, so it reproduces exactly the same calculation.',
+        'share.copy': 'Copy link',
+        'share.autoCalculate': 'Calculate automatically when opened',
+        'share.copied': 'Link copied to the clipboard ({length} characters).',
+        'share.copyManually': 'Copy the link from the field below ({length} characters).',
+        'share.failed': 'Cannot create the link: {message}',
+        'share.noParameters': 'The link does not contain calculation parameters.',
+        'share.unsupportedVersion': 'Unsupported link version: {version}.',
+        'share.noDecompression': 'This browser cannot decompress the link.',
+        'share.unsupportedCodec': 'Unsupported link format: {codec}.',
+        'share.readFailed': 'Could not read the link: {message}',
+        'share.loaded': 'Parameters loaded from the link.',
+        'share.loadedNeedsFixes': 'Parameters loaded from the link, but they need corrections before calculating.',
+
+        'report.title': 'Printable report',
+        'report.help': 'The A4 report contains the parameters, rate table, a summary with the APR, the schedule and warnings. The logo and footer are optional.',
+        'report.logo': 'Logo (PNG, JPG or SVG)',
+        'report.removeLogo': 'Remove logo',
+        'report.footer': 'Footer text',
+        'report.footerPlaceholder': 'e.g. adviser contact details or a disclaimer',
+        'report.print': 'Print report',
+        'report.heading': 'Loan repayment schedule',
+        'report.generatedOn': 'Generated on {date}',
+        'report.parameters': 'Loan parameters',
+        'report.summary': 'Summary',
+        'report.rates': 'Interest rates',
+        'report.preparing': 'Preparing the report...',
+        'report.ready': 'The report was sent to the printer.',
+        'report.failed': 'Cannot prepare the report: {message}',
+        'report.noResult': 'No schedule has been calculated. Use the "Print report" button to calculate and print it.',
+        'report.logoTooLarge': 'The logo file is too large (max {size} KB).',
+
+        'goalSeek.title': 'Goal seek',
+        'goalSeek.help': 'Find the net amount, end date or margin at which the instalment, total interest or APR reaches a target value. Other parameters stay unchanged and the value found is entered into the form.',
+        'goalSeek.variable': 'Value to find',
+        'goalSeek.variables.NetValue': 'Net amount',
+        'goalSeek.variables.CreditEndDate': 'End date (loan term)',
+        'goalSeek.variables.MarginRate': 'Margin',
+        'goalSeek.target': 'Target',
+        'goalSeek.targets.Installment': 'Instalment (highest or level)',
+        'goalSeek.targets.TotalInterest': 'Total interest',
+        'goalSeek.targets.AnnualPercentageRate': 'APR (%)',
+        'goalSeek.targetValue': 'Target value (at most)',
+        'goalSeek.minimum': 'Lower bound (optional)',
+        'goalSeek.maximum': 'Upper bound (optional)',
+        'goalSeek.boundsHint.NetValue': 'amount',
+        'goalSeek.boundsHint.CreditEndDate': 'term in months',
+        'goalSeek.boundsHint.MarginRate': 'margin in %',
+        'goalSeek.run': 'Search',
+        'goalSeek.withinTarget': 'Within target',
+        'goalSeek.yes': 'yes',
+        'goalSeek.no': 'no',
+        'goalSeek.invalidTarget': 'Enter a target value greater than zero.',
+        'goalSeek.invalidBound': 'A search bound must be a number.',
+        'goalSeek.invalidBounds': 'The lower search bound must be less than the upper one.',
+        'goalSeek.unsupportedVariable': 'Unsupported search variable.',
+        'goalSeek.unsupportedTarget': 'Unsupported search target.',
+        'goalSeek.searching': 'Searching...',
+        'goalSeek.found': 'Found: {variable} = {value} ({target}: {result}, steps: {steps}). The value was entered into the form.',
+        'goalSeek.outOfRange': 'The target is outside the search range. Closest result: {variable} = {value} ({target}: {result}). The value was entered into the form.',
+        'goalSeek.failed': 'Search failed: {message}',
+
+        'sensitivity.title': 'Sensitivity analysis',
+        'sensitivity.help': 'Recalculates the current parameters with every rate in the table shifted in parallel by ±100, ±200 and ±300 bp. Each rate shift can optionally be combined with margin changes.',
+        'sensitivity.margins': 'Margin changes (pp, separated by semicolons)',
+        'sensitivity.marginsPlaceholder': 'e.g. -0.5; 0.5; 1',
+        'sensitivity.metric': 'Heat-map figure',
+        'sensitivity.run': 'Run sensitivity',
+        'sensitivity.invalidMargin': 'Invalid margin change: "{value}".',
+        'sensitivity.progress': 'Calculated {done} of {total} variants...',
+        'sensitivity.done': 'Calculated {total} variants.',
+        'sensitivity.doneWithErrors': 'Calculated {done} of {total} variants; the others failed.',
+        'sensitivity.failed': 'Sensitivity analysis failed: {message}',
+        'sensitivity.corner': 'Rate shift / margin change',
+        'sensitivity.shift': '{shift} bp',
+        'sensitivity.marginChange': 'margin {change} pp',
+        'sensitivity.cellTitle': 'Rates {shift} bp, margin {margin}',
+
+        'batch.title': 'Batch calculation',
+        'batch.help': 'Recalculate many loans at once: a .zip archive of single-loan files (.xlsx, .ods, .docx, .json), an .xlsx workbook with one loan per sheet (parameters in columns A–B, rates in columns D–F) or a .json file with a list of loans.',
+        'batch.files': 'Drop files here or choose them from disk',
+        'batch.export': 'Export all',
+        'batch.clear': 'Clear results',
+        'batch.loan': 'Loan',
+        'batch.load': 'Load',
+        'batch.loadHint': 'Load the parameters and schedule of this loan into the form',
+        'batch.processing': 'Processing {file} ({index} of {total})...',
+        'batch.fileFailed': '{file}: {message}',
+        'batch.done': 'Loans calculated: {calculated} of {total}.',
+        'batch.doneWithErrors': 'Loans calculated: {calculated} of {total}, errors: {failed}.',
+        'batch.loaded': 'Loan "{name}" loaded into the form.',
+        'batch.exporting': 'Exporting all loans...',
+        'batch.exported': 'Combined export completed.',
+        'batch.exportFailed': 'Combined export failed: {message}',
+
+        'preview.title': 'Live preview',
+        'preview.show': 'Show preview schedule',
+        'preview.unsupportedInterest': 'The preview only supports the "Rate changes within the period" interest application.',
+        'preview.localNotice': 'Preview calculated locally – the server result remains authoritative.',
+        'preview.paymentCount': 'Payments',
+        'preview.firstPayment': 'First instalment',
+        'preview.lastPayment': 'Last instalment',
+        'preview.totalInterest': 'Total interest',
+        'preview.matches': 'The preview matches the server result.',
+        'preview.differs': 'The preview differs from the server result:',
+        'preview.moreDifferences': '… and {count} more differences',
+        'preview.countDiffers': 'Payments: preview {preview}, server {server}.',
+        'preview.dateDiffers': 'Payment {number}: date {preview} ≠ {server}.',
+        'preview.valueDiffers': 'Payment {number}: {field} {preview} ≠ {server}.',
+        'preview.totalInterestDiffers': 'Total interest: preview {preview}, server {server}.',
+        'preview.fields.interest': 'interest',
+        'preview.fields.principal': 'principal',
+        'preview.fields.payment': 'instalment',
+        'preview.fields.balance': 'balance',
+        'preview.fields.prepayment': 'prepayment',
+
+        'schedule.title': 'Schedule',
+        'schedule.paymentDate': 'Payment date',
+        'schedule.days': 'Days',
+        'schedule.interestRate': 'Interest rate',
+        'schedule.interest': 'Interest',
+        'schedule.principal': 'Principal',
+        'schedule.total': 'Total',
+        'schedule.remaining': 'Remaining principal',
+        'schedule.prepayment': 'Prepayment',
+        'schedule.totalInterest': 'Total interest:',
+        'schedule.apr': 'APR:',
+        'schedule.graceMarker': 'grace',
+        'schedule.nominal': 'nom',
+        'schedule.prepaymentHint': 'Prepayment of {amount} settled with this instalment',
+        'schedule.feeTotal': 'Fees total',
+        'aprPanel.title': 'How the APR was calculated',
+        'aprPanel.help': 'The APR is the rate at which the discounted cash flows sum to zero. The disbursement net of one-off fees is positive; instalments with prepayments and recurring fees are negative. Time is counted as days since the disbursement divided by 365.',
+        'aprPanel.export': 'Export (CSV)',
+        'aprPanel.cashFlows': 'Cash flows',
+        'aprPanel.date': 'Date',
+        'aprPanel.amount': 'Amount',
+        'aprPanel.yearFraction': 'Year fraction',
+        'aprPanel.presentValue': 'Present value',
+        'aprPanel.steps': 'Solver steps',
+        'aprPanel.method': 'Method',
+        'aprPanel.rate': 'Rate',
+        'aprPanel.npv': 'Net present value',
+        'aprPanel.total': 'Total',
+        'aprPanel.methodNewton': 'Newton\'s method',
+        'aprPanel.methodBisection': 'bisection',
+        'aprPanel.summary': 'APR {apr}: {method}, steps: {count}.',
+        'aprPanel.notConverged': 'The required precision was not reached; the APR is the midpoint of the last bisection interval.',
+        'aprPanel.noData': 'No APR details. Recalculate the schedule to see them.',
+        'aprPanel.crossCheckApr': 'APR from the browser check',
+        'aprPanel.crossCheckMatch': 'Browser check: {apr}, matching the server result.',
+        'aprPanel.crossCheckMismatch': 'Browser check: {apr}, difference from the server: {difference} pp.',
+        'schedule.showLog': 'Log',
+        'schedule.showLogHint': 'Show the calculation log entries for this payment',
+        'schedule.warnings': 'Warnings',
+        'warnings.prepaymentCapped': 'Payment {row}: the prepayment ({requested}) exceeds the balance – reduced to {applied}.',
+        'warnings.prepaymentsSkipped': 'Prepayments after the credit was repaid were skipped ({count}).',
+        'warnings.interestExceedsPayment': 'Payment {row}: the interest ({interest}) exceeds the target installment ({payment}).',
+        'schedule.filterGrace': 'Grace period only',
+        'schedule.filterWarnings': 'With warnings only',
+        'schedule.filterRateChange': 'Rate changes only',
+        'schedule.filterFrom': 'From date',
+        'schedule.filterTo': 'To date',
+        'schedule.filterClear': 'Clear filters',
+        'schedule.extraColumns': 'Extra columns:',
+        'schedule.effectivePeriodRate': 'Period rate',
+        'schedule.nominalRate': 'Nominal rate',
+        'schedule.cumulativeInterest': 'Cumulative interest',
+        'schedule.rowCount': 'Showing {shown} of {total} payments.',
+        'schedule.footerTotal': 'Total ({count})',
+        'schedule.view': 'View',
+        'schedule.viewPayments': 'All payments',
+        'schedule.viewMonth': 'Monthly',
+        'schedule.viewQuarter': 'Quarterly',
+        'schedule.viewYear': 'Yearly',
+        'schedule.period': 'Period',
+        'schedule.openingBalance': 'Opening balance',
+        'schedule.closingBalance': 'Closing balance',
+        'schedule.weightedRate': 'Weighted average rate',
+        'schedule.quarterLabel': 'Q{quarter} {year}',
+        'schedule.aggregateToggle': 'Show or hide the payments of {period}',
+        'schedule.aggregatesTitle': 'Periodic summary',
+        'schedule.warningRow': 'Payment with a warning',
+        'shortcuts.help': 'Keyboard shortcuts: Ctrl+Enter – calculate the schedule, Alt+Shift+E – export, Alt+Shift+N – add a rate period. In the rate table Enter and Shift+Enter move to the row below and above, and Ctrl+arrows move between cells.',
+        'a11y.result': '{count} payments calculated. Total interest {interest}, APR {apr}.',
+        'a11y.resultWarnings': 'Warnings: {count}.',
+        'schedule.finalPaymentAdjusted': '<strong>Target instalment:</strong> {target} | <strong>Last instalment:</strong> {final} (adjusted)',
+
+        'charts.title': 'Charts',
+        'charts.grace': 'Grace period',
+        'charts.warning': 'Payment with a warning',
+        'charts.balance': 'Remaining principal',
+        'charts.payment': 'Instalment structure',
+        'charts.rate': 'Interest rate',
+        'charts.baseRate': 'Base rate (rate table)',
+        'charts.effectiveRate': 'Effective payment rate',
+        'charts.pointTitle': 'Payment {number} – {date}',
+        'charts.balanceBefore': 'Balance before payment',
+        'charts.remainingPrincipal': 'Remaining principal',
+        'charts.interest': 'Interest',
+        'charts.paymentValue': 'Instalment',
+        'charts.baseRateValue': 'Base rate',
+        'charts.principal': 'Principal',
+        'charts.prepayment': 'Prepayment',
+        'charts.graceFlag': 'grace period',
+        'charts.warningFlag': 'warning',
+
+        'log.title': 'Calculation log',
+        'log.help': 'Log entries are grouped by payment. The "Log" button in the schedule opens the entries of that payment.',
+        'log.search': 'Search descriptions and formulas',
+        'log.searchPlaceholder': 'e.g. interest, 5.0000%, balance',
+        'log.expandAll': 'Expand all',
+        'log.collapseAll': 'Collapse all',
+        'log.general': 'General information',
+        'log.payment': 'Payment {number}',
+        'log.partialCount': '{matching} of {total}',
+        'log.showInSchedule': 'Show in schedule',
+        'log.summary': 'Entries: {entries}, groups: {groups}.',
+        'log.filteredSummary': 'Matching entries: {matching} of {entries}, groups: {groups}.',
+        'log.types.Header': 'Payment headers',
+        'log.types.RateChange': 'Rate changes',
+        'log.types.PeriodCalculation': 'Days in period',
+        'log.types.InterestCalculation': 'Interest',
+        'log.types.PrincipalCalculation': 'Principal',
+        'log.types.BalanceUpdate': 'Balance and prepayments',
+        'log.types.Summary': 'Summaries',
+        'log.types.Detail': 'Details',
+
+        'scenarios.title': 'Scenarios',
+        'scenarios.help': 'Save the current parameters and rate table as a named scenario to compare several offer variants side by side.',
+        'scenarios.name': 'Scenario name',
+        'scenarios.namePlaceholder': 'e.g. Equal instalments, 6 months grace',
+        'scenarios.save': 'Save as scenario',
+        'scenarios.recalculateAll': 'Recalculate all',
+        'scenarios.compare': 'Compare',
+        'scenarios.nameColumn': 'Name',
+        'scenarios.variant': 'Variant',
+        'scenarios.variantDetails': '{start} – {end}, grace: {grace}, margin: {margin}',
+        'scenarios.comparisonTitle': 'Instalment comparison',
+        'scenarios.baseline': 'Baseline scenario',
+        'scenarios.baselineColumn': '{name} (baseline)',
+        'scenarios.difference': 'Difference',
+        'scenarios.aprPercent': 'APR %',
+        'scenarios.defaultName': 'Scenario {number}',
+        'scenarios.copyName': '{name} (copy)',
+        'scenarios.load': 'Load',
+        'scenarios.overwrite': 'Overwrite from form',
+        'scenarios.clone': 'Clone',
+        'scenarios.recalculate': 'Recalculate',
+        'scenarios.calculating': 'Calculating the scenario...',
+        'scenarios.saved': 'Scenario "{name}" saved.',
+        'scenarios.savedWithError': 'Scenario saved, but the calculation failed: {message}',
+        'scenarios.saveFailed': 'Cannot save the scenario: {message}',
+        'scenarios.loaded': 'Scenario "{name}" loaded into the form.',
+        'scenarios.updated': 'Scenario "{name}" has been updated.',
+        'scenarios.updateFailed': 'Cannot update the scenario: {message}',
+        'scenarios.none': 'There are no saved scenarios.',
+        'scenarios.recalculating': 'Recalculating the scenarios...',
+        'scenarios.recalculateFailed': 'Could not recalculate: {names}',
+        'scenarios.recalculated': 'All scenarios have been recalculated.',
+
+        'summary.totalInterest': 'Total interest',
+        'summary.totalPaid': 'Total repaid',
+        'summary.apr': 'APR',
+        'summary.firstPayment': 'First instalment',
+        'summary.maxPayment': 'Highest instalment',
+        'summary.paymentCount': 'Payments'
+    }
+};
+
+function detectLanguage() {
+    const stored = localStorage.getItem(LOCALE_STORAGE_KEY);
+    if (SUPPORTED_LOCALES[stored]) {
+        return stored;
+    }
+
+    const browserLanguage = (navigator.language ?? '').substring(0, 2).toLowerCase();
+    return SUPPORTED_LOCALES[browserLanguage] ? browserLanguage : DEFAULT_LANGUAGE;
+}
+
+let currentLanguage = detectLanguage();
+
+function getLanguage() {
+    return currentLanguage;
+}
+
+function getLocale() {
+    return SUPPORTED_LOCALES[currentLanguage];
+}
+
+// Looks the key up in the current language, falling back to Polish and then to the key itself.
+// {name} placeholders are replaced from params.
+function t(key, params = {}) {
+    const template = translations[currentLanguage][key] ?? translations[DEFAULT_LANGUAGE][key] ?? key;
+    return template.replace(/\{(\w+)\}/g, (match, name) => (name in params ? String(params[name]) : match));
+}
+
+function applyTranslations(root = document) {
+    root.querySelectorAll('[data-i18n]').forEach(element => {
+        element.textContent = t(element.dataset.i18n);
+    });
+    root.querySelectorAll('[data-i18n-title]').forEach(element => {
+        element.title = t(element.dataset.i18nTitle);
+    });
+    root.querySelectorAll('[data-i18n-placeholder]').forEach(element => {
+        element.placeholder = t(element.dataset.i18nPlaceholder);
+    });
+    root.querySelectorAll('[data-i18n-aria-label]').forEach(element => {
+        element.setAttribute('aria-label', t(element.dataset.i18nAriaLabel));
+    });
+
+    if (root === document) {
+        document.documentElement.lang = currentLanguage;
+        document.title = t('page.title');
+    }
+}
+
+// Switches the UI language; app.js listens for 'localechange' to re-render generated content
+function setLanguage(language) {
+    if (!SUPPORTED_LOCALES[language] || language === currentLanguage) {
+        return;
+    }
+
+    const previousLanguage = currentLanguage;
+    currentLanguage = language;
+    localStorage.setItem(LOCALE_STORAGE_KEY, language);
+    applyTranslations();
+    document.dispatchEvent(new CustomEvent('localechange', { detail: { language, previousLanguage } }));
+}
+
+// Locale-aware formatting
+const numberFormatCache = new Map();
+
+function getNumberFormat(options) {
+    const cacheKey = `${getLocale()}|${JSON.stringify(options)}`;
+    if (!numberFormatCache.has(cacheKey)) {
+        numberFormatCache.set(cacheKey, new Intl.NumberFormat(getLocale(), options));
+    }
+    return numberFormatCache.get(cacheKey);
+}
+
+// Fixed decimals when given, otherwise as many as the value needs
+function formatNumber(value, decimals) {
+    const options = decimals === undefined
+        ? { maximumFractionDigits: 10 }
+        : { minimumFractionDigits: decimals, maximumFractionDigits: decimals };
+    return getNumberFormat(options).format(value ?? 0);
+}
+
+function formatAmount(value) {
+    return formatNumber(value, 2);
+}
+
+// Rates in this app are percentages already (5.25 means 5.25%)
+function formatPercent(value, decimals = 2) {
+    return getNumberFormat({ style: 'percent', minimumFractionDigits: decimals, maximumFractionDigits: decimals })
+        .format((value ?? 0) / 100);
+}
+
+// Date-only ISO strings (yyyy-MM-dd, optionally with a time part) are shown in the UI locale
+function formatDisplayDate(isoDate) {
+    const match = /^(\d{4})-(\d{2})-(\d{2})/.exec(isoDate ?? '');
+    if (!match) {
+        return isoDate ?? '';
+    }
+
+    const date = new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3])));
+    return new Intl.DateTimeFormat(getLocale(), { timeZone: 'UTC', year: 'numeric', month: '2-digit', day: '2-digit' })
+        .format(date);
+}
+
+function getDecimalSeparator() {
+    return getNumberFormat({ minimumFractionDigits: 1 }).formatToParts(1.5)
+        .find(part => part.type === 'decimal').value;
+}
+
+// Value for a text input: the locale decimal separator and no grouping, so it parses back unchanged
+function formatInputNumber(value) {
+    if (value === null || value === undefined || value === '') {
+        return '';
+    }
+    if (typeof value !== 'number') {
+        return String(value);
+    }
+
+    return String(value).replace('.', getDecimalSeparator());
+}
+
+// Accepts both decimal separators; when both appear the last one is the decimal separator,
+// and a lone comma is read as a decimal comma except for English thousands grouping (1,250,000)
+function parseLocaleNumber(text, language = currentLanguage) {
+    if (typeof text === 'number') {
+        return text;
+    }
+
+    let value = String(text ?? '').replace(/[\s%]/g, '');
+    if (!value) {
+        return NaN;
+    }
+
+    const lastComma = value.lastIndexOf(',');
+    const lastDot = value.lastIndexOf('.');
+    if (lastComma !== -1 && lastDot !== -1) {
+        value = lastComma > lastDot
+            ? value.replace(/\./g, '').replace(',', '.')
+            : value.replace(/,/g, '');
+    } else if (lastComma !== -1) {
+        value = language === 'en' && /^-?\d{1,3}(,\d{3})+$/.test(value)
+            ? value.replace(/,/g, '')
+            : value.replace(',', '.');
+    }
+
+    return Number(value);
+}